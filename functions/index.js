@@ -0,0 +1,796 @@
+/**
+ * CanCare Cloud Functions - User Provisioning & Audit Log
+ *
+ * إدارة حسابات المستخدمين بـ Firebase Admin SDK بدلاً من المتصفح.
+ * تعمل مع Auth Emulator تلقائياً عند التشغيل عبر `firebase emulators:start`
+ * (يضبط المحاكي FIREBASE_AUTH_EMULATOR_HOST و FIRESTORE_EMULATOR_HOST).
+ *
+ * منح الأدوار حسب المستدعي (GRANTABLE_ROLES): المسؤول يمنح كل الأدوار، والموظف (clerk)
+ * يُنشئ ويدير حسابات المرضى والأطباء والممرضين فقط.
+ *
+ * الدوال (Callable):
+ * - provisionUser({ email, password?, name, roles, profileCollection?, sendInvite? })
+ * - setUserPassword({ uid, password })
+ * - updateUserEmail({ uid, email })
+ * - sendUserInvite({ uid })
+ * - setUserDisabled({ uid, disabled })
+ * - linkUserProfile({ uid, collection, id })
+ *
+ * سجل التدقيق (Firestore trigger):
+ * - auditLog: كل كتابة على مجموعة في المستوى الأول تُسجَّل في audit_log من جهة الخادم
+ *   (المتصفح والموبايل وهذه الدوال)؛ firestore.rules يمنع الكتابة على audit_log من العملاء.
+ *   المنصة والدور من ختم المستند المكتوب (updatedPlatform / updatedByRole)، وكل كتابة من
+ *   هذه الدوال تختمه أيضاً (writeStamp / SERVER_STAMP).
+ *
+ * إحصائيات الطاقم (Firestore triggers):
+ * - syncStaffStatsOnPatients / syncStaffStatsOnLabOrders: تعيد حساب doctors.stats و nurses.stats
+ *   للطاقم المتأثر بالكتابة (نفس src/services/staffStats.js)؛ العملاء لا يكتبون stats.
+ *
+ * إشغال الأقسام (Firestore triggers):
+ * - syncDepartmentOccupancyOnPatients / syncDepartmentOccupancyOnTransfers: تعيد حساب
+ *   departments.occupancy للأقسام المتأثرة (نفس departmentOccupancy في src/services/transfers.js)؛
+ *   approveTransfer يقرأ العداد داخل معاملته ويحجز فيه السرير.
+ *
+ * قائمة الانتظار (Firestore trigger):
+ * - offerSlotFreedByPatient: الوقت الذي يحرره إلغاء المريض لموعده (updatedByRole = patient) يُعرض
+ *   على أنسب طلب انتظار (نفس rankWaitlistMatches في src/services/waitlist.js)؛ المريض لا يقرأ
+ *   web_waitlist، وإلغاءات الموظفين تعرضها الواجهة نفسها.
+ *
+ * المهام المجدولة:
+ * - markNoShows: كل NO_SHOW_SWEEP_SCHEDULE تسجل المواعيد المجدولة (اليوم وما قبله) التي لم
+ *   يُسجل وصول مرضاها بعد مهلة التأخير كـ no-show. المهلة والتوقيت من settings/clinic
+ *   (noShowGraceMinutes / timeZone، نفس مستند الواجهة)؛ مواعيد web_appointments تُحفظ بتوقيت
+ *   العيادة المحلي، وبدون timeZone لا يعمل. الاستعلام (status in + date <=) يستخدم فهرس
+ *   web_appointments (status, date) في firestore.indexes.json.
+ */
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentWritten, onDocumentWrittenWithAuthContext } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const logger = require('firebase-functions/logger');
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+initializeApp();
+
+const auth = getAuth();
+const db = getFirestore();
+
+const VALID_ROLES = ['admin', 'chief', 'clerk', 'doctor', 'nurse', 'patient'];
+// الأدوار التي يمنحها كل دور (نفس GRANTABLE_ROLES في src/config/permissions.js)
+const GRANTABLE_ROLES = {
+  admin: VALID_ROLES,
+  clerk: ['patient', 'doctor', 'nurse']
+};
+const PROFILE_COLLECTIONS = ['doctors', 'nurses', 'patients'];
+const MIN_PASSWORD_LENGTH = 6;
+const CLIENT_PLATFORMS = ['web', 'mobile'];
+// ختم كتابات المهام المجدولة (لا مستخدم ولا دور)
+const SERVER_STAMP = { updatedPlatform: 'server', updatedByRole: null };
+
+// ==================== HELPERS ====================
+
+/**
+ * ختم كتابات الدالة بمنصة المستدعي والدور الذي استدعى به (actingRole / platform من العميل؛
+ * الدور يُقبل فقط إذا كان من أدوار المستدعي التي تدير الحسابات)
+ */
+const writeStamp = (request, caller) => {
+  const { actingRole, platform } = request.data || {};
+  const managingRoles = (caller.roles || []).filter((role) => GRANTABLE_ROLES[role]);
+  return {
+    updatedPlatform: CLIENT_PLATFORMS.includes(platform) ? platform : 'web',
+    updatedByRole: managingRoles.includes(actingRole) ? actingRole : managingRoles[0] || null
+  };
+};
+
+/**
+ * التحقق من أن المستدعي مسجل ولديه دور يسمح بإدارة الحسابات
+ * @returns {Promise<{ uid: string, grantable: string[], stamp: Object }>} المستدعي والأدوار
+ *   التي يمنحها وختم كتاباته
+ */
+const requireProvisioner = async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'يجب تسجيل الدخول');
+  }
+
+  const callerDoc = await db.doc(`users/${request.auth.uid}`).get();
+  const caller = callerDoc.exists ? callerDoc.data() : {};
+  const grantable = caller.disabled ? [] : (caller.roles || []).flatMap((role) => GRANTABLE_ROLES[role] || []);
+  if (grantable.length === 0) {
+    throw new HttpsError('permission-denied', 'ليس لديك صلاحية لإدارة الحسابات');
+  }
+
+  return { uid: request.auth.uid, grantable, stamp: writeStamp(request, caller) };
+};
+
+const assertGrantable = (grantable, roles) => {
+  if (!roles.every((role) => grantable.includes(role))) {
+    throw new HttpsError('permission-denied', 'ليس لديك صلاحية لمنح هذه الأدوار');
+  }
+};
+
+/**
+ * إدارة حساب موجود تتطلب صلاحية منح كل أدواره (الموظف لا يدير حسابات المسؤولين)
+ */
+const requireManageable = async (grantable, uid) => {
+  const userDoc = await db.doc(`users/${uid}`).get();
+  assertGrantable(grantable, userDoc.exists ? userDoc.data().roles || [] : []);
+};
+
+const requireUid = (uid) => {
+  if (!uid || typeof uid !== 'string') {
+    throw new HttpsError('invalid-argument', 'معرف المستخدم مطلوب');
+  }
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpsError('invalid-argument', `كلمة المرور يجب أن تكون ${MIN_PASSWORD_LENGTH} أحرف على الأقل`);
+  }
+};
+
+/**
+ * تحويل أخطاء Admin SDK إلى HttpsError برسائل واضحة
+ */
+const toHttpsError = (error) => {
+  if (error instanceof HttpsError) return error;
+
+  switch (error.code) {
+    case 'auth/email-already-exists':
+      return new HttpsError('already-exists', 'البريد الإلكتروني مستخدم بالفعل');
+    case 'auth/invalid-email':
+      return new HttpsError('invalid-argument', 'صيغة البريد الإلكتروني غير صحيحة');
+    case 'auth/invalid-password':
+      return new HttpsError('invalid-argument', 'كلمة المرور غير صالحة');
+    case 'auth/user-not-found':
+      return new HttpsError('not-found', 'المستخدم غير موجود');
+    default:
+      console.error('Provisioning error:', error);
+      return new HttpsError('internal', 'حدث خطأ في إدارة الحساب');
+  }
+};
+
+/**
+ * حذف حساب Auth أُنشئ في عملية فشلت (أفضل جهد: الخطأ الأصلي هو ما يُعاد)
+ */
+const rollbackUser = async (uid) => {
+  try {
+    await auth.deleteUser(uid);
+  } catch (error) {
+    console.error(`Could not roll back user ${uid}:`, error);
+  }
+};
+
+/**
+ * إنشاء رابط تعيين كلمة المرور وإضافته لمجموعة mail
+ * (مجموعة mail تُرسل عبر إضافة Trigger Email؛ في المحاكي يُعاد الرابط فقط)
+ */
+const sendInviteEmail = async (email, name) => {
+  const link = await auth.generatePasswordResetLink(email);
+
+  await db.collection('mail').add({
+    to: email,
+    message: {
+      subject: 'دعوة للانضمام إلى CanCare',
+      text: `مرحباً ${name || ''}،\n\nتم إنشاء حساب لك في CanCare. لتعيين كلمة المرور اضغط على الرابط:\n${link}`
+    },
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+  return link;
+};
+
+// ==================== FUNCTIONS ====================
+
+exports.provisionUser = onCall(async (request) => {
+  const { uid: actorUid, grantable, stamp } = await requireProvisioner(request);
+  const { email, password, name, roles, profileCollection = null, sendInvite } = request.data || {};
+
+  if (!email) {
+    throw new HttpsError('invalid-argument', 'البريد الإلكتروني مطلوب');
+  }
+  if (!Array.isArray(roles) || roles.length === 0 || !roles.every((role) => VALID_ROLES.includes(role))) {
+    throw new HttpsError('invalid-argument', 'الأدوار غير صالحة');
+  }
+  assertGrantable(grantable, roles);
+  if (profileCollection && !PROFILE_COLLECTIONS.includes(profileCollection)) {
+    throw new HttpsError('invalid-argument', 'نوع الملف غير صالح');
+  }
+  if (password) {
+    validatePassword(password);
+  }
+
+  const invite = sendInvite ?? !password;
+  let uid = null;
+  try {
+    const userRecord = await auth.createUser({
+      email,
+      ...(password && { password }),
+      displayName: name || undefined
+    });
+    uid = userRecord.uid;
+
+    await auth.setCustomUserClaims(uid, { roles });
+    await db.doc(`users/${uid}`).set({
+      uid,
+      email,
+      name: name || '',
+      roles,
+      activeRole: roles[0],
+      disabled: false,
+      profile: profileCollection ? { collection: profileCollection, id: null } : null,
+      invitedAt: invite ? FieldValue.serverTimestamp() : null,
+      createdAt: FieldValue.serverTimestamp(),
+      createdBy: actorUid,
+      createdPlatform: stamp.updatedPlatform,
+      updatedBy: actorUid,
+      ...stamp
+    });
+  } catch (error) {
+    // لا يبقى حساب Auth بدون مستند users (لا يمكن إدارته ولا ربطه بملف)
+    if (uid) await rollbackUser(uid);
+    throw toHttpsError(error);
+  }
+
+  try {
+    // فشل الدعوة لا يلغي الحساب؛ يمكن إعادة إرسالها عبر sendUserInvite
+    const inviteLink = invite ? await sendInviteEmail(email, name) : null;
+    return { uid, inviteLink };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+exports.setUserPassword = onCall(async (request) => {
+  const { uid: actorUid, grantable, stamp } = await requireProvisioner(request);
+  const { uid, password } = request.data || {};
+  requireUid(uid);
+  validatePassword(password);
+  await requireManageable(grantable, uid);
+
+  try {
+    await auth.updateUser(uid, { password });
+    await db.doc(`users/${uid}`).set({
+      passwordUpdatedAt: FieldValue.serverTimestamp(),
+      updatedBy: actorUid,
+      ...stamp
+    }, { merge: true });
+    return { uid };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+exports.updateUserEmail = onCall(async (request) => {
+  const { uid: actorUid, grantable, stamp } = await requireProvisioner(request);
+  const { uid, email } = request.data || {};
+  requireUid(uid);
+  if (!email || typeof email !== 'string') {
+    throw new HttpsError('invalid-argument', 'البريد الإلكتروني مطلوب');
+  }
+  await requireManageable(grantable, uid);
+
+  try {
+    // بريد الدخول أولاً: إذا رُفض (مستخدم أو غير صالح) لا يتغير مستند users
+    await auth.updateUser(uid, { email });
+    await db.doc(`users/${uid}`).set({
+      email,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: actorUid,
+      ...stamp
+    }, { merge: true });
+    return { uid, email };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+exports.sendUserInvite = onCall(async (request) => {
+  const { uid: actorUid, grantable, stamp } = await requireProvisioner(request);
+  const { uid } = request.data || {};
+  requireUid(uid);
+  await requireManageable(grantable, uid);
+
+  try {
+    const userRecord = await auth.getUser(uid);
+    const inviteLink = await sendInviteEmail(userRecord.email, userRecord.displayName);
+    await db.doc(`users/${uid}`).set({
+      invitedAt: FieldValue.serverTimestamp(),
+      updatedBy: actorUid,
+      ...stamp
+    }, { merge: true });
+    return { uid, inviteLink };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+exports.setUserDisabled = onCall(async (request) => {
+  const { uid: actorUid, grantable, stamp } = await requireProvisioner(request);
+  const { uid, disabled = true } = request.data || {};
+  requireUid(uid);
+  await requireManageable(grantable, uid);
+
+  if (uid === actorUid && disabled) {
+    throw new HttpsError('failed-precondition', 'لا يمكنك تعطيل حسابك');
+  }
+
+  try {
+    await auth.updateUser(uid, { disabled: !!disabled });
+    if (disabled) {
+      // إنهاء الجلسات المفتوحة للحساب المعطل
+      await auth.revokeRefreshTokens(uid);
+    }
+    await db.doc(`users/${uid}`).set({
+      disabled: !!disabled,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: actorUid,
+      ...stamp
+    }, { merge: true });
+    return { uid, disabled: !!disabled };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+exports.linkUserProfile = onCall(async (request) => {
+  const { uid: actorUid, grantable, stamp } = await requireProvisioner(request);
+  const { uid, collection, id } = request.data || {};
+  requireUid(uid);
+  await requireManageable(grantable, uid);
+
+  if (!PROFILE_COLLECTIONS.includes(collection)) {
+    throw new HttpsError('invalid-argument', 'نوع الملف غير صالح');
+  }
+
+  try {
+    await db.doc(`users/${uid}`).update({
+      profile: { collection, id: id || null },
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: actorUid,
+      ...stamp
+    });
+    return { uid };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+// ==================== AUDIT LOG ====================
+
+const AUDIT_COLLECTION = 'audit_log';
+
+// نفس UNAUDITED_COLLECTIONS و IGNORED_FIELDS في src/services/auditLog.js (stats في doctors / nurses
+// و occupancy في departments مشتقة، وختم الكتابة وصفي)
+const UNAUDITED_COLLECTIONS = [AUDIT_COLLECTION, 'mail', 'appointment_slots', 'web_notification_inbox'];
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'updatedBy', 'updatedPlatform', 'updatedByRole', 'stats', 'occupancy'];
+
+// Firestore لا يقبل undefined
+const normalizeValue = (value) => (value === undefined ? null : value);
+
+const sameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+/**
+ * الفرق بين نسختين من المستند على مستوى الحقول الأولى (نفس diffDocs في src/services/auditLog.js)
+ */
+const diffDocs = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (!sameValue(oldValue, newValue)) {
+      changes[field] = { before: normalizeValue(oldValue), after: normalizeValue(newValue) };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * المنفذ: حساب المستخدم الذي كتب، أو updatedBy / createdBy للكتابات من هذه الدوال (Admin SDK)
+ * الدور والمنصة من ختم المستند وقت الكتابة (الدور النشط الحالي قد تغير بعدها)
+ */
+const auditActor = async (event, data) => {
+  const actorId = (event.authType === 'unauthenticated' ? null : event.authId) ||
+    data?.updatedBy || data?.createdBy || null;
+  const stamp = {
+    role: data?.updatedByRole ?? null,
+    platform: data?.updatedPlatform || data?.createdPlatform || null
+  };
+  if (!actorId) return { actorId: null, actorName: '', actorEmail: '', ...stamp };
+
+  const userDoc = await db.doc(`users/${actorId}`).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  return {
+    actorId,
+    actorName: user.name || '',
+    actorEmail: user.email || '',
+    ...stamp
+  };
+};
+
+exports.auditLog = onDocumentWrittenWithAuthContext('{collection}/{docId}', async (event) => {
+  const { collection, docId } = event.params;
+  if (UNAUDITED_COLLECTIONS.includes(collection)) return;
+
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  const action = !before ? 'create' : !after ? 'delete' : 'update';
+  const changes = diffDocs(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  await db.collection(AUDIT_COLLECTION).add({
+    ...(await auditActor(event, after || before)),
+    collection,
+    docId,
+    action,
+    changes,
+    timestamp: FieldValue.serverTimestamp()
+  });
+});
+
+// ==================== STAFF STATS ====================
+
+// نفس src/services/staffStats.js: المجموعات المؤثرة والحقول المخزنة (بدون عدادات مرتبطة بالتاريخ)
+const INACTIVE_PATIENT_STATUSES = ['discharged', 'recovered'];
+const IN_QUERY_LIMIT = 30;
+
+const lowerText = (value) => (value || '').toLowerCase();
+
+const uniqueValues = (values) => [...new Set(values.filter(Boolean))];
+
+const isArchivedDoc = (doc, collection) =>
+  doc.archived === true || (collection === 'patients' && doc.status === 'inactive');
+
+const legacyDoctorName = (record) =>
+  record.doctorName || (typeof record.doctor === 'string' ? record.doctor : '');
+
+const patientDoctorRef = (patient) => patient.assignedDoctorId || patient.doctorId || null;
+
+const patientNurseRef = (patient) => patient.assignedNurseId || patient.nurseId || null;
+
+// المرجع يشير إلى الموظف بـ id أو uid، أو بالاسم إذا لم يوجد مرجع
+const refersTo = (staff, ref, legacyName) =>
+  ref ? ref === staff.id || ref === staff.uid : !!legacyName && legacyName === staff.name;
+
+const staffIds = (staff) => uniqueValues([staff.uid, staff.id]);
+
+/**
+ * المستندات التي يطابق فيها أي حقل إحدى قيمه: conditions = [[field, values]] (بدون تكرار)
+ */
+const queryMatching = async (collection, conditions) => {
+  const queries = conditions.flatMap(([field, values]) => {
+    const parts = [];
+    const list = uniqueValues(values);
+    for (let i = 0; i < list.length; i += IN_QUERY_LIMIT) parts.push(list.slice(i, i + IN_QUERY_LIMIT));
+    return parts.map((part) => db.collection(collection).where(field, 'in', part).get());
+  });
+  const docs = (await Promise.all(queries)).flatMap((snapshot) => snapshot.docs);
+  return [...new Map(docs.map((doc) => [doc.id, { id: doc.id, ...doc.data() }])).values()];
+};
+
+/**
+ * الموظفون الذين تشير إليهم المراجع (معرف المستند أو uid أو الاسم)
+ */
+const findStaff = async (collection, refs) => {
+  const byId = await Promise.all(refs.filter((ref) => !ref.includes('/')).map((ref) => db.doc(`${collection}/${ref}`).get()));
+  const byRef = await queryMatching(collection, [['uid', refs], ['name', refs]]);
+  const found = [...byId.filter((doc) => doc.exists).map((doc) => ({ id: doc.id, ...doc.data() })), ...byRef];
+  return [...new Map(found.map((staff) => [staff.id, staff])).values()];
+};
+
+const activeCount = (patients) =>
+  patients.filter((p) => !INACTIVE_PATIENT_STATUSES.includes(lowerText(p.status))).length;
+
+const doctorStoredStats = async (doctor) => {
+  const ids = staffIds(doctor);
+  const [patients, labOrders] = await Promise.all([
+    queryMatching('patients', [
+      ['assignedDoctorId', ids], ['doctorId', ids], ['doctorName', [doctor.name]], ['doctor', [doctor.name]]
+    ]),
+    queryMatching('lab_orders', [['doctorId', ids]])
+  ]);
+  const assigned = patients.filter((p) =>
+    !isArchivedDoc(p, 'patients') && refersTo(doctor, patientDoctorRef(p), legacyDoctorName(p)));
+  return {
+    activePatients: activeCount(assigned),
+    pendingLabTests: labOrders.filter((o) => !isArchivedDoc(o, 'lab_orders') && o.status !== 'reviewed').length
+  };
+};
+
+const nurseStoredStats = async (nurse) => {
+  const patients = await queryMatching('patients', [
+    ['assignedNurseId', staffIds(nurse)], ['nurseId', staffIds(nurse)], ['nurseName', [nurse.name]]
+  ]);
+  return {
+    assignedPatients: patients.filter((p) =>
+      !isArchivedDoc(p, 'patients') && refersTo(nurse, patientNurseRef(p), p.nurseName)).length
+  };
+};
+
+const sameStats = (current = {}, next) =>
+  Object.keys(current).length === Object.keys(next).length && Object.keys(next).every((key) => current[key] === next[key]);
+
+/**
+ * إعادة حساب stats للطاقم الذي يشير إليه المستند قبل الكتابة وبعدها
+ * @param {Function} refsOf - المستند -> { doctors: [refs], nurses: [refs] }
+ */
+const syncStaffStats = (refsOf) => async (event) => {
+  const docs = [event.data.before, event.data.after].filter((snap) => snap.exists).map((snap) => snap.data());
+  const refs = docs.map(refsOf);
+  const doctorRefs = uniqueValues(refs.flatMap((r) => r.doctors));
+  const nurseRefs = uniqueValues(refs.flatMap((r) => r.nurses));
+
+  const [doctors, nurses] = await Promise.all([
+    doctorRefs.length ? findStaff('doctors', doctorRefs) : [],
+    nurseRefs.length ? findStaff('nurses', nurseRefs) : []
+  ]);
+  const updates = [
+    ...await Promise.all(doctors.map(async (d) => ['doctors', d, await doctorStoredStats(d)])),
+    ...await Promise.all(nurses.map(async (n) => ['nurses', n, await nurseStoredStats(n)]))
+  ].filter(([, staff, stats]) => !sameStats(staff.stats, stats));
+
+  await Promise.all(updates.map(([collection, staff, stats]) =>
+    db.doc(`${collection}/${staff.id}`).update({ stats, ...SERVER_STAMP })));
+};
+
+exports.syncStaffStatsOnPatients = onDocumentWritten('patients/{docId}', syncStaffStats((patient) => ({
+  doctors: [patientDoctorRef(patient) || legacyDoctorName(patient)],
+  nurses: [patientNurseRef(patient) || patient.nurseName]
+})));
+
+exports.syncStaffStatsOnLabOrders = onDocumentWritten('lab_orders/{docId}', syncStaffStats((order) => ({
+  doctors: [order.doctorId],
+  nurses: []
+})));
+
+// ==================== DEPARTMENT OCCUPANCY ====================
+
+// نفس departmentOccupancy في src/services/transfers.js: مرضى القسم غير المخرَّجين + التحويلات
+// الموافق عليها إليه ولم تكتمل (الحالات القديمة Approved / Assigned بنفس المعنى)
+const RESERVING_TRANSFER_STATUSES = ['approved', 'assigned'];
+
+const sameDepartment = (a, b) => lowerText(a).trim() === lowerText(b).trim();
+
+/**
+ * عداد إشغال القسم من السجلات (الأسماء القديمة قد تختلف في حالة الأحرف)
+ */
+const departmentOccupancyFor = async (department, names) => {
+  const [patients, transfers] = await Promise.all([
+    queryMatching('patients', [['currentDepartment', names]]),
+    queryMatching('web_transfers', [['toDept', names]])
+  ]);
+  return {
+    occupied: patients.filter((p) =>
+      !isArchivedDoc(p, 'patients') && lowerText(p.status) !== 'discharged' &&
+      sameDepartment(p.currentDepartment, department.name)).length,
+    reserved: transfers.filter((t) =>
+      !isArchivedDoc(t, 'web_transfers') && RESERVING_TRANSFER_STATUSES.includes(lowerText(t.status)) &&
+      sameDepartment(t.toDept, department.name)).length
+  };
+};
+
+/**
+ * إعادة حساب departments.occupancy للأقسام التي يشير إليها المستند قبل الكتابة وبعدها
+ * (الموافقة تحجز السرير في العداد داخل معاملتها؛ هنا تُصحَّح باقي التغييرات)
+ * @param {Function} namesOf - المستند -> أسماء الأقسام
+ */
+const syncDepartmentOccupancy = (namesOf) => async (event) => {
+  const docs = [event.data.before, event.data.after].filter((snap) => snap.exists).map((snap) => snap.data());
+  const names = uniqueValues(docs.flatMap(namesOf));
+  if (names.length === 0) return;
+
+  // مجموعة departments صغيرة؛ المطابقة بالاسم بدون حالة الأحرف
+  const snapshot = await db.collection('departments').get();
+  const departments = snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((d) => !isArchivedDoc(d, 'departments') && names.some((name) => sameDepartment(name, d.name)));
+
+  await Promise.all(departments.map(async (department) => {
+    const aliases = uniqueValues([department.name, ...names.filter((name) => sameDepartment(name, department.name))]);
+    const occupancy = await departmentOccupancyFor(department, aliases);
+    if (!sameStats(department.occupancy, occupancy)) {
+      await db.doc(`departments/${department.id}`).update({ occupancy, ...SERVER_STAMP });
+    }
+  }));
+};
+
+exports.syncDepartmentOccupancyOnPatients = onDocumentWritten('patients/{docId}',
+  syncDepartmentOccupancy((patient) => [patient.currentDepartment]));
+
+exports.syncDepartmentOccupancyOnTransfers = onDocumentWritten('web_transfers/{docId}',
+  syncDepartmentOccupancy((transfer) => [transfer.toDept]));
+
+// ==================== NO-SHOW SWEEP ====================
+
+const NO_SHOW_SWEEP_SCHEDULE = 'every 5 minutes';
+
+// إعدادات العيادة المشتركة مع الواجهة (نفس src/services/clinicSettings.js)
+const CLINIC_SETTINGS_DOC = 'settings/clinic';
+const DEFAULT_NO_SHOW_GRACE_MINUTES = 15;
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const clinicSettingsOf = (doc) => {
+  const grace = doc?.noShowGraceMinutes;
+  return {
+    noShowGraceMinutes: Number.isInteger(grace) && grace >= 0 ? grace : DEFAULT_NO_SHOW_GRACE_MINUTES,
+    timeZone: isValidTimeZone(doc?.timeZone) ? doc.timeZone : null
+  };
+};
+
+// قيم status التي تعني "مجدول" (نفس appointmentStatus في src/services/appointmentLifecycle.js)
+const SCHEDULED_STATUS_VALUES = ['scheduled', 'pending', 'confirmed', 'Scheduled', 'Pending', 'Confirmed'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * الوقت الحالي بتوقيت العيادة كـ { date: 'YYYY-MM-DD', wallClock: ms } حيث wallClock
+ * يقارن مباشرة مع wallClockOf(date, time) للموعد
+ */
+const clinicNow = (timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date()).map(({ type, value }) => [type, value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return { date, wallClock: wallClockOf(date, `${parts.hour}:${parts.minute}`) };
+};
+
+const wallClockOf = (date, time) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !match) return null;
+  return Date.parse(`${date}T00:00:00Z`) + (Number(match[1]) * 60 + Number(match[2])) * MINUTE_MS;
+};
+
+exports.markNoShows = onSchedule(NO_SHOW_SWEEP_SCHEDULE, async () => {
+  const settings = await db.doc(CLINIC_SETTINGS_DOC).get();
+  const { noShowGraceMinutes: graceMinutes, timeZone } = clinicSettingsOf(settings.exists ? settings.data() : null);
+  // بدون توقيت العيادة لا يمكن معرفة "الآن" لمواعيدها (لا يُفترض UTC)
+  if (!timeZone) {
+    logger.warn('No-show sweep skipped: settings/clinic has no valid timeZone');
+    return;
+  }
+  const now = clinicNow(timeZone);
+  const candidates = await db.collection('web_appointments')
+    .where('status', 'in', SCHEDULED_STATUS_VALUES)
+    .where('date', '<=', now.date)
+    .get();
+
+  let marked = 0;
+  for (const doc of candidates.docs) {
+    const start = wallClockOf(doc.get('date'), doc.get('time'));
+    if (doc.get('archived') === true || start === null || now.wallClock - start < graceMinutes * MINUTE_MS) continue;
+
+    try {
+      // الحالة قد تتغير من عميل بين الاستعلام والكتابة
+      const changed = await db.runTransaction(async (tx) => {
+        const current = await tx.get(doc.ref);
+        if (!current.exists || !SCHEDULED_STATUS_VALUES.includes(current.get('status')) || current.get('archived') === true) {
+          return false;
+        }
+        tx.update(doc.ref, {
+          status: 'no-show',
+          noShowReason: `Not checked in within ${graceMinutes} minutes`,
+          noShowAt: FieldValue.serverTimestamp(),
+          noShowBy: null,
+          updatedAt: FieldValue.serverTimestamp(),
+          updatedBy: null,
+          ...SERVER_STAMP
+        });
+        return true;
+      });
+      if (changed) marked += 1;
+    } catch (error) {
+      logger.error('Could not mark appointment as no-show', { appointmentId: doc.id, error: error.message });
+    }
+  }
+  logger.info('No-show sweep finished', { date: now.date, checked: candidates.size, marked });
+});
+
+// ==================== WAITLIST OFFERS ====================
+
+const WAITLIST_COLLECTION = 'web_waitlist';
+// نفس src/services/waitlist.js و APPOINTMENT_TYPES في src/services/appointmentSlots.js
+const NO_PREFERENCE_DAYS = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const APPOINTMENT_TYPE_DURATIONS = { consultation: 30, follow_up: 15, procedure: 60, chemotherapy: 180 };
+const DEFAULT_APPOINTMENT_TYPE = 'consultation';
+
+const waitlistStatus = (entry) => (['waiting', 'offered', 'booked'].includes(entry.status) ? entry.status : 'waiting');
+
+const millisOf = (value) => {
+  const date = value && typeof value.toDate === 'function' ? value.toDate() : new Date(value || 0);
+  return Number.isNaN(date.getTime()) ? 0 : date.getTime();
+};
+
+const daysBetweenDates = (fromISO, toISO) => Math.round((Date.parse(`${toISO}T00:00:00Z`) - Date.parse(`${fromISO}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * طلبات الانتظار المرشحة للوقت، الأنسب أولاً (نفس rankWaitlistMatches)
+ */
+const rankWaitlistEntries = (entries, slot, department) =>
+  entries
+    .filter((entry) =>
+      waitlistStatus(entry) === 'waiting' &&
+      entry.archived !== true &&
+      lowerText(entry.department).trim() === lowerText(department).trim() &&
+      !(entry.declinedOffers || []).includes(slot.id))
+    .map((entry) => ({
+      entry,
+      dateDistance: entry.preferredDate ? Math.abs(daysBetweenDates(entry.preferredDate, slot.date)) : NO_PREFERENCE_DAYS
+    }))
+    .sort((a, b) => a.dateDistance - b.dateDistance || millisOf(a.entry.createdAt) - millisOf(b.entry.createdAt))
+    .map(({ entry }) => entry);
+
+const offerFromAppointment = (appointment) => {
+  const appointmentType = APPOINTMENT_TYPE_DURATIONS[appointment.appointmentType]
+    ? appointment.appointmentType
+    : DEFAULT_APPOINTMENT_TYPE;
+  const duration = Number(appointment.duration) > 0 ? Number(appointment.duration) : APPOINTMENT_TYPE_DURATIONS[appointmentType];
+  return {
+    appointmentId: appointment.id,
+    doctorId: appointment.doctorId || null,
+    doctorName: appointment.doctorName || '',
+    date: appointment.date,
+    time: appointment.time,
+    appointmentType,
+    duration
+  };
+};
+
+/**
+ * قسم طبيب الموعد (بـ uid أو معرف المستند، أو الاسم في السجلات القديمة)
+ */
+const appointmentDepartment = async (appointment) => {
+  const [doctor] = await findStaff('doctors', uniqueValues([appointment.doctorId, appointment.doctorName]));
+  return doctor?.department || '';
+};
+
+exports.offerSlotFreedByPatient = onDocumentWritten('web_appointments/{appointmentId}', async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  if (!before || !after || after.updatedByRole !== 'patient') return;
+  if (!SCHEDULED_STATUS_VALUES.includes(before.status) || before.archived === true || lowerText(after.status) !== 'cancelled') return;
+
+  const appointment = { id: event.params.appointmentId, ...after };
+  const department = await appointmentDepartment(appointment);
+  if (!department) return;
+
+  // الطلبات تُقرأ بالقسم كما هو مكتوب في ملف الطبيب، والمطابقة النهائية في rankWaitlistEntries
+  const snapshot = await db.collection(WAITLIST_COLLECTION).where('department', '==', department).get();
+  const candidates = rankWaitlistEntries(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })), appointment, department);
+
+  for (const candidate of candidates) {
+    // الطلب قد يتغير بين الاستعلام والكتابة؛ الحدث قد يُعاد فلا يُعرض الوقت مرتين
+    const offered = await db.runTransaction(async (tx) => {
+      const existing = await tx.get(db.collection(WAITLIST_COLLECTION).where('offer.appointmentId', '==', appointment.id).limit(1));
+      if (!existing.empty) return null;
+      const ref = db.doc(`${WAITLIST_COLLECTION}/${candidate.id}`);
+      const current = await tx.get(ref);
+      if (!current.exists || waitlistStatus(current.data()) !== 'waiting' || current.get('archived') === true) return false;
+      tx.update(ref, {
+        status: 'offered',
+        offer: { ...offerFromAppointment(appointment), offeredAt: new Date().toISOString() },
+        updatedAt: FieldValue.serverTimestamp(),
+        ...SERVER_STAMP
+      });
+      return true;
+    });
+    if (offered !== false) {
+      if (offered) logger.info('Freed slot offered to the waitlist', { appointmentId: appointment.id, entryId: candidate.id });
+      return;
+    }
+  }
+});
@@ -1,41 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { BrowserRouter as Router } from 'react-router-dom';
-import { subscribeToAuthState, subscribeToMockAuthState, getActiveRole } from './services/authService';
+import { AuthProvider, useAuth } from './context/AuthContext';
 import Login from './components/Login';
 import ChiefRoutes from './Chief/ChiefRoutes';
 import ClerkRoutes from './Clerk/ClerkRoutes';
+import DoctorRoutes from './Doctor/DoctorRoutes';
+import NurseRoutes from './Nurse/NurseRoutes';
+import PatientRoutes from './Patient/PatientRoutes';
 import { AppProvider } from './Clerk/context/AppContext';
 import './App.css';
 
-// تفعيل Mock Mode للتجربة بدون Firebase (غيّر إلى false لاستخدام Firebase الحقيقي)
-const USE_MOCK_AUTH = true;
+// وضع المصادقة (Mock أو Firebase) يُحدد في src/config/runtime.js عبر REACT_APP_AUTH_MODE
 
-function App() {
-  const [user, setUser] = useState(null);
-  const [role, setRole] = useState(null);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    // اختيار نظام المصادقة (Mock أو Firebase)
-    const authSubscription = USE_MOCK_AUTH 
-      ? subscribeToMockAuthState 
-      : subscribeToAuthState;
-
-    // الاستماع لتغيرات حالة المستخدم
-    const unsubscribe = authSubscription((authUser) => {
-      if (authUser) {
-        setUser(authUser);
-        setRole(getActiveRole(authUser));
-      } else {
-        setUser(null);
-        setRole(null);
-      }
-      setLoading(false);
-    });
-
-    // تنظيف الاشتراك عند إغلاق المكون
-    return () => unsubscribe();
-  }, []);
+function AppShell() {
+  const { currentUser: user, activeRole: role, loading } = useAuth();
 
   if (loading) {
     return (
@@ -50,21 +28,42 @@ function App() {
     return <Login />;
   }
 
-  // التوجيه حسب الدور
+  // بوابة المريض لا تحمّل بيانات العيادة المشتركة (AppProvider)؛ تشترك في سجلاتها فقط
+  if (role === 'patient') {
+    return (
+      <Router>
+        <PatientRoutes />
+      </Router>
+    );
+  }
+
+  // التوجيه حسب الدور (key يعيد تركيب شجرة المسارات عند تبديل الدور)
   return (
     <AppProvider>
       <Router>
-        {(role === 'admin' || role === 'chief') && <ChiefRoutes user={user} />}
-        {role === 'clerk' && <ClerkRoutes user={user} />}
-        {role !== 'admin' && role !== 'chief' && role !== 'clerk' && (
-          <div style={{ padding: '20px', textAlign: 'center' }}>
-            <h2>دور غير معروف</h2>
-            <p>الرجاء التواصل مع المسؤول</p>
-          </div>
-        )}
+        <React.Fragment key={role}>
+          {(role === 'admin' || role === 'chief') && <ChiefRoutes user={user} />}
+          {role === 'clerk' && <ClerkRoutes user={user} />}
+          {role === 'doctor' && <DoctorRoutes />}
+          {role === 'nurse' && <NurseRoutes />}
+          {!['admin', 'chief', 'clerk', 'doctor', 'nurse'].includes(role) && (
+            <div style={{ padding: '20px', textAlign: 'center' }}>
+              <h2>دور غير معروف</h2>
+              <p>الرجاء التواصل مع المسؤول</p>
+            </div>
+          )}
+        </React.Fragment>
       </Router>
     </AppProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+function App() {
+  return (
+    <AuthProvider>
+      <AppShell />
+    </AuthProvider>
+  );
+}
+
+export default App;
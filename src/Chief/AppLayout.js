@@ -1,39 +1,47 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { canAccessRoute } from '../config/permissions';
+import RoleSwitcher from '../components/RoleSwitcher';
+import { UnreadBadge } from '../components/NotificationInbox';
 import './style/AppLayout.css';
 
 /**
- * Main layout component for the Chief/Admin interface.
- * Provides a sidebar navigation menu and main content area with header.
- * Conditionally shows admin-only navigation links based on user role.
+ * Default navigation links (Chief/Admin menu).
+ */
+const CHIEF_LINKS = [
+  { name: 'Dashboard', path: '/' },
+  { name: 'Profile', path: '/profile' },
+  { name: 'Patients', path: '/patients' },
+  { name: 'Doctors', path: '/doctors' },
+  { name: 'Nurses', path: '/nurses' },
+  { name: 'User Directory', path: '/directory' },
+  { name: 'Appointments', path: '/appointments' },
+  { name: 'Notifications', path: '/notifications' },
+  { name: 'Community', path: '/Community' },
+  { name: 'Audit Log', path: '/audit' },
+];
+
+/**
+ * Main layout component for the Chief/Admin interface (also used by the doctor and nurse portals).
+ * Provides a sidebar navigation menu and main content area with header
+ * (role switcher for multi-role users and logout).
+ * Shows only the navigation links the active role is allowed to open, with the
+ * unread count next to Notifications.
  * @param {Object} props - Component props
- * @param {string} props.role - User role ('admin' or other)
+ * @param {string} props.role - Active user role (e.g. 'admin', 'chief')
+ * @param {Array<{name: string, path: string}>} [props.links] - Sidebar links (defaults to the Chief/Admin menu)
  * @param {string} props.pageTitle - Title to display in the header
  * @param {Function} props.onLogout - Callback function for logout action
  * @param {React.ReactNode} props.children - Child components to render in the main content area
  * @returns {JSX.Element} The layout structure with sidebar and main content
  */
-const AppLayout = ({ role, pageTitle, onLogout, children }) => {
+const AppLayout = ({ role, links = CHIEF_LINKS, pageTitle, onLogout, children }) => {
   const location = useLocation();
 
   /**
-   * Navigation links configuration.
-   * Includes role-based links (admin-only links for admin users).
+   * Navigation links filtered by the role permission map (src/config/permissions.js).
    */
-  const links = [
-    { name: 'Dashboard', path: '/' },
-    { name: 'Profile', path: '/profile' },
-    ...(role === 'admin'
-      ? [
-          { name: 'Patients', path: '/patients' },
-          { name: 'Doctors', path: '/doctors' },
-          { name: 'Nurses', path: '/nurses' },
-        ]
-      : []),
-    { name: 'Appointments', path: '/appointments' },
-    { name: 'Notifications', path: '/notifications' },
-    { name: 'Community', path: '/Community' },
-  ];
+  const visibleLinks = links.filter((link) => canAccessRoute(role, link.path));
 
   return (
     <div className="app-layout">
@@ -41,13 +49,14 @@ const AppLayout = ({ role, pageTitle, onLogout, children }) => {
       <aside className="layout-sidebar">
         <div className="logo">CanCare</div>
 
-        {links.map((link) => (
+        {visibleLinks.map((link) => (
           <Link
             key={link.path}
             to={link.path}
             className={location.pathname === link.path ? 'active' : ''}
           >
             {link.name}
+            {link.path === '/notifications' && <UnreadBadge />}
           </Link>
         ))}
       </aside>
@@ -57,7 +66,10 @@ const AppLayout = ({ role, pageTitle, onLogout, children }) => {
         {/* Navbar */}
         <header className="layout-navbar">
           <h3>{pageTitle}</h3>
-          <button onClick={onLogout}>Logout</button>
+          <div className="navbar-actions">
+            <RoleSwitcher />
+            <button onClick={onLogout}>Logout</button>
+          </div>
         </header>
 
         {/* Page content */}
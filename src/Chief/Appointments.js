@@ -1,104 +1,383 @@
 // src/pages/Appointments.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './style/Appointments.css';
 import Calendar from 'react-calendar';
 import 'react-calendar/dist/Calendar.css';
+import {
+  subscribeToWebAppointments,
+  subscribeToPatients,
+  subscribeToDoctors,
+  subscribeToHolidays,
+  createWebAppointment,
+  updateWebAppointment,
+  updateAppointmentSeries,
+  deleteWebAppointment,
+  restoreDoc
+} from '../services/firestoreService';
+import {
+  availableTimes,
+  appointmentTypeOf,
+  appointmentDuration,
+  formatTimeRange,
+  normalizeTime,
+  toMinutes,
+  fromMinutes,
+  holdsSlot
+} from '../services/appointmentSlots';
+import { workingHoursFor } from '../services/doctorSchedule';
+import { describeRecurrence } from '../services/recurrence';
+import { formatDateISO, addDays, parseDate } from '../services/treatmentPlans';
+import { APPOINTMENT_STATUS_LABELS, appointmentStatus } from '../services/appointmentLifecycle';
+import { excludeArchived, onlyArchived } from '../services/archive';
+import AppointmentTypeFields from '../components/AppointmentTypeFields';
+import { SeriesScopeSelect } from '../components/RecurrenceFields';
+import ArchiveModal from '../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../components/ArchiveToggle';
+import { useAuth } from '../context/AuthContext';
+import { can } from '../config/permissions';
+
+const VIEWS = ['day', 'week', 'month', 'list'];
+
+// Time grid rows (day / week views); stretched to fit appointments outside these hours
+const GRID_START = 7 * 60;
+const GRID_END = 20 * 60;
+const GRID_STEP = 30;
+
+const MONTH_TILE_LIMIT = 3;
+
+/**
+ * Adds display fields used across the views: patient and doctor names,
+ * 24h start time and the lifecycle status.
+ * @param {Object} a - web_appointments document
+ * @returns {Object} Appointment with display fields
+ */
+const normalizeAppointment = (a) => ({
+  ...a,
+  patient: a.patientName || a.patient || '',
+  doctor: a.doctorName || a.doctor || '',
+  time: normalizeTime(a.time),
+  status: appointmentStatus(a)
+});
+
+/**
+ * Whether an appointment matches the search (patient, doctor or date) and the doctor filter.
+ * @param {Object} a - Normalized appointment
+ * @param {string} search - Search text
+ * @param {string} doctorFilter - Doctor name, or '' for all doctors
+ * @returns {boolean} True when the appointment is shown
+ */
+const matchesFilters = (a, search, doctorFilter) => {
+  const query = search.toLowerCase();
+  return (!query ||
+    a.patient.toLowerCase().includes(query) ||
+    a.doctor.toLowerCase().includes(query) ||
+    (a.date || '').includes(search)) &&
+    (!doctorFilter || a.doctor === doctorFilter);
+};
+
+/**
+ * Monday-based week containing a date.
+ * @param {string} dateISO - Date (YYYY-MM-DD)
+ * @returns {Array<string>} Seven dates
+ */
+const weekOf = (dateISO) => {
+  const offset = (parseDate(dateISO).getDay() + 6) % 7;
+  const monday = addDays(dateISO, -offset);
+  return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+};
 
 /**
  * Appointments management page for Chief/Admin.
- * Displays and manages all appointments with search, calendar filtering, and CRUD operations.
- * Note: Currently uses mock data and is not connected to Firestore.
+ * Live web_appointments with day, week and month calendars and a list view.
+ * Appointments can be dragged to another day (month) or time (day / week);
+ * the move goes through updateWebAppointment, so slot conflicts and doctor
+ * availability are enforced by the service. The list view can switch to the
+ * archived appointments and restore them.
  * @returns {JSX.Element} Appointments management interface
  */
 const Appointments = () => {
+  const { activeRole } = useAuth();
+  const canCreate = can(activeRole, 'create', 'web_appointments');
+  const canUpdate = can(activeRole, 'update', 'web_appointments');
+  const canDelete = can(activeRole, 'delete', 'web_appointments');
 
   const [search, setSearch] = useState('');
+  const [doctorFilter, setDoctorFilter] = useState('');
   const [loading, setLoading] = useState(true);
   const [selectedDate, setSelectedDate] = useState(new Date());
+  const [view, setView] = useState('month');
+  const [dropTarget, setDropTarget] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
 
-  const [appointments, setAppointments] = useState([
-    {
-      id: 'A-001',
-      patient: 'Ahmad Saleh',
-      doctor: 'Dr. Omar Khaled',
-      date: '2025-12-20',
-      time: '10:00 AM',
-      status: 'Pending',
-    },
-    {
-      id: 'A-002',
-      patient: 'Sara Mahmoud',
-      doctor: 'Dr. Lina Yousef',
-      date: '2025-12-21',
-      time: '02:00 PM',
-      status: 'Confirmed',
-    },
-  ]);
+  const [allAppointments, setAllAppointments] = useState([]);
+  const [patients, setPatients] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [holidays, setHolidays] = useState([]);
 
   const [modal, setModal] = useState({ type: '', appointment: null });
 
   useEffect(() => {
-    setTimeout(() => setLoading(false), 500);
+    const unsubs = [
+      subscribeToWebAppointments((data) => {
+        setAllAppointments(data || []);
+        setLoading(false);
+      }, { includeArchived: true }),
+      subscribeToPatients((data) => setPatients(data || [])),
+      subscribeToDoctors((data) => setDoctors(data || [])),
+      subscribeToHolidays((data) => setHolidays(data || []))
+    ];
+    return () => unsubs.forEach((u) => u());
   }, []);
 
+  // Archived appointments are only shown in the Archived list
+  const rawAppointments = useMemo(() => excludeArchived(allAppointments, 'web_appointments'), [allAppointments]);
+  const appointments = useMemo(() => rawAppointments.map(normalizeAppointment), [rawAppointments]);
+  const archivedAppointments = useMemo(
+    () => onlyArchived(allAppointments, 'web_appointments').map(normalizeAppointment),
+    [allAppointments]
+  );
+  const selectedISO = formatDateISO(selectedDate);
+  const todayISO = formatDateISO(new Date());
+
+  /**
+   * Appointments matching the search (patient, doctor or date) and the doctor filter.
+   * @type {Array}
+   */
+  const visibleAppointments = useMemo(
+    () => appointments.filter((a) => matchesFilters(a, search, doctorFilter)),
+    [appointments, search, doctorFilter]
+  );
 
   /**
-   * Filters appointments based on search query and selected date.
-   * Matches against patient name, doctor name, or date string.
+   * Archived appointments matching the same filters, newest date first.
    * @type {Array}
    */
-  const filteredAppointments = appointments.filter(
-    (a) =>
-      (a.patient.toLowerCase().includes(search.toLowerCase()) ||
-        a.doctor.toLowerCase().includes(search.toLowerCase()) ||
-        a.date.includes(search)) &&
-      (!selectedDate || new Date(a.date).toDateString() === selectedDate.toDateString())
+  const visibleArchived = useMemo(
+    () => archivedAppointments
+      .filter((a) => matchesFilters(a, search, doctorFilter))
+      .sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`)),
+    [archivedAppointments, search, doctorFilter]
   );
 
+  // Appointments per date, sorted by start time
+  const byDate = useMemo(() => {
+    const groups = {};
+    visibleAppointments.forEach((a) => {
+      (groups[a.date] = groups[a.date] || []).push(a);
+    });
+    Object.values(groups).forEach((list) => list.sort((a, b) => (a.time || '').localeCompare(b.time || '')));
+    return groups;
+  }, [visibleAppointments]);
+
+  const holidayOn = (dateISO) => holidays.find((h) => h.date === dateISO);
+
   /**
-   * Gets the next 3 upcoming appointments sorted by date.
+   * Gets the next 3 upcoming appointments that still hold their slot.
    * @type {Array}
    */
   const nextAppointments = appointments
-    .filter(a => new Date(a.date) >= new Date())
-    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .filter((a) => a.date >= todayISO && holdsSlot(a))
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`))
     .slice(0, 3);
 
   /**
    * Opens a modal dialog for appointment operations (add, edit, delete).
    * @param {string} type - Modal type: 'add', 'edit', or 'delete'
-   * @param {Object|null} appointment - Appointment data (null for add operation)
+   * @param {Object|null} appointment - Appointment data (prefilled fields for add)
    */
   const openChiefAppointmentModal = (type, appointment = null) => {
     setModal({ type, appointment });
   };
 
   /**
-   * Saves an appointment (MOCK ONLY).
-   * ! NOT CONNECTED TO FIRESTORE.
-   * @param {Object} appt - Appointment data.
+   * Moves the selected date by one step of the current view.
+   * @param {number} direction - -1 (back) or 1 (forward)
    */
-  const handleSaveAppointment = (appt) => {
-    if (modal.type === 'add') {
-      setAppointments([...appointments, appt]);
-    } else if (modal.type === 'edit') {
-      setAppointments((prev) =>
-        prev.map((a) => (a.id === appt.id ? { ...a, ...appt } : a))
-      );
+  const shiftSelectedDate = (direction) => {
+    const step = view === 'week' ? 7 : 1;
+    setSelectedDate(parseDate(addDays(selectedISO, direction * step)));
+  };
+
+  /**
+   * Saves an appointment to Firestore (create or update).
+   * Errors are rethrown so the modal can show them (e.g. slot already taken).
+   * @param {Object} form - Appointment form data
+   * @param {string} [scope='this'] - Series scope for edits ('this', 'following' or 'all')
+   */
+  const handleSaveAppointment = async (form, scope = 'this') => {
+    const doctor = doctors.find((d) => d.name === form.doctor);
+    const patient = patients.find((p) => p.name === form.patient);
+    const data = {
+      patientId: patient?.id || form.patientId || null,
+      patientName: form.patient,
+      doctorId: doctor?.uid || doctor?.id || form.doctorId,
+      doctorName: form.doctor,
+      date: form.date,
+      time: form.time,
+      appointmentType: form.appointmentType,
+      duration: Number(form.duration),
+      notes: form.notes || ''
+    };
+
+    if (modal.type === 'edit') {
+      const original = rawAppointments.find((a) => a.id === form.id);
+      if (original?.seriesId && scope !== 'this') {
+        // للسلسلة نرسل الحقول المتغيرة فقط
+        const changed = Object.fromEntries(Object.entries(data).filter(([key, value]) => original[key] !== value));
+        await updateAppointmentSeries(form.id, changed, scope);
+      } else {
+        await updateWebAppointment(form.id, data);
+      }
+    } else {
+      await createWebAppointment(data);
     }
     setModal({ type: '', appointment: null });
   };
 
   /**
-   * Deletes an appointment (MOCK ONLY).
-   * ! NOT CONNECTED TO FIRESTORE.
-   * @param {string} id - Appointment ID.
+   * Archives an appointment (soft delete) with a reason.
+   * @param {string} id - Appointment ID
+   * @param {string} reason - Archive reason
    */
-  const handleDeleteAppointment = (id) => {
-    setAppointments(appointments.filter((a) => a.id !== id));
-    setModal({ type: '', appointment: null });
+  const handleDeleteAppointment = async (id, reason) => {
+    try {
+      await deleteWebAppointment(id, reason);
+      setModal({ type: '', appointment: null });
+    } catch (error) {
+      console.error('Error archiving appointment:', error);
+      alert(`Error archiving appointment: ${error.message}`);
+    }
+  };
+
+  /**
+   * Restores an archived appointment; fails if its time was booked in the meantime.
+   * @param {string} id - Appointment ID
+   */
+  const handleRestoreAppointment = async (id) => {
+    try {
+      await restoreDoc('web_appointments', id);
+    } catch (error) {
+      console.error('Error restoring appointment:', error);
+      alert(`Error restoring appointment: ${error.message}`);
+    }
+  };
+
+  /**
+   * Drop handler for calendar targets: reschedules the dragged appointment.
+   * Month tiles keep the start time; time-grid cells set it.
+   * @param {DragEvent} e - Drop event carrying the appointment ID
+   * @param {string} date - Target date (YYYY-MM-DD)
+   * @param {string} [time] - Target start time (HH:MM)
+   */
+  const handleDropAppointment = async (e, date, time) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const appointment = appointments.find((a) => a.id === e.dataTransfer.getData('text/plain'));
+    if (!appointment) return;
+    const nextTime = time || appointment.time;
+    if (appointment.date === date && appointment.time === nextTime) return;
+
+    try {
+      await updateWebAppointment(appointment.id, { date, time: nextTime });
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      alert(`Could not move ${appointment.patient} to ${date} ${nextTime}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Drag-over handler: allows the drop and highlights the target.
+   * @param {DragEvent} e - Drag event
+   * @param {string} key - Target key (date, or date and time)
+   */
+  const handleDragOver = (e, key) => {
+    if (!canUpdate) return;
+    e.preventDefault();
+    if (dropTarget !== key) setDropTarget(key);
+  };
+
+  /**
+   * Chip for one appointment; draggable when the role can reschedule.
+   * @param {Object} a - Appointment
+   * @returns {JSX.Element} Appointment chip
+   */
+  const renderChip = (a) => (
+    <span
+      key={a.id}
+      className={`appt-chip ${a.status}`}
+      draggable={canUpdate}
+      title={`${a.patient} with ${a.doctor} · ${formatTimeRange(a)}`}
+      onDragStart={(e) => e.dataTransfer.setData('text/plain', a.id)}
+      onDragEnd={() => setDropTarget(null)}
+      onClick={(e) => {
+        e.stopPropagation();
+        if (canUpdate) openChiefAppointmentModal('edit', a);
+      }}
+    >
+      <strong>{a.time}</strong> {a.patient}
+    </span>
+  );
+
+  /**
+   * Day / week time grid: one column per date, one row per GRID_STEP minutes.
+   * Clicking an empty cell starts a new appointment at that time.
+   * @param {Array<string>} days - Dates to show
+   * @returns {JSX.Element} Time grid
+   */
+  const renderTimeGrid = (days) => {
+    const starts = days.flatMap((d) => (byDate[d] || []).map((a) => toMinutes(a.time))).filter((m) => !Number.isNaN(m));
+    const first = Math.min(GRID_START, ...starts.map((m) => m - (m % GRID_STEP)));
+    const last = Math.max(GRID_END, ...starts.map((m) => m + GRID_STEP));
+    const rows = [];
+    for (let m = first; m < last; m += GRID_STEP) rows.push(m);
+
+    return (
+      <div className="time-grid-wrapper">
+        <table className="time-grid">
+          <thead>
+            <tr>
+              <th />
+              {days.map((d) => (
+                <th key={d} className={`${d === todayISO ? 'today' : ''} ${holidayOn(d) ? 'holiday' : ''}`}>
+                  {parseDate(d).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}
+                  {holidayOn(d) && <span className="holiday-name">{holidayOn(d).name}</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((m) => (
+              <tr key={m}>
+                <td className="time-label">{fromMinutes(m)}</td>
+                {days.map((d) => {
+                  const key = `${d} ${fromMinutes(m)}`;
+                  const cell = (byDate[d] || []).filter((a) => {
+                    const start = toMinutes(a.time);
+                    return start >= m && start < m + GRID_STEP;
+                  });
+                  return (
+                    <td
+                      key={d}
+                      className={`slot-cell ${dropTarget === key ? 'drop-target' : ''}`}
+                      onDragOver={(e) => handleDragOver(e, key)}
+                      onDrop={(e) => handleDropAppointment(e, d, fromMinutes(m))}
+                      onClick={() => canCreate && openChiefAppointmentModal('add', { date: d, time: fromMinutes(m), doctor: doctorFilter })}
+                    >
+                      {cell.map(renderChip)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
   };
 
+  const listArchived = showArchived && view === 'list';
+  const listAppointments = listArchived ? visibleArchived : byDate[selectedISO] || [];
+
   return (
     <div className="appointments-page">
       <h1>Appointments</h1>
@@ -112,16 +391,139 @@ const Appointments = () => {
           value={search}
           onChange={(e) => setSearch(e.target.value)}
         />
-        <button onClick={() => openChiefAppointmentModal('add')}>Add Appointment</button>
+        {canCreate && (
+          <button onClick={() => openChiefAppointmentModal('add', { date: selectedISO, doctor: doctorFilter })}>
+            Add Appointment
+          </button>
+        )}
+      </div>
+
+      {/* View switch & navigation */}
+      <div className="appointments-toolbar">
+        <div className="view-switch">
+          {VIEWS.map((v) => (
+            <button key={v} className={view === v ? 'active' : ''} onClick={() => setView(v)}>
+              {v.charAt(0).toUpperCase() + v.slice(1)}
+            </button>
+          ))}
+        </div>
+        {view !== 'month' && (
+          <div className="date-nav">
+            <button onClick={() => shiftSelectedDate(-1)}>‹</button>
+            <button onClick={() => setSelectedDate(new Date())}>Today</button>
+            <button onClick={() => shiftSelectedDate(1)}>›</button>
+            <input
+              type="date"
+              value={selectedISO}
+              onChange={(e) => e.target.value && setSelectedDate(parseDate(e.target.value))}
+            />
+          </div>
+        )}
+        <select value={doctorFilter} onChange={(e) => setDoctorFilter(e.target.value)}>
+          <option value="">All doctors</option>
+          {doctors.map((d) => <option key={d.id} value={d.name}>{d.name}</option>)}
+        </select>
+        {canUpdate && view !== 'list' && <span className="drag-hint">Drag an appointment to reschedule it.</span>}
+        {canDelete && view === 'list' && (
+          <ArchiveToggle
+            showArchived={showArchived}
+            onChange={setShowArchived}
+            activeCount={appointments.length}
+            archivedCount={archivedAppointments.length}
+          />
+        )}
       </div>
 
       {/* Calendar & Next Appointments */}
       <div className="appointments-calendar-section">
-        <Calendar
-          value={selectedDate}
-          onChange={setSelectedDate}
-          className="calendar"
-        />
+        <div className="appointments-view">
+          {loading ? (
+            <p className="empty-state">Loading appointments...</p>
+          ) : view === 'month' ? (
+            <Calendar
+              value={selectedDate}
+              onChange={setSelectedDate}
+              onClickDay={(date) => { setSelectedDate(date); setView('day'); }}
+              className="calendar appointments-month"
+              tileClassName={({ date, view: calendarView }) =>
+                calendarView === 'month' && holidayOn(formatDateISO(date)) ? 'holiday' : null}
+              tileContent={({ date, view: calendarView }) => {
+                if (calendarView !== 'month') return null;
+                const day = formatDateISO(date);
+                const items = byDate[day] || [];
+                return (
+                  <span
+                    className={`appt-tile ${dropTarget === day ? 'drop-target' : ''}`}
+                    onDragOver={(e) => handleDragOver(e, day)}
+                    onDrop={(e) => handleDropAppointment(e, day)}
+                  >
+                    {items.slice(0, MONTH_TILE_LIMIT).map(renderChip)}
+                    {items.length > MONTH_TILE_LIMIT && (
+                      <span className="appt-more">+{items.length - MONTH_TILE_LIMIT} more</span>
+                    )}
+                  </span>
+                );
+              }}
+            />
+          ) : view === 'week' ? (
+            renderTimeGrid(weekOf(selectedISO))
+          ) : view === 'day' ? (
+            renderTimeGrid([selectedISO])
+          ) : (
+            /* Table */
+            <div className="appointments-table-wrapper">
+              <table className="appointments-table">
+                <thead>
+                  <tr>
+                    <th>ID</th>
+                    <th>Patient</th>
+                    <th>Doctor</th>
+                    <th>Date</th>
+                    <th>Time</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {listAppointments.length > 0 ? (
+                    listAppointments.map((a) => (
+                      <tr key={a.id}>
+                        <td>{a.id}</td>
+                        <td>{a.patient}</td>
+                        <td>{a.doctor}</td>
+                        <td>{a.date}</td>
+                        <td>{formatTimeRange(a)}</td>
+                        <td>
+                          <span className={`status ${a.status}`}>{APPOINTMENT_STATUS_LABELS[a.status]}</span>
+                        </td>
+                        <td>
+                          {listArchived ? (
+                            <>
+                              <span className="archive-info">{formatArchiveInfo(a)}</span>
+                              <button className="restore-btn" onClick={() => handleRestoreAppointment(a.id)}>Restore</button>
+                            </>
+                          ) : (
+                            <>
+                              {canUpdate && <button onClick={() => openChiefAppointmentModal('edit', a)}>Edit</button>}
+                              {canDelete && <button onClick={() => openChiefAppointmentModal('delete', a)}>Archive</button>}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="7" className="empty-state">
+                        {listArchived ? 'No archived appointments' : `No appointments on ${selectedISO}`}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
         <div className="next-appointments">
           <h3>Next Appointments</h3>
           {nextAppointments.length > 0 ? (
@@ -129,7 +531,7 @@ const Appointments = () => {
               {nextAppointments.map((a) => (
                 <li key={a.id}>
                   <strong>{a.patient}</strong> with {a.doctor} <br />
-                  {a.date} at {a.time} - <span className={`status ${a.status.toLowerCase()}`}>{a.status}</span>
+                  {a.date} at {formatTimeRange(a)} - <span className={`status ${a.status}`}>{APPOINTMENT_STATUS_LABELS[a.status]}</span>
                 </li>
               ))}
             </ul>
@@ -139,60 +541,15 @@ const Appointments = () => {
         </div>
       </div>
 
-      {/* Table */}
-      <div className="appointments-table-wrapper">
-        <table className="appointments-table">
-          <thead>
-            <tr>
-              <th>ID</th>
-              <th>Patient</th>
-              <th>Doctor</th>
-              <th>Date</th>
-              <th>Time</th>
-              <th>Status</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {loading ? (
-              <tr>
-                <td colSpan="7" className="empty-state">
-                  Loading appointments...
-                </td>
-              </tr>
-            ) : filteredAppointments.length > 0 ? (
-              filteredAppointments.map((a) => (
-                <tr key={a.id}>
-                  <td>{a.id}</td>
-                  <td>{a.patient}</td>
-                  <td>{a.doctor}</td>
-                  <td>{a.date}</td>
-                  <td>{a.time}</td>
-                  <td>
-                    <span className={`status ${a.status.toLowerCase()}`}>{a.status}</span>
-                  </td>
-                  <td>
-                    <button onClick={() => openChiefAppointmentModal('edit', a)}>Edit</button>
-                    <button onClick={() => openChiefAppointmentModal('delete', a)}>Delete</button>
-                  </td>
-                </tr>
-              ))
-            ) : (
-              <tr>
-                <td colSpan="7" className="empty-state">
-                  No appointments found
-                </td>
-              </tr>
-            )}
-          </tbody>
-        </table>
-      </div>
-
       {/* Modals */}
       {modal.type === 'add' || modal.type === 'edit' ? (
         <AppointmentModal
           type={modal.type}
-          appointment={modal.appointment}
+          appointment={modal.appointment || {}}
+          patients={patients}
+          doctors={doctors}
+          appointments={rawAppointments}
+          holidays={holidays}
           onSave={handleSaveAppointment}
           onClose={() => openChiefAppointmentModal('', null)}
         />
@@ -201,7 +558,7 @@ const Appointments = () => {
       {modal.type === 'delete' && (
         <DeleteModal
           appointment={modal.appointment}
-          onDelete={() => handleDeleteAppointment(modal.appointment.id)}
+          onDelete={(reason) => handleDeleteAppointment(modal.appointment.id, reason)}
           onClose={() => openChiefAppointmentModal('', null)}
         />
       )}
@@ -213,23 +570,52 @@ const Appointments = () => {
 
 /**
  * Modal component for adding or editing appointments.
- * Provides form fields for patient, doctor, date, time, and status.
+ * Offers the doctor's free start times for the chosen date, type and duration;
+ * save errors (slot taken, doctor unavailable) are shown inside the modal.
  * @param {Object} props - Component props
  * @param {string} props.type - Modal type: 'add' or 'edit'
- * @param {Object} props.appointment - Existing appointment data (for edit mode)
- * @param {Function} props.onSave - Callback when appointment is saved
+ * @param {Object} props.appointment - Existing appointment data (or prefilled fields for add)
+ * @param {Array} props.patients - Patients to choose from
+ * @param {Array} props.doctors - Doctors to choose from
+ * @param {Array} props.appointments - Existing appointments (free times)
+ * @param {Array} props.holidays - Hospital holidays
+ * @param {Function} props.onSave - Async callback with the form and the series scope
  * @param {Function} props.onClose - Callback to close the modal
  * @returns {JSX.Element} Appointment form modal
  */
-const AppointmentModal = ({ type, appointment = {}, onSave, onClose }) => {
+const AppointmentModal = ({ type, appointment = {}, patients, doctors, appointments, holidays, onSave, onClose }) => {
   const [form, setForm] = useState({
-    id: appointment.id || `A-${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`,
+    id: appointment.id || '',
     patient: appointment.patient || '',
+    patientId: appointment.patientId || '',
     doctor: appointment.doctor || '',
+    doctorId: appointment.doctorId || '',
     date: appointment.date || '',
     time: appointment.time || '',
-    status: appointment.status || 'Pending',
+    notes: appointment.notes || '',
+    appointmentType: appointmentTypeOf(appointment),
+    duration: appointmentDuration(appointment)
   });
+  const [scope, setScope] = useState('this');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const slots = useMemo(() => {
+    const doctor = doctors.find((d) => d.name === form.doctor);
+    if (!doctor || !form.date) return [];
+    return availableTimes(
+      appointments,
+      {
+        doctorId: [doctor.id, doctor.uid],
+        doctorName: doctor.name,
+        date: form.date,
+        appointmentType: form.appointmentType,
+        duration: form.duration
+      },
+      workingHoursFor(doctor, form.date, holidays),
+      form.id
+    );
+  }, [doctors, appointments, holidays, form.doctor, form.date, form.appointmentType, form.duration, form.id]);
 
   /**
    * Handles form field changes.
@@ -237,22 +623,63 @@ const AppointmentModal = ({ type, appointment = {}, onSave, onClose }) => {
    */
   const handleChiefAppointmentFormChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
 
+  /**
+   * Validates and saves the form; service errors stay in the modal.
+   */
+  const handleSubmit = async () => {
+    if (!form.patient || !form.doctor || !form.date || !form.time) {
+      setError('Patient, doctor, date and time are required.');
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(form, scope);
+    } catch (err) {
+      console.error('Error saving appointment:', err);
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const timeOptions = [...new Set([...(form.time ? [form.time] : []), ...slots])].sort();
+
   return (
     <div className="modal-overlay">
       <div className="modal">
         <h2>{type === 'add' ? 'Add' : 'Edit'} Appointment</h2>
-        <input name="patient" value={form.patient} onChange={handleChiefAppointmentFormChange} placeholder="Patient Name" />
-        <input name="doctor" value={form.doctor} onChange={handleChiefAppointmentFormChange} placeholder="Doctor Name" />
+        {error && <div className="modal-error">{error}</div>}
+        <select name="patient" value={form.patient} onChange={handleChiefAppointmentFormChange}>
+          <option value="">Select patient</option>
+          {patients.map((p) => <option key={p.id} value={p.name}>{p.name}</option>)}
+        </select>
+        <select name="doctor" value={form.doctor} onChange={handleChiefAppointmentFormChange}>
+          <option value="">Select doctor</option>
+          {doctors.map((d) => <option key={d.id} value={d.name}>{d.name}</option>)}
+        </select>
         <input type="date" name="date" value={form.date} onChange={handleChiefAppointmentFormChange} />
-        <input type="time" name="time" value={form.time} onChange={handleChiefAppointmentFormChange} />
-        <select name="status" value={form.status} onChange={handleChiefAppointmentFormChange}>
-          <option>Pending</option>
-          <option>Confirmed</option>
-          <option>Completed</option>
-          <option>Cancelled</option>
+        <select name="time" value={form.time} onChange={handleChiefAppointmentFormChange} disabled={!form.doctor || !form.date}>
+          <option value="">
+            {!form.doctor || !form.date ? 'Select doctor and date first' : slots.length === 0 ? 'No free times' : 'Select time'}
+          </option>
+          {timeOptions.map((t) => (
+            <option key={t} value={t}>{t}{slots.includes(t) ? '' : ' (not free)'}</option>
+          ))}
         </select>
+        <AppointmentTypeFields
+          appointmentType={form.appointmentType}
+          duration={form.duration}
+          onChange={(timing) => setForm({ ...form, ...timing })}
+        />
+        <input name="notes" value={form.notes} onChange={handleChiefAppointmentFormChange} placeholder="Notes (optional)" />
+        {type === 'edit' && appointment.seriesId && (
+          <>
+            <label>Apply changes to ({describeRecurrence(appointment.recurrence)})</label>
+            <SeriesScopeSelect value={scope} onChange={setScope} />
+          </>
+        )}
         <div className="modal-actions">
-          <button onClick={() => onSave(form)}>Save</button>
+          <button onClick={handleSubmit} disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
           <button onClick={onClose}>Cancel</button>
         </div>
       </div>
@@ -261,26 +688,20 @@ const AppointmentModal = ({ type, appointment = {}, onSave, onClose }) => {
 };
 
 /**
- * Confirmation modal for deleting an appointment.
+ * Confirmation modal for archiving an appointment (soft delete).
  * @param {Object} props - Component props
- * @param {Object} props.appointment - Appointment to delete
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Object} props.appointment - Appointment to archive
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteModal = ({ appointment, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Appointment</h2>
-      <p>
-        Delete <strong>{appointment.patient}</strong> with {appointment.doctor} on {appointment.date}?
-      </p>
-      <div className="modal-actions">
-        <button onClick={onDelete}>Delete</button>
-        <button onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal title="Archive Appointment" onArchive={onDelete} onClose={onClose}>
+    <p>
+      Archive <strong>{appointment.patient}</strong> with {appointment.doctor} on {appointment.date}?
+      The time becomes free for other bookings.
+    </p>
+  </ArchiveModal>
 );
 
-export default Appointments;
\ No newline at end of file
+export default Appointments;
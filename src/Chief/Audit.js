@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import './Users/Users.css';
+import './style/Audit.css';
+import { subscribeToAuditLog } from '../services/firestoreService';
+
+/**
+ * Audit log page for Chief/Admin.
+ * Read-only, searchable view of every create/update/delete recorded in
+ * the audit_log collection (written server-side; firestore.rules blocks client
+ * writes), with the field-level diff of each entry.
+ * @returns {JSX.Element} Audit log interface
+ */
+const Audit = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [collectionFilter, setCollectionFilter] = useState('');
+  const [actionFilter, setActionFilter] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [selectedEntry, setSelectedEntry] = useState(null);
+
+  // Subscribe to the audit log (newest first)
+  useEffect(() => {
+    const unsubscribe = subscribeToAuditLog((data) => {
+      setEntries(data || []);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  /**
+   * Converts a timestamp to a Date.
+   * @param {Date|Object|string} timestamp - Stored timestamp
+   * @returns {Date|null} Date or null
+   */
+  const toDateValue = (timestamp) => {
+    if (!timestamp) return null;
+    if (timestamp.toDate) return timestamp.toDate();
+    return new Date(timestamp);
+  };
+
+  /**
+   * Formats a timestamp to a readable string.
+   */
+  const formatDate = (timestamp) => {
+    const date = toDateValue(timestamp);
+    return date ? date.toLocaleString() : 'N/A';
+  };
+
+  /**
+   * Formats a changed field value for display.
+   * @param {*} value - Field value
+   * @returns {string} Display value
+   */
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (value instanceof Date || value.toDate) return formatDate(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  const collections = [...new Set(entries.map((e) => e.collection).filter(Boolean))].sort();
+
+  /**
+   * Filters entries by search text (actor, collection, document id or changed fields),
+   * collection, action and date range.
+   * @type {Array}
+   */
+  const filteredEntries = entries.filter((e) => {
+    const searchLower = search.toLowerCase();
+    const matchesSearch = !search ||
+      (e.actorName || '').toLowerCase().includes(searchLower) ||
+      (e.actorEmail || '').toLowerCase().includes(searchLower) ||
+      (e.docId || '').toLowerCase().includes(searchLower) ||
+      (e.collection || '').toLowerCase().includes(searchLower) ||
+      Object.keys(e.changes || {}).some((field) => field.toLowerCase().includes(searchLower));
+
+    const date = toDateValue(e.timestamp);
+    const matchesFrom = !fromDate || (date && date >= new Date(`${fromDate}T00:00:00`));
+    const matchesTo = !toDate || (date && date <= new Date(`${toDate}T23:59:59`));
+
+    return matchesSearch &&
+      (!collectionFilter || e.collection === collectionFilter) &&
+      (!actionFilter || e.action === actionFilter) &&
+      matchesFrom && matchesTo;
+  });
+
+  return (
+    <div className="users-page">
+      {/* Header */}
+      <div className="users-header">
+        <h1>Audit Log</h1>
+        <p>Every change to hospital records, with who made it and what changed.</p>
+      </div>
+
+      {/* Filters */}
+      <div className="users-actions audit-filters">
+        <input
+          type="text"
+          placeholder="Search by actor, document ID, collection or field"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select value={collectionFilter} onChange={(e) => setCollectionFilter(e.target.value)}>
+          <option value="">All collections</option>
+          {collections.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select value={actionFilter} onChange={(e) => setActionFilter(e.target.value)}>
+          <option value="">All actions</option>
+          <option value="create">Create</option>
+          <option value="update">Update</option>
+          <option value="delete">Delete</option>
+        </select>
+        <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} title="From" />
+        <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} title="To" />
+      </div>
+
+      {/* Table */}
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Actor</th>
+              <th>Role</th>
+              <th>Platform</th>
+              <th>Collection</th>
+              <th>Document</th>
+              <th>Action</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="8" className="empty-state">Loading audit log...</td>
+              </tr>
+            ) : filteredEntries.length > 0 ? (
+              filteredEntries.map((e) => (
+                <tr key={e.id}>
+                  <td>{formatDate(e.timestamp)}</td>
+                  <td>{e.actorName || e.actorEmail || e.actorId || 'System'}</td>
+                  <td>{e.role || '-'}</td>
+                  <td>{e.platform || '-'}</td>
+                  <td>{e.collection}</td>
+                  <td className="audit-doc-id">{e.docId}</td>
+                  <td>
+                    <span className={`audit-action ${e.action}`}>{e.action}</span>
+                  </td>
+                  <td className="table-actions">
+                    <button className="view-btn" onClick={() => setSelectedEntry(e)}>
+                      {Object.keys(e.changes || {}).length} fields
+                    </button>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="8" className="empty-state">No audit entries found</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Detail Modal */}
+      {selectedEntry && (
+        <div className="modal-overlay">
+          <div className="modal audit-modal">
+            <h2>{selectedEntry.action} {selectedEntry.collection}/{selectedEntry.docId}</h2>
+            <p>
+              {selectedEntry.actorName || selectedEntry.actorEmail || 'System'} ({selectedEntry.role || '-'}) · {formatDate(selectedEntry.timestamp)}
+            </p>
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(selectedEntry.changes || {}).map(([field, change]) => (
+                  <tr key={field}>
+                    <td>{field}</td>
+                    <td className="audit-before">{formatValue(change.before)}</td>
+                    <td className="audit-after">{formatValue(change.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="modal-actions">
+              <button onClick={() => setSelectedEntry(null)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Audit;
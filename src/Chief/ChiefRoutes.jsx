@@ -6,20 +6,25 @@ import Profile from './Profile/Profile';
 import Patients from './Users/Patients';
 import Doctors from './Users/Doctors';
 import Nurses from './Users/Nurses';
+import Directory from './Users/Directory';
 import Appointments from './Appointments';
 import Notifications from './Notifications';
 import Community from './Community';
+import Audit from './Audit';
 import UserProfile from './Profile/UserProfile';
-import { signOut } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
+import RouteGuard from '../components/RouteGuard';
 
 /**
  * Routing component for the Chief/Admin section of the application.
- * Defines all routes accessible to admin users and provides page titles
- * for the layout header. Handles logout functionality.
+ * Defines the Chief/Admin routes, each wrapped in a RouteGuard so access
+ * follows the role permission map, and provides page titles for the layout
+ * header. Handles logout functionality.
  * @returns {JSX.Element} Router with all admin routes configured
  */
 const ChiefRoutes = () => {
   const location = useLocation();
+  const { signOut, activeRole } = useAuth();
 
   /**
    * Mapping of route paths to their display titles.
@@ -31,27 +36,31 @@ const ChiefRoutes = () => {
     '/patients': 'Patients',
     '/doctors': 'Doctors',
     '/nurses': 'Nurses',
+    '/directory': 'User Directory',
     '/appointments': 'Appointments',
     '/notifications': 'Notifications',
     '/community': 'Community',
+    '/audit': 'Audit Log',
   };
 
   return (
     <AppLayout
-      role="admin"
+      role={activeRole}
       pageTitle={pageTitles[location.pathname]}
       onLogout={() => signOut()}
     >
       <Routes>
-        <Route path="/" element={<Dashboard role="admin" />} />
-        <Route path="/profile" element={<Profile />} />
-        <Route path="/patients" element={<Patients />} />
-        <Route path="/doctors" element={<Doctors />} />
-        <Route path="/nurses" element={<Nurses />} />
-        <Route path="/users/:id" element={<UserProfile />} />
-        <Route path="/appointments" element={<Appointments />} />
-        <Route path="/notifications" element={<Notifications />} />
-        <Route path="/community" element={<Community />} />
+        <Route path="/" element={<RouteGuard><Dashboard role={activeRole} /></RouteGuard>} />
+        <Route path="/profile" element={<RouteGuard><Profile /></RouteGuard>} />
+        <Route path="/patients" element={<RouteGuard><Patients /></RouteGuard>} />
+        <Route path="/doctors" element={<RouteGuard><Doctors /></RouteGuard>} />
+        <Route path="/nurses" element={<RouteGuard><Nurses /></RouteGuard>} />
+        <Route path="/directory" element={<RouteGuard><Directory /></RouteGuard>} />
+        <Route path="/users/:id" element={<RouteGuard><UserProfile /></RouteGuard>} />
+        <Route path="/appointments" element={<RouteGuard><Appointments /></RouteGuard>} />
+        <Route path="/notifications" element={<RouteGuard><Notifications /></RouteGuard>} />
+        <Route path="/community" element={<RouteGuard><Community /></RouteGuard>} />
+        <Route path="/audit" element={<RouteGuard><Audit /></RouteGuard>} />
         <Route path="*" element={<Navigate to="/" />} />
       </Routes>
     </AppLayout>
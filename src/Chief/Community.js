@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import "./style/Community.css";
 import { subscribeToWebPosts, createWebPost } from '../services/firestoreService';
-import { subscribeToAuthState } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
 
 /**
  * Community page component for viewing and managing community posts.
@@ -14,7 +14,12 @@ const Community = () => {
   const [loading, setLoading] = useState(true);
   const [modal, setModal] = useState({ type: "", post: null });
   const [posts, setPosts] = useState([]);
-  const [currentUser, setCurrentUser] = useState(null);
+  const { currentUser: authUser, activeRole } = useAuth();
+
+  // المؤلف الحالي للمنشورات والتعليقات
+  const currentUser = authUser
+    ? { id: authUser.uid, name: authUser.name || authUser.email, role: activeRole }
+    : { id: 'guest', name: 'Guest', role: 'guest' };
 
   // Subscribe to Firebase posts collection
   useEffect(() => {
@@ -24,15 +29,7 @@ const Community = () => {
       setLoading(false);
     });
 
-    // Subscribe to auth state for current user
-    const unsubscribeAuth = subscribeToAuthState((user) => {
-      setCurrentUser(user || { id: 'guest', name: 'Guest', role: 'guest' });
-    });
-
-    return () => {
-      unsubscribePosts();
-      unsubscribeAuth();
-    };
+    return () => unsubscribePosts();
   }, []);
 
   /**
@@ -4,6 +4,30 @@ import Calendar from "react-calendar";
 import "react-calendar/dist/Calendar.css";
 import "./style/Dashboard.css";
 import { subscribeToCollection, appAddDoc, appUpdateDoc, appDeleteDoc } from "../services/firestoreService";
+import LabWorklist from "../components/LabWorklist";
+import { doctorStatsFor } from "../services/staffStats";
+import { describeRecurrence } from "../services/recurrence";
+import { availableTimes, appointmentTypeOf, appointmentDuration, formatTimeRange } from "../services/appointmentSlots";
+import { workingHoursFor, isDoctorOnDuty } from "../services/doctorSchedule";
+import { isOpenEntry } from "../services/waitlist";
+import { isOpenTransfer } from "../services/transfers";
+import {
+  APPOINTMENT_STATUS_LABELS,
+  APPOINTMENT_ACTION_LABELS,
+  REASON_FIELDS,
+  appointmentStatus,
+  nextStatuses
+} from "../services/appointmentLifecycle";
+import { SHIFTS, onDutyAt, currentShift, coverageGaps, rosterDepartments } from "../services/nurseRoster";
+import AppointmentTypeFields from "../components/AppointmentTypeFields";
+import { SeriesScopeSelect } from "../components/RecurrenceFields";
+import {
+  AUDIENCE_TYPES,
+  STAFF_ROLES,
+  STAFF_ROLE_LABELS,
+  staffDepartments,
+  resolveRecipients,
+} from "../services/notifications";
 
 import {
   PieChart,
@@ -69,6 +93,8 @@ const ChiefDashboard = () => {
   const [transfers, setTransfers] = useState([]);
   const [posts, setPosts] = useState([]);
   const [notifications, setNotifications] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [roster, setRoster] = useState([]);
 
   const [loading, setLoading] = useState(true);
   const [lastUpdateTime, setLastUpdateTime] = useState(new Date());
@@ -103,7 +129,9 @@ const ChiefDashboard = () => {
       subscribeToWebWaitlist(setWaitlist), // استخدام web_waitlist
       subscribeToWebTransfers(setTransfers), // استخدام web_transfers
       subscribeToWebPosts(setPosts), // استخدام web_posts
-      subscribeToWebNotifications(setNotifications) // استخدام web_notifications
+      subscribeToWebNotifications(setNotifications), // استخدام web_notifications
+      subscribeToCollection("holidays", setHolidays),
+      subscribeToCollection("nurse_roster", setRoster)
     ];
     setLoading(false);
     return () => unsubs.forEach(unsub => unsub());
@@ -155,15 +183,9 @@ const ChiefDashboard = () => {
     
     // المواعيد اليوم
     const todayAppointments = appointments.filter((a) => a.date === today);
-    const todayScheduled = todayAppointments.filter((a) => 
-      a.status === 'scheduled' || a.status === 'Scheduled'
-    ).length;
-    const todayCompleted = todayAppointments.filter((a) => 
-      a.status === 'completed' || a.status === 'Completed'
-    ).length;
-    const todayCancelled = todayAppointments.filter((a) => 
-      a.status === 'cancelled' || a.status === 'Cancelled'
-    ).length;
+    const todayScheduled = todayAppointments.filter((a) => appointmentStatus(a) === 'scheduled').length;
+    const todayCompleted = todayAppointments.filter((a) => appointmentStatus(a) === 'completed').length;
+    const todayCancelled = todayAppointments.filter((a) => appointmentStatus(a) === 'cancelled').length;
     
     // المرضى الجدد اليوم
     const newPatientsToday = patients.filter((p) => {
@@ -173,12 +195,9 @@ const ChiefDashboard = () => {
     }).length;
     
     // الأطباء النشطين اليوم
-    const activeDoctorsToday = doctors.filter((d) => {
-      const doctorAppointments = todayAppointments.filter((a) => 
-        a.doctorId === d.uid || a.doctorId === d.id || a.doctorName === d.name || a.doctor === d.name
-      );
-      return doctorAppointments.length > 0;
-    }).length;
+    const activeDoctorsToday = doctors.filter((d) =>
+      doctorStatsFor(d, { appointments }, today).appointmentsToday > 0
+    ).length;
     
     return {
       todayAppointments: todayAppointments.length,
@@ -190,15 +209,34 @@ const ChiefDashboard = () => {
     };
   }, [appointments, patients, doctors, currentDate]);
 
+  // في المناوبة الآن: الأطباء حسب ساعات عملهم، والممرضون حسب جدول المناوبات
+  // Booked waitlist entries are kept for the record; the queue counts open ones only
+  const openWaitlist = useMemo(() => waitlist.filter(isOpenEntry), [waitlist]);
+  const openTransfers = useMemo(() => transfers.filter(isOpenTransfer), [transfers]);
+
+  const onDuty = useMemo(() => {
+    const shift = currentShift(currentDate);
+    const gaps = shift
+      ? coverageGaps(roster, { dates: [shift.date], departments: rosterDepartments(nurses, roster) })
+        .filter((g) => g.shift === shift.shift)
+      : [];
+    return {
+      doctors: doctors.filter((d) => d && d.id && isDoctorOnDuty(d, currentDate, holidays)),
+      nurses: onDutyAt(roster, currentDate),
+      shift,
+      gaps,
+    };
+  }, [doctors, nurses, roster, holidays, currentDate]);
+
   // KPIs - من Firebase فقط
   const kpis = useMemo(() => [
     { label: "Patients Under Care", value: patients.length },
-    { label: "Doctors On Duty", value: doctors.length },
+    { label: "Doctors On Duty", value: onDuty.doctors.length },
     { label: "Nurses Assigned", value: nurses.length },
     { label: "Appointments Today", value: dailyStats.todayAppointments },
     { label: "Completed Today", value: dailyStats.todayCompleted },
     { label: "Active Doctors Today", value: dailyStats.activeDoctorsToday },
-  ], [patients.length, doctors.length, nurses.length, dailyStats]);
+  ], [patients.length, onDuty.doctors.length, nurses.length, dailyStats]);
 
   // Data in timeframe
   const apptsInTimeframe = useMemo(() => {
@@ -252,22 +290,22 @@ const ChiefDashboard = () => {
   }, [appointments, todayStr]);
 
   const cancelledInRange = useMemo(() => {
-    return apptsInTimeframe.filter((a) => 
-      a.status === "Cancelled" || a.status === "cancelled"
-    );
+    return apptsInTimeframe.filter((a) => appointmentStatus(a) === "cancelled");
   }, [apptsInTimeframe]);
 
   // Interventions
   const [editingAppt, setEditingAppt] = useState(null);
   const [confirmDelete, setConfirmDelete] = useState(null);
+  const [cancelSeries, setCancelSeries] = useState(null);
 
   /**
    * Saves an appointment to Firestore (Create or Update) - using web_appointments.
    * @param {Object} ap - Appointment data.
+   * @param {string} [scope="this"] - Series scope for edits ('this', 'following' or 'all').
    */
-  const saveAppointment = async (ap) => {
+  const saveAppointment = async (ap, scope = "this") => {
     try {
-      const { createWebAppointment, updateWebAppointment } = require('../services/firestoreService');
+      const { createWebAppointment, updateWebAppointment, updateAppointmentSeries } = require('../services/firestoreService');
       
       if (ap.id && !ap.id.startsWith("A-")) {
         // تحديث موعد موجود
@@ -283,10 +321,18 @@ const ChiefDashboard = () => {
         }
         if (ap.date) updates.date = ap.date;
         if (ap.time) updates.time = ap.time;
-        if (ap.status) updates.status = ap.status;
+        if (ap.appointmentType) updates.appointmentType = ap.appointmentType;
+        if (ap.duration) updates.duration = Number(ap.duration);
         if (ap.notes !== undefined) updates.notes = ap.notes;
         
-        await updateWebAppointment(ap.id, updates);
+        const original = appointments.find((a) => a.id === ap.id);
+        if (original?.seriesId && scope !== "this") {
+          // للسلسلة نرسل الحقول المتغيرة فقط
+          const changed = Object.fromEntries(Object.entries(updates).filter(([key, value]) => original[key] !== value));
+          await updateAppointmentSeries(ap.id, changed, scope);
+        } else {
+          await updateWebAppointment(ap.id, updates);
+        }
       } else {
         // إنشاء موعد جديد
         const doctor = doctors.find(d => d.name === ap.doctor || d.id === ap.doctorId || d.uid === ap.doctorId);
@@ -299,7 +345,8 @@ const ChiefDashboard = () => {
           doctorName: doctor?.name || ap.doctor || ap.doctorName,
           date: ap.date,
           time: ap.time,
-          status: ap.status || 'scheduled',
+          appointmentType: ap.appointmentType,
+          duration: ap.duration,
           notes: ap.notes || ''
         });
       }
@@ -310,14 +357,23 @@ const ChiefDashboard = () => {
   };
 
   /**
-   * Updates status of an appointment - using web_appointments.
+   * Moves an appointment along its lifecycle - using web_appointments.
+   * No-show and cancellation ask for a reason first.
    * @param {string} id - Appointment ID.
-   * @param {string} status - New status.
+   * @param {string} status - Target status (see appointmentLifecycle).
    */
   const updateStatus = async (id, status) => {
+    let reason;
+    if (REASON_FIELDS[status]) {
+      reason = window.prompt(`Reason (${APPOINTMENT_STATUS_LABELS[status]}):`);
+      if (!reason?.trim()) return;
+    }
     try {
-      const { updateWebAppointment } = require('../services/firestoreService');
-      await updateWebAppointment(id, { status });
+      const { transitionAppointment } = require('../services/firestoreService');
+      const offers = await transitionAppointment(id, status, reason);
+      if (offers?.length) {
+        alert(`Freed slot offered to ${offers.map((o) => o.patient).join(', ')} from the waitlist.`);
+      }
     } catch (error) {
       console.error('Error updating appointment status:', error);
       alert(`Error: ${error.message}`);
@@ -325,15 +381,33 @@ const ChiefDashboard = () => {
   };
 
   /**
-   * Deletes an appointment - using web_appointments.
+   * Cancels an appointment or part of its series - using web_appointments.
+   * @param {string} id - Appointment ID.
+   * @param {string} scope - Series scope ('this', 'following' or 'all').
+   * @param {string} reason - Cancellation reason.
+   */
+  const cancelAppointment = async (id, scope, reason) => {
+    try {
+      const { cancelAppointmentSeries } = require('../services/firestoreService');
+      await cancelAppointmentSeries(id, scope, reason);
+    } catch (error) {
+      console.error('Error cancelling appointment:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Archives an appointment or part of its series (soft delete) - using web_appointments.
    * @param {string} id - Appointment ID.
+   * @param {string} reason - Archive reason.
+   * @param {string} [scope="this"] - Series scope ('this', 'following' or 'all').
    */
-  const deleteAppointment = async (id) => {
+  const deleteAppointment = async (id, reason, scope = "this") => {
     try {
-      const { deleteWebAppointment } = require('../services/firestoreService');
-      await deleteWebAppointment(id);
+      const { archiveAppointmentSeries } = require('../services/firestoreService');
+      await archiveAppointmentSeries(id, reason, scope);
     } catch (error) {
-      console.error('Error deleting appointment:', error);
+      console.error('Error archiving appointment:', error);
       alert(`Error: ${error.message}`);
     }
   };
@@ -364,15 +438,15 @@ const ChiefDashboard = () => {
   };
 
   /**
-   * Sends a new notification to the 'web_notifications' collection.
-   * @param {Object} payload - Notification details (audience, message, priority).
+   * Sends a new notification; the service delivers a copy to each recipient's inbox.
+   * @param {Object} payload - Notification details (audienceType, audienceTarget, message, priority).
    */
   const onSendNotification = async (payload) => {
     try {
       const { createWebNotification } = require('../services/firestoreService');
       await createWebNotification({
-        audience: payload.audience || 'All',
-        toId: payload.toId || null,
+        audienceType: payload.audienceType,
+        audienceTarget: payload.audienceTarget || null,
         subject: payload.subject,
         message: payload.message,
         priority: payload.priority ? payload.priority.toLowerCase() : 'medium',
@@ -458,28 +532,46 @@ const ChiefDashboard = () => {
 
           {/* On‑Duty Roster (compact stacked) */}
           <div className="chief-panel" style={{ marginTop: 14 }}>
-            <div className="chief-subcard-title"><h4>On‑Duty Roster</h4></div>
+            <div className="chief-card-title" style={{ marginBottom: 8 }}>
+              <h4>On‑Duty Roster</h4>
+              {onDuty.shift && <span className="chief-badge">{SHIFTS[onDuty.shift.shift].label} shift</span>}
+            </div>
             <div className="chief-roster">
               <div>
                 <h5>Doctors</h5>
-                <ul className="compact-list">{(doctors || []).filter(d => d && d.id).map((d) => <li key={d.id}>{d.name || 'Unknown'}</li>)}</ul>
+                <ul className="compact-list">
+                  {onDuty.doctors.length === 0 && <li>No doctors on duty</li>}
+                  {onDuty.doctors.map((d) => <li key={d.id}>{d.name || 'Unknown'}</li>)}
+                </ul>
               </div>
               <div>
                 <h5>Nurses</h5>
-                <ul className="compact-list">{(nurses || []).filter(n => n && n.id).map((n) => <li key={n.id}>{n.name || 'Unknown'}</li>)}</ul>
+                <ul className="compact-list">
+                  {onDuty.nurses.length === 0 && <li>No nurses rostered</li>}
+                  {onDuty.nurses.map((a) => <li key={a.id}>{a.nurseName} · {a.department}</li>)}
+                </ul>
               </div>
             </div>
+            {onDuty.gaps.length > 0 && (
+              <div className="chief-status" style={{ marginTop: 8 }}>
+                {onDuty.gaps.map((g) => (
+                  <div key={g.department} className="chip chief-gap">
+                    {g.department}: {g.assigned}/{g.required} nurses
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Queues (compact stacked) */}
           <div className="chief-panel" style={{ marginTop: 14 }}>
             <div className="chief-card-title" style={{ marginBottom: 8 }}>
               <h4>Queues</h4>
-              <span className="chief-badge">{waitlist.length + transfers.length}</span>
+              <span className="chief-badge">{openWaitlist.length + openTransfers.length}</span>
             </div>
             <div className="chief-status">
-              <div className="chip">Waitlist: {waitlist.length}</div>
-              <div className="chip">Transfers: {transfers.length}</div>
+              <div className="chip">Waitlist: {openWaitlist.length}</div>
+              <div className="chip">Transfers: {openTransfers.length}</div>
             </div>
           </div>
         </section>
@@ -571,17 +663,22 @@ const ChiefDashboard = () => {
                       <span className="chief-strong">{patientName}</span> with {doctorName}
                     </div>
                     <div className="chief-today-meta">
-                      {a.date || 'N/A'} · {a.time || 'N/A'} · <span className={`chief-badge chip ${(a.status || '').toLowerCase()}`}>{a.status || 'Unknown'}</span>
+                      {a.date || 'N/A'} · {formatTimeRange(a) || 'N/A'}
+                      {a.seriesId && <span className="series-badge" title={describeRecurrence(a.recurrence)}>↻ #{a.occurrence}</span>}
+                      {' · '}<span className={`chief-badge chip ${appointmentStatus(a)}`}>{APPOINTMENT_STATUS_LABELS[appointmentStatus(a)]}</span>
                     </div>
                     <div className="chief-list-actions">
-                      {a.status !== "Completed" && (
-                        <button className="chief-btn" onClick={() => updateStatus(a.id, "Completed")}>Mark Completed</button>
-                      )}
-                      {a.status !== "Cancelled" && (
-                        <button className="chief-btn danger" onClick={() => updateStatus(a.id, "Cancelled")}>Cancel</button>
-                      )}
+                      {nextStatuses(a).map((status) => (
+                        <button
+                          key={status}
+                          className={`chief-btn ${REASON_FIELDS[status] ? "danger" : ""}`}
+                          onClick={() => (status === "cancelled" && a.seriesId ? setCancelSeries(a) : updateStatus(a.id, status))}
+                        >
+                          {APPOINTMENT_ACTION_LABELS[status]}
+                        </button>
+                      ))}
                       <button className="chief-link" onClick={() => setEditingAppt({ ...a })}>Edit</button>
-                      <button className="chief-link danger" onClick={() => setConfirmDelete({ type: "appointment", id: a.id })}>Delete</button>
+                      <button className="chief-link danger" onClick={() => setConfirmDelete({ type: "appointment", id: a.id, series: !!a.seriesId })}>Archive</button>
                     </div>
                   </li>
                   );
@@ -597,6 +694,11 @@ const ChiefDashboard = () => {
         </section>
       </div>
 
+      {/* Lab worklist */}
+      <div style={{ marginTop: 14 }}>
+        <LabWorklist patients={patients || []} doctors={doctors || []} />
+      </div>
+
       {/* Modals */}
       {editingAppt && (
         <AppointmentModal
@@ -604,7 +706,8 @@ const ChiefDashboard = () => {
           patients={patients || []}
           doctors={doctors || []}
           appointments={appointments || []}
-          onSave={(ap) => { saveAppointment(ap); setEditingAppt(null); }}
+          holidays={holidays}
+          onSave={(ap, scope) => { saveAppointment(ap, scope); setEditingAppt(null); }}
           onClose={() => setEditingAppt(null)}
         />
       )}
@@ -625,16 +728,25 @@ const ChiefDashboard = () => {
 
       {confirmDelete && (
         <ConfirmDialog
-          title={`Delete ${confirmDelete.type}?`}
-          message="This action cannot be undone."
-          onConfirm={() => {
+          title={`Archive ${confirmDelete.type}?`}
+          message="The record is hidden from active lists and can be restored later."
+          withSeriesScope={confirmDelete.series}
+          onConfirm={(reason, scope) => {
             const { type, id } = confirmDelete;
-            if (type === "appointment") deleteAppointment(id);
+            if (type === "appointment") deleteAppointment(id, reason, scope);
             setConfirmDelete(null);
           }}
           onClose={() => setConfirmDelete(null)}
         />
       )}
+
+      {cancelSeries && (
+        <CancelSeriesDialog
+          appointment={cancelSeries}
+          onConfirm={(scope, reason) => { cancelAppointment(cancelSeries.id, scope, reason); setCancelSeries(null); }}
+          onClose={() => setCancelSeries(null)}
+        />
+      )}
     </div>
   );
 };
@@ -643,18 +755,22 @@ const ChiefDashboard = () => {
 
 /**
  * Modal component for creating or editing appointments.
- * Allows selection of patient, doctor, date, time, and status.
+ * Allows selection of patient, doctor, date, time, and type; status changes go
+ * through the lifecycle actions in the appointment list.
  * Automatically filters available time slots based on existing appointments.
  * @param {Object} props - Component props
  * @param {Object} props.initial - Initial appointment data for editing
  * @param {Array} props.patients - List of available patients
  * @param {Array} props.doctors - List of available doctors
  * @param {Array} props.appointments - List of existing appointments
- * @param {Function} props.onSave - Callback when appointment is saved
+ * @param {Array} props.holidays - Hospital holidays (no times are offered on these dates)
+ * @param {Function} props.onSave - Callback with the form and the series scope
  * @param {Function} props.onClose - Callback to close the modal
  * @returns {JSX.Element} Appointment form modal
  */
-const AppointmentModal = ({ initial, patients, doctors, appointments, onSave, onClose }) => {
+const AppointmentModal = ({ initial, patients, doctors, appointments, holidays, onSave, onClose }) => {
+  const [scope, setScope] = useState("this");
+
   // التأكد من أن initial ليس null
   const defaultForm = {
     id: '',
@@ -666,87 +782,44 @@ const AppointmentModal = ({ initial, patients, doctors, appointments, onSave, on
     doctorId: '',
     date: '',
     time: '',
-    status: 'scheduled',
     notes: '',
   };
   
   // دمج initial مع defaultForm للتأكد من وجود جميع الحقول
   const initialForm = initial ? { ...defaultForm, ...initial } : defaultForm;
-  const [form, setForm] = useState(initialForm);
+  const [form, setForm] = useState({
+    ...initialForm,
+    appointmentType: appointmentTypeOf(initialForm),
+    duration: appointmentDuration(initialForm)
+  });
   
   // التأكد من أن form ليس null أبداً
   const safeForm = form || defaultForm;
 
   /**
-   * Calculates available appointment time slots for a doctor on a specific date.
-   * Filters out time slots that are already booked.
-   * @param {string} docName - Doctor's name
-   * @param {string} dateStr - Date string (YYYY-MM-DD)
-   * @returns {Array<string>} List of available time slots
+   * Available start times for the selected doctor on the selected date.
+   * Times come from the doctor's working hours on that date (weekly template, date changes,
+   * leave and holidays); starts whose interval (duration + buffer)
+   * overlaps a booked appointment are skipped.
    */
-  const availableSlots = (docName, dateStr) => {
-    // البحث عن الطبيب
-    const doctor = doctors.find(d => d.name === docName);
-    
-    // Slots افتراضية شاملة
-    const defaultSlots = ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30', '12:00', '12:30', '13:00', '13:30', '14:00', '14:30', '15:00', '15:30', '16:00', '16:30', '17:00'];
-    
-    // الحصول على slots من workSchedule
-    let base = [];
-    if (doctor && doctor.workSchedule && dateStr) {
-      try {
-        const date = new Date(dateStr + 'T00:00:00');
-        if (!isNaN(date.getTime())) {
-          const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-          const dayName = dayNames[date.getDay()];
-          const daySchedule = doctor.workSchedule[dayName];
-          
-          if (daySchedule && daySchedule.enabled && daySchedule.slots && daySchedule.slots.length > 0) {
-            base = daySchedule.slots;
-          }
-        }
-      } catch (e) {
-        console.error('Error parsing date:', e);
-      }
-    }
-    
-    // Fallback إلى slots افتراضية
-    if (base.length === 0) {
-      base = defaultSlots;
-    }
-    
-    // فلترة المواعيد المحجوزة
-    const taken = (appointments || [])
-      .filter((a) => {
-        if (!a) return false;
-        const aDoctor = a.doctor || a.doctorName;
-        const aDoctorId = a.doctorId;
-        const matchesDoctor = aDoctor === docName || 
-                             aDoctorId === doctor?.id || 
-                             aDoctorId === doctor?.uid;
-        return (safeForm?.id ? a.id !== safeForm.id : true) && 
-               matchesDoctor && 
-               a.date === dateStr && 
-               a.status !== 'cancelled' &&
-               a.status !== 'Cancelled';
-      })
-      .map((a) => {
-        // تطبيع الوقت
-        const time = a.time || '';
-        return time.replace(/\s*(AM|PM)/i, '').trim();
-      })
-      .filter(Boolean);
-    
-    // تطبيع base slots
-    const normalizedBase = base.map(s => s.replace(/\s*(AM|PM)/i, '').trim());
-    
-    return normalizedBase.filter((s) => !taken.includes(s));
-  };
-
+  const { doctor: docName, date: dateStr, appointmentType, duration, id: editingId } = safeForm;
   const slots = useMemo(() => {
-    if (!safeForm || !safeForm.doctor || !safeForm.date) return [];
-    return availableSlots(safeForm.doctor, safeForm.date);
-  }, [safeForm?.doctor, safeForm?.date, appointments, safeForm?.id]);
+    const doctor = docName && dateStr ? doctors.find(d => d.name === docName) : null;
+    if (!doctor) return [];
+
+    return availableTimes(
+      (appointments || []).filter(Boolean),
+      {
+        doctorId: [doctor.id, doctor.uid],
+        doctorName: docName,
+        date: dateStr,
+        appointmentType,
+        duration
+      },
+      workingHoursFor(doctor, dateStr, holidays),
+      editingId
+    );
+  }, [docName, dateStr, appointmentType, duration, editingId, doctors, appointments, holidays]);
 
   /**
    * Validates and saves the appointment form data.
@@ -756,7 +829,7 @@ const AppointmentModal = ({ initial, patients, doctors, appointments, onSave, on
     if (!safeForm || !safeForm.patient || !safeForm.doctor || !safeForm.date || !safeForm.time) {
       return alert("Fill all fields.");
     }
-    onSave(safeForm);
+    onSave(safeForm, scope);
   };
 
   return (
@@ -789,14 +862,20 @@ const AppointmentModal = ({ initial, patients, doctors, appointments, onSave, on
           <div className="field"><label>Time</label>
             <select value={safeForm?.time || ''} onChange={(e) => setForm({ ...safeForm, time: e.target.value })} disabled={!safeForm?.doctor || !safeForm?.date || slots.length === 0}>
               <option value="">{!safeForm?.doctor || !safeForm?.date ? "Select doctor and date first" : slots.length === 0 ? "No slots available" : "Select time"}</option>
-              {slots.map((s) => <option key={s}>{s}</option>)}
-            </select>
-          </div>
-          <div className="field col2"><label>Status</label>
-            <select value={safeForm?.status || 'scheduled'} onChange={(e) => setForm({ ...safeForm, status: e.target.value })}>
-              {["scheduled", "confirmed", "completed", "cancelled"].map((s) => <option key={s} value={s}>{s.charAt(0).toUpperCase() + s.slice(1)}</option>)}
+              {[...new Set([...(initial?.time ? [initial.time] : []), ...slots])].map((s) => <option key={s}>{s}</option>)}
             </select>
           </div>
+          <AppointmentTypeFields
+            fieldClassName="field"
+            appointmentType={safeForm.appointmentType}
+            duration={safeForm.duration}
+            onChange={(timing) => setForm({ ...safeForm, ...timing })}
+          />
+          {initial?.seriesId && (
+            <div className="field col2"><label>Apply changes to ({describeRecurrence(initial.recurrence)})</label>
+              <SeriesScopeSelect value={scope} onChange={setScope} />
+            </div>
+          )}
         </div>
         <div className="chief-modal-actions">
           <button className="chief-btn" onClick={saveChiefAppointmentForm}>Save</button>
@@ -875,8 +954,8 @@ const PostModal = ({ onSave, onClose }) => {
 
 /**
  * Modal component for sending notifications to users.
- * Allows targeting specific audiences (All, Doctors, Nurses, or Specific User)
- * with customizable priority levels.
+ * Allows targeting an audience (all staff, a role, a department or one person)
+ * with customizable priority levels, and shows how many people it will reach.
  * @param {Object} props - Component props
  * @param {Function} props.onSend - Callback when notification is sent
  * @param {Function} props.onClose - Callback to close the modal
@@ -884,20 +963,40 @@ const PostModal = ({ onSave, onClose }) => {
  */
 const NotifyModal = ({ onSend, onClose }) => {
   const [form, setForm] = useState({
-    audience: "All", toId: "", subject: "", message: "", priority: "Normal"
+    audienceType: "all", audienceTarget: "", subject: "", message: "", priority: "Normal"
   });
-  
+  const [accounts, setAccounts] = useState([]);
+
+  useEffect(() => {
+    const { subscribeToNotificationRecipients } = require("../services/firestoreService");
+    const unsubscribe = subscribeToNotificationRecipients(setAccounts);
+    return () => unsubscribe();
+  }, []);
+
   /**
-   * Handles form field changes.
+   * Handles form field changes (a new audience type clears the chosen target).
    * @param {Event} e - Input change event
    */
-  const handleNotificationFormChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
-  
+  const handleNotificationFormChange = (e) => setForm({
+    ...form,
+    [e.target.name]: e.target.value,
+    ...(e.target.name === "audienceType" && { audienceTarget: "" }),
+  });
+
+  const recipients = resolveRecipients({ type: form.audienceType, target: form.audienceTarget }, accounts);
+
   /**
-   * Determines if the notification can be sent (required fields filled).
+   * Determines if the notification can be sent (required fields filled and someone to receive it).
    * @type {boolean}
    */
-  const canSend = form.subject.trim() && form.message.trim();
+  const canSend = form.subject.trim() && form.message.trim() && recipients.length > 0 &&
+    (form.audienceType === "all" || form.audienceTarget);
+
+  const targetOptions = {
+    role: STAFF_ROLES.map((r) => [r, STAFF_ROLE_LABELS[r]]),
+    department: staffDepartments(accounts).map((d) => [d, d]),
+    user: accounts.map((a) => [a.uid, a.email ? `${a.name} (${a.email})` : a.name]),
+  }[form.audienceType];
 
   return (
     <div className="chief-overlay">
@@ -908,12 +1007,19 @@ const NotifyModal = ({ onSend, onClose }) => {
         </div>
         <div className="chief-modal-body grid2">
           <div className="field"><label>Audience</label>
-            <select name="audience" value={form.audience} onChange={handleNotificationFormChange}>
-              <option>All</option><option>Doctors</option><option>Nurses</option><option>Specific User</option>
+            <select name="audienceType" value={form.audienceType} onChange={handleNotificationFormChange}>
+              {Object.entries(AUDIENCE_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
             </select>
           </div>
-          <div className="field"><label>To (optional)</label>
-            <input name="toId" value={form.toId} onChange={handleNotificationFormChange} placeholder="User ID (if Specific User)" />
+          <div className="field"><label>To</label>
+            {targetOptions ? (
+              <select name="audienceTarget" value={form.audienceTarget} onChange={handleNotificationFormChange}>
+                <option value="">Select...</option>
+                {targetOptions.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            ) : (
+              <input value="Everyone" disabled />
+            )}
           </div>
           <div className="field col2"><label>Subject</label>
             <input name="subject" value={form.subject} onChange={handleNotificationFormChange} />
@@ -926,6 +1032,9 @@ const NotifyModal = ({ onSend, onClose }) => {
               <option>Low</option><option>Normal</option><option>High</option><option>Critical</option>
             </select>
           </div>
+          <div className="field"><label>Recipients</label>
+            <input value={(form.audienceType === "all" || form.audienceTarget) ? recipients.length : "—"} disabled />
+          </div>
         </div>
         <div className="chief-modal-actions">
           <button className="chief-btn" onClick={onClose}>Cancel</button>
@@ -937,31 +1046,83 @@ const NotifyModal = ({ onSend, onClose }) => {
 };
 
 /**
- * Confirmation dialog component for delete operations.
- * Displays a warning message and requires explicit confirmation before proceeding.
+ * Confirmation dialog component for archive operations.
+ * Requires a reason before the record is archived (soft-deleted).
  * @param {Object} props - Component props
  * @param {string} props.title - Dialog title
- * @param {string} props.message - Warning message to display
- * @param {Function} props.onConfirm - Callback when user confirms deletion
+ * @param {string} props.message - Message to display
+ * @param {boolean} [props.withSeriesScope] - Ask which part of a recurring series to archive
+ * @param {Function} props.onConfirm - Callback with the entered reason and series scope
  * @param {Function} props.onClose - Callback to close the dialog
  * @returns {JSX.Element} Confirmation dialog
  */
-const ConfirmDialog = ({ title, message, onConfirm, onClose }) => (
-  <div className="chief-overlay">
-    <div className="chief-modal" style={{ maxWidth: 420 }}>
-      <div className="chief-modal-head">
-        <h4>{title}</h4>
-        <button className="chief-icon" onClick={onClose}>✕</button>
-      </div>
-      <div className="chief-modal-body">
-        <p style={{ color: "var(--muted)" }}>{message}</p>
+const ConfirmDialog = ({ title, message, withSeriesScope = false, onConfirm, onClose }) => {
+  const [reason, setReason] = useState("");
+  const [scope, setScope] = useState("this");
+
+  return (
+    <div className="chief-overlay">
+      <div className="chief-modal" style={{ maxWidth: 420 }}>
+        <div className="chief-modal-head">
+          <h4>{title}</h4>
+          <button className="chief-icon" onClick={onClose}>✕</button>
+        </div>
+        <div className="chief-modal-body">
+          <p style={{ color: "var(--muted)" }}>{message}</p>
+          <div className="field">
+            <label>Reason *</label>
+            <textarea rows={3} value={reason} onChange={(e) => setReason(e.target.value)} />
+          </div>
+          {withSeriesScope && <SeriesScopeSelect value={scope} onChange={setScope} />}
+        </div>
+        <div className="chief-modal-actions">
+          <button className="chief-btn danger" disabled={!reason.trim()} onClick={() => onConfirm(reason.trim(), scope)}>Archive</button>
+          <button className="chief-btn" onClick={onClose}>Cancel</button>
+        </div>
       </div>
-      <div className="chief-modal-actions">
-        <button className="chief-btn danger" onClick={onConfirm}>Delete</button>
-        <button className="chief-btn" onClick={onClose}>Cancel</button>
+    </div>
+  );
+};
+
+/**
+ * Dialog for cancelling an appointment of a recurring series.
+ * Completed and no-show appointments of the series are left unchanged.
+ * @param {Object} props - Component props
+ * @param {Object} props.appointment - Series appointment to cancel
+ * @param {Function} props.onConfirm - Callback with the selected scope and the reason
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Cancel dialog
+ */
+const CancelSeriesDialog = ({ appointment, onConfirm, onClose }) => {
+  const [scope, setScope] = useState("this");
+  const [reason, setReason] = useState("");
+
+  return (
+    <div className="chief-overlay">
+      <div className="chief-modal" style={{ maxWidth: 420 }}>
+        <div className="chief-modal-head">
+          <h4>Cancel recurring appointment</h4>
+          <button className="chief-icon" onClick={onClose}>✕</button>
+        </div>
+        <div className="chief-modal-body">
+          <p style={{ color: "var(--muted)" }}>
+            {appointment.patientName || appointment.patient} · {appointment.date} {appointment.time} · {describeRecurrence(appointment.recurrence)}
+          </p>
+          <SeriesScopeSelect value={scope} onChange={setScope} />
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Cancellation reason"
+            style={{ width: "100%", marginTop: 8 }}
+          />
+        </div>
+        <div className="chief-modal-actions">
+          <button className="chief-btn danger" disabled={!reason.trim()} onClick={() => onConfirm(scope, reason.trim())}>Cancel appointments</button>
+          <button className="chief-btn" onClick={onClose}>Keep</button>
+        </div>
       </div>
     </div>
-  </div>
-);
+  );
+};
 
 export default ChiefDashboard;
@@ -1,31 +1,57 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './style/Notifications.css';
-import { subscribeToWebNotifications, updateWebNotification } from '../services/firestoreService';
+import { useAuth } from '../context/AuthContext';
+import {
+  subscribeToWebNotifications,
+  subscribeToNotificationReceipts,
+  updateWebNotification,
+} from '../services/firestoreService';
+import { INBOX_STATE_LABELS, inboxState, receiptSummary } from '../services/notifications';
+import NotificationInbox from '../components/NotificationInbox';
 
 /**
  * Notifications page component for Chief/Admin.
- * Displays and manages override requests and transfer requests from nurses and patients.
+ * Shows the user's own inbox, then the notifications they sent with read
+ * receipts per recipient (admins see every sent notification).
  * Allows filtering, viewing details, and approving/rejecting requests.
  * All data is synchronized with Firestore in real-time.
  * @returns {JSX.Element} Notifications management interface
  */
 const Notifications = () => {
+  const { currentUser, activeRole } = useAuth();
   const [notifications, setNotifications] = useState([]);
+  const [receipts, setReceipts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('');
   const [selectedNotification, setSelectedNotification] = useState(null);
 
+  // Admins review every notification; other senders only their own
+  const sentBy = activeRole === 'admin' ? null : currentUser?.uid;
+
   // Subscribe to Firebase notifications collection
   useEffect(() => {
     const unsubscribe = subscribeToWebNotifications((notificationsData) => {
-      console.log('Notifications received:', notificationsData?.length || 0);
       setNotifications(notificationsData || []);
       setLoading(false);
-    });
+    }, { sentBy });
+
+    return () => unsubscribe();
+  }, [sentBy]);
 
+  // Inbox entries of all recipients = read receipts
+  useEffect(() => {
+    const unsubscribe = subscribeToNotificationReceipts((entries) => setReceipts(entries || []));
     return () => unsubscribe();
   }, []);
 
+  const receiptsByNotification = useMemo(() => {
+    const grouped = {};
+    receipts.forEach((entry) => {
+      (grouped[entry.notificationId] = grouped[entry.notificationId] || []).push(entry);
+    });
+    return grouped;
+  }, [receipts]);
+
   /**
    * Filters notifications based on search query.
    * Matches against subject, message, audience, or priority fields.
@@ -84,7 +110,11 @@ const Notifications = () => {
   return (
     <div className="notifications-page">
       <h1>Notifications</h1>
-      <p>Review override requests and transfer requests from nurses and patients.</p>
+      <p>Your inbox, and the notifications you sent with who has read them.</p>
+
+      <NotificationInbox />
+
+      <h2>Sent</h2>
 
       {/* Search / Filter */}
       <div className="notifications-actions">
@@ -101,27 +131,31 @@ const Notifications = () => {
         {loading ? (
           <p className="empty-state">Loading notifications...</p>
         ) : filteredNotifications.length > 0 ? (
-          filteredNotifications.map((n) => (
-            <div
-              key={n.id}
-              className={`notification-card ${n.status || 'sent'}`}
-              onClick={() => openNotificationDetailModal(n)}
-            >
-              <div>
-                <span className="notif-type">{n.audience || 'Notification'}</span>
-                <p className="notif-message"><strong>{n.subject || 'No subject'}</strong></p>
-                <p className="notif-description">{n.message || ''}</p>
-                <small>
-                  Priority: {n.priority || 'Normal'} | 
-                  Status: {n.status || 'sent'} | 
-                  Date: {formatDate(n.sentAt)}
-                </small>
+          filteredNotifications.map((n) => {
+            const summary = receiptSummary(receiptsByNotification[n.id]);
+            return (
+              <div
+                key={n.id}
+                className={`notification-card ${n.status || 'sent'}`}
+                onClick={() => openNotificationDetailModal(n)}
+              >
+                <div>
+                  <span className="notif-type">{n.audience || 'Notification'}</span>
+                  <p className="notif-message"><strong>{n.subject || 'No subject'}</strong></p>
+                  <p className="notif-description">{n.message || ''}</p>
+                  <small>
+                    Priority: {n.priority || 'Normal'} | 
+                    Status: {n.status || 'sent'} | 
+                    Read: {summary.read}/{summary.total} | 
+                    Date: {formatDate(n.sentAt)}
+                  </small>
+                </div>
+                <div className="notif-actions">
+                  <button>View</button>
+                </div>
               </div>
-              <div className="notif-actions">
-                <button>View</button>
-              </div>
-            </div>
-          ))
+            );
+          })
         ) : (
           <p className="empty-state">No notifications found</p>
         )}
@@ -143,6 +177,19 @@ const Notifications = () => {
             {selectedNotification.reviewedAt && (
               <p><strong>Reviewed At:</strong> {formatDate(selectedNotification.reviewedAt)}</p>
             )}
+            {(receiptsByNotification[selectedNotification.id] || []).length > 0 && (
+              <ul className="notif-receipts">
+                {receiptsByNotification[selectedNotification.id].map((entry) => (
+                  <li key={entry.id} className={inboxState(entry)}>
+                    <span>{entry.recipientName || entry.recipientId}</span>
+                    <span>
+                      {INBOX_STATE_LABELS[inboxState(entry)]}
+                      {entry.readAt && ` · ${formatDate(entry.readAt)}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
             <div className="modal-actions">
               <button onClick={closeNotificationDetailModal}>Close</button>
               {(selectedNotification.status === 'sent' || !selectedNotification.status) && (
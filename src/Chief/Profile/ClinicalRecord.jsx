@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import '../Users/Users.css';
+import {
+  getClinicalRecord,
+  validateClinicalEntry,
+  addClinicalEntry,
+  updateClinicalEntry,
+  removeClinicalEntry,
+  ALLERGY_SEVERITIES,
+  CODE_SYSTEMS,
+  PROBLEM_STATUSES,
+  MEDICATION_ROUTES,
+  MEDICATION_STATUSES,
+  VITAL_FIELDS,
+} from '../../services/clinicalRecord';
+
+/**
+ * Section definitions: title, empty-form defaults and table columns.
+ * Each column is [header, render(entry)].
+ */
+const SECTIONS = {
+  allergies: {
+    title: 'Allergies',
+    singular: 'Allergy',
+    empty: { substance: '', code: '', codeSystem: '', severity: '', reaction: '', notedDate: '' },
+    columns: [
+      ['Substance', (e) => e.substance],
+      ['Code', (e) => (e.code ? `${e.code} (${e.codeSystem})` : '-')],
+      ['Severity', (e) => (e.severity ? <span className={`severity-badge ${e.severity}`}>{e.severity}</span> : '-')],
+      ['Reaction', (e) => e.reaction || '-'],
+      ['Noted', (e) => e.notedDate || '-'],
+    ],
+  },
+  problems: {
+    title: 'Problem List',
+    singular: 'Problem',
+    empty: { name: '', code: '', status: 'active', onsetDate: '', resolvedDate: '', notes: '' },
+    columns: [
+      ['Problem', (e) => e.name],
+      ['ICD-10', (e) => e.code || '-'],
+      ['Onset', (e) => e.onsetDate || '-'],
+      ['Status', (e) => e.status || '-'],
+      ['Resolved', (e) => e.resolvedDate || '-'],
+    ],
+  },
+  medications: {
+    title: 'Current Medications',
+    singular: 'Medication',
+    empty: { name: '', dose: '', route: 'oral', schedule: '', startDate: '', endDate: '', status: 'active' },
+    columns: [
+      ['Medication', (e) => e.name],
+      ['Dose', (e) => e.dose],
+      ['Route', (e) => e.route || '-'],
+      ['Schedule', (e) => e.schedule],
+      ['Start', (e) => e.startDate || '-'],
+      ['Status', (e) => e.status || '-'],
+    ],
+  },
+  vitals: {
+    title: 'Vitals',
+    singular: 'Vitals',
+    empty: { takenAt: '', ...Object.fromEntries(VITAL_FIELDS.map((f) => [f.name, ''])), notes: '' },
+    columns: [
+      ['Taken At', (e) => (e.takenAt ? new Date(e.takenAt).toLocaleString() : '-')],
+      ['Temp', (e) => e.temperature ?? '-'],
+      ['HR', (e) => e.heartRate ?? '-'],
+      ['RR', (e) => e.respiratoryRate ?? '-'],
+      ['BP', (e) => (e.systolic || e.diastolic ? `${e.systolic ?? '-'}/${e.diastolic ?? '-'}` : '-')],
+      ['SpO2', (e) => e.oxygenSaturation ?? '-'],
+      ['Weight', (e) => e.weight ?? '-'],
+    ],
+  },
+};
+
+/**
+ * Structured clinical record of a patient: allergies, problem list,
+ * current medications and vitals. Each section has its own add/edit/remove flow.
+ * Data is stored in the patient's mobileData so the mobile app sees the same record.
+ * @param {Object} props - Component props
+ * @param {Object} props.patient - Patient document
+ * @param {boolean} props.canEdit - Whether the active role can update patients
+ * @returns {JSX.Element} Clinical record sections
+ */
+const ClinicalRecord = ({ patient, canEdit }) => {
+  const [record, setRecord] = useState(() => getClinicalRecord(patient));
+  const [editing, setEditing] = useState(null); // { section, entry }
+
+  // Refresh when the patient document changes (live subscription)
+  useEffect(() => {
+    setRecord(getClinicalRecord(patient));
+  }, [patient]);
+
+  /**
+   * Saves a new or edited entry of a section.
+   * @param {string} section - Section key
+   * @param {Object} entry - Form values (with id when editing)
+   */
+  const handleSave = async (section, entry) => {
+    try {
+      const { id, ...values } = entry;
+      const updated = id
+        ? await updateClinicalEntry(patient.id, section, id, values)
+        : await addClinicalEntry(patient.id, section, values);
+      setRecord(updated);
+      setEditing(null);
+    } catch (error) {
+      alert(`Error saving ${SECTIONS[section].singular.toLowerCase()}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Removes an entry from a section after confirmation.
+   * @param {string} section - Section key
+   * @param {Object} entry - Entry to remove
+   */
+  const handleRemove = async (section, entry) => {
+    const label = entry.substance || entry.name || SECTIONS[section].singular;
+    if (!window.confirm(`Remove ${label} from ${SECTIONS[section].title}?`)) return;
+
+    try {
+      setRecord(await removeClinicalEntry(patient.id, section, entry.id));
+    } catch (error) {
+      alert(`Error removing entry: ${error.message}`);
+    }
+  };
+
+  return (
+    <>
+      {Object.entries(SECTIONS).map(([section, def]) => (
+        <div className="profile-card" key={section}>
+          <div className="clinical-head">
+            <h2>{def.title}</h2>
+            {canEdit && (
+              <button className="clinical-add-btn" onClick={() => setEditing({ section, entry: null })}>
+                + Add {def.singular}
+              </button>
+            )}
+          </div>
+
+          {record[section].length === 0 ? (
+            <p className="empty-text">No {def.title.toLowerCase()} recorded.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    {def.columns.map(([header]) => <th key={header}>{header}</th>)}
+                    {canEdit && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {record[section].map((entry) => (
+                    <tr key={entry.id}>
+                      {def.columns.map(([header, render]) => <td key={header}>{render(entry)}</td>)}
+                      {canEdit && (
+                        <td>
+                          <button className="edit-btn" onClick={() => setEditing({ section, entry })}>Edit</button>
+                          <button className="delete-btn" onClick={() => handleRemove(section, entry)}>Remove</button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {editing && (
+        <ClinicalEntryModal
+          section={editing.section}
+          entry={editing.entry}
+          onSave={(entry) => handleSave(editing.section, entry)}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </>
+  );
+};
+
+/**
+ * Converts an ISO timestamp to a datetime-local input value.
+ * @param {string} iso - ISO timestamp
+ * @returns {string} Local "YYYY-MM-DDTHH:mm" value
+ */
+const toLocalInput = (iso) => {
+  const d = iso ? new Date(iso) : new Date();
+  if (isNaN(d)) return '';
+  const offset = d.getTimezoneOffset() * 60000;
+  return new Date(d - offset).toISOString().slice(0, 16);
+};
+
+/**
+ * Modal for adding or editing one clinical record entry.
+ * @param {Object} props - Component props
+ * @param {string} props.section - Section key (allergies, problems, medications, vitals)
+ * @param {Object|null} props.entry - Entry to edit, or null to add
+ * @param {Function} props.onSave - Callback with the form values
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Entry form modal
+ */
+const ClinicalEntryModal = ({ section, entry, onSave, onClose }) => {
+  const def = SECTIONS[section];
+  const [form, setForm] = useState(() => {
+    const values = { ...def.empty, ...entry };
+    if (section === 'vitals') values.takenAt = toLocalInput(entry?.takenAt);
+    return values;
+  });
+
+  /**
+   * Handles form field changes.
+   * @param {Event} e - Input change event
+   */
+  const handleClinicalFormChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  /**
+   * Validates and submits the form.
+   */
+  const handleSubmit = () => {
+    const values = section === 'vitals' && form.takenAt
+      ? { ...form, takenAt: new Date(form.takenAt).toISOString() }
+      : form;
+    const error = validateClinicalEntry(section, values);
+    if (error) return alert(error);
+    onSave(values);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal clinical-modal">
+        <h2>{entry ? `Edit ${def.singular}` : `Add ${def.singular}`}</h2>
+
+        {section === 'allergies' && (
+          <>
+            <label>Substance *</label>
+            <input name="substance" value={form.substance} onChange={handleClinicalFormChange} placeholder="e.g., Penicillin" />
+            <label>Code</label>
+            <div className="clinical-row">
+              <select name="codeSystem" value={form.codeSystem} onChange={handleClinicalFormChange}>
+                <option value="">Code system</option>
+                {CODE_SYSTEMS.map((s) => <option key={s}>{s}</option>)}
+              </select>
+              <input name="code" value={form.code} onChange={handleClinicalFormChange} placeholder="Code" />
+            </div>
+            <label>Severity *</label>
+            <select name="severity" value={form.severity} onChange={handleClinicalFormChange}>
+              <option value="">Select Severity</option>
+              {ALLERGY_SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <label>Reaction</label>
+            <input name="reaction" value={form.reaction} onChange={handleClinicalFormChange} placeholder="e.g., Rash, Anaphylaxis" />
+            <label>Noted Date</label>
+            <input type="date" name="notedDate" value={form.notedDate} onChange={handleClinicalFormChange} />
+          </>
+        )}
+
+        {section === 'problems' && (
+          <>
+            <label>Problem *</label>
+            <input name="name" value={form.name} onChange={handleClinicalFormChange} placeholder="e.g., Type 2 Diabetes" />
+            <label>ICD-10 Code</label>
+            <input name="code" value={form.code} onChange={handleClinicalFormChange} placeholder="e.g., E11.9" />
+            <label>Onset Date *</label>
+            <input type="date" name="onsetDate" value={form.onsetDate} onChange={handleClinicalFormChange} />
+            <label>Status</label>
+            <select name="status" value={form.status} onChange={handleClinicalFormChange}>
+              {PROBLEM_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+            {form.status === 'resolved' && (
+              <>
+                <label>Resolved Date</label>
+                <input type="date" name="resolvedDate" value={form.resolvedDate} onChange={handleClinicalFormChange} />
+              </>
+            )}
+            <label>Notes</label>
+            <textarea name="notes" value={form.notes} onChange={handleClinicalFormChange} rows="2" />
+          </>
+        )}
+
+        {section === 'medications' && (
+          <>
+            <label>Medication *</label>
+            <input name="name" value={form.name} onChange={handleClinicalFormChange} placeholder="e.g., Metformin" />
+            <label>Dose *</label>
+            <input name="dose" value={form.dose} onChange={handleClinicalFormChange} placeholder="e.g., 500 mg" />
+            <label>Route</label>
+            <select name="route" value={form.route} onChange={handleClinicalFormChange}>
+              {MEDICATION_ROUTES.map((r) => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <label>Schedule *</label>
+            <input name="schedule" value={form.schedule} onChange={handleClinicalFormChange} placeholder="e.g., Twice daily 08:00, 20:00" />
+            <div className="clinical-row">
+              <div>
+                <label>Start Date</label>
+                <input type="date" name="startDate" value={form.startDate} onChange={handleClinicalFormChange} />
+              </div>
+              <div>
+                <label>End Date</label>
+                <input type="date" name="endDate" value={form.endDate} onChange={handleClinicalFormChange} />
+              </div>
+            </div>
+            <label>Status</label>
+            <select name="status" value={form.status} onChange={handleClinicalFormChange}>
+              {MEDICATION_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </>
+        )}
+
+        {section === 'vitals' && (
+          <>
+            <label>Taken At *</label>
+            <input type="datetime-local" name="takenAt" value={form.takenAt} onChange={handleClinicalFormChange} />
+            <div className="clinical-grid">
+              {VITAL_FIELDS.map((f) => (
+                <div key={f.name}>
+                  <label>{f.label} ({f.unit})</label>
+                  <input type="number" step="any" name={f.name} value={form[f.name]} onChange={handleClinicalFormChange} />
+                </div>
+              ))}
+            </div>
+            <label>Notes</label>
+            <textarea name="notes" value={form.notes} onChange={handleClinicalFormChange} rows="2" />
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button onClick={handleSubmit}>Save</button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClinicalRecord;
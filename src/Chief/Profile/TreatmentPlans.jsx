@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import '../Users/Users.css';
+import {
+  subscribeToTreatmentPlans,
+  subscribeToWebAppointments,
+  createTreatmentPlan,
+  scheduleTreatmentCycles,
+  updateTreatmentPlanStatus,
+} from '../../services/firestoreService';
+import { computePlanProgress, formatDateISO } from '../../services/treatmentPlans';
+import { matchesStaffId, staffRefId } from '../../services/staffScope';
+
+/**
+ * Oncology treatment plans of a patient.
+ * Shows each plan's regimen, cycle progress and delayed cycles, and lets
+ * permitted roles create a plan (which schedules one appointment per cycle).
+ * @param {Object} props - Component props
+ * @param {Object} props.patient - Patient document
+ * @param {Array} props.doctors - Doctors for the plan's doctor selection
+ * @param {boolean} props.canCreate - Whether the active role can create plans
+ * @param {boolean} props.canUpdate - Whether the active role can update plans
+ * @returns {JSX.Element} Treatment plans card
+ */
+const TreatmentPlans = ({ patient, doctors, canCreate, canUpdate }) => {
+  const [plans, setPlans] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [showCreate, setShowCreate] = useState(false);
+  const [busyPlanId, setBusyPlanId] = useState(null);
+
+  // Subscribe to this patient's plans and to their cycle appointments
+  useEffect(() => {
+    const unsubs = [
+      subscribeToTreatmentPlans(setPlans, { patientId: patient.id }),
+      subscribeToWebAppointments((data) => {
+        setAppointments(data.filter((a) => a.treatmentPlanId && a.patientId === patient.id));
+      }),
+    ];
+    return () => unsubs.forEach((u) => u());
+  }, [patient.id]);
+
+  /**
+   * Creates a plan and reports cycles that could not be scheduled.
+   * The service resolves the doctor and stores their canonical id.
+   * @param {Object} form - Plan form values
+   */
+  const handleCreate = async (form) => {
+    try {
+      const { unscheduledCycles } = await createTreatmentPlan({
+        ...form,
+        patientId: patient.id,
+        patientName: patient.name,
+      });
+      setShowCreate(false);
+      if (unscheduledCycles.length) {
+        alert(`${unscheduledCycles.length} cycle(s) could not be scheduled. Check the doctor's work schedule.`);
+      }
+    } catch (error) {
+      alert(`Error creating treatment plan: ${error.message}`);
+    }
+  };
+
+  /**
+   * Runs a plan action while disabling that plan's buttons.
+   * @param {string} planId - Plan ID
+   * @param {Function} action - Async action
+   */
+  const runPlanAction = async (planId, action) => {
+    setBusyPlanId(planId);
+    try {
+      await action();
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    } finally {
+      setBusyPlanId(null);
+    }
+  };
+
+  /**
+   * Schedules the cycles that have no appointment yet.
+   * @param {Object} plan - Treatment plan
+   */
+  const handleScheduleMissing = (plan) => runPlanAction(plan.id, async () => {
+    const unscheduled = await scheduleTreatmentCycles(plan.id);
+    if (unscheduled.length) {
+      alert(`${unscheduled.length} cycle(s) still have no available slot.`);
+    }
+  });
+
+  /**
+   * Cancels a plan and its upcoming cycle appointments after confirmation.
+   * @param {Object} plan - Treatment plan
+   */
+  const handleCancel = (plan) => {
+    if (!window.confirm(`Cancel "${plan.regimen}"? Upcoming cycle appointments will be cancelled.`)) return;
+    runPlanAction(plan.id, () => updateTreatmentPlanStatus(plan.id, 'cancelled'));
+  };
+
+  const today = formatDateISO(new Date());
+
+  return (
+    <div className="profile-card">
+      <div className="clinical-head">
+        <h2>Treatment Plans</h2>
+        {canCreate && (
+          <button className="clinical-add-btn" onClick={() => setShowCreate(true)}>
+            + New Treatment Plan
+          </button>
+        )}
+      </div>
+
+      {plans.length === 0 && <p className="empty-text">No treatment plans.</p>}
+
+      {plans.map((plan) => {
+        const progress = computePlanProgress(plan, appointments, today);
+        const percent = progress.total ? Math.round((progress.completed / progress.total) * 100) : 0;
+        const missing = progress.cycles.filter((c) => c.status === 'unscheduled').length;
+
+        return (
+          <div key={plan.id} className="plan-item">
+            <div className="plan-head">
+              <div>
+                <strong>{plan.regimen}</strong>
+                <span className={`plan-status ${plan.status}`}>{plan.status}</span>
+                <div className="plan-meta">
+                  {plan.cycles} cycles every {plan.intervalDays} days from {plan.startDate}
+                  {plan.doctorName && ` · Dr. ${plan.doctorName}`}
+                </div>
+              </div>
+              {canUpdate && plan.status === 'active' && (
+                <div>
+                  {progress.total > 0 && progress.completed === progress.total && (
+                    <button
+                      className="edit-btn"
+                      disabled={busyPlanId === plan.id}
+                      onClick={() => runPlanAction(plan.id, () => updateTreatmentPlanStatus(plan.id, 'completed'))}
+                    >
+                      Mark Completed
+                    </button>
+                  )}
+                  {missing > 0 && (
+                    <button className="edit-btn" disabled={busyPlanId === plan.id} onClick={() => handleScheduleMissing(plan)}>
+                      Schedule missing cycles
+                    </button>
+                  )}
+                  <button className="delete-btn" disabled={busyPlanId === plan.id} onClick={() => handleCancel(plan)}>
+                    Cancel Plan
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="plan-progress">
+              <div className="plan-progress-bar" style={{ width: `${percent}%` }} />
+            </div>
+            <div className="plan-meta">
+              {progress.completed}/{progress.total} cycles completed
+              {progress.next && ` · Next: cycle ${progress.next.cycle} on ${progress.next.date} ${progress.next.time}`}
+            </div>
+
+            {progress.delayed.length > 0 && (
+              <p className="plan-delayed">
+                Delayed: {progress.delayed.map((c) => (
+                  c.status === 'unscheduled'
+                    ? `cycle ${c.cycle} (not scheduled)`
+                    : c.status === 'overdue'
+                      ? `cycle ${c.cycle} (overdue since ${c.date})`
+                      : `cycle ${c.cycle} (+${c.delayDays}d)`
+                )).join(', ')}
+              </p>
+            )}
+
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Cycle</th>
+                    <th>Planned</th>
+                    <th>Scheduled</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {progress.cycles.map((c) => (
+                    <tr key={c.cycle} className={c.delayed ? 'plan-row-delayed' : ''}>
+                      <td>{c.cycle}</td>
+                      <td>{c.plannedDate}</td>
+                      <td>{c.date ? `${c.date} ${c.time}` : '-'}</td>
+                      <td>{c.status}{c.delayDays > 0 && ` (+${c.delayDays}d)`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+
+      {showCreate && (
+        <TreatmentPlanModal
+          doctors={doctors}
+          defaultDoctorId={staffRefId(doctors.find((d) => matchesStaffId(patient.assignedDoctorId || patient.doctorId, d))) || ''}
+          onSave={handleCreate}
+          onClose={() => setShowCreate(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Modal for creating a treatment plan.
+ * @param {Object} props - Component props
+ * @param {Array} props.doctors - Doctors to choose from
+ * @param {string} props.defaultDoctorId - Canonical id (uid or document id) of the patient's assigned doctor
+ * @param {Function} props.onSave - Callback with the form values
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Plan form modal
+ */
+const TreatmentPlanModal = ({ doctors, defaultDoctorId, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    regimen: '',
+    doctorId: defaultDoctorId,
+    cycles: 6,
+    intervalDays: 21,
+    startDate: formatDateISO(new Date()),
+    preferredTime: '',
+    notes: '',
+  });
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Handles form field changes.
+   * @param {Event} e - Input change event
+   */
+  const handlePlanFormChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  /**
+   * Submits the plan (validated by the service).
+   */
+  const handleSubmit = async () => {
+    setSaving(true);
+    try {
+      await onSave({ ...form, cycles: Number(form.cycles), intervalDays: Number(form.intervalDays) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal clinical-modal">
+        <h2>New Treatment Plan</h2>
+        <label>Regimen *</label>
+        <input name="regimen" value={form.regimen} onChange={handlePlanFormChange} placeholder="e.g., AC-T, FOLFOX" />
+        <label>Doctor *</label>
+        <select name="doctorId" value={form.doctorId} onChange={handlePlanFormChange}>
+          <option value="">Select Doctor</option>
+          {doctors.map((d) => <option key={d.id} value={staffRefId(d)}>{d.name}</option>)}
+        </select>
+        <div className="clinical-row">
+          <div>
+            <label>Cycles *</label>
+            <input type="number" min="1" max="52" name="cycles" value={form.cycles} onChange={handlePlanFormChange} />
+          </div>
+          <div>
+            <label>Interval (days) *</label>
+            <input type="number" min="1" max="365" name="intervalDays" value={form.intervalDays} onChange={handlePlanFormChange} />
+          </div>
+        </div>
+        <div className="clinical-row">
+          <div>
+            <label>Start Date *</label>
+            <input type="date" name="startDate" value={form.startDate} onChange={handlePlanFormChange} />
+          </div>
+          <div>
+            <label>Preferred Time</label>
+            <input type="time" name="preferredTime" value={form.preferredTime} onChange={handlePlanFormChange} />
+          </div>
+        </div>
+        <label>Notes</label>
+        <textarea name="notes" value={form.notes} onChange={handlePlanFormChange} rows="2" />
+        <p className="plan-meta">
+          One appointment is booked per cycle in the doctor's working slots. Cycles with no free slot
+          within a week of the planned date are flagged as delayed.
+        </p>
+        <div className="modal-actions">
+          <button onClick={handleSubmit} disabled={saving}>{saving ? 'Scheduling...' : 'Create Plan'}</button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TreatmentPlans;
@@ -1,14 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import './UserProfile.css';
-import { subscribeToPatients, subscribeToDoctors, subscribeToNurses, updatePatient } from '../../services/firestoreService';
+import {
+  subscribeToPatients, subscribeToDoctors, subscribeToNurses, subscribeToStaffStats, subscribeToHolidays,
+  updatePatient, updateDoctorSchedule
+} from '../../services/firestoreService';
+import { useAuth } from '../../context/AuthContext';
+import { can } from '../../config/permissions';
+import { findStaffProfile } from '../../services/staffScope';
+import { validateSchedule } from '../../services/doctorSchedule';
+import ClinicalRecord from './ClinicalRecord';
+import TreatmentPlans from './TreatmentPlans';
+import ScheduleEditor, { editableSchedule } from '../../components/ScheduleEditor';
 
-/**
- * User Profile detail page component.
- * Displays comprehensive information about a specific user (Patient, Doctor, or Nurse).
- * For patients, shows medical records, doctor assignment, and allows adding notes.
- * @returns {JSX.Element} Detailed user profile view
- */
 /**
  * Calculates age from a date of birth string.
  */
@@ -23,10 +27,21 @@ const calculateAge = (dob) => {
   return a;
 };
 
-const UserProfile = () => {
+/**
+ * User Profile detail page component.
+ * Displays comprehensive information about a specific user (Patient, Doctor, or Nurse).
+ * For patients, shows medical records, doctor assignment, and allows adding notes.
+ * The doctor and nurse portals pass their assigned-patient scope, so other
+ * patients' profiles are not shown there even when opened by URL.
+ * @param {Object} props - Component props
+ * @param {Function} [props.scope] - Patient predicate; patients outside it are not shown
+ * @returns {JSX.Element} Detailed user profile view
+ */
+const UserProfile = ({ scope = null }) => {
   const { state } = useLocation();
   const { id } = useParams();
   const navigate = useNavigate();
+  const { activeRole, currentUser } = useAuth();
 
   const [user, setUser] = useState(state?.user || null);
   const [doctors, setDoctors] = useState([]);
@@ -43,6 +58,8 @@ const UserProfile = () => {
 
   const [newNote, setNewNote] = useState('');
 
+  const [staffStats, setStaffStats] = useState(null);
+
   // Load user data from Firebase if not provided in state
   useEffect(() => {
     if (user) {
@@ -96,6 +113,14 @@ const UserProfile = () => {
     }
   }, [user]);
 
+  // Live statistics for doctor / nurse profiles
+  const isStaff = user?.role === 'Doctor' || user?.role === 'Nurse';
+  useEffect(() => {
+    if (!isStaff) return;
+    const unsubscribe = subscribeToStaffStats(setStaffStats);
+    return () => unsubscribe();
+  }, [isStaff]);
+
   /* ---------------- GUARD ---------------- */
   if (loading) {
     return (
@@ -114,6 +139,16 @@ const UserProfile = () => {
     );
   }
 
+  // بوابة الطبيب / الممرضة: ملفات المرضى المسندين فقط
+  if (scope && user.role === 'Patient' && !scope(user)) {
+    return (
+      <div className="profile-page">
+        <p>This patient is not assigned to you.</p>
+        <button onClick={() => navigate(-1)}>Go Back</button>
+      </div>
+    );
+  }
+
   /* ---------------- HELPERS ---------------- */
   /**
    * Adds a new note to the patient's medical records - saves to Firebase.
@@ -224,6 +259,22 @@ const UserProfile = () => {
         </div>
       </div>
 
+      {/* Statistics (derived from patients, appointments and lab orders) */}
+      {isStaff && (
+        <StaffStatsCard
+          stats={user.role === 'Doctor' ? staffStats?.doctors[user.id] : staffStats?.nurses[user.id]}
+          role={user.role}
+        />
+      )}
+
+      {/* Work Schedule (editable by doctor managers and by the doctor themselves) */}
+      {user.role === 'Doctor' && (
+        <WorkScheduleCard
+          doctor={user}
+          canEdit={can(activeRole, 'update', 'doctors') || !!findStaffProfile([user], currentUser)}
+        />
+      )}
+
       {/* Doctor in Charge (editable by admin only) */}
       {user.role === 'Patient' && (
         <div className="profile-card">
@@ -269,6 +320,21 @@ const UserProfile = () => {
         </div>
       )}
 
+      {/* Clinical Record: allergies, problems, medications, vitals */}
+      {user.role === 'Patient' && (
+        <ClinicalRecord patient={user} canEdit={can(activeRole, 'update', 'patients')} />
+      )}
+
+      {/* Treatment Plans: cycle progress and delays */}
+      {user.role === 'Patient' && (
+        <TreatmentPlans
+          patient={user}
+          doctors={doctors}
+          canCreate={can(activeRole, 'create', 'treatment_plans')}
+          canUpdate={can(activeRole, 'update', 'treatment_plans')}
+        />
+      )}
+
       {/* Chief Notes */}
       {user.role === 'Patient' && (
         <div className="profile-card">
@@ -316,6 +382,79 @@ const UserProfile = () => {
  * @param {string|number} props.value - Value to display
  * @returns {JSX.Element} Info item display
  */
+// Info hides falsy values, so counts are passed as strings (0 -> "0")
+const formatStat = (value) => (value === undefined ? '-' : String(value));
+
+/**
+ * Statistics card of a doctor or nurse profile.
+ * @param {Object} props - Component props
+ * @param {Object|undefined} props.stats - Stats from subscribeToStaffStats (undefined while loading)
+ * @param {string} props.role - 'Doctor' or 'Nurse'
+ * @returns {JSX.Element} Statistics card
+ */
+const StaffStatsCard = ({ stats, role }) => (
+  <div className="profile-card">
+    <h2>Statistics</h2>
+    <div className="info-grid">
+      <Info label="Assigned Patients" value={formatStat(stats?.assignedPatients)} />
+      <Info label="Active Patients" value={formatStat(stats?.activePatients)} />
+      {role === 'Doctor' && (
+        <>
+          <Info label="Appointments Today" value={formatStat(stats?.appointmentsToday)} />
+          <Info label="Pending Lab Tests" value={formatStat(stats?.pendingLabTests)} />
+        </>
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Work schedule card of a doctor profile: weekly template, date changes,
+ * leave and upcoming hospital holidays, saved with updateDoctorSchedule.
+ * @param {Object} props - Component props
+ * @param {Object} props.doctor - Doctor document
+ * @param {boolean} props.canEdit - Whether the schedule can be changed
+ * @returns {JSX.Element} Work schedule card
+ */
+const WorkScheduleCard = ({ doctor, canEdit }) => {
+  const [schedule, setSchedule] = useState(() => editableSchedule(doctor));
+  const [holidays, setHolidays] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToHolidays(setHolidays);
+    return () => unsubscribe();
+  }, []);
+
+  const handleSaveSchedule = async () => {
+    const invalid = validateSchedule(schedule);
+    if (invalid) return alert(invalid);
+
+    setSaving(true);
+    try {
+      await updateDoctorSchedule(doctor.id, schedule);
+      alert('Work schedule saved.');
+    } catch (error) {
+      console.error('Error saving work schedule:', error);
+      alert(`Error saving work schedule: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="profile-card">
+      <h2>Work Schedule</h2>
+      <ScheduleEditor value={schedule} onChange={setSchedule} holidays={holidays} readOnly={!canEdit} />
+      {canEdit && (
+        <button className="save-btn" onClick={handleSaveSchedule} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Schedule'}
+        </button>
+      )}
+    </div>
+  );
+};
+
 const Info = ({ label, value }) => (
   <div className="info-item">
     <span>{label}</span>
@@ -0,0 +1,466 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import './Users.css';
+import './Directory.css';
+import {
+  subscribeToDirectory,
+  linkProfile,
+  unlinkProfile,
+  addUserRole,
+  clearUserProfileLink,
+  ISSUE_TYPES,
+  PROFILE_ROLES
+} from '../../services/userDirectory';
+import { provisionUser } from '../../services/provisioningService';
+import { deleteDoctor, deleteNurse, deletePatient } from '../../services/firestoreService';
+
+/**
+ * Display labels for each directory issue type.
+ */
+const ISSUE_LABELS = {
+  [ISSUE_TYPES.UNLINKED_PROFILE]: 'No login account',
+  [ISSUE_TYPES.SYNTHETIC_UID]: 'Generated ID',
+  [ISSUE_TYPES.MISSING_USER]: 'Account not found',
+  [ISSUE_TYPES.ROLE_MISMATCH]: 'Role missing',
+  [ISSUE_TYPES.DUPLICATE_LINK]: 'Duplicate link',
+  [ISSUE_TYPES.DUPLICATE_EMAIL]: 'Duplicate email',
+  [ISSUE_TYPES.DANGLING_USER_LINK]: 'Broken link',
+  [ISSUE_TYPES.USER_WITHOUT_PROFILE]: 'No profile'
+};
+
+const DELETE_PROFILE = {
+  doctors: deleteDoctor,
+  nurses: deleteNurse,
+  patients: deletePatient
+};
+
+// أنواع المشاكل التي تُحل بربط الملف بحساب
+const LINKABLE_ISSUES = [ISSUE_TYPES.UNLINKED_PROFILE, ISSUE_TYPES.SYNTHETIC_UID, ISSUE_TYPES.MISSING_USER];
+
+/**
+ * User directory page for admins.
+ * Lists login accounts with their linked doctor/nurse/patient profiles and
+ * flags orphaned or duplicate records, with actions to resolve each one
+ * (link, unlink, create account, add role, remove duplicate).
+ * @returns {JSX.Element} User directory interface
+ */
+const Directory = () => {
+  const navigate = useNavigate();
+
+  const [loading, setLoading] = useState(true);
+  const [directory, setDirectory] = useState({ entries: [], issues: [], profiles: [] });
+  const [issueFilter, setIssueFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [modal, setModal] = useState({ type: '', issue: null });
+
+  // الاشتراك في الدليل (users + doctors + nurses + patients)
+  useEffect(() => {
+    const unsubscribe = subscribeToDirectory((data) => {
+      setDirectory(data);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  const { entries, issues, profiles } = directory;
+
+  const filteredIssues = issueFilter === 'all' ? issues : issues.filter((i) => i.type === issueFilter);
+
+  const filteredEntries = entries.filter(({ user }) =>
+    (user.name || '').toLowerCase().includes(search.toLowerCase()) ||
+    (user.email || '').toLowerCase().includes(search.toLowerCase())
+  );
+
+  const closeModal = () => setModal({ type: '', issue: null });
+
+  /**
+   * Runs a resolve action and reports errors to the admin.
+   * @param {Function} action - Async action to run
+   */
+  const runAction = async (action) => {
+    try {
+      await action();
+      closeModal();
+    } catch (error) {
+      console.error('Error resolving directory issue:', error);
+      alert(`Error resolving issue: ${error.message}`);
+    }
+  };
+
+  /**
+   * Creates a login account for a profile that has none and links it.
+   * @param {Object} profile - Profile with collection, id, name and email
+   */
+  const handleCreateAccount = (profile) => runAction(async () => {
+    const { uid } = await provisionUser({
+      email: profile.email,
+      name: profile.name,
+      roles: [PROFILE_ROLES[profile.collection]],
+      profileCollection: profile.collection
+    });
+    await linkProfile(profile.collection, profile.id, uid);
+  });
+
+  /**
+   * Archives a duplicate profile after asking for a reason.
+   * @param {Object} profile - Profile to archive
+   */
+  const handleDeleteProfile = (profile) => {
+    const reason = window.prompt(`Reason for archiving ${profile.name || profile.id} from ${profile.collection}:`, 'Duplicate profile');
+    if (!reason || !reason.trim()) return;
+    runAction(() => DELETE_PROFILE[profile.collection](profile.id, reason.trim()));
+  };
+
+  /**
+   * Describes the record an issue refers to.
+   * @param {Object} issue - Directory issue
+   * @returns {string} Record description
+   */
+  const describeRecord = (issue) => {
+    if (issue.profile) return `${issue.profile.name || issue.profile.id} (${issue.profile.collection})`;
+    if (issue.duplicates) return `${issue.duplicates.length} ${issue.collection}`;
+    return `${issue.user.name || issue.user.email} (account)`;
+  };
+
+  /**
+   * Describes the details of an issue.
+   * @param {Object} issue - Directory issue
+   * @returns {string} Issue details
+   */
+  const describeDetails = (issue) => {
+    switch (issue.type) {
+      case ISSUE_TYPES.SYNTHETIC_UID:
+      case ISSUE_TYPES.MISSING_USER:
+        return `uid: ${issue.profile.uid}`;
+      case ISSUE_TYPES.ROLE_MISMATCH:
+        return `${issue.user.email} has no "${PROFILE_ROLES[issue.profile.collection]}" role`;
+      case ISSUE_TYPES.DUPLICATE_LINK:
+        return `Linked to ${issue.user?.email || issue.duplicates[0].uid}`;
+      case ISSUE_TYPES.DUPLICATE_EMAIL:
+        return issue.duplicates[0].email;
+      case ISSUE_TYPES.DANGLING_USER_LINK:
+        return `Points to ${issue.user.profile.collection}/${issue.user.profile.id}`;
+      case ISSUE_TYPES.USER_WITHOUT_PROFILE:
+        return `No ${issue.collection} profile for ${issue.user.email}`;
+      default:
+        return issue.profile?.email || '';
+    }
+  };
+
+  /**
+   * Renders the resolve actions available for an issue.
+   * @param {Object} issue - Directory issue
+   * @returns {JSX.Element} Action buttons
+   */
+  const renderActions = (issue) => {
+    if (LINKABLE_ISSUES.includes(issue.type)) {
+      return (
+        <>
+          <button className="edit-btn" onClick={() => setModal({ type: 'link', issue })}>Link</button>
+          {issue.profile.email && !issue.suggestedUser && (
+            <button className="view-btn" onClick={() => handleCreateAccount(issue.profile)}>Create Account</button>
+          )}
+        </>
+      );
+    }
+
+    switch (issue.type) {
+      case ISSUE_TYPES.ROLE_MISMATCH:
+        return (
+          <>
+            <button
+              className="edit-btn"
+              onClick={() => runAction(() => addUserRole(issue.user.id, PROFILE_ROLES[issue.profile.collection]))}
+            >
+              Add Role
+            </button>
+            <button className="delete-btn" onClick={() => runAction(() => unlinkProfile(issue.profile.collection, issue.profile.id))}>
+              Unlink
+            </button>
+          </>
+        );
+      case ISSUE_TYPES.DUPLICATE_LINK:
+      case ISSUE_TYPES.DUPLICATE_EMAIL:
+        return <button className="edit-btn" onClick={() => setModal({ type: 'duplicates', issue })}>Resolve</button>;
+      case ISSUE_TYPES.DANGLING_USER_LINK:
+        return (
+          <button className="delete-btn" onClick={() => runAction(() => clearUserProfileLink(issue.user.id))}>
+            Clear Link
+          </button>
+        );
+      case ISSUE_TYPES.USER_WITHOUT_PROFILE:
+        return <button className="edit-btn" onClick={() => setModal({ type: 'attach', issue })}>Link Profile</button>;
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="users-page">
+      {/* Header */}
+      <div className="users-header">
+        <h1>User Directory</h1>
+        <p>Link login accounts to doctor, nurse and patient profiles and resolve orphaned or duplicate records.</p>
+      </div>
+
+      {/* Dashboard Cards */}
+      <div className="users-cards">
+        <div className="users-card">
+          <h3>Accounts</h3>
+          <span>{entries.length}</span>
+        </div>
+        <div className="users-card">
+          <h3>Linked Profiles</h3>
+          <span>{entries.reduce((sum, e) => sum + e.profiles.length, 0)}</span>
+        </div>
+        <div className="users-card">
+          <h3>Profiles</h3>
+          <span>{profiles.length}</span>
+        </div>
+        <div className="users-card">
+          <h3>Issues</h3>
+          <span>{issues.length}</span>
+        </div>
+      </div>
+
+      {/* Issues */}
+      <div className="directory-section-header">
+        <h2>Issues</h2>
+        <select value={issueFilter} onChange={(e) => setIssueFilter(e.target.value)}>
+          <option value="all">All issues</option>
+          {Object.entries(ISSUE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Issue</th>
+              <th>Record</th>
+              <th>Details</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="4" className="empty-state">Loading directory...</td>
+              </tr>
+            ) : filteredIssues.length > 0 ? (
+              filteredIssues.map((issue) => (
+                <tr key={issue.id}>
+                  <td>
+                    <span className={`directory-issue ${issue.type}`}>{ISSUE_LABELS[issue.type]}</span>
+                  </td>
+                  <td>{describeRecord(issue)}</td>
+                  <td>{describeDetails(issue)}</td>
+                  <td className="table-actions">{renderActions(issue)}</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="4" className="empty-state">No issues found</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Accounts */}
+      <div className="directory-section-header">
+        <h2>Accounts</h2>
+      </div>
+      <div className="users-actions">
+        <input
+          type="text"
+          placeholder="Search by name or email"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </div>
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Roles</th>
+              <th>Linked Profiles</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredEntries.length > 0 ? (
+              filteredEntries.map(({ user, profiles: linked }) => (
+                <tr key={user.id}>
+                  <td>{user.name || '-'}</td>
+                  <td>{user.email || '-'}</td>
+                  <td>{(user.roles || []).join(', ') || '-'}</td>
+                  <td>
+                    {linked.length > 0 ? linked.map((p) => (
+                      <button
+                        key={`${p.collection}/${p.id}`}
+                        className="view-btn"
+                        onClick={() => navigate(`/users/${p.id}`)}
+                      >
+                        {p.name || p.id} ({p.collection})
+                      </button>
+                    )) : '-'}
+                  </td>
+                  <td>
+                    <span className={`status ${user.disabled ? 'discharged' : 'active'}`}>
+                      {user.disabled ? 'Disabled' : 'Active'}
+                    </span>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="5" className="empty-state">
+                  {loading ? 'Loading accounts...' : 'No accounts found'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Modals */}
+      {modal.type === 'link' && (
+        <LinkAccountModal
+          issue={modal.issue}
+          users={entries.map((e) => e.user)}
+          onLink={(uid) => runAction(() => linkProfile(modal.issue.profile.collection, modal.issue.profile.id, uid))}
+          onClose={closeModal}
+        />
+      )}
+      {modal.type === 'attach' && (
+        <AttachProfileModal
+          issue={modal.issue}
+          profiles={profiles.filter((p) => p.collection === modal.issue.collection && !entries.some((e) => e.user.id === p.uid))}
+          onLink={(profileId) => runAction(() => linkProfile(modal.issue.collection, profileId, modal.issue.user.id))}
+          onClose={closeModal}
+        />
+      )}
+      {modal.type === 'duplicates' && (
+        <DuplicatesModal
+          issue={modal.issue}
+          onView={(profile) => navigate(`/users/${profile.id}`)}
+          onUnlink={(profile) => runAction(() => unlinkProfile(profile.collection, profile.id))}
+          onDelete={handleDeleteProfile}
+          onClose={closeModal}
+        />
+      )}
+    </div>
+  );
+};
+
+/* ---------------- MODALS ---------------- */
+
+/**
+ * Modal for linking a profile to an existing login account.
+ * Preselects the account whose email matches the profile.
+ * @param {Object} props - Component props
+ * @param {Object} props.issue - Issue with the profile to link
+ * @param {Array} props.users - Available login accounts
+ * @param {Function} props.onLink - Callback with the selected uid
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Link account modal
+ */
+const LinkAccountModal = ({ issue, users, onLink, onClose }) => {
+  const [uid, setUid] = useState(issue.suggestedUser?.id || '');
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <h2>Link {issue.profile.name || issue.profile.id}</h2>
+        {issue.suggestedUser && <p>Suggested by email: {issue.suggestedUser.email}</p>}
+        <select value={uid} onChange={(e) => setUid(e.target.value)}>
+          <option value="">Select account</option>
+          {users.map((u) => (
+            <option key={u.id} value={u.id}>{u.name || u.email} ({u.email})</option>
+          ))}
+        </select>
+        <div className="modal-actions">
+          <button onClick={() => uid && onLink(uid)} disabled={!uid}>Link</button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Modal for attaching an unlinked profile to an account that has the role but no profile.
+ * @param {Object} props - Component props
+ * @param {Object} props.issue - Issue with the account and profile collection
+ * @param {Array} props.profiles - Profiles in that collection without a valid account
+ * @param {Function} props.onLink - Callback with the selected profile id
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Attach profile modal
+ */
+const AttachProfileModal = ({ issue, profiles, onLink, onClose }) => {
+  const match = profiles.find((p) => (p.email || '').toLowerCase() === (issue.user.email || '').toLowerCase());
+  const [profileId, setProfileId] = useState(match?.id || '');
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <h2>Link {issue.collection} profile to {issue.user.name || issue.user.email}</h2>
+        <select value={profileId} onChange={(e) => setProfileId(e.target.value)}>
+          <option value="">Select profile</option>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>{p.name || p.id} {p.email ? `(${p.email})` : ''}</option>
+          ))}
+        </select>
+        {profiles.length === 0 && <p>No unlinked {issue.collection} profiles available.</p>}
+        <div className="modal-actions">
+          <button onClick={() => profileId && onLink(profileId)} disabled={!profileId}>Link</button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Modal listing duplicate profiles with actions to keep one.
+ * @param {Object} props - Component props
+ * @param {Object} props.issue - Duplicate issue
+ * @param {Function} props.onView - Opens a profile
+ * @param {Function} props.onUnlink - Unlinks a profile from its account
+ * @param {Function} props.onDelete - Deletes a profile
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Duplicates modal
+ */
+const DuplicatesModal = ({ issue, onView, onUnlink, onDelete, onClose }) => (
+  <div className="modal-overlay">
+    <div className="modal">
+      <h2>Duplicate {issue.collection}</h2>
+      <p>Keep one record and unlink or delete the others.</p>
+      <ul className="directory-duplicates">
+        {issue.duplicates.map((p) => (
+          <li key={p.id}>
+            <div>
+              <strong>{p.name || p.id}</strong>
+              <span>{p.email || '-'} · {p.uid || 'no account'}</span>
+            </div>
+            <div className="table-actions">
+              <button className="view-btn" onClick={() => onView(p)}>View</button>
+              {p.uid && <button className="edit-btn" onClick={() => onUnlink(p)}>Unlink</button>}
+              <button className="delete-btn" onClick={() => onDelete(p)}>Archive</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="modal-actions">
+        <button onClick={onClose}>Close</button>
+      </div>
+    </div>
+  </div>
+);
+
+export default Directory;
@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import './Users.css';
-import { subscribeToDoctors, createDoctor, updateDoctor, deleteDoctor } from '../../services/firestoreService';
+import {
+  subscribeToDoctors, subscribeToStaffStats, subscribeToHolidays, createDoctor, updateDoctor, deleteDoctor, restoreDoc,
+  createHoliday, deleteHoliday
+} from '../../services/firestoreService';
+import { excludeArchived, onlyArchived } from '../../services/archive';
+import ArchiveModal from '../../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../../components/ArchiveToggle';
+import ScheduleEditor, { editableSchedule } from '../../components/ScheduleEditor';
+import { formatDateISO } from '../../services/treatmentPlans';
 
 /**
  * Doctors management page for Chief/Admin.
@@ -14,32 +22,50 @@ const Doctors = () => {
 
   const [search, setSearch] = useState('');
   const [loading, setLoading] = useState(true);
-  const [doctors, setDoctors] = useState([]);
+  const [allDoctors, setAllDoctors] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
   const [modal, setModal] = useState({ type: '', doctor: null });
+  const [staffStats, setStaffStats] = useState({ doctors: {}, nurses: {} });
+  const [holidays, setHolidays] = useState([]);
 
-  // Subscribe to Firebase doctors collection
+  // Subscribe to Firebase doctors collection (including archived for the Archived view)
   useEffect(() => {
     const unsubscribe = subscribeToDoctors((doctorsData) => {
-      setDoctors(doctorsData);
+      setAllDoctors(doctorsData);
       setLoading(false);
-    });
+    }, { includeArchived: true });
 
     return () => unsubscribe();
   }, []);
 
+  // Per-doctor statistics, derived live from patients, appointments and lab orders
+  useEffect(() => {
+    const unsubscribe = subscribeToStaffStats(setStaffStats);
+    return () => unsubscribe();
+  }, []);
+
+  // Hospital holidays - no appointments are booked on these dates
+  useEffect(() => {
+    const unsubscribe = subscribeToHolidays(setHolidays);
+    return () => unsubscribe();
+  }, []);
+
+  const doctors = excludeArchived(allDoctors, 'doctors');
+  const archivedDoctors = onlyArchived(allDoctors, 'doctors');
+
   /**
-   * Filters doctors based on search query (matches name or ID).
+   * Filters the active or archived doctors based on search query (matches name or ID).
    * @type {Array}
    */
-  const filteredDoctors = doctors.filter(
+  const filteredDoctors = (showArchived ? archivedDoctors : doctors).filter(
     (d) =>
       d.name.toLowerCase().includes(search.toLowerCase()) ||
       d.id.toLowerCase().includes(search.toLowerCase())
   );
 
   /**
-   * Opens a modal dialog for doctor operations (edit or delete).
-   * @param {string} type - Modal type: 'edit' or 'delete'
+   * Opens a modal dialog for doctor operations (edit, delete or holidays).
+   * @param {string} type - Modal type: 'edit', 'delete' or 'holidays'
    * @param {Object|null} doctor - Doctor data (null for add operation)
    */
   const openChiefDoctorModal = (type, doctor = null) => {
@@ -54,16 +80,12 @@ const Doctors = () => {
    */
   const handleEditDoctor = async (updatedDoctor) => {
     try {
-      const { id, email, password, ...updateData } = updatedDoctor;
+      const { id, email, ...updateData } = updatedDoctor;
       
       if (id && !id.startsWith('D-')) {
         // تحديث طبيب موجود في Firebase
+        // كلمة السر الجديدة (إن وجدت) تُرسل لخدمة إدارة الحسابات
         await updateDoctor(id, updateData);
-        
-        // إذا كان هناك password جديد، نحذر أن التحديث يحتاج Admin SDK
-        if (password && password.trim()) {
-          console.warn('Password update requires admin privileges.');
-        }
       }
     setModal({ type: '', doctor: null });
     } catch (error) {
@@ -73,16 +95,30 @@ const Doctors = () => {
   };
 
   /**
-   * Deletes a doctor - removes from Firebase.
+   * Archives a doctor (soft delete) with a reason.
    * @param {string} id - Doctor ID.
+   * @param {string} reason - Archive reason.
    */
-  const handleDeleteDoctor = async (id) => {
+  const handleDeleteDoctor = async (id, reason) => {
     try {
-      await deleteDoctor(id);
+      await deleteDoctor(id, reason);
     setModal({ type: '', doctor: null });
     } catch (error) {
-      console.error('Error deleting doctor:', error);
-      alert(`Error deleting doctor: ${error.message}`);
+      console.error('Error archiving doctor:', error);
+      alert(`Error archiving doctor: ${error.message}`);
+    }
+  };
+
+  /**
+   * Restores an archived doctor.
+   * @param {string} id - Doctor ID.
+   */
+  const handleRestoreDoctor = async (id) => {
+    try {
+      await restoreDoc('doctors', id);
+    } catch (error) {
+      console.error('Error restoring doctor:', error);
+      alert(`Error restoring doctor: ${error.message}`);
     }
   };
 
@@ -138,6 +174,15 @@ const Doctors = () => {
           value={search}
           onChange={(e) => setSearch(e.target.value)}
         />
+        <ArchiveToggle
+          showArchived={showArchived}
+          onChange={setShowArchived}
+          activeCount={doctors.length}
+          archivedCount={archivedDoctors.length}
+        />
+        <button className="view-btn" onClick={() => openChiefDoctorModal('holidays')}>
+          Holidays ({holidays.filter(h => h.date >= formatDateISO(new Date())).length})
+        </button>
       </div>
       {/* Table */}
       <div className="users-table-wrapper">
@@ -149,6 +194,9 @@ const Doctors = () => {
               <th>Department</th>
               <th>Specialization</th>
               <th>Shift</th>
+              <th>Active Patients</th>
+              <th>Today</th>
+              <th>Pending Labs</th>
               <th>Status</th>
               <th>Actions</th>
             </tr>
@@ -156,7 +204,7 @@ const Doctors = () => {
           <tbody>
             {loading ? (
               <tr>
-                <td colSpan="8" className="empty-state">
+                <td colSpan="10" className="empty-state">
                   Loading doctors...
                 </td>
               </tr>
@@ -174,6 +222,9 @@ const Doctors = () => {
                         : 'No schedule'
                     ) : '—'}
                   </td>
+                  <td>{staffStats.doctors[d.id]?.activePatients ?? 0}</td>
+                  <td>{staffStats.doctors[d.id]?.appointmentsToday ?? 0}</td>
+                  <td>{staffStats.doctors[d.id]?.pendingLabTests ?? 0}</td>
                   <td>
                     <span className={`status ${(d.status || 'Active').toLowerCase()}`}>
                       {d.status || 'Active'}
@@ -188,19 +239,30 @@ const Doctors = () => {
                     >
                       View
                     </button>
-                    <button className="edit-btn" onClick={() => openChiefDoctorModal('edit', d)}>
-                      Edit
-                    </button>
-                    <button className="delete-btn" onClick={() => openChiefDoctorModal('delete', d)}>
-                      Delete
-                    </button>
+                    {showArchived ? (
+                      <>
+                        <span className="archive-info">{formatArchiveInfo(d)}</span>
+                        <button className="restore-btn" onClick={() => handleRestoreDoctor(d.id)}>
+                          Restore
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button className="edit-btn" onClick={() => openChiefDoctorModal('edit', d)}>
+                          Edit
+                        </button>
+                        <button className="delete-btn" onClick={() => openChiefDoctorModal('delete', d)}>
+                          Archive
+                        </button>
+                      </>
+                    )}
                   </td>
                 </tr>
               ))
             ) : (
               <tr>
-                <td colSpan="8" className="empty-state">
-                  No doctors found
+                <td colSpan="10" className="empty-state">
+                  {showArchived ? 'No archived doctors' : 'No doctors found'}
                 </td>
               </tr>
             )}
@@ -210,15 +272,24 @@ const Doctors = () => {
 
       {/* Modals */}
       {modal.type === 'edit' && (
-        <DoctorModal type="Edit" doctor={modal.doctor} onSave={handleEditDoctor} onClose={() => openChiefDoctorModal('', null)} />
+        <DoctorModal
+          type="Edit"
+          doctor={modal.doctor}
+          holidays={holidays}
+          onSave={handleEditDoctor}
+          onClose={() => openChiefDoctorModal('', null)}
+        />
       )}
       {modal.type === 'delete' && (
         <DeleteModal
           doctor={modal.doctor}
-          onDelete={() => handleDeleteDoctor(modal.doctor.id)}
+          onDelete={(reason) => handleDeleteDoctor(modal.doctor.id, reason)}
           onClose={() => openChiefDoctorModal('', null)}
         />
       )}
+      {modal.type === 'holidays' && (
+        <HolidaysModal holidays={holidays} onClose={() => openChiefDoctorModal('', null)} />
+      )}
     </div>
   );
 };
@@ -227,28 +298,19 @@ const Doctors = () => {
 
 /**
  * Modal component for editing doctor information.
- * Allows modification of doctor details including department, specialization, shift, and status.
+ * Allows modification of doctor details including department, specialization, status
+ * and the work schedule (weekly template, date changes and leave).
  * @param {Object} props - Component props
  * @param {string} props.type - Modal type: 'Edit'
  * @param {Object} props.doctor - Existing doctor data
+ * @param {Array} props.holidays - Hospital holidays shown in the schedule editor
  * @param {Function} props.onSave - Callback when doctor is saved
  * @param {Function} props.onClose - Callback to close the modal
  * @returns {JSX.Element} Doctor edit form modal
  */
-const DoctorModal = ({ type, doctor = {}, onSave, onClose }) => {
+const DoctorModal = ({ type, doctor = {}, holidays, onSave, onClose }) => {
   const isEdit = !!doctor.id;
   
-  // تهيئة workSchedule
-  const defaultSchedule = {
-    monday: { enabled: true, slots: ['09:00', '09:30', '10:00'] },
-    tuesday: { enabled: true, slots: ['09:00', '09:30', '10:00'] },
-    wednesday: { enabled: true, slots: ['09:00', '09:30', '10:00'] },
-    thursday: { enabled: true, slots: ['09:00', '09:30', '10:00'] },
-    friday: { enabled: false, slots: [] },
-    saturday: { enabled: false, slots: [] },
-    sunday: { enabled: true, slots: ['09:00', '09:30', '10:00'] }
-  };
-  
   const [form, setForm] = useState({
     id: doctor.id || '',
     name: doctor.name || '',
@@ -261,13 +323,9 @@ const DoctorModal = ({ type, doctor = {}, onSave, onClose }) => {
     password: '',
     status: doctor.status || 'Active',
     uid: doctor.uid || '',
-    // Stats
-    activePatients: doctor.stats?.activePatients || 0,
-    appointmentsToday: doctor.stats?.appointmentsToday || 0,
-    pendingLabTests: doctor.stats?.pendingLabTests || 0,
-    // Work Schedule
-    workSchedule: doctor.workSchedule || defaultSchedule,
   });
+  // Work Schedule: workSchedule, scheduleOverrides, leave
+  const [schedule, setSchedule] = useState(() => editableSchedule(doctor));
 
   /**
    * Handles form field changes.
@@ -293,24 +351,9 @@ const DoctorModal = ({ type, doctor = {}, onSave, onClose }) => {
       return alert('Password must be at least 6 characters for new doctors.');
     }
 
-    // إعداد البيانات للحفظ
-    const saveData = {
-      ...form,
-      stats: {
-        activePatients: Number(form.activePatients) || 0,
-        appointmentsToday: Number(form.appointmentsToday) || 0,
-        pendingLabTests: Number(form.pendingLabTests) || 0,
-      },
-      workSchedule: form.workSchedule,
-    };
-    
-    // إزالة الحقول التي لا يجب حفظها
-    const { id, uid, activePatients, appointmentsToday, pendingLabTests, ...rest } = saveData;
-    const finalData = {
-      ...rest,
-      stats: saveData.stats,
-      workSchedule: saveData.workSchedule,
-    };
+    // إزالة الحقول التي لا يجب حفظها (stats مشتقة - راجع staffStats.js)
+    const { id, uid, ...fields } = form;
+    const finalData = { ...fields, ...schedule };
 
     if (isEdit && doctor.id && !doctor.id.startsWith('D-')) {
       // تحديث طبيب موجود
@@ -329,7 +372,7 @@ const DoctorModal = ({ type, doctor = {}, onSave, onClose }) => {
 
   return (
     <div className="modal-overlay">
-      <div className="modal">
+      <div className="modal modal-wide">
         <h2>{type} Doctor</h2>
         {isEdit && <input name="id" value={form.id} disabled placeholder="ID" />}
         <input name="name" value={form.name} onChange={handleChiefDoctorFormChange} placeholder="Full Name *" required />
@@ -350,6 +393,8 @@ const DoctorModal = ({ type, doctor = {}, onSave, onClose }) => {
           <option>Active</option>
           <option>Inactive</option>
         </select>
+        <label>Work Schedule</label>
+        <ScheduleEditor value={schedule} onChange={setSchedule} holidays={holidays} />
         <div className="modal-actions">
           <button onClick={handleSave}>{type}</button>
           <button onClick={onClose}>Cancel</button>
@@ -360,26 +405,85 @@ const DoctorModal = ({ type, doctor = {}, onSave, onClose }) => {
 };
 
 /**
- * Confirmation modal for deleting a doctor.
+ * Confirmation modal for archiving a doctor.
  * @param {Object} props - Component props
- * @param {Object} props.doctor - Doctor to delete
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Object} props.doctor - Doctor to archive
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteModal = ({ doctor, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Doctor</h2>
-      <p>
-        Delete <strong>{doctor.name}</strong>?
-      </p>
-      <div className="modal-actions">
-        <button onClick={onDelete}>Delete</button>
-        <button onClick={onClose}>Cancel</button>
+  <ArchiveModal title="Archive Doctor" onArchive={onDelete} onClose={onClose}>
+    <p>
+      Archive <strong>{doctor.name}</strong>? The doctor can be restored from the Archived view.
+    </p>
+  </ArchiveModal>
+);
+
+/**
+ * Hospital holiday calendar. Holidays close booking for every doctor on that date;
+ * removing one archives it.
+ * @param {Object} props - Component props
+ * @param {Array} props.holidays - Current holidays
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Holidays modal
+ */
+const HolidaysModal = ({ holidays, onClose }) => {
+  const [form, setForm] = useState({ date: '', name: '' });
+  const today = formatDateISO(new Date());
+  const sorted = [...holidays].sort((a, b) => a.date.localeCompare(b.date));
+
+  const handleAddHoliday = async () => {
+    try {
+      await createHoliday(form);
+      setForm({ date: '', name: '' });
+    } catch (error) {
+      console.error('Error creating holiday:', error);
+      alert(`Error creating holiday: ${error.message}`);
+    }
+  };
+
+  /**
+   * Removes (archives) a holiday.
+   * @param {Object} holiday - Holiday to remove
+   */
+  const handleRemoveHoliday = async (holiday) => {
+    try {
+      await deleteHoliday(holiday.id, 'Removed from holiday calendar');
+    } catch (error) {
+      console.error('Error removing holiday:', error);
+      alert(`Error removing holiday: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal modal-wide">
+        <h2>Hospital Holidays</h2>
+        <p className="schedule-empty">No appointments can be booked on these dates.</p>
+        <div className="schedule-row">
+          <input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+          <input
+            style={{ flex: 1 }}
+            placeholder="Holiday name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <button type="button" className="view-btn" onClick={handleAddHoliday}>Add</button>
+        </div>
+        {sorted.length === 0 && <p className="schedule-empty">No holidays yet.</p>}
+        {sorted.map((h) => (
+          <div key={h.id} className={`schedule-item holiday ${h.date < today ? 'past' : ''}`}>
+            <span><strong>{h.date}</strong> · {h.name}</span>
+            <button type="button" onClick={() => handleRemoveHoliday(h)}>×</button>
+          </div>
+        ))}
+        <div className="modal-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
       </div>
     </div>
-  </div>
-);
+  );
+};
 
 export default Doctors;
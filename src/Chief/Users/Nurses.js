@@ -1,12 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import './Users.css';
-import { subscribeToNurses, createNurse, updateNurse, deleteNurse } from '../../services/firestoreService';
+import {
+  subscribeToNurses, subscribeToStaffStats, subscribeToRoster, createNurse, updateNurse, deleteNurse, restoreDoc
+} from '../../services/firestoreService';
+import { excludeArchived, onlyArchived } from '../../services/archive';
+import ArchiveModal from '../../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../../components/ArchiveToggle';
+import NurseRoster from '../../components/NurseRoster';
+import { SHIFTS, shiftKey, onDutyAt, coverageGaps, rosterDepartments } from '../../services/nurseRoster';
+import { formatDateISO } from '../../services/treatmentPlans';
 
 /**
  * Nurses management page for Chief/Admin.
  * Displays list of nurses with search functionality, statistics cards,
- * and CRUD operations. All data is synchronized with Firestore in real-time.
+ * CRUD operations and the weekly roster (who is on duty now and coverage gaps).
+ * All data is synchronized with Firestore in real-time.
  * @returns {JSX.Element} Nurses management interface
  */
 const Nurses = () => {
@@ -14,24 +23,42 @@ const Nurses = () => {
 
   const [search, setSearch] = useState('');
   const [loading, setLoading] = useState(true);
-  const [nurses, setNurses] = useState([]);
+  const [allNurses, setAllNurses] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
   const [modal, setModal] = useState({ type: '', nurse: null });
+  const [staffStats, setStaffStats] = useState({ doctors: {}, nurses: {} });
+  const [roster, setRoster] = useState([]);
 
-  // Subscribe to Firebase nurses collection
+  // Subscribe to Firebase nurses collection (including archived for the Archived view)
   useEffect(() => {
     const unsubscribe = subscribeToNurses((nursesData) => {
-      setNurses(nursesData);
+      setAllNurses(nursesData);
       setLoading(false);
-    });
+    }, { includeArchived: true });
 
     return () => unsubscribe();
   }, []);
 
+  // Per-nurse statistics, derived live from patients
+  useEffect(() => {
+    const unsubscribe = subscribeToStaffStats(setStaffStats);
+    return () => unsubscribe();
+  }, []);
+
+  // Dated shift assignments (nurse_roster)
+  useEffect(() => {
+    const unsubscribe = subscribeToRoster(setRoster);
+    return () => unsubscribe();
+  }, []);
+
+  const nurses = excludeArchived(allNurses, 'nurses');
+  const archivedNurses = onlyArchived(allNurses, 'nurses');
+
   /**
-   * Filters nurses based on search query (matches name or ID).
+   * Filters the active or archived nurses based on search query (matches name or ID).
    * @type {Array}
    */
-  const filteredNurses = nurses.filter(
+  const filteredNurses = (showArchived ? archivedNurses : nurses).filter(
     (n) =>
       n.name.toLowerCase().includes(search.toLowerCase()) ||
       n.id.toLowerCase().includes(search.toLowerCase())
@@ -67,15 +94,11 @@ const Nurses = () => {
    */
   const handleEditNurse = async (updatedNurse) => {
     try {
-      const { id, email, password, ...updateData } = updatedNurse;
+      const { id, email, ...updateData } = updatedNurse;
       
       if (id && !id.startsWith('N-')) {
+        // كلمة السر الجديدة (إن وجدت) تُرسل لخدمة إدارة الحسابات
         await updateNurse(id, updateData);
-        
-        // إذا كان هناك password جديد
-        if (password && password.trim()) {
-          console.warn('Password update requires admin privileges.');
-        }
       }
     setModal({ type: '', nurse: null });
     } catch (error) {
@@ -85,30 +108,42 @@ const Nurses = () => {
   };
 
   /**
-   * Deletes a nurse - removes from Firebase.
-   * @param {string} id - Nurse ID to delete
+   * Archives a nurse (soft delete) with a reason.
+   * @param {string} id - Nurse ID to archive
+   * @param {string} reason - Archive reason
    */
-  const handleDeleteNurse = async (id) => {
+  const handleDeleteNurse = async (id, reason) => {
     try {
-      await deleteNurse(id);
+      await deleteNurse(id, reason);
     setModal({ type: '', nurse: null });
     } catch (error) {
-      console.error('Error deleting nurse:', error);
-      alert(`Error deleting nurse: ${error.message}`);
+      console.error('Error archiving nurse:', error);
+      alert(`Error archiving nurse: ${error.message}`);
+    }
+  };
+
+  /**
+   * Restores an archived nurse.
+   * @param {string} id - Nurse ID to restore
+   */
+  const handleRestoreNurse = async (id) => {
+    try {
+      await restoreDoc('nurses', id);
+    } catch (error) {
+      console.error('Error restoring nurse:', error);
+      alert(`Error restoring nurse: ${error.message}`);
     }
   };
 
   // Dashboard cards - من Firebase
   const totalNurses = nurses.length;
   const activeNurses = nurses.filter(n => n.status === 'Active' || !n.status).length;
-  const morningShift = nurses.filter(n => 
-    n.shift === 'Morning' || n.shift === 'morning' || 
-    (n.shift && n.shift.toLowerCase().includes('morning'))
-  ).length;
-  const nightShift = nurses.filter(n => 
-    n.shift === 'Night' || n.shift === 'night' || 
-    (n.shift && n.shift.toLowerCase().includes('night'))
-  ).length;
+  // المناوبة الجارية لكل ممرض من الجدول (nurse_roster)
+  const onDutyByNurse = Object.fromEntries(onDutyAt(roster).map(a => [a.nurseId, a]));
+  const gapsToday = coverageGaps(roster, {
+    dates: [formatDateISO(new Date())],
+    departments: rosterDepartments(nurses, roster)
+  }).length;
 
   return (
     <div className="users-page">
@@ -129,12 +164,12 @@ const Nurses = () => {
           <span>{activeNurses}</span>
         </div>
         <div className="users-card">
-          <h3>Morning Shift</h3>
-          <span>{morningShift}</span>
+          <h3>On Duty Now</h3>
+          <span>{Object.keys(onDutyByNurse).length}</span>
         </div>
         <div className="users-card">
-          <h3>Night Shift</h3>
-          <span>{nightShift}</span>
+          <h3>Coverage Gaps Today</h3>
+          <span>{gapsToday}</span>
         </div>
       </div>
 
@@ -146,6 +181,12 @@ const Nurses = () => {
           value={search}
           onChange={(e) => setSearch(e.target.value)}
         />
+        <ArchiveToggle
+          showArchived={showArchived}
+          onChange={setShowArchived}
+          activeCount={nurses.length}
+          archivedCount={archivedNurses.length}
+        />
       </div>
 
       {/* Table */}
@@ -157,6 +198,7 @@ const Nurses = () => {
               <th>Name</th>
               <th>Department</th>
               <th>Shift</th>
+              <th>Assigned Patients</th>
               <th>Status</th>
               <th>Actions</th>
             </tr>
@@ -174,7 +216,15 @@ const Nurses = () => {
                   <td>{n.id}</td>
                   <td>{n.name || 'Unknown'}</td>
                   <td>{n.department || '—'}</td>
-                  <td>{n.shift || '—'}</td>
+                  <td>
+                    {shiftKey(n.shift) ? SHIFTS[shiftKey(n.shift)].label : n.shift || '—'}
+                    {onDutyByNurse[n.id] && (
+                      <span className="on-duty-badge">
+                        On duty · {onDutyByNurse[n.id].department}
+                      </span>
+                    )}
+                  </td>
+                  <td>{staffStats.nurses[n.id]?.assignedPatients ?? 0}</td>
                   <td>
                     <span className={`status ${(n.status || 'Active').toLowerCase()}`}>
                       {n.status || 'Active'}
@@ -189,19 +239,30 @@ const Nurses = () => {
                     >
                       View
                     </button>
-                    <button className="edit-btn" onClick={() => openChiefNurseModal('edit', n)}>
-                      Edit
-                    </button>
-                    <button className="delete-btn" onClick={() => openChiefNurseModal('delete', n)}>
-                      Delete
-                    </button>
+                    {showArchived ? (
+                      <>
+                        <span className="archive-info">{formatArchiveInfo(n)}</span>
+                        <button className="restore-btn" onClick={() => handleRestoreNurse(n.id)}>
+                          Restore
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button className="edit-btn" onClick={() => openChiefNurseModal('edit', n)}>
+                          Edit
+                        </button>
+                        <button className="delete-btn" onClick={() => openChiefNurseModal('delete', n)}>
+                          Archive
+                        </button>
+                      </>
+                    )}
                   </td>
                 </tr>
               ))
             ) : (
               <tr>
                 <td colSpan="7" className="empty-state">
-                  No nurses found
+                  {showArchived ? 'No archived nurses' : 'No nurses found'}
                 </td>
               </tr>
             )}
@@ -209,6 +270,9 @@ const Nurses = () => {
         </table>
       </div>
 
+      {/* Roster */}
+      {!showArchived && <NurseRoster nurses={nurses} assignments={roster} />}
+
       {/* Modals */}
       {modal.type === 'add' && (
         <NurseModal type="Add" onSave={handleAddNurse} onClose={() => openChiefNurseModal('', null)} />
@@ -219,7 +283,7 @@ const Nurses = () => {
       {modal.type === 'delete' && (
         <DeleteModal
           nurse={modal.nurse}
-          onDelete={() => handleDeleteNurse(modal.nurse.id)}
+          onDelete={(reason) => handleDeleteNurse(modal.nurse.id, reason)}
           onClose={() => openChiefNurseModal('', null)}
         />
       )}
@@ -231,7 +295,7 @@ const Nurses = () => {
 
 /**
  * Modal component for adding or editing nurse information.
- * Allows modification of nurse details including department, shift, and status.
+ * Allows modification of nurse details including department, preferred shift, and status.
  * @param {Object} props - Component props
  * @param {string} props.type - Modal type: 'Add' or 'Edit'
  * @param {Object} props.nurse - Existing nurse data (for edit mode)
@@ -245,15 +309,13 @@ const NurseModal = ({ type, nurse = {}, onSave, onClose }) => {
     id: nurse.id || '',
     name: nurse.name || '',
     department: nurse.department || '',
-    shift: nurse.shift || 'morning',
+    shift: shiftKey(nurse.shift) || 'morning',
     phone: nurse.phone || '',
     dob: nurse.dob || '',
     email: nurse.email || '',
     password: '',
     status: nurse.status || 'Active',
     uid: nurse.uid || '',
-    // Stats
-    assignedPatients: nurse.stats?.assignedPatients || 0,
   });
 
   /**
@@ -279,20 +341,8 @@ const NurseModal = ({ type, nurse = {}, onSave, onClose }) => {
       return alert('Password must be at least 6 characters for new nurses.');
     }
 
-    // إعداد البيانات للحفظ
-    const saveData = {
-      ...form,
-      stats: {
-        assignedPatients: Number(form.assignedPatients) || 0,
-      },
-    };
-    
-    // إزالة الحقول التي لا يجب حفظها
-    const { id, uid, assignedPatients, ...rest } = saveData;
-    const finalData = {
-      ...rest,
-      stats: saveData.stats,
-    };
+    // إزالة الحقول التي لا يجب حفظها (stats مشتقة - راجع staffStats.js)
+    const { id, uid, ...finalData } = form;
 
     if (isEdit && nurse.id && !nurse.id.startsWith('N-')) {
       // تحديث ممرض موجود
@@ -309,7 +359,7 @@ const NurseModal = ({ type, nurse = {}, onSave, onClose }) => {
         <h2>{type} Nurse</h2>
         {isEdit && <input name="id" value={form.id} disabled placeholder="ID" />}
         <input name="name" value={form.name} onChange={handleChiefNurseFormChange} placeholder="Full Name *" required />
-        <input name="department" value={form.department} onChange={handleChiefNurseFormChange} placeholder="Department/Shift" />
+        <input name="department" value={form.department} onChange={handleChiefNurseFormChange} placeholder="Department" />
         <input name="phone" value={form.phone} onChange={handleChiefNurseFormChange} placeholder="Phone (9–12 digits)" />
         <label>Date of Birth (optional)</label>
         <input type="date" name="dob" value={form.dob} onChange={handleChiefNurseFormChange} />
@@ -320,9 +370,9 @@ const NurseModal = ({ type, nurse = {}, onSave, onClose }) => {
         {isEdit && (
           <input name="password" type="password" value={form.password} onChange={handleChiefNurseFormChange} placeholder="New password (optional)" />
         )}
+        <label>Preferred shift</label>
         <select name="shift" value={form.shift} onChange={handleChiefNurseFormChange}>
-          <option>Morning</option>
-          <option>Night</option>
+          {Object.entries(SHIFTS).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
         </select>
         <select name="status" value={form.status} onChange={handleChiefNurseFormChange}>
           <option>Active</option>
@@ -338,26 +388,19 @@ const NurseModal = ({ type, nurse = {}, onSave, onClose }) => {
 };
 
 /**
- * Confirmation modal for deleting a nurse.
+ * Confirmation modal for archiving a nurse.
  * @param {Object} props - Component props
- * @param {Object} props.nurse - Nurse to delete
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Object} props.nurse - Nurse to archive
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteModal = ({ nurse, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Nurse</h2>
-      <p>
-        Delete <strong>{nurse.name}</strong>?
-      </p>
-      <div className="modal-actions">
-        <button onClick={onDelete}>Delete</button>
-        <button onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal title="Archive Nurse" onArchive={onDelete} onClose={onClose}>
+    <p>
+      Archive <strong>{nurse.name}</strong>? The nurse can be restored from the Archived view.
+    </p>
+  </ArchiveModal>
 );
 
 export default Nurses;
@@ -1,7 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import './Users.css';
-import { subscribeToPatients, subscribeToDoctors, subscribeToNurses, createPatient, updatePatient, deletePatient } from '../../services/firestoreService';
+import {
+  subscribeToPatients, subscribeToDoctors, subscribeToNurses, subscribeToDepartments, createPatient, updatePatient, deletePatient, restoreDoc,
+  setDepartmentBeds
+} from '../../services/firestoreService';
+import { DEPARTMENTS_COLLECTION, departmentOccupancy } from '../../services/transfers';
+import { excludeArchived, onlyArchived } from '../../services/archive';
+import ArchiveModal from '../../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../../components/ArchiveToggle';
+import { useAuth } from '../../context/AuthContext';
+import { can } from '../../config/permissions';
 
 /**
  * Calculates age from a date of birth string.
@@ -21,26 +30,42 @@ const calculateAge = (dob) => {
  * Patients management page for Chief/Admin.
  * Displays list of patients with search functionality, statistics cards,
  * and CRUD operations. All data is synchronized with Firestore in real-time.
+ * Also reused by the doctor and nurse portals with a scope filter; edit and
+ * archive buttons and the Archived view follow the active role's permissions.
+ * @param {Object} props - Component props
+ * @param {Function} [props.scope] - Optional filter limiting which patients are listed
+ * @param {string} [props.title] - Page heading
+ * @param {string} [props.subtitle] - Page description
  * @returns {JSX.Element} Patients management interface
  */
-const Patients = () => {
+const Patients = ({
+  scope,
+  title = 'Patients',
+  subtitle = 'Manage registered patients and access their medical profiles.'
+}) => {
   const navigate = useNavigate();
+  const { activeRole } = useAuth();
+  const canEdit = can(activeRole, 'update', 'patients');
+  const canDelete = can(activeRole, 'delete', 'patients');
+  const canEditBeds = can(activeRole, 'update', DEPARTMENTS_COLLECTION);
 
   const [search, setSearch] = useState('');
   const [loading, setLoading] = useState(true);
-  const [patients, setPatients] = useState([]);
+  const [allPatients, setAllPatients] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
   const [doctors, setDoctors] = useState([]);
   const [nurses, setNurses] = useState([]);
   const [modal, setModal] = useState({ type: '', patient: null });
+  const [departments, setDepartments] = useState([]);
 
   // Subscribe to Firebase collections
   useEffect(() => {
     const unsubs = [
       subscribeToPatients((patientsData) => {
         console.log('Patients received:', patientsData.length);
-        setPatients(patientsData || []);
+        setAllPatients((patientsData || []).filter(p => !scope || scope(p)));
         setLoading(false);
-      }),
+      }, { includeArchived: true }),
       subscribeToDoctors((doctorsData) => {
         console.log('Doctors received:', doctorsData.length);
         setDoctors(doctorsData || []);
@@ -52,13 +77,22 @@ const Patients = () => {
     ];
 
     return () => unsubs.forEach(u => u());
-  }, []);
+  }, [scope]);
+
+  // أسرّة الأقسام (لمن يعدّلها فقط)
+  useEffect(() => {
+    if (!canEditBeds) return undefined;
+    return subscribeToDepartments(setDepartments);
+  }, [canEditBeds]);
+
+  const patients = excludeArchived(allPatients, 'patients');
+  const archivedPatients = onlyArchived(allPatients, 'patients');
 
   /**
-   * Filters patients based on search query (matches name or ID).
+   * Filters the active or archived patients based on search query (matches name or ID).
    * @type {Array}
    */
-  const filteredPatients = patients.filter(
+  const filteredPatients = (showArchived ? archivedPatients : patients).filter(
     (p) => {
       const searchLower = search.toLowerCase();
       return p.name?.toLowerCase().includes(searchLower) ||
@@ -81,15 +115,11 @@ const Patients = () => {
    */
   const handleEditPatient = async (updatedPatient) => {
     try {
-      const { id, email, password, ...updateData } = updatedPatient;
+      const { id, email, ...updateData } = updatedPatient;
       
       if (id && !id.startsWith('P-')) {
+        // كلمة السر الجديدة (إن وجدت) تُرسل لخدمة إدارة الحسابات
         await updatePatient(id, updateData);
-        
-        // إذا كان هناك password جديد
-        if (password && password.trim()) {
-          console.warn('Password update requires admin privileges.');
-        }
       }
     setModal({ type: '', patient: null });
     } catch (error) {
@@ -99,16 +129,30 @@ const Patients = () => {
   };
 
   /**
-   * Deletes a patient - removes from Firebase.
-   * @param {string} id - Patient ID to delete
+   * Archives a patient (soft delete) with a reason.
+   * @param {string} id - Patient ID to archive
+   * @param {string} reason - Archive reason
    */
-  const handleDeletePatient = async (id) => {
+  const handleDeletePatient = async (id, reason) => {
     try {
-      await deletePatient(id);
+      await deletePatient(id, reason);
     setModal({ type: '', patient: null });
     } catch (error) {
-      console.error('Error deleting patient:', error);
-      alert(`Error deleting patient: ${error.message}`);
+      console.error('Error archiving patient:', error);
+      alert(`Error archiving patient: ${error.message}`);
+    }
+  };
+
+  /**
+   * Restores an archived patient.
+   * @param {string} id - Patient ID to restore
+   */
+  const handleRestorePatient = async (id) => {
+    try {
+      await restoreDoc('patients', id);
+    } catch (error) {
+      console.error('Error restoring patient:', error);
+      alert(`Error restoring patient: ${error.message}`);
     }
   };
 
@@ -116,8 +160,8 @@ const Patients = () => {
     <div className="users-page">
       {/* Header */}
       <div className="users-header">
-        <h1>Patients</h1>
-        <p>Manage registered patients and access their medical profiles.</p>
+        <h1>{title}</h1>
+        <p>{subtitle}</p>
       </div>
 
       {/* Dashboard */}
@@ -159,6 +203,19 @@ const Patients = () => {
           value={search}
           onChange={(e) => setSearch(e.target.value)}
         />
+        {canDelete && (
+          <ArchiveToggle
+            showArchived={showArchived}
+            onChange={setShowArchived}
+            activeCount={patients.length}
+            archivedCount={archivedPatients.length}
+          />
+        )}
+        {canEditBeds && (
+          <button className="view-btn" onClick={() => openChiefPatientModal('beds')}>
+            Department Beds
+          </button>
+        )}
         </div>
       {/* Table */}
       <div className="users-table-wrapper">
@@ -206,19 +263,34 @@ const Patients = () => {
                     >
                       View
                     </button>
-                    <button className="edit-btn" onClick={() => openChiefPatientModal('edit', p)}>
-                      Edit
-                    </button>
-                    <button className="delete-btn" onClick={() => openChiefPatientModal('delete', p)}>
-                      Delete
-                    </button>
+                    {showArchived ? (
+                      <>
+                        <span className="archive-info">{formatArchiveInfo(p)}</span>
+                        <button className="restore-btn" onClick={() => handleRestorePatient(p.id)}>
+                          Restore
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        {canEdit && (
+                          <button className="edit-btn" onClick={() => openChiefPatientModal('edit', p)}>
+                            Edit
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button className="delete-btn" onClick={() => openChiefPatientModal('delete', p)}>
+                            Archive
+                          </button>
+                        )}
+                      </>
+                    )}
                   </td>
                 </tr>
               ))
             ) : (
               <tr>
                 <td colSpan="5" className="empty-state">
-                  No patients found
+                  {showArchived ? 'No archived patients' : 'No patients found'}
                 </td>
               </tr>
             )}
@@ -239,10 +311,19 @@ const Patients = () => {
         />
       )}
 
+      {modal.type === 'beds' && (
+        <DepartmentBedsModal
+          patients={patients}
+          doctors={doctors}
+          departments={departments}
+          onClose={() => openChiefPatientModal('', null)}
+        />
+      )}
+
       {modal.type === 'delete' && (
         <DeleteModal
           patient={modal.patient}
-          onDelete={() => handleDeletePatient(modal.patient.id)}
+          onDelete={(reason) => handleDeletePatient(modal.patient.id, reason)}
           onClose={() => openChiefPatientModal('', null)}
         />
       )}
@@ -285,9 +366,6 @@ const PatientModal = ({ type, patient = {}, doctors = [], nurses = [], onSave, o
         patient.webData.admissionDate.toDate().toISOString().split('T')[0] : 
         patient.webData.admissionDate
       ) : '',
-    // Mobile Data
-    allergies: patient.mobileData?.allergies?.join(', ') || '',
-    medicalHistory: patient.mobileData?.medicalHistory?.join(', ') || '',
   });
 
   /**
@@ -320,18 +398,14 @@ const PatientModal = ({ type, patient = {}, doctors = [], nurses = [], onSave, o
         diagnosis: form.diagnosis || '',
         admissionDate: form.admissionDate ? new Date(form.admissionDate) : null,
       },
-      mobileData: {
-        allergies: form.allergies ? form.allergies.split(',').map(s => s.trim()).filter(Boolean) : [],
-        medicalHistory: form.medicalHistory ? form.medicalHistory.split(',').map(s => s.trim()).filter(Boolean) : [],
-      },
     };
     
     // إزالة الحقول التي لا يجب حفظها مباشرة
-    const { id, diagnosis, admissionDate, allergies, medicalHistory, ...rest } = saveData;
+    // mobileData (الحساسية، التاريخ المرضي...) يُدار من السجل الطبي في صفحة المريض
+    const { id, diagnosis, admissionDate, ...rest } = saveData;
     const finalData = {
       ...rest,
       webData: saveData.webData,
-      mobileData: saveData.mobileData,
     };
 
     if (isEdit && patient.id && !patient.id.startsWith('P-')) {
@@ -433,13 +507,12 @@ const PatientModal = ({ type, patient = {}, doctors = [], nurses = [], onSave, o
         <label>Admission Date</label>
         <input type="date" name="admissionDate" value={form.admissionDate} onChange={handleChiefPatientFormChange} />
 
-        {/* Mobile Data */}
+        {/* Clinical Record */}
         <hr style={{ margin: '20px 0', border: 'none', borderTop: '1px solid #ddd' }} />
-        <h3>Mobile Data</h3>
-        <label>Allergies (comma separated)</label>
-        <input name="allergies" value={form.allergies} onChange={handleChiefPatientFormChange} placeholder="e.g., Penicillin, Latex" />
-        <label>Medical History (comma separated)</label>
-        <input name="medicalHistory" value={form.medicalHistory} onChange={handleChiefPatientFormChange} placeholder="e.g., Diabetes, Hypertension" />
+        <h3>Clinical Record</h3>
+        <p style={{ color: '#6b7280', fontSize: 13 }}>
+          Allergies, problems, medications and vitals are managed from the patient's profile page.
+        </p>
 
         {/* Timestamps (read-only) */}
         {isEdit && (
@@ -469,26 +542,87 @@ const PatientModal = ({ type, patient = {}, doctors = [], nurses = [], onSave, o
 };
 
 /**
- * Confirmation modal for deleting a patient.
+ * Confirmation modal for archiving a patient.
  * @param {Object} props - Component props
- * @param {Object} props.patient - Patient to delete
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Object} props.patient - Patient to archive
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteModal = ({ patient, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Patient</h2>
-      <p>
-        Delete <strong>{patient.name}</strong>?
-      </p>
-      <div className="modal-actions">
-        <button onClick={onDelete}>Delete</button>
-        <button onClick={onClose}>Cancel</button>
+  <ArchiveModal title="Archive Patient" onArchive={onDelete} onClose={onClose}>
+    <p>
+      Archive <strong>{patient.name}</strong>? The patient can be restored from the Archived view.
+    </p>
+  </ArchiveModal>
+);
+
+/**
+ * Bed count per department. Transfers into a department are only approved
+ * while it has a free bed; departments without a count are not capacity-checked.
+ * @param {Object} props - Component props
+ * @param {Array} props.patients - Active patients (current department occupancy)
+ * @param {Array} props.doctors - Doctors (their departments are listed too)
+ * @param {Array} props.departments - Department documents with bed counts
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Department beds modal
+ */
+const DepartmentBedsModal = ({ patients, doctors, departments, onClose }) => {
+  const [edits, setEdits] = useState({});
+  const names = [...new Set([
+    ...departments.map(d => d.name),
+    ...doctors.map(d => d.department),
+    ...patients.map(p => p.currentDepartment)
+  ].map(n => (n || '').trim()).filter(Boolean))].sort();
+
+  /**
+   * Saves the bed count typed for a department.
+   * @param {string} name - Department name
+   */
+  const handleSaveBeds = async (name) => {
+    try {
+      await setDepartmentBeds({ name, beds: edits[name] });
+      setEdits({ ...edits, [name]: undefined });
+    } catch (error) {
+      console.error('Error saving department beds:', error);
+      alert(`Error saving department beds: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <h2>Department Beds</h2>
+        {names.length === 0 && <p>No departments yet.</p>}
+        {names.map((name) => {
+          const { beds, occupied } = departmentOccupancy({ patients, transfers: [], departments }, name);
+          return (
+            <div key={name} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <span style={{ flex: 1 }}>{name} · {occupied} patients</span>
+              <input
+                type="number"
+                min="0"
+                style={{ width: 80, margin: 0 }}
+                placeholder="Not set"
+                value={edits[name] ?? beds ?? ''}
+                onChange={(e) => setEdits({ ...edits, [name]: e.target.value })}
+              />
+              <button
+                className="view-btn"
+                disabled={edits[name] === undefined}
+                onClick={() => handleSaveBeds(name)}
+              >
+                Save
+              </button>
+            </div>
+          );
+        })}
+        <div className="modal-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
       </div>
     </div>
-  </div>
-);
+  );
+};
 
 export default Patients;
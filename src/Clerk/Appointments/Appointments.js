@@ -3,23 +3,48 @@ import Calendar from 'react-calendar';
 import 'react-calendar/dist/Calendar.css';
 import './Appointments.css';
 import { useApp } from '../context/AppContext';
+import { useAuth } from '../../context/AuthContext';
+import { can } from '../../config/permissions';
+import { matchesStaffId } from '../../services/staffScope';
+import ArchiveModal from '../../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../../components/ArchiveToggle';
+import RecurrenceFields, { SeriesScopeSelect } from '../../components/RecurrenceFields';
+import { describeRecurrence } from '../../services/recurrence';
+import AppointmentTypeFields from '../../components/AppointmentTypeFields';
+import ScheduleGrid from './ScheduleGrid';
+import CheckInDesk from './CheckInDesk';
+import { APPOINTMENT_STATUS_LABELS, REASON_FIELDS, appointmentStatus } from '../../services/appointmentLifecycle';
+import { APPOINTMENT_TYPES, appointmentTypeOf, appointmentDuration, formatTimeRange } from '../../services/appointmentSlots';
 
 /**
  * Appointments management page for Clerk.
  * Displays and manages all appointments with search, calendar filtering, and CRUD operations.
  * All data is synchronized with Firestore through AppContext.
+ * The doctor portal reuses it with a `doctor` prop to show only that doctor's
+ * appointments; action buttons follow the active role's permissions.
+ * @param {Object} props - Component props
+ * @param {Object} [props.doctor] - Limit the page to this doctor's appointments
  * @returns {JSX.Element} Appointments management interface
  */
-const Appointments = () => {
+const Appointments = ({ doctor = null }) => {
   const {
-    patients, doctors, appointments,
+    patients, doctors: allDoctors, appointments, archived, holidays, clinicSettings,
     patientById, doctorById,
-    availableSlots, addAppointment, editAppointment, removeAppointment, genId
+    availableSlots, addAppointment, editAppointment, removeAppointment, transitionAppointment, restoreRecord, genId
   } = useApp();
+  const { activeRole } = useAuth();
+  const canCreate = can(activeRole, 'create', 'web_appointments');
+  const canUpdate = can(activeRole, 'update', 'web_appointments');
+  const canDelete = can(activeRole, 'delete', 'web_appointments');
+
+  // في بوابة الطبيب نعرض طبيباً واحداً فقط
+  const doctors = doctor ? [doctor] : allDoctors;
 
   const [searchTerm, setSearchTerm] = useState('');
   const [search, setSearch] = useState('');
   const [selectedDate, setSelectedDate] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [view, setView] = useState('table'); // table | grid | desk
   const [modal, setModal] = useState({ type: '', appointment: null, err: '' });
 
   /**
@@ -32,15 +57,16 @@ const Appointments = () => {
   }, [searchTerm]);
 
   /**
-   * Filters appointments based on search query and selected date.
+   * Filters the active or archived appointments based on search query and selected date.
    * Matches against patient name, doctor name, or date string.
    * @type {Array}
    */
   const filtered = useMemo(() => {
     const s = search.toLowerCase();
-    return appointments.filter(a => {
-      const patientName = patientById[a.patientId]?.name || '';
-      const doctorName  = doctorById[a.doctorId]?.name  || '';
+    return (showArchived ? archived.appointments : appointments).filter(a => {
+      if (doctor && !matchesStaffId(a.doctorId, doctor)) return false;
+      const patientName = patientById[a.patientId]?.name || a.patientName || '';
+      const doctorName  = doctorById[a.doctorId]?.name  || a.doctorName  || '';
       const match =
         patientName.toLowerCase().includes(s) ||
         doctorName.toLowerCase().includes(s) ||
@@ -51,7 +77,7 @@ const Appointments = () => {
       }
       return match;
     });
-  }, [appointments, search, selectedDate, patientById, doctorById]);
+  }, [appointments, archived.appointments, showArchived, search, selectedDate, patientById, doctorById, doctor]);
 
   /**
    * Gets available time slots for a specific doctor on the selected date.
@@ -77,13 +103,21 @@ const Appointments = () => {
 
   /**
    * Handles saving an appointment (add or edit).
+   * A new series reports the dates that were skipped because the slot was taken.
    * Catches and displays errors if save operation fails.
    * @param {Object} form - Appointment form data
+   * @param {string} scope - Series scope for edits ('this', 'following' or 'all')
    */
-  const handleSave = (form) => {
+  const handleSave = async (form, scope) => {
     try {
-      if (modal.type === 'add') addAppointment(form);
-      else editAppointment(form);
+      if (modal.type === 'add') {
+        const series = await addAppointment(form);
+        if (series?.conflicts.length) {
+          alert(`Booked ${series.ids.length} appointment(s). Not booked (taken or doctor unavailable): ${series.conflicts.join(', ')}`);
+        }
+      } else {
+        await editAppointment(form, scope);
+      }
       closeClerkAppointmentModal();
     } catch (e) {
       setModal(m => ({ ...m, err: e.message || 'Failed to save appointment' }));
@@ -91,30 +125,74 @@ const Appointments = () => {
   };
 
   /**
-   * Handles deleting an appointment.
-   * @param {string} id - Appointment ID to delete
+   * Handles archiving an appointment (or part of its series).
+   * @param {string} id - Appointment ID to archive
+   * @param {string} reason - Archive reason
+   * @param {string} scope - Series scope ('this', 'following' or 'all')
    */
-  const handleDeleteClerkAppointment = (id) => { removeAppointment(id); closeClerkAppointmentModal(); };
+  const handleDeleteClerkAppointment = async (id, reason, scope) => {
+    try {
+      await removeAppointment(id, reason, scope);
+      closeClerkAppointmentModal();
+    } catch (e) {
+      alert(`Error archiving appointment: ${e.message}`);
+    }
+  };
+
+  /**
+   * Moves an appointment along its lifecycle from the check-in desk.
+   * No-show and cancellation ask for a reason first.
+   * @param {Object} appointment - Appointment to move
+   * @param {string} status - Target status
+   */
+  const handleTransition = async (appointment, status) => {
+    let reason;
+    if (REASON_FIELDS[status]) {
+      reason = window.prompt(`Reason (${APPOINTMENT_STATUS_LABELS[status]}):`);
+      if (!reason?.trim()) return;
+    }
+    try {
+      const offers = await transitionAppointment(appointment.id, status, reason);
+      if (offers?.length) {
+        alert(`Freed slot offered to ${offers.map((o) => o.patient).join(', ')} from the waitlist.`);
+      }
+    } catch (e) {
+      alert(`Error updating appointment: ${e.message}`);
+    }
+  };
+
+  /**
+   * Handles restoring an archived appointment.
+   * @param {string} id - Appointment ID to restore
+   */
+  const handleRestoreClerkAppointment = (id) => { restoreRecord('web_appointments', id); };
 
   return (
     <div className="appointments-page">
       <div className="appointments-header">
-        <h2>Appointments</h2>
-        <button
-          className="add-btn"
-          onClick={() =>
-            openClerkAppointmentModal('add', {
-              id: genId('A'),
-              patientId: patients[0]?.id || '',
-              doctorId: doctors[0]?.id || '',
-              date: selectedDate || new Date().toISOString().split('T')[0],
-              time: '',
-              status: 'Scheduled',
-            })
-          }
-        >
-          Add Appointment
-        </button>
+        <h2>{doctor ? 'My Appointments' : 'Appointments'}</h2>
+        <div className="view-toggle">
+          <button className={view === 'table' ? 'active' : ''} onClick={() => setView('table')}>Table</button>
+          <button className={view === 'grid' ? 'active' : ''} onClick={() => setView('grid')}>Day Grid</button>
+          <button className={view === 'desk' ? 'active' : ''} onClick={() => setView('desk')}>Check-in</button>
+        </div>
+        {canCreate && (
+          <button
+            className="add-btn"
+            onClick={() =>
+              openClerkAppointmentModal('add', {
+                id: genId('A'),
+                patientId: patients[0]?.id || '',
+                doctorId: doctors[0]?.id || '',
+                date: selectedDate || new Date().toISOString().split('T')[0],
+                time: '',
+                status: 'Scheduled',
+              })
+            }
+          >
+            Add Appointment
+          </button>
+        )}
       </div>
 
       {/* Search Bar */}
@@ -143,9 +221,9 @@ const Appointments = () => {
                     <span
                       key={slot}
                       className="slot"
-                      style={{ cursor: 'pointer' }}
-                      title="Book this slot"
-                      onClick={() =>
+                      style={{ cursor: canCreate ? 'pointer' : 'default' }}
+                      title={canCreate ? 'Book this slot' : undefined}
+                      onClick={() => canCreate &&
                         openClerkAppointmentModal('add', {
                           id: genId('A'),
                           patientId: patients[0]?.id || '',
@@ -178,42 +256,104 @@ const Appointments = () => {
           />
           <button className="clear-date-btn" onClick={() => setSelectedDate('')} disabled={!selectedDate}>×</button>
         </div>
+        {canDelete && (
+          <ArchiveToggle
+            showArchived={showArchived}
+            onChange={setShowArchived}
+            activeCount={appointments.length}
+            archivedCount={archived.appointments.length}
+          />
+        )}
       </div>
 
+      {/* Day grid: doctors x time slots */}
+      {view === 'grid' && !showArchived && (
+        <ScheduleGrid
+          doctors={doctors}
+          appointments={appointments}
+          holidays={holidays}
+          patientById={patientById}
+          availableSlots={availableSlots}
+          date={selectedDate || new Date().toISOString().split('T')[0]}
+          onDateChange={setSelectedDate}
+          onBook={canCreate ? (doc, time) =>
+            openClerkAppointmentModal('add', {
+              id: genId('A'),
+              patientId: patients[0]?.id || '',
+              doctorId: doc.id,
+              date: selectedDate || new Date().toISOString().split('T')[0],
+              time,
+              status: 'Scheduled',
+            }) : null}
+          onOpen={canUpdate ? (a) => openClerkAppointmentModal('edit', a) : null}
+        />
+      )}
+
+      {/* Front desk: today's arrivals and waiting times */}
+      {view === 'desk' && !showArchived && (
+        <CheckInDesk
+          doctors={doctors}
+          appointments={appointments}
+          patientById={patientById}
+          graceMinutes={clinicSettings.noShowGraceMinutes}
+          timeZone={clinicSettings.timeZone}
+          onTransition={canUpdate ? handleTransition : null}
+        />
+      )}
+
       {/* Table */}
-      <div className="appointments-table-wrapper">
-        <table className="appointments-table">
-          <thead>
-            <tr>
-              <th>ID</th>
-              <th>Patient</th>
-              <th>Doctor</th>
-              <th>Date</th>
-              <th>Time</th>
-              <th>Status</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {filtered.length ? filtered.map(a => (
-              <tr key={a.id}>
-                <td>{a.id}</td>
-                <td>{patientById[a.patientId]?.name || '—'}</td>
-                <td>{doctorById[a.doctorId]?.name || '—'}</td>
-                <td>{a.date}</td>
-                <td>{a.time}</td>
-                <td><span className={`status ${a.status.toLowerCase()}`}>{a.status}</span></td>
-                <td className="actions">
-                  <button className="edit" onClick={() => openClerkAppointmentModal('edit', a)}>Edit</button>
-                  <button className="delete" onClick={() => openClerkAppointmentModal('delete', a)}>Delete</button>
-                </td>
+      {(view === 'table' || showArchived) && (
+        <div className="appointments-table-wrapper">
+          <table className="appointments-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Patient</th>
+                <th>Doctor</th>
+                <th>Date</th>
+                <th>Time</th>
+                <th>Status</th>
+                <th>Actions</th>
               </tr>
-            )) : (
-              <tr><td colSpan="7" className="empty">No appointments found</td></tr>
-            )}
-          </tbody>
-        </table>
-      </div>
+            </thead>
+            <tbody>
+              {filtered.length ? filtered.map(a => (
+                <tr key={a.id}>
+                  <td>{a.id}</td>
+                  <td>{patientById[a.patientId]?.name || a.patientName || '—'}</td>
+                  <td>{doctorById[a.doctorId]?.name || a.doctorName || '—'}</td>
+                  <td>
+                    {a.date}
+                    {a.seriesId && (
+                      <span className="series-badge" title={describeRecurrence(a.recurrence)}>↻ #{a.occurrence}</span>
+                    )}
+                  </td>
+                  <td>
+                    {formatTimeRange(a)}
+                    <div className="appointment-type">{APPOINTMENT_TYPES[appointmentTypeOf(a)].label}</div>
+                  </td>
+                  <td><span className={`status ${appointmentStatus(a)}`}>{APPOINTMENT_STATUS_LABELS[appointmentStatus(a)]}</span></td>
+                  <td className="actions">
+                    {showArchived ? (
+                      <>
+                        <span className="archive-info">{formatArchiveInfo(a)}</span>
+                        <button className="restore-btn" onClick={() => handleRestoreClerkAppointment(a.id)}>Restore</button>
+                      </>
+                    ) : (
+                      <>
+                        {canUpdate && <button className="edit" onClick={() => openClerkAppointmentModal('edit', a)}>Edit</button>}
+                        {canDelete && <button className="delete" onClick={() => openClerkAppointmentModal('delete', a)}>Archive</button>}
+                      </>
+                    )}
+                  </td>
+                </tr>
+              )) : (
+                <tr><td colSpan="7" className="empty">{showArchived ? 'No archived appointments' : 'No appointments found'}</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
 
       {/* Modals */}
       {(modal.type === 'add' || modal.type === 'edit') && (
@@ -233,7 +373,7 @@ const Appointments = () => {
           appointment={modal.appointment}
           patientName={patientById[modal.appointment.patientId]?.name}
           doctorName={doctorById[modal.appointment.doctorId]?.name}
-          onDelete={() => handleDeleteClerkAppointment(modal.appointment.id)}
+          onDelete={(reason, scope) => handleDeleteClerkAppointment(modal.appointment.id, reason, scope)}
           onClose={closeClerkAppointmentModal}
         />
       )}
@@ -244,8 +384,10 @@ const Appointments = () => {
 // ---------- Modals (unchanged) ----------
 /**
  * Modal component for adding or editing appointments.
- * Allows selection of patient, doctor, date, time, and status.
+ * Allows selection of patient, doctor, date, time, and type; status changes go
+ * through the check-in desk.
  * Automatically filters available time slots based on existing appointments.
+ * New appointments can repeat; edits of a series appointment choose their scope.
  * @param {Object} props - Component props
  * @param {string} props.type - Modal type: 'add' or 'edit'
  * @param {Object} props.appointment - Existing appointment data (for edit mode)
@@ -264,18 +406,25 @@ const AppointmentModal = ({ type, appointment = {}, onSave, onClose, patients, d
     doctorId: appointment?.doctorId || doctors[0]?.id || '',
     date: appointment?.date || '',
     time: appointment?.time || '',
-    status: appointment?.status || 'Scheduled',
+    appointmentType: appointmentTypeOf(appointment || {}),
+    duration: appointmentDuration(appointment || {}),
+    recurrence: null,
   });
+  const [scope, setScope] = useState('this');
 
   /**
-   * Calculates available appointment time slots for the selected doctor and date.
-   * Filters out slots that are already booked.
+   * Calculates available start times for the selected doctor, date, type and duration.
+   * Filters out times that overlap booked appointments (other than this one).
    * @type {Array<string>}
    */
   const slots = useMemo(() => {
     if (!form.doctorId || !form.date) return [];
-    return availableSlots(form.doctorId, form.date);
-  }, [form.doctorId, form.date, availableSlots]);
+    return availableSlots(form.doctorId, form.date, {
+      appointmentType: form.appointmentType,
+      duration: form.duration,
+      excludeId: type === 'edit' ? form.id : null,
+    });
+  }, [form.doctorId, form.date, form.appointmentType, form.duration, form.id, type, availableSlots]);
 
   /**
    * Handles form field changes.
@@ -300,23 +449,35 @@ const AppointmentModal = ({ type, appointment = {}, onSave, onClose, patients, d
         <label>Date</label>
         <input type="date" name="date" value={form.date} onChange={handleClerkAppointmentFormChange} />
 
+        <AppointmentTypeFields
+          appointmentType={form.appointmentType}
+          duration={form.duration}
+          onChange={(timing) => setForm(f => ({ ...f, ...timing }))}
+        />
+
         <label>Time</label>
         <select name="time" value={form.time} onChange={handleClerkAppointmentFormChange}>
           <option value="">Select time</option>
-          {slots.map(s => <option key={s} value={s}>{s}</option>)}
+          {/* الوقت الحالي للموعد يبقى خياراً حتى لو لم يعد ضمن الأوقات المولدة */}
+          {[...new Set([...(type === 'edit' && appointment?.time ? [appointment.time] : []), ...slots])].map(s => (
+            <option key={s} value={s}>{s}</option>
+          ))}
         </select>
 
-        <label>Status</label>
-        <select name="status" value={form.status} onChange={handleClerkAppointmentFormChange}>
-          <option>Scheduled</option>
-          <option>Completed</option>
-          <option>Cancelled</option>
-        </select>
+        {type === 'add' && (
+          <RecurrenceFields startDate={form.date} onChange={(recurrence) => setForm(f => ({ ...f, recurrence }))} />
+        )}
+        {type === 'edit' && appointment?.seriesId && (
+          <>
+            <label>Apply changes to</label>
+            <SeriesScopeSelect value={scope} onChange={setScope} />
+          </>
+        )}
 
         {!!errorMessage && <div style={{ color: '#f44336', fontSize: 13, marginTop: 4 }}>{errorMessage}</div>}
 
         <div className="modal-actions">
-          <button onClick={() => onSave(form)}>Save</button>
+          <button onClick={() => onSave(form, scope)}>Save</button>
           <button className="secondary" onClick={onClose}>Cancel</button>
         </div>
       </div>
@@ -325,26 +486,24 @@ const AppointmentModal = ({ type, appointment = {}, onSave, onClose, patients, d
 };
 
 /**
- * Confirmation modal for deleting an appointment.
+ * Confirmation modal for archiving an appointment (or part of its series).
  * @param {Object} props - Component props
- * @param {Object} props.appointment - Appointment to delete
+ * @param {Object} props.appointment - Appointment to archive
  * @param {string} props.patientName - Patient name for display
  * @param {string} props.doctorName - Doctor name for display
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Function} props.onDelete - Callback with the archive reason and series scope
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
-const DeleteModal = ({ appointment, patientName, doctorName, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Appointment</h2>
-      <p>Delete appointment for <strong>{patientName}</strong> with {doctorName} on {appointment.date}?</p>
-      <div className="modal-actions">
-        <button onClick={onDelete}>Delete</button>
-        <button className="secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
-);
+const DeleteModal = ({ appointment, patientName, doctorName, onDelete, onClose }) => {
+  const [scope, setScope] = useState('this');
+
+  return (
+    <ArchiveModal title="Archive Appointment" onArchive={(reason) => onDelete(reason, scope)} onClose={onClose}>
+      <p>Archive appointment for <strong>{patientName}</strong> with {doctorName} on {appointment.date}?</p>
+      {appointment.seriesId && <SeriesScopeSelect value={scope} onChange={setScope} />}
+    </ArchiveModal>
+  );
+};
 
 export default Appointments;
@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  APPOINTMENT_STATUS_LABELS,
+  APPOINTMENT_ACTION_LABELS,
+  REASON_FIELDS,
+  appointmentStatus,
+  nextStatuses,
+  minutesLate,
+  waitingMinutes,
+} from '../../services/appointmentLifecycle';
+import { formatTimeRange } from '../../services/appointmentSlots';
+import { formatDateISO } from '../../services/treatmentPlans';
+import { matchesStaffId } from '../../services/staffScope';
+import { clinicNow } from '../../services/clinicSettings';
+
+// Waiting times are recalculated every minute
+const TICK_MS = 60000;
+
+const LANES = [
+  ['scheduled', 'Expected'],
+  ['checked-in', 'Waiting'],
+  ['in-consultation', 'In Consultation'],
+];
+
+/**
+ * Formats a number of minutes as "1h 05m" / "12m".
+ * @param {number} minutes - Minutes
+ * @returns {string} Formatted duration
+ */
+const formatMinutes = (minutes) =>
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+
+/**
+ * Front-desk check-in view for today: expected patients, the waiting room
+ * (longest wait first) and patients in consultation, with the lifecycle
+ * actions allowed for each appointment. Patients not checked in within the
+ * grace period are marked no-show automatically (see AppContext).
+ * @param {Object} props - Component props
+ * @param {Array} props.doctors - Doctors whose appointments are shown
+ * @param {Array} props.appointments - Live web_appointments from AppContext
+ * @param {Object} props.patientById - Patient lookup for names
+ * @param {number} props.graceMinutes - Minutes late before an automatic no-show
+ * @param {string|null} props.timeZone - Clinic time zone; the device clock when missing
+ * @param {Function} [props.onTransition] - Callback with (appointment, status); hidden when missing
+ * @returns {JSX.Element} Check-in desk
+ */
+const CheckInDesk = ({ doctors, appointments, patientById, graceMinutes, timeZone, onTransition }) => {
+  const [now, setNow] = useState(() => clinicNow(timeZone));
+
+  useEffect(() => {
+    setNow(clinicNow(timeZone));
+    const interval = setInterval(() => setNow(clinicNow(timeZone)), TICK_MS);
+    return () => clearInterval(interval);
+  }, [timeZone]);
+
+  const today = formatDateISO(now);
+  const todays = useMemo(
+    () => appointments.filter(a =>
+      a.date === today && doctors.some(d => matchesStaffId(a.doctorId, d) || d.name === a.doctorName)),
+    [appointments, doctors, today]
+  );
+
+  const lanes = Object.fromEntries(LANES.map(([status]) => [status, todays.filter(a => appointmentStatus(a) === status)]));
+  lanes.scheduled.sort((a, b) => a.time.localeCompare(b.time));
+  lanes['checked-in'].sort((a, b) => waitingMinutes(b, now) - waitingMinutes(a, now));
+  const done = ['completed', 'no-show', 'cancelled'].map(status =>
+    [status, todays.filter(a => appointmentStatus(a) === status).length]);
+
+  // Average wait of patients who were seen today (check-in to consultation)
+  const seen = todays.filter(a => a.checkedInAt && a.consultationStartedAt);
+  const averageWait = seen.length
+    ? Math.round(seen.reduce((sum, a) => sum + waitingMinutes(a, now), 0) / seen.length)
+    : null;
+
+  /**
+   * Timing line for an appointment card.
+   * @param {Object} a - Appointment
+   * @returns {JSX.Element} Timing text
+   */
+  const renderTiming = (a) => {
+    const status = appointmentStatus(a);
+    if (status === 'checked-in') {
+      return <span className="desk-wait">Waiting {formatMinutes(waitingMinutes(a, now))}</span>;
+    }
+    if (status === 'in-consultation') return <span>Waited {formatMinutes(waitingMinutes(a, now))}</span>;
+
+    const late = minutesLate(a, now);
+    if (late <= 0) return <span>Due in {formatMinutes(-late)}</span>;
+    return (
+      <span className="desk-late">
+        Late {formatMinutes(late)} · no-show after {formatMinutes(graceMinutes)}
+      </span>
+    );
+  };
+
+  return (
+    <div className="checkin-desk">
+      <div className="checkin-desk-head">
+        <h3>Front Desk · {today}</h3>
+        <div className="desk-summary">
+          <span>Waiting: <strong>{lanes['checked-in'].length}</strong></span>
+          <span>Average wait: <strong>{averageWait === null ? '—' : formatMinutes(averageWait)}</strong></span>
+          {done.map(([status, count]) => (
+            <span key={status}>{APPOINTMENT_STATUS_LABELS[status]}: <strong>{count}</strong></span>
+          ))}
+        </div>
+      </div>
+
+      <div className="desk-lanes">
+        {LANES.map(([status, title]) => (
+          <div key={status} className="desk-lane">
+            <h4>{title} ({lanes[status].length})</h4>
+            {lanes[status].length === 0 && <p className="empty">No patients</p>}
+            {lanes[status].map(a => (
+              <div key={a.id} className={`desk-card ${status}`}>
+                <strong>{patientById[a.patientId]?.name || a.patientName || '—'}</strong>
+                <div className="desk-meta">{formatTimeRange(a)} · {a.doctorName}</div>
+                <div className="desk-meta">{renderTiming(a)}</div>
+                {onTransition && (
+                  <div className="desk-actions">
+                    {nextStatuses(a).map(to => (
+                      <button
+                        key={to}
+                        className={REASON_FIELDS[to] ? 'secondary' : ''}
+                        onClick={() => onTransition(a, to)}
+                      >
+                        {APPOINTMENT_ACTION_LABELS[to]}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CheckInDesk;
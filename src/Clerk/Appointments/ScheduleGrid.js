@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import { doctorColumn, gridRows } from '../../services/scheduleGrid';
+import { fromMinutes, formatTimeRange } from '../../services/appointmentSlots';
+import { matchesStaffId } from '../../services/staffScope';
+import { APPOINTMENT_STATUS_LABELS, appointmentStatus } from '../../services/appointmentLifecycle';
+
+const LEGEND = [
+  ['free', 'Free'],
+  ['booked', 'Booked'],
+  ['cancelled', 'Cancelled'],
+  ['blocked', 'Blocked'],
+];
+
+/**
+ * Day grid for booking across a department: doctors as columns, time slots as rows.
+ * Free cells come from `availableSlots` (same rules as booking); clicking a free
+ * or freed (cancelled) cell opens the booking modal prefilled, and clicking a
+ * booked cell opens the appointment.
+ * @param {Object} props - Component props
+ * @param {Array} props.doctors - Doctors to choose columns from
+ * @param {Array} props.appointments - Live web_appointments from AppContext
+ * @param {Array} props.holidays - Hospital holidays
+ * @param {Object} props.patientById - Patient lookup for names
+ * @param {Function} props.availableSlots - (doctorId, date) => free start times
+ * @param {string} props.date - Day shown (YYYY-MM-DD)
+ * @param {Function} props.onDateChange - Callback with the new day
+ * @param {Function} [props.onBook] - Callback with (doctor, time) for an empty cell
+ * @param {Function} [props.onOpen] - Callback with a booked appointment
+ * @returns {JSX.Element} Schedule grid
+ */
+const ScheduleGrid = ({ doctors, appointments, holidays, patientById, availableSlots, date, onDateChange, onBook, onOpen }) => {
+  const departments = useMemo(
+    () => [...new Set(doctors.map(d => d.department).filter(Boolean))].sort(),
+    [doctors]
+  );
+  // null = not chosen yet: start with the first department once doctors load
+  const [chosenDepartment, setDepartment] = useState(null);
+  const department = chosenDepartment ?? departments[0] ?? '';
+
+  const columnDoctors = doctors.length > 1 && department
+    ? doctors.filter(d => d.department === department)
+    : doctors;
+
+  const columns = columnDoctors.map(doctor => doctorColumn({
+    appointments,
+    doctor,
+    date,
+    holidays,
+    free: availableSlots(doctor.id, date),
+  }));
+  const rows = gridRows(columns, appointments.filter(a =>
+    a.date === date && columnDoctors.some(d => matchesStaffId(a.doctorId, d) || d.name === a.doctorName)));
+
+  /**
+   * Renders one cell of a doctor's column.
+   * @param {Object} column - Column from doctorColumn
+   * @param {number} minute - Row start (minutes from midnight)
+   * @returns {JSX.Element} Grid cell
+   */
+  const renderCell = (column, minute) => {
+    const cell = column.cellAt(minute);
+    const time = fromMinutes(minute);
+    const bookable = cell.state === 'free' || (cell.state === 'cancelled' && cell.bookable);
+    const patientName = cell.appointment && (patientById[cell.appointment.patientId]?.name || cell.appointment.patientName);
+
+    let title = cell.reason || '';
+    if (cell.appointment) title = `${patientName} · ${formatTimeRange(cell.appointment)} (${APPOINTMENT_STATUS_LABELS[appointmentStatus(cell.appointment)]})`;
+    else if (bookable) title = `Book ${column.doctor.name} at ${time}`;
+
+    const handleClick = () => {
+      if (bookable && onBook) onBook(column.doctor, time);
+      else if (cell.state === 'booked' && onOpen) onOpen(cell.appointment);
+    };
+
+    return (
+      <td
+        key={column.doctor.id}
+        className={`grid-cell ${cell.state} ${bookable || (cell.state === 'booked' && onOpen) ? 'clickable' : ''}`}
+        title={title}
+        onClick={handleClick}
+      >
+        {cell.state === 'booked' && cell.starts && patientName}
+        {cell.state === 'cancelled' && <s>{patientName}</s>}
+      </td>
+    );
+  };
+
+  return (
+    <div className="schedule-grid">
+      <div className="schedule-grid-head">
+        <h3>Department Schedule</h3>
+        {doctors.length > 1 && (
+          <select value={department} onChange={(e) => setDepartment(e.target.value)}>
+            <option value="">All departments</option>
+            {departments.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+        )}
+        <input type="date" value={date} onChange={(e) => e.target.value && onDateChange(e.target.value)} />
+        <div className="grid-legend">
+          {LEGEND.map(([state, label]) => (
+            <span key={state}><i className={`grid-cell ${state}`} /> {label}</span>
+          ))}
+        </div>
+      </div>
+
+      {columns.length === 0 ? (
+        <p className="empty">No doctors in this department.</p>
+      ) : (
+        <div className="schedule-grid-scroll">
+          <table className="schedule-grid-table">
+            <thead>
+              <tr>
+                <th />
+                {columns.map(c => (
+                  <th key={c.doctor.id}>
+                    {c.doctor.name}
+                    <span className="grid-hours">
+                      {c.schedule.hours ? `${c.schedule.hours.start}–${c.schedule.hours.end}` : c.schedule.note || 'Off'}
+                    </span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(minute => (
+                <tr key={minute}>
+                  <td className="grid-time">{fromMinutes(minute)}</td>
+                  {columns.map(c => renderCell(c, minute))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleGrid;
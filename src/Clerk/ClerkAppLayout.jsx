@@ -1,17 +1,21 @@
 import React from 'react';
 import { Outlet, NavLink, useLocation, useNavigate } from 'react-router-dom';
-import { signOut } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
+import RoleSwitcher from '../components/RoleSwitcher';
+import { UnreadBadge } from '../components/NotificationInbox';
 import './ClerkLayout.css';
 
 /**
  * Main layout component for the Clerk interface.
- * Provides sidebar navigation, header with page title, and logout functionality.
+ * Provides sidebar navigation (with the unread notification count), header with page title,
+ * role switcher and logout functionality.
  * Uses React Router's Outlet to render child route components.
  * @returns {JSX.Element} Clerk layout structure with sidebar and main content area
  */
 const ClerkAppLayout = () => {
   const location = useLocation();
   const navigate = useNavigate();  // needed for redirect
+  const { signOut } = useAuth();
 
   /**
    * Mapping of route paths to their display titles.
@@ -23,12 +27,13 @@ const ClerkAppLayout = () => {
     '/clerk/doctors': 'Doctors',
     '/clerk/nurses': 'Nurses',
     '/clerk/appointments': 'Appointments',
+    '/clerk/notifications': 'Notifications',
   };
 
   const pageTitle = pageTitles[location.pathname] || 'CanCare';
 
   /**
-   * Handles user logout by signing out from Firebase Auth.
+   * Handles user logout through the configured auth provider.
    * Redirects to the login page after successful logout.
    * Logs errors to console if logout fails.
    */
@@ -63,6 +68,9 @@ const ClerkAppLayout = () => {
           <NavLink to="/clerk/appointments" className={({ isActive }) => isActive ? 'active' : ''}>
             Appointments
           </NavLink>
+          <NavLink to="/clerk/notifications" className={({ isActive }) => isActive ? 'active' : ''}>
+            Notifications<UnreadBadge />
+          </NavLink>
         </nav>
       </aside>
 
@@ -71,7 +79,10 @@ const ClerkAppLayout = () => {
         {/* NAVBAR */}
         <header className="clerk-navbar">
           <h3>{pageTitle}</h3>
-          <button className="logout-btn" onClick={handleLogout}>Logout</button>
+          <div className="navbar-actions">
+            <RoleSwitcher />
+            <button className="logout-btn" onClick={handleLogout}>Logout</button>
+          </div>
         </header>
 
         {/* PAGE CONTENT */}
@@ -6,22 +6,26 @@ import Patients from './users/Patients';
 import Doctors from './users/Doctors';
 import Nurses from './users/Nurses';
 import Appointments from './Appointments/Appointments';
+import RouteGuard from '../components/RouteGuard';
+import NotificationInbox from '../components/NotificationInbox';
 
 
 /**
  * Routing component for the Clerk section of the application.
- * Defines all routes accessible to clerk users and handles default redirects.
+ * Defines all routes accessible to clerk users, each wrapped in a RouteGuard,
+ * and handles default redirects.
  * @returns {JSX.Element} Router with all clerk routes configured
  */
 const ClerkRoutes = () => {
   return (
     <Routes>
       <Route path="/clerk" element={<ClerkAppLayout />}>
-        <Route path="dashboard" element={<Dashboard />} />
-        <Route path="patients" element={<Patients />} />
-        <Route path="doctors" element={<Doctors />} />
-        <Route path="nurses" element={<Nurses />} />
-        <Route path="appointments" element={<Appointments />} />
+        <Route path="dashboard" element={<RouteGuard><Dashboard /></RouteGuard>} />
+        <Route path="patients" element={<RouteGuard><Patients /></RouteGuard>} />
+        <Route path="doctors" element={<RouteGuard><Doctors /></RouteGuard>} />
+        <Route path="nurses" element={<RouteGuard><Nurses /></RouteGuard>} />
+        <Route path="appointments" element={<RouteGuard><Appointments /></RouteGuard>} />
+        <Route path="notifications" element={<RouteGuard><NotificationInbox /></RouteGuard>} />
       </Route>
       <Route path="*" element={<Navigate to="/clerk/dashboard" />} />
     </Routes>
@@ -6,6 +6,39 @@ import Calendar from "react-calendar";
 import "react-calendar/dist/Calendar.css";
 import "./Dashboard.css";
 import { subscribeToCollection, appAddDoc, appUpdateDoc, appDeleteDoc } from "../../services/firestoreService";
+import ArchiveModal from "../../components/ArchiveModal";
+import ArchiveToggle, { formatArchiveInfo } from "../../components/ArchiveToggle";
+import { excludeArchived, onlyArchived } from "../../services/archive";
+import LabWorklist from "../../components/LabWorklist";
+import { doctorStatsFor, nurseStatsFor, isDoctorPatient, isNursePatient } from "../../services/staffStats";
+import {
+  availableTimes,
+  appointmentTypeOf,
+  appointmentDuration,
+  bookedMinutes,
+  findSlotConflict,
+  formatTimeRange,
+  toMinutes,
+} from "../../services/appointmentSlots";
+import { workingHoursFor } from "../../services/doctorSchedule";
+import { isOpenEntry, waitlistStatus } from "../../services/waitlist";
+import {
+  TRANSFER_STATUS_LABELS,
+  transferStatus,
+  canTransition,
+  isOpenTransfer,
+  departmentOccupancy,
+} from "../../services/transfers";
+import {
+  APPOINTMENT_STATUS_LABELS,
+  APPOINTMENT_ACTION_LABELS,
+  REASON_FIELDS,
+  appointmentStatus,
+  nextStatuses,
+} from "../../services/appointmentLifecycle";
+import { REQUEST_TYPES, isOpenRequest } from "../../services/appointmentRequests";
+import { addDays } from "../../services/treatmentPlans";
+import AppointmentTypeFields from "../../components/AppointmentTypeFields";
 
 import {
   PieChart,
@@ -16,13 +49,6 @@ import {
   ResponsiveContainer,
 } from "recharts";
 
-// === Mock data & helpers ===
-// Keeping slots as configuration for now
-const doctorSlots = {
-  "Dr. Omar Khaled": ["09:00 AM", "10:00 AM", "11:00 AM", "02:00 PM"],
-  "Dr. Lina Yousef": ["10:00 AM", "11:00 AM", "01:00 PM", "03:00 PM"],
-};
-
 // Utility helpers
 /**
  * Generates a random ID with a given prefix.
@@ -104,8 +130,11 @@ const ClerkDashboardModern = () => {
   const [patients, setPatients] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [nurses, setNurses] = useState([]);
-  const [waitlist, setWaitlist] = useState([]);
-  const [transfers, setTransfers] = useState([]);
+  const [allWaitlist, setWaitlist] = useState([]);
+  const [allTransfers, setTransfers] = useState([]);
+  const [appointmentRequests, setAppointmentRequests] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [holidays, setHolidays] = useState([]);
 
   const [clerk, setClerk] = useState({
     name: "Clinic Clerk",
@@ -135,15 +164,23 @@ const ClerkDashboardModern = () => {
   }, []);
 
   useEffect(() => {
-    const { subscribeToWebAppointments, subscribeToWebWaitlist, subscribeToWebTransfers } = require('../../services/firestoreService');
+    const {
+      subscribeToWebAppointments,
+      subscribeToWebWaitlist,
+      subscribeToWebTransfers,
+      subscribeToAppointmentRequests,
+    } = require('../../services/firestoreService');
     
     const unsubs = [
       subscribeToWebAppointments(setAppointments), // استخدام web_appointments
       subscribeToCollection("patients", setPatients),
       subscribeToCollection("doctors", setDoctors),
       subscribeToCollection("nurses", setNurses),
-      subscribeToWebWaitlist(setWaitlist), // استخدام web_waitlist
-      subscribeToWebTransfers(setTransfers) // استخدام web_transfers
+      subscribeToWebWaitlist(setWaitlist, { includeArchived: true }), // استخدام web_waitlist
+      subscribeToWebTransfers(setTransfers, { includeArchived: true }), // استخدام web_transfers
+      subscribeToAppointmentRequests(setAppointmentRequests), // طلبات بوابة المريض
+      subscribeToCollection("holidays", setHolidays),
+      subscribeToCollection("departments", setDepartments)
     ];
     setLoading(false);
     return () => unsubs.forEach(u => u());
@@ -204,93 +241,25 @@ const ClerkDashboardModern = () => {
   }, [doctors, filters]);
 
   /**
-   * Calculates available appointment time slots for a doctor on a specific date.
-   * Filters out time slots that are already booked.
+   * Calculates available start times for a doctor on a specific date.
+   * Times come from the doctor's working hours on that date (weekly template, date changes,
+   * leave and holidays); starts whose interval (duration + buffer) overlaps a booked
+   * appointment are skipped.
    * @param {string} docName - Doctor's name
    * @param {string} dateStr - Date string (YYYY-MM-DD)
-   * @returns {Array<string>} List of available time slots
+   * @param {Object} [options] - { appointmentType, duration, excludeId }
+   * @returns {Array<string>} List of available start times
    */
-  const availableSlots = (docName, dateStr) => {
-    // Slots افتراضية شاملة
-    const defaultSlots = ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30', '12:00', '12:30', '13:00', '13:30', '14:00', '14:30', '15:00', '15:30', '16:00', '16:30', '17:00'];
-    
-    // البحث عن الطبيب
-    const doctor = doctors.find(d => d.name === docName);
-    
-    if (!dateStr) {
-      // إذا لم يكن هناك تاريخ، إرجاع slots افتراضية
-      if (doctor && doctor.workSchedule) {
-        // إرجاع slots من أول يوم مفعل
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        for (const day of dayNames) {
-          const daySchedule = doctor.workSchedule[day];
-          if (daySchedule && daySchedule.enabled && daySchedule.slots && daySchedule.slots.length > 0) {
-            return daySchedule.slots;
-          }
-        }
-      }
-      // Fallback
-      const fallback = doctorSlots[docName] ?? defaultSlots;
-      return Array.isArray(fallback) ? fallback : defaultSlots;
-    }
-    
-    // الحصول على slots من workSchedule
-    let base = [];
-    if (doctor && doctor.workSchedule) {
-      try {
-        const date = new Date(dateStr);
-        if (!isNaN(date.getTime())) {
-          const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-          const dayName = dayNames[date.getDay()];
-          const daySchedule = doctor.workSchedule[dayName];
-          
-          if (daySchedule && daySchedule.enabled && daySchedule.slots && daySchedule.slots.length > 0) {
-            base = daySchedule.slots || [];
-          }
-        }
-      } catch (e) {
-        console.error('Error parsing date:', e);
-      }
-    }
-    
-    // Fallback 1: استخدام doctorSlots القديم
-    if (base.length === 0) {
-      base = doctorSlots[docName] ?? [];
-      // تحويل من "09:00 AM" إلى "09:00" إذا لزم الأمر
-      if (base.length > 0 && (base[0].includes('AM') || base[0].includes('PM'))) {
-        base = base.map(slot => slot.replace(/\s*(AM|PM)/i, '').trim());
-      }
-    }
-    
-    // Fallback 2: استخدام slots افتراضية شاملة
-    if (base.length === 0) {
-      base = defaultSlots;
-    }
-    
-    // فلترة المواعيد المحجوزة
-    const taken = appointments
-      .filter((a) => {
-        const aDoctor = a.doctor || a.doctorName;
-        const aDoctorId = a.doctorId;
-        const matchesDoctor = aDoctor === docName || 
-                             aDoctorId === doctor?.id || 
-                             aDoctorId === doctor?.uid;
-        return matchesDoctor && 
-               a.date === dateStr && 
-               a.status !== 'cancelled' &&
-               a.status !== 'Cancelled';
-      })
-      .map((a) => {
-        // تطبيع الوقت
-        const time = a.time || '';
-        return time.replace(/\s*(AM|PM)/i, '').trim();
-      })
-      .filter(Boolean);
-    
-    // تطبيع base slots
-    const normalizedBase = base.map(s => s.replace(/\s*(AM|PM)/i, '').trim());
-    
-    return normalizedBase.filter((s) => !taken.includes(s));
+  const availableSlots = (docName, dateStr, { appointmentType, duration, excludeId } = {}) => {
+    const doctor = doctors.find((d) => d.name === docName);
+    if (!doctor || !dateStr) return [];
+
+    return availableTimes(
+      appointments,
+      { doctorId: [doctor.id, doctor.uid], doctorName: docName, date: dateStr, appointmentType, duration },
+      workingHoursFor(doctor, dateStr, holidays),
+      excludeId
+    );
   };
 
   /**
@@ -301,6 +270,106 @@ const ClerkDashboardModern = () => {
   const getDeptByDoctorName = (docName) =>
     doctors.find((d) => d.name === docName)?.department ?? "Unknown";
 
+  // Archived waitlist entries and transfers are only shown in their Archived view
+  const waitlist = useMemo(() => excludeArchived(allWaitlist, "web_waitlist"), [allWaitlist]);
+  const transfers = useMemo(() => excludeArchived(allTransfers, "web_transfers"), [allTransfers]);
+  const archivedWaitlist = useMemo(() => onlyArchived(allWaitlist, "web_waitlist"), [allWaitlist]);
+  const archivedTransfers = useMemo(() => onlyArchived(allTransfers, "web_transfers"), [allTransfers]);
+  const [showArchivedWaitlist, setShowArchivedWaitlist] = useState(false);
+  const [showArchivedTransfers, setShowArchivedTransfers] = useState(false);
+
+  /**
+   * Restores an archived waitlist entry or transfer.
+   * @param {string} collectionName - 'web_waitlist' or 'web_transfers'
+   * @param {string} id - Record ID
+   */
+  const restoreQueueRecord = async (collectionName, id) => {
+    const { restoreDoc } = require('../../services/firestoreService');
+    try {
+      await restoreDoc(collectionName, id);
+    } catch (error) {
+      alert(`Error restoring record: ${error.message}`);
+    }
+  };
+
+  /**
+   * Archived records of a queue with their archive details and a restore action.
+   * @param {Array} records - Archived waitlist entries or transfers
+   * @param {string} collectionName - 'web_waitlist' or 'web_transfers'
+   * @param {Function} describe - Record -> detail line
+   * @returns {JSX.Element} Archived list
+   */
+  const renderArchivedQueue = (records, collectionName, describe) => (
+    <div className="list">
+      {records.length ? (
+        records.map((r) => (
+          <div className="item" key={r.id}>
+            <h4>{r.patient}</h4>
+            <div className="meta">{describe(r)}</div>
+            <div className="meta archive-info">{formatArchiveInfo(r)}</div>
+            <div className="row-actions">
+              <button className="restore-btn" onClick={() => restoreQueueRecord(collectionName, r.id)}>Restore</button>
+            </div>
+          </div>
+        ))
+      ) : (
+        <div className="meta">No archived records.</div>
+      )}
+    </div>
+  );
+
+  // Waitlist entries still waiting or holding an offer; booked ones stay for the record
+  const openWaitlist = useMemo(() => waitlist.filter(isOpenEntry), [waitlist]);
+  const bookedFromWaitlist = waitlist.length - openWaitlist.length;
+
+  /**
+   * First open times for a waitlist entry: doctors of its department,
+   * searched day by day from the preferred date (or the selected day).
+   * @param {Object} entry - Waitlist entry
+   * @param {number} [limit=4] - Maximum number of suggestions
+   * @returns {Array<{ doctor: Object, date: string, time: string }>} Suggested slots
+   */
+  const waitlistSuggestions = (entry, limit = 4) => {
+    const deptDocs = doctors.filter((d) => d.department === entry.department);
+    const from = entry.preferredDate && entry.preferredDate >= fmtDay(currentDate) ? entry.preferredDate : dayStr;
+    const found = [];
+    for (let i = 0; i < 7 && found.length < limit; i++) {
+      const date = addDays(from, i);
+      deptDocs.forEach((doctor) => {
+        availableSlots(doctor.name, date).slice(0, 1).forEach((time) => found.push({ doctor, date, time }));
+      });
+    }
+    return found.slice(0, limit);
+  };
+
+  /**
+   * Books the slot offered to a waitlist entry. If the slot was taken in the
+   * meantime the entry goes back to waiting.
+   * @param {Object} entry - Waitlist entry with an offer
+   */
+  const acceptOffer = async (entry) => {
+    const { acceptWaitlistOffer } = require('../../services/firestoreService');
+    try {
+      await acceptWaitlistOffer(entry.id);
+    } catch (error) {
+      alert(`Error booking offer: ${error.message}`);
+    }
+  };
+
+  /**
+   * Declines the offered slot; it is offered to the next matching entry.
+   * @param {Object} entry - Waitlist entry with an offer
+   */
+  const declineOffer = async (entry) => {
+    const { declineWaitlistOffer } = require('../../services/firestoreService');
+    try {
+      const next = await declineWaitlistOffer(entry.id);
+      if (next) alert(`Slot offered to ${next.patient} from the waitlist.`);
+    } catch (error) {
+      alert(`Error declining offer: ${error.message}`);
+    }
+  };
+
   // Time-filtered appointments
   const apptsInTimeframe = useMemo(() => {
     if (timeframe === "all") return appointments;
@@ -333,7 +402,7 @@ const ClerkDashboardModern = () => {
   }, [appointments, todayStr, currentDate]);
 
   const cancelledVisits = useMemo(() => {
-    return apptsInTimeframe.filter((a) => a.status === "Cancelled" || a.status === "cancelled");
+    return apptsInTimeframe.filter((a) => appointmentStatus(a) === "cancelled");
   }, [apptsInTimeframe]);
 
   // Daily statistics calculations - إحصائيات يومية
@@ -342,15 +411,10 @@ const ClerkDashboardModern = () => {
     
     // المواعيد اليوم
     const todayAppointments = appointments.filter((a) => a.date === today);
-    const todayScheduled = todayAppointments.filter((a) => 
-      a.status === 'scheduled' || a.status === 'Scheduled'
-    ).length;
-    const todayCompleted = todayAppointments.filter((a) => 
-      a.status === 'completed' || a.status === 'Completed'
-    ).length;
-    const todayCancelled = todayAppointments.filter((a) => 
-      a.status === 'cancelled' || a.status === 'Cancelled'
-    ).length;
+    const todayScheduled = todayAppointments.filter((a) => appointmentStatus(a) === 'scheduled').length;
+    const todayCompleted = todayAppointments.filter((a) => appointmentStatus(a) === 'completed').length;
+    const todayCancelled = todayAppointments.filter((a) => appointmentStatus(a) === 'cancelled').length;
+    const todayNoShow = todayAppointments.filter((a) => appointmentStatus(a) === 'no-show').length;
     
     // المرضى الجدد اليوم
     const newPatientsToday = patients.filter((p) => {
@@ -360,18 +424,16 @@ const ClerkDashboardModern = () => {
     }).length;
     
     // الأطباء النشطين اليوم
-    const activeDoctorsToday = doctors.filter((d) => {
-      const doctorAppointments = todayAppointments.filter((a) => 
-        a.doctorId === d.uid || a.doctorId === d.id || a.doctorName === d.name || a.doctor === d.name
-      );
-      return doctorAppointments.length > 0;
-    }).length;
+    const activeDoctorsToday = doctors.filter((d) =>
+      doctorStatsFor(d, { appointments }, today).appointmentsToday > 0
+    ).length;
     
     return {
       todayAppointments: todayAppointments.length,
       todayScheduled,
       todayCompleted,
       todayCancelled,
+      todayNoShow,
       newPatientsToday,
       activeDoctorsToday,
       lastUpdate: lastUpdateTime
@@ -388,13 +450,18 @@ const ClerkDashboardModern = () => {
   const saveAppointment = async (ap) => {
     const { createWebAppointment, updateWebAppointment } = require('../../services/firestoreService');
     
-    const clash = appointments.some(
-      (a) =>
-        a.id !== ap.id &&
-        (a.doctor === ap.doctor || a.doctorId === ap.doctorId || a.doctorName === ap.doctor) &&
-        a.date === ap.date &&
-        a.time === ap.time &&
-        a.status !== "Cancelled"
+    const doctor = doctors.find((d) => d.id === ap.doctorId || d.name === ap.doctor);
+    const clash = findSlotConflict(
+      appointments,
+      {
+        doctorId: [ap.doctorId, doctor?.id, doctor?.uid],
+        doctorName: ap.doctor,
+        date: ap.date,
+        time: ap.time,
+        appointmentType: ap.appointmentType,
+        duration: ap.duration,
+      },
+      ap.id
     );
     if (clash) return alert("This slot is already booked for the selected doctor.");
 
@@ -412,10 +479,30 @@ const ClerkDashboardModern = () => {
       }
       if (ap.date) updates.date = ap.date;
       if (ap.time) updates.time = ap.time;
-      if (ap.status) updates.status = ap.status;
+      if (ap.appointmentType) updates.appointmentType = ap.appointmentType;
+      if (ap.duration) updates.duration = Number(ap.duration);
       if (ap.notes !== undefined) updates.notes = ap.notes;
       
       await updateWebAppointment(ap.id, updates);
+    } else if (ap.waitlistEntryId) {
+      // حجز من قائمة الانتظار: الطلب ينتقل إلى booked
+      const { bookWaitlistEntry } = require('../../services/firestoreService');
+      const doctor = doctors.find(d => d.name === ap.doctor || d.id === ap.doctorId || d.uid === ap.doctorId);
+      const patient = patients.find(p => p.name === ap.patient || p.id === ap.patientId);
+      try {
+        await bookWaitlistEntry(ap.waitlistEntryId, {
+          ...(patient && { patientId: patient.id, patientName: patient.name }),
+          doctorId: doctor?.uid || doctor?.id || ap.doctorId,
+          doctorName: doctor?.name || ap.doctor || ap.doctorName,
+          date: ap.date,
+          time: ap.time,
+          appointmentType: ap.appointmentType,
+          duration: ap.duration,
+          notes: ap.notes || 'From waitlist'
+        });
+      } catch (error) {
+        alert(`Error booking from waitlist: ${error.message}`);
+      }
     } else {
       // إنشاء موعد جديد
       const doctor = doctors.find(d => d.name === ap.doctor || d.id === ap.doctorId || d.uid === ap.doctorId);
@@ -428,29 +515,45 @@ const ClerkDashboardModern = () => {
         doctorName: doctor?.name || ap.doctor || ap.doctorName,
         date: ap.date,
         time: ap.time,
-        status: ap.status || 'scheduled',
+        appointmentType: ap.appointmentType,
+        duration: ap.duration,
         notes: ap.notes || ''
       });
     }
   };
 
   /**
-   * Updates an appointment's status.
-   * If cancelled, prompts to add the patient to the waitlist.
+   * Moves an appointment along its lifecycle; no-show and cancellation ask for a reason.
+   * A cancelled slot is offered to the best-matching waitlist entry; then
+   * prompts to add the cancelling patient to the waitlist.
    * @param {string} id - Appointment ID.
-   * @param {string} status - New status.
+   * @param {string} status - Target status (see appointmentLifecycle).
    */
   const updateStatus = async (id, status) => {
-    const { updateWebAppointment, createWebWaitlistEntry } = require('../../services/firestoreService');
-    
-    await updateWebAppointment(id, { status });
-    if (status === "Cancelled") {
+    const { transitionAppointment, createWebWaitlistEntry } = require('../../services/firestoreService');
+
+    let reason;
+    if (REASON_FIELDS[status]) {
+      reason = window.prompt(`Reason (${APPOINTMENT_STATUS_LABELS[status]}):`);
+      if (!reason?.trim()) return;
+    }
+    let offers;
+    try {
+      offers = await transitionAppointment(id, status, reason);
+    } catch (error) {
+      return alert(`Error updating appointment: ${error.message}`);
+    }
+    if (offers?.length) {
+      alert(`Freed slot offered to ${offers.map((o) => o.patient).join(', ')} from the waitlist.`);
+    }
+    if (status === "cancelled") {
       const ap = appointments.find((a) => a.id === id);
       if (ap) {
         const dep = getDeptByDoctorName(ap.doctor || ap.doctorName);
         if (window.confirm(`Add ${ap.patient || ap.patientName} to waitlist for ${dep}?`)) {
           await createWebWaitlistEntry({
             patient: ap.patient || ap.patientName,
+            patientId: ap.patientId || null,
             department: dep,
             preferredDate: ap.date,
             notes: `Cancelled ${ap.doctor || ap.doctorName} ${ap.time}`,
@@ -461,16 +564,17 @@ const ClerkDashboardModern = () => {
   };
 
   /**
-   * Deletes an appointment from Firestore.
+   * Archives an appointment (soft delete).
    * @param {string} id - Appointment ID
+   * @param {string} reason - Archive reason
    */
-  const deleteAppointment = async (id) => {
+  const deleteAppointment = async (id, reason) => {
     try {
       const { deleteWebAppointment } = require('../../services/firestoreService');
-      await deleteWebAppointment(id);
+      await deleteWebAppointment(id, reason);
     } catch (error) {
-      console.error('Error deleting appointment:', error);
-      alert(`Error deleting appointment: ${error.message}`);
+      console.error('Error archiving appointment:', error);
+      alert(`Error archiving appointment: ${error.message}`);
     }
   };
 
@@ -550,48 +654,136 @@ const ClerkDashboardModern = () => {
   });
 
   const utilizationRows = useMemo(() => {
-    return doctors.map((doc) => {
-      const slotsPerDay = (doctorSlots[doc.name] ?? []).length;
-      return {
-        doctor: doc.name,
-        department: doc.department,
-        days: next7Days.map((day) => {
-          const filled = appointments.filter((a) => a.doctor === doc.name && a.date === day).length;
-          const total = slotsPerDay || 1;
-          const pct = Math.round((filled / total) * 100);
-          return { day, filled, total, pct };
-        }),
-      };
-    });
-  }, [doctors, appointments]);
+    // الإشغال بالدقائق: مدة المواعيد المحجوزة من ساعات العمل
+    return doctors.map((doc) => ({
+      doctor: doc.name,
+      department: doc.department,
+      days: next7Days.map((day) => {
+        const hours = workingHoursFor(doc, day, holidays);
+        const filled = bookedMinutes(appointments, { doctorId: [doc.id, doc.uid], doctorName: doc.name, date: day });
+        const total = hours ? toMinutes(hours.end) - toMinutes(hours.start) : 0;
+        const pct = total ? Math.round((filled / total) * 100) : 0;
+        return { day, filled, total, pct };
+      }),
+    }));
+  }, [doctors, appointments, holidays]);
 
   // Transfer helpers
-  // Transfer helpers
+  // Finished (completed / rejected) transfers leave the queue
+  const openTransfers = useMemo(() => transfers.filter(isOpenTransfer), [transfers]);
+
+  /**
+   * Beds in a department: occupied, reserved by approved transfers and free.
+   * @param {string} name - Department name
+   * @param {string} [excludeTransferId] - Transfer not to count as a reservation
+   * @returns {Object} { beds, occupied, reserved, free }
+   */
+  const occupancyOf = (name, excludeTransferId) =>
+    departmentOccupancy({ patients, transfers, departments }, name, excludeTransferId);
+
   /**
    * Adds a new transfer request.
    * @param {Object} tr - Transfer data.
+   * @returns {Promise<boolean>} Whether the request was created
    */
   const addTransfer = async (tr) => {
+    const { createWebTransfer } = require('../../services/firestoreService');
     const { id, ...data } = tr;
-    await appAddDoc("transfers", { ...data, status: "Pending", assignedDoctorId: null });
+    try {
+      await createWebTransfer(data);
+      return true;
+    } catch (error) {
+      alert(`Error creating transfer: ${error.message}`);
+      return false;
+    }
   };
 
   /**
-   * Updates the status of a transfer request.
-   * @param {string} id - Transfer ID
-   * @param {string} status - New status value
+   * Moves a transfer to its next state (approve / complete / reject).
+   * Transitions are guarded by the service; refusals are shown as alerts.
+   * @param {Object} t - Transfer
+   * @param {string} to - Target status
    */
-  const setTransferStatus = async (id, status) => {
-    await appUpdateDoc("transfers", id, { status });
+  const moveTransfer = async (t, to) => {
+    const { approveTransfer, completeTransfer, rejectTransfer } = require('../../services/firestoreService');
+    try {
+      if (to === "approved") await approveTransfer(t.id);
+      if (to === "completed") await completeTransfer(t.id);
+      if (to === "rejected") {
+        const reason = window.prompt(`Reason for rejecting ${t.patient}'s transfer to ${t.toDept}:`);
+        if (reason === null) return;
+        await rejectTransfer(t.id, reason);
+      }
+    } catch (error) {
+      alert(`Error updating transfer: ${error.message}`);
+    }
   };
 
   /**
-   * Assigns a doctor to a transfer request.
+   * Assigns a doctor of the receiving department to an approved transfer.
    * @param {string} id - Transfer ID.
    * @param {string} doctorId - ID of the assigned doctor.
    */
-  const assignTransferDoctor = async (id, doctorId) => {
-    await appUpdateDoc("transfers", id, { assignedDoctorId: doctorId, status: "Assigned" });
+  const assignDoctorToTransfer = async (id, doctorId) => {
+    const { assignTransferDoctor } = require('../../services/firestoreService');
+    try {
+      await assignTransferDoctor(id, doctorId);
+    } catch (error) {
+      alert(`Error assigning doctor: ${error.message}`);
+    }
+  };
+
+  // Patient portal requests
+  // Requests waiting for a decision, oldest first
+  const openRequests = useMemo(
+    () => appointmentRequests.filter(isOpenRequest).reverse(),
+    [appointmentRequests]
+  );
+
+  /**
+   * Free start times for the slot a patient requested.
+   * @param {Object} r - Appointment request
+   * @returns {Array<string>} Available start times on the requested day
+   */
+  const requestSlots = (r) =>
+    availableSlots(r.doctorName, r.date, { appointmentType: r.appointmentType, excludeId: r.appointmentId });
+
+  /**
+   * Approves a patient request; the appointment is created (or moved) by the service.
+   * When the requested time has been taken meanwhile, the clerk picks another free time.
+   * @param {Object} r - Appointment request
+   */
+  const approveRequest = async (r) => {
+    const { approveAppointmentRequest } = require('../../services/firestoreService');
+    const free = requestSlots(r);
+    let time = r.time;
+    if (!free.includes(r.time)) {
+      time = window.prompt(
+        `${r.time} is no longer free for ${r.doctorName} on ${r.date}. Book at (free: ${free.join(", ") || "none"}):`,
+        free[0] || ""
+      );
+      if (!time) return;
+    }
+    try {
+      await approveAppointmentRequest(r.id, { time });
+    } catch (error) {
+      alert(`Error approving request: ${error.message}`);
+    }
+  };
+
+  /**
+   * Declines a patient request; the reason is shown to the patient.
+   * @param {Object} r - Appointment request
+   */
+  const declineRequest = async (r) => {
+    const { declineAppointmentRequest } = require('../../services/firestoreService');
+    const reason = window.prompt(`Reason for declining ${r.patientName}'s request (shown to the patient):`);
+    if (reason === null) return;
+    try {
+      await declineAppointmentRequest(r.id, reason);
+    } catch (error) {
+      alert(`Error declining request: ${error.message}`);
+    }
   };
 
   // === Render ===
@@ -638,7 +830,7 @@ const ClerkDashboardModern = () => {
           <h3 style={{ color: 'white', marginBottom: '8px' }}>Today's Appointments</h3>
           <div style={{ fontSize: '32px', fontWeight: 'bold' }}>{dailyStats.todayAppointments}</div>
           <div style={{ fontSize: '12px', marginTop: '8px', opacity: 0.9 }}>
-            Scheduled: {dailyStats.todayScheduled} | Completed: {dailyStats.todayCompleted} | Cancelled: {dailyStats.todayCancelled}
+            Scheduled: {dailyStats.todayScheduled} | Completed: {dailyStats.todayCompleted} | Cancelled: {dailyStats.todayCancelled} | No-show: {dailyStats.todayNoShow}
           </div>
         </div>
         <div className="card" style={{ background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)', color: 'white' }}>
@@ -696,7 +888,7 @@ const ClerkDashboardModern = () => {
                       key={cell.day}
                       className="util-cell"
                       data-level={level}
-                      title={`${cell.filled}/${cell.total} (${cell.pct}%)`}
+                      title={`${cell.filled}/${cell.total} min (${cell.pct}%)`}
                     >
                       {cell.pct}%
                     </div>
@@ -833,6 +1025,7 @@ const ClerkDashboardModern = () => {
               onClick={() =>
                 setNewTransfer({
                   id: null,
+                  patientId: "",
                   patient: "",
                   fromDept: "",
                   toDept: "",
@@ -925,22 +1118,21 @@ const ClerkDashboardModern = () => {
                     <div>
                       <strong>{doctorName}</strong>
                       <div className="meta">
-                        {patientName} • {a.date || 'N/A'} • {a.time || 'N/A'}
+                        {patientName} • {a.date || 'N/A'} • {formatTimeRange(a) || 'N/A'}
                       </div>
                     </div>
                   </div>
-                  <span className={`status ${a.status.toLowerCase()}`}>{a.status}</span>
+                  <span className={`status ${appointmentStatus(a)}`}>{APPOINTMENT_STATUS_LABELS[appointmentStatus(a)]}</span>
                   <div className="actions">
-                    {a.status !== "Completed" && (
-                      <button className="btn secondary" onClick={() => updateStatus(a.id, "Completed")}>
-                        Confirm
-                      </button>
-                    )}
-                    {a.status !== "Cancelled" && (
-                      <button className="btn danger" onClick={() => updateStatus(a.id, "Cancelled")}>
-                        Cancel
+                    {nextStatuses(a).map((status) => (
+                      <button
+                        key={status}
+                        className={`btn ${REASON_FIELDS[status] ? "danger" : "secondary"}`}
+                        onClick={() => updateStatus(a.id, status)}
+                      >
+                        {APPOINTMENT_ACTION_LABELS[status]}
                       </button>
-                    )}
+                    ))}
                     <button className="btn" onClick={() => setEditingAppt({ ...a })}>
                       Edit
                     </button>
@@ -948,7 +1140,7 @@ const ClerkDashboardModern = () => {
                       className="btn danger"
                       onClick={() => setConfirmDelete({ type: "appointment", id: a.id })}
                     >
-                      Delete
+                      Archive
                     </button>
                   </div>
                 </div>
@@ -998,124 +1190,210 @@ const ClerkDashboardModern = () => {
         <div className="card">
           <div className="panel-title">
             <h3>Waitlist</h3>
-            <span className="badge">{waitlist.length}</span>
+            <span className="badge">{openWaitlist.length}</span>
+            {bookedFromWaitlist > 0 && <span className="badge">{bookedFromWaitlist} booked</span>}
+            <ArchiveToggle
+              showArchived={showArchivedWaitlist}
+              onChange={setShowArchivedWaitlist}
+              activeCount={waitlist.length}
+              archivedCount={archivedWaitlist.length}
+            />
           </div>
-          <div className="list">
-            {waitlist.length ? (
-              waitlist.map((w) => {
-                const deptDocs = doctors.filter((d) => d.department === w.department);
-                return (
-                  <div className="item" key={w.id}>
-                    <h4>
-                      {w.patient} <span className="badge">{w.department}</span>
-                    </h4>
-                    <div className="meta">Preferred: {w.preferredDate ?? "—"}</div>
-                    {w.notes && <div className="meta">Notes: {w.notes}</div>}
-                    <div className="row-actions">
-                      <button className="btn" onClick={() => setShowWaitlistModal({ entry: w })}>
-                        Fill slot…
-                      </button>
-                      <button
-                        className="btn danger"
-                        onClick={() => appDeleteDoc("waitlist", w.id)}
-                      >
-                        Remove
-                      </button>
-                    </div>
+          {showArchivedWaitlist ? renderArchivedQueue(archivedWaitlist, "web_waitlist", (w) => `${w.department || "—"} · Preferred: ${w.preferredDate ?? "—"}`) : (
+            <div className="list">
+              {openWaitlist.length ? (
+                openWaitlist.map((w) => {
+                  const offered = waitlistStatus(w) === "offered" && w.offer;
+                  const suggestions = offered ? [] : waitlistSuggestions(w);
+                  return (
+                    <div className="item" key={w.id}>
+                      <h4>
+                        {w.patient} <span className="badge">{w.department}</span>
+                        {offered && <span className="badge">Offered</span>}
+                      </h4>
+                      <div className="meta">Preferred: {w.preferredDate ?? "—"}</div>
+                      {w.notes && <div className="meta">Notes: {w.notes}</div>}
+                      {offered && (
+                        <div className="meta">
+                          Offer: {w.offer.doctorName} · {w.offer.date} {w.offer.time} ({w.offer.duration} min)
+                        </div>
+                      )}
+                      <div className="row-actions">
+                        {offered ? (
+                          <>
+                            <button className="btn" onClick={() => acceptOffer(w)}>Book offer</button>
+                            <button className="btn secondary" onClick={() => declineOffer(w)}>Decline</button>
+                          </>
+                        ) : (
+                          <button className="btn" onClick={() => setShowWaitlistModal({ entry: w })}>
+                            Fill slot…
+                          </button>
+                        )}
+                        <button
+                          className="btn danger"
+                          onClick={() => setConfirmDelete({ type: "waitlist entry", id: w.id })}
+                        >
+                          Archive
+                        </button>
+                      </div>
 
-                    {/* Quick suggestions */}
-                    {!!deptDocs.length && (
-                      <div style={{ marginTop: 6 }}>
-                        <div className="meta">Quick slots:</div>
-                        <div className="slots" style={{ marginTop: 6 }}>
-                          {deptDocs.slice(0, 2).flatMap((d) => {
-                            const day = w.preferredDate ?? dayStr;
-                            const slots = availableSlots(d.name, day).slice(0, 2);
-                            return slots.map((s) => (
+                      {/* Quick suggestions: first open times from the preferred date */}
+                      {!offered && (
+                        <div style={{ marginTop: 6 }}>
+                          <div className="meta">Quick slots:</div>
+                          <div className="slots" style={{ marginTop: 6 }}>
+                            {suggestions.map(({ doctor, date, time }) => (
                               <span
-                                key={d.name + s}
+                                key={doctor.id + date + time}
                                 className="slot"
                                 style={{ cursor: "pointer" }}
-                                title={`Book ${d.name} ${day} ${s}`}
+                                title={`Book ${doctor.name} ${date} ${time}`}
                                 onClick={() => {
                                   setEditingAppt({
                                     id: genId("A"),
                                     patient: w.patient,
-                                    doctor: d.name,
-                                    date: day,
-                                    time: s,
+                                    patientId: w.patientId ?? null,
+                                    doctor: doctor.name,
+                                    doctorId: doctor.uid || doctor.id,
+                                    date,
+                                    time,
                                     status: "Scheduled",
+                                    waitlistEntryId: w.id,
                                   });
                                   setShowWaitlistModal(null);
                                 }}
                               >
-                                {d.name.split(" ")[1] ?? d.name}: {s}
+                                {doctor.name.split(" ")[1] ?? doctor.name}: {date.slice(5)} {time}
                               </span>
-                            ));
-                          })}
-                          {!deptDocs.length && <span className="slot none">No doctors in dept</span>}
+                            ))}
+                            {!suggestions.length && <span className="slot none">No open slots this week</span>}
+                          </div>
                         </div>
-                      </div>
-                    )}
-                  </div>
-                );
-              })
-            ) : (
-              <div className="meta">No patients on waitlist.</div>
-            )}
-          </div>
+                      )}
+                    </div>
+                  );
+                })
+              ) : (
+                <div className="meta">No patients on waitlist.</div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* TRANSFER QUEUE */}
         <div className="card">
           <div className="panel-title">
             <h3>Transfer Queue</h3>
-            <span className="badge">{transfers.length}</span>
+            <span className="badge">{openTransfers.length}</span>
+            <ArchiveToggle
+              showArchived={showArchivedTransfers}
+              onChange={setShowArchivedTransfers}
+              activeCount={transfers.length}
+              archivedCount={archivedTransfers.length}
+            />
+          </div>
+          {showArchivedTransfers ? renderArchivedQueue(archivedTransfers, "web_transfers", (t) => `${t.fromDept || "—"} → ${t.toDept} · ${TRANSFER_STATUS_LABELS[transferStatus(t)]}`) : (
+            <div className="list">
+              {openTransfers.length ? (
+                openTransfers.map((t) => {
+                  const status = transferStatus(t);
+                  const assigned = t.assignedDoctorId
+                    ? doctors.find((d) => d.id === t.assignedDoctorId)?.name
+                    : null;
+                  const beds = occupancyOf(t.toDept, t.id);
+                  return (
+                    <div className="item" key={t.id}>
+                      <h4>
+                        {t.patient}
+                        <span className="badge">
+                          {t.fromDept || "—"} → {t.toDept}
+                        </span>
+                        <span
+                          className={`badge ${status === "requested" ? "pending" : status === "assigned" ? "assigned" : "info"}`}
+                        >
+                          {TRANSFER_STATUS_LABELS[status]}
+                        </span>
+                      </h4>
+                      {t.reason && <div className="meta">Reason: {t.reason}</div>}
+                      <div className="meta">
+                        {t.toDept} beds: {beds.occupied + beds.reserved}/{beds.beds ?? "not set"}
+                        {status === "requested" && beds.free === 0 && " · full"}
+                      </div>
+                      <div className="meta">Assigned: {assigned ?? "—"}</div>
+                      <div className="row-actions">
+                        {canTransition(t, "approved") && (
+                          <button className="btn" disabled={beds.free === 0} onClick={() => moveTransfer(t, "approved")}>
+                            Approve
+                          </button>
+                        )}
+                        {canTransition(t, "assigned") && (
+                          <button className="btn" onClick={() => setAssignTransfer(t)}>
+                            Assign doctor
+                          </button>
+                        )}
+                        {canTransition(t, "completed") && (
+                          <button className="btn" onClick={() => moveTransfer(t, "completed")}>
+                            Complete
+                          </button>
+                        )}
+                        <button className="btn secondary" onClick={() => moveTransfer(t, "rejected")}>
+                          Reject
+                        </button>
+                        <button
+                          className="btn danger"
+                          onClick={() => setConfirmDelete({ type: "transfer", id: t.id })}
+                        >
+                          Archive
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })
+              ) : (
+                <div className="meta">No transfer requests.</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* PATIENT REQUESTS */}
+        <div className="card">
+          <div className="panel-title">
+            <h3>Patient Requests</h3>
+            <span className="badge">{openRequests.length}</span>
           </div>
           <div className="list">
-            {transfers.length ? (
-              transfers.map((t) => {
-                const assigned = t.assignedDoctorId
-                  ? doctors.find((d) => d.id === t.assignedDoctorId)?.name
-                  : null;
+            {openRequests.length ? (
+              openRequests.map((r) => {
+                const current = r.appointmentId && appointments.find((a) => a.id === r.appointmentId);
+                const taken = !requestSlots(r).includes(r.time);
                 return (
-                  <div className="item" key={t.id}>
+                  <div className="item" key={r.id}>
                     <h4>
-                      {t.patient}
-                      <span className="badge">
-                        {t.fromDept} → {t.toDept}
-                      </span>
-                      <span
-                        className={`badge ${t.status === "Pending" ? "pending" : t.status === "Assigned" ? "assigned" : "info"
-                          }`}
-                      >
-                        {t.status}
+                      {patients.find((p) => p.id === r.patientId)?.name || r.patientName}
+                      <span className={`badge ${r.type === "reschedule" ? "info" : "pending"}`}>
+                        {REQUEST_TYPES[r.type]}
                       </span>
                     </h4>
-                    {t.reason && <div className="meta">Reason: {t.reason}</div>}
-                    <div className="meta">Assigned: {assigned ?? "—"}</div>
+                    {current && <div className="meta">Current: {current.date} {formatTimeRange(current)}</div>}
+                    <div className="meta">
+                      Requested: {r.date} {formatTimeRange(r)} · {r.doctorName}
+                      {taken && " · no longer free"}
+                    </div>
+                    {r.notes && <div className="meta">Notes: {r.notes}</div>}
                     <div className="row-actions">
-                      <button className="btn" onClick={() => setAssignTransfer(t)}>
-                        Assign doctor
-                      </button>
-                      <button className="btn secondary" onClick={() => setTransferStatus(t.id, "Need Info")}>
-                        Need Info
-                      </button>
-                      <button className="btn" onClick={() => setTransferStatus(t.id, "Approved")}>
+                      <button className="btn" onClick={() => approveRequest(r)}>
                         Approve
                       </button>
-                      <button
-                        className="btn danger"
-                        onClick={() => appDeleteDoc("transfers", t.id)}
-                      >
-                        Remove
+                      <button className="btn secondary" onClick={() => declineRequest(r)}>
+                        Decline
                       </button>
                     </div>
                   </div>
                 );
               })
             ) : (
-              <div className="meta">No transfer requests.</div>
+              <div className="meta">No patient requests.</div>
             )}
           </div>
         </div>
@@ -1145,7 +1423,7 @@ const ClerkDashboardModern = () => {
                     onClick={() => setDeletePatient(p)}
                     style={{ marginLeft: 6 }}
                   >
-                    Delete
+                    Archive
                   </button>
                 </span>
               </li>
@@ -1155,6 +1433,11 @@ const ClerkDashboardModern = () => {
         </div>
       </div>
 
+      {/* Lab worklist */}
+      <div style={{ marginTop: 16 }}>
+        <LabWorklist patients={patients} doctors={doctors} />
+      </div>
+
       {/* ===== Modals ===== */}
       {editingAppt && (
         <AppointmentModal
@@ -1162,6 +1445,7 @@ const ClerkDashboardModern = () => {
           patients={patients}
           doctors={doctors}
           appointments={appointments}
+          holidays={holidays}
           onSave={(ap) => {
             saveAppointment(ap);
             setEditingAppt(null);
@@ -1206,8 +1490,8 @@ const ClerkDashboardModern = () => {
       {deletePatient && (
         <DeletePatientModal
           patient={deletePatient}
-          onDelete={async () => {
-            await appDeleteDoc("patients", deletePatient.id);
+          onDelete={async (reason) => {
+            await appDeleteDoc("patients", deletePatient.id, reason);
             setDeletePatient(null);
           }}
           onClose={() => setDeletePatient(null)}
@@ -1228,7 +1512,7 @@ const ClerkDashboardModern = () => {
       {viewNurse && (
         <ViewNurseModal
           nurse={viewNurse}
-          patientsForNurse={patients.filter(p => p.nurseId === viewNurse.id)}
+          patientsForNurse={patients.filter((p) => isNursePatient(viewNurse, p))}
           onClose={() => setViewNurse(null)}
           navigate={() => { /* noop in this file */ }}
         />
@@ -1236,9 +1520,9 @@ const ClerkDashboardModern = () => {
       {deleteNurse && (
         <DeleteNurseModal
           nurse={deleteNurse}
-          inUsePatients={patients.filter(p => p.nurseId === deleteNurse.id).length}
-          onDelete={async () => {
-            await appDeleteDoc("nurses", deleteNurse.id);
+          inUsePatients={nurseStatsFor(deleteNurse, { patients }).assignedPatients}
+          onDelete={async (reason) => {
+            await appDeleteDoc("nurses", deleteNurse.id, reason);
             setDeleteNurse(null);
           }}
           onClose={() => setDeleteNurse(null)}
@@ -1259,11 +1543,8 @@ const ClerkDashboardModern = () => {
       {viewDoctor && (
         <ViewDoctorModal
           doctor={viewDoctor}
-          patientsForDoctor={patients.filter(p => p.doctorId === viewDoctor.id || p.assignedDoctorId === viewDoctor.uid)}
-          appointmentCount={appointments.filter((a) => {
-            const aDoctor = a.doctor || a.doctorName;
-            return aDoctor === viewDoctor.name || a.doctorId === viewDoctor.id || a.doctorId === viewDoctor.uid;
-          }).length}
+          patientsForDoctor={patients.filter((p) => isDoctorPatient(viewDoctor, p))}
+          appointmentCount={doctorStatsFor(viewDoctor, { appointments }).appointments}
           onClose={() => setViewDoctor(null)}
           navigate={() => { /* noop */ }}
         />
@@ -1271,10 +1552,10 @@ const ClerkDashboardModern = () => {
       {deleteDoctor && (
         <DeleteDoctorModal
           doctor={deleteDoctor}
-          inUsePatients={patients.filter(p => p.doctorId === deleteDoctor.id).length}
-          inUseAppointments={appointments.filter((a) => a.doctor === deleteDoctor.name).length}
-          onDelete={async () => {
-            await appDeleteDoc("doctors", deleteDoctor.id);
+          inUsePatients={doctorStatsFor(deleteDoctor, { patients }).assignedPatients}
+          inUseAppointments={doctorStatsFor(deleteDoctor, { appointments }).appointments}
+          onDelete={async (reason) => {
+            await appDeleteDoc("doctors", deleteDoctor.id, reason);
             setDeleteDoctor(null);
           }}
           onClose={() => setDeleteDoctor(null)}
@@ -1312,6 +1593,7 @@ const ClerkDashboardModern = () => {
               date: date || fmtDay(new Date()),
               time: time || "",
               status: "Scheduled",
+              waitlistEntryId: showWaitlistModal.entry.id,
             });
             setShowWaitlistModal(null);
           }}
@@ -1321,9 +1603,11 @@ const ClerkDashboardModern = () => {
       {newTransfer && (
         <TransferCreateModal
           initial={newTransfer}
-          onSave={(t) => {
-            addTransfer(t);
-            setNewTransfer(null);
+          patients={patients}
+          departments={[...new Set(doctors.map((d) => d.department).filter(Boolean))].sort()}
+          occupancyOf={occupancyOf}
+          onSave={async (t) => {
+            if (await addTransfer(t)) setNewTransfer(null);
           }}
           onClose={() => setNewTransfer(null)}
         />
@@ -1333,28 +1617,36 @@ const ClerkDashboardModern = () => {
           transfer={assignTransfer}
           doctors={doctors.filter((d) => d.department === assignTransfer.toDept)}
           onSave={(doctorId) => {
-            assignTransferDoctor(assignTransfer.id, doctorId);
+            assignDoctorToTransfer(assignTransfer.id, doctorId);
             setAssignTransfer(null);
           }}
           onClose={() => setAssignTransfer(null)}
         />
       )}
 
-      {/* Keep ConfirmDialog for Appointment deletes */}
+      {/* Archive confirmation for appointments, waitlist entries and transfers */}
       {confirmDelete && (
-        <ConfirmDialog
-          title={`Delete ${confirmDelete.type}?`}
-          message="This action cannot be undone."
-          onConfirm={async () => {
+        <ArchiveModal
+          title={`Archive ${confirmDelete.type}`}
+          onArchive={async (reason) => {
             const { type, id } = confirmDelete;
-            if (type === "appointment") await deleteAppointment(id);
-            if (type === "patient") await appDeleteDoc("patients", id);
-            if (type === "doctor") await appDeleteDoc("doctors", id);
-            if (type === "nurse") await appDeleteDoc("nurses", id);
-            setConfirmDelete(null);
+            const { deleteWebWaitlistEntry, deleteWebTransfer } = require('../../services/firestoreService');
+            try {
+              if (type === "appointment") await deleteAppointment(id, reason);
+              if (type === "waitlist entry") await deleteWebWaitlistEntry(id, reason);
+              if (type === "transfer") await deleteWebTransfer(id, reason);
+              if (type === "patient") await appDeleteDoc("patients", id, reason);
+              if (type === "doctor") await appDeleteDoc("doctors", id, reason);
+              if (type === "nurse") await appDeleteDoc("nurses", id, reason);
+              setConfirmDelete(null);
+            } catch (error) {
+              alert(`Error archiving ${type}: ${error.message}`);
+            }
           }}
           onClose={() => setConfirmDelete(null)}
-        />
+        >
+          <p style={{ marginBottom: 8, color: "#555" }}>The record is hidden from active lists and can be restored later.</p>
+        </ArchiveModal>
       )}
     </div>
   );
@@ -1434,13 +1726,15 @@ const ClerkModal = ({ initial, onSave, onClose }) => {
 
 /**
  * Modal component for creating or editing appointments.
- * Allows selection of patient, doctor, date, time, and status.
+ * Allows selection of patient, doctor, date, time, and type; status changes go
+ * through the lifecycle actions on the appointment cards.
  * Automatically filters available time slots based on existing appointments.
  * @param {Object} props - Component props
  * @param {Object} props.initial - Initial appointment data for editing
  * @param {Array} props.patients - List of available patients
  * @param {Array} props.doctors - List of available doctors
  * @param {Array} props.appointments - List of existing appointments
+ * @param {Array} props.holidays - Hospital holidays (no times are offered on these dates)
  * @param {Function} props.onSave - Callback when appointment is saved
  * @param {Function} props.onClose - Callback to close the modal
  * @returns {JSX.Element} Appointment form modal
@@ -1450,104 +1744,42 @@ const AppointmentModal = ({
   patients,
   doctors,
   appointments,
+  holidays,
   onSave,
   onClose,
 }) => {
-  const [form, setForm] = useState(initial);
+  const [form, setForm] = useState({
+    ...initial,
+    appointmentType: appointmentTypeOf(initial),
+    duration: appointmentDuration(initial),
+  });
   
   /**
-   * Calculates available appointment time slots for the selected doctor and date.
-   * Filters out slots that are already booked.
+   * Calculates available start times for the selected doctor, date, type and duration.
+   * Times come from the doctor's working hours on that date; starts that overlap other booked
+   * appointments (duration + buffer) are skipped.
    * @type {Array<string>}
    */
   const slots = useMemo(() => {
-    if (!form.doctor || !form.date) {
-      console.log('Slots: Missing doctor or date', { doctor: form.doctor, date: form.date });
-      return [];
-    }
+    if (!form.doctor || !form.date) return [];
     
     // البحث عن الطبيب بواسطة الاسم
     const doctor = doctors.find(d => d.name === form.doctor || d.id === form.doctor || d.uid === form.doctor);
+    if (!doctor) return [];
     
-    if (!doctor) {
-      console.log('Slots: Doctor not found', form.doctor);
-    }
-    
-    // Slots افتراضية شاملة (من 9 صباحاً إلى 5 مساءً بفترات 30 دقيقة)
-    const defaultSlots = ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30', '12:00', '12:30', '13:00', '13:30', '14:00', '14:30', '15:00', '15:30', '16:00', '16:30', '17:00'];
-    
-    // الحصول على slots من workSchedule
-    let base = [];
-    if (doctor && doctor.workSchedule && form.date) {
-      try {
-        const date = new Date(form.date + 'T00:00:00'); // إضافة الوقت لتجنب مشاكل timezone
-        if (!isNaN(date.getTime())) {
-          const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-          const dayName = dayNames[date.getDay()];
-          const daySchedule = doctor.workSchedule[dayName];
-          
-          if (daySchedule && daySchedule.enabled && daySchedule.slots && Array.isArray(daySchedule.slots) && daySchedule.slots.length > 0) {
-            base = daySchedule.slots;
-            console.log('Slots from workSchedule:', { dayName, slots: base });
-          } else {
-            console.log('Slots: Day schedule not enabled or empty', { dayName, enabled: daySchedule?.enabled, slots: daySchedule?.slots });
-          }
-        } else {
-          console.log('Slots: Invalid date', form.date);
-        }
-      } catch (e) {
-        console.error('Error parsing date:', e);
-      }
-    }
-    
-    // Fallback 1: استخدام doctorSlots القديم
-    if (base.length === 0) {
-      base = doctorSlots[form.doctor] ?? [];
-      // تحويل من "09:00 AM" إلى "09:00" إذا لزم الأمر
-      if (base.length > 0 && (base[0].includes('AM') || base[0].includes('PM'))) {
-        base = base.map(slot => slot.replace(/\s*(AM|PM)/i, '').trim());
-      }
-      console.log('Slots from doctorSlots fallback:', base);
-    }
-    
-    // Fallback 2: استخدام slots افتراضية شاملة (يجب أن يكون دائماً متاح)
-    if (base.length === 0) {
-      base = defaultSlots;
-      console.log('Slots from default fallback:', base);
-    }
-    
-    // فلترة المواعيد المحجوزة
-    const taken = appointments
-      .filter((a) => {
-        const aDoctor = a.doctor || a.doctorName;
-        const aDoctorId = a.doctorId;
-        const matchesDoctor = aDoctor === form.doctor || 
-                           aDoctorId === doctor?.id || 
-                           aDoctorId === doctor?.uid;
-        return a.id !== form.id && 
-               matchesDoctor && 
-               a.date === form.date && 
-               a.status !== 'cancelled' &&
-               a.status !== 'Cancelled';
-      })
-      .map((a) => {
-        // تطبيع الوقت (إزالة AM/PM إذا كان موجوداً)
-        const time = a.time || '';
-        return time.replace(/\s*(AM|PM)/i, '').trim();
-      })
-      .filter(Boolean);
-    
-    // تطبيع base slots أيضاً
-    const normalizedBase = base.map(s => {
-      const normalized = s.replace(/\s*(AM|PM)/i, '').trim();
-      return normalized;
-    });
-    
-    const available = normalizedBase.filter((s) => !taken.includes(s));
-    console.log('Final available slots:', { total: normalizedBase.length, taken: taken.length, available: available.length, slots: available });
-    
-    return available;
-  }, [form.doctor, form.date, appointments, form.id, doctors]);
+    return availableTimes(
+      appointments,
+      {
+        doctorId: [doctor.id, doctor.uid],
+        doctorName: doctor.name,
+        date: form.date,
+        appointmentType: form.appointmentType,
+        duration: form.duration,
+      },
+      workingHoursFor(doctor, form.date, holidays),
+      form.id
+    );
+  }, [form.doctor, form.date, form.appointmentType, form.duration, appointments, form.id, doctors, holidays]);
 
   /**
    * Validates and saves the appointment form data.
@@ -1594,6 +1826,11 @@ const AppointmentModal = ({
         </select>
         <label>Date</label>
         <input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+        <AppointmentTypeFields
+          appointmentType={form.appointmentType}
+          duration={form.duration}
+          onChange={(timing) => setForm({ ...form, ...timing })}
+        />
         <label>Time</label>
         <select
           value={form.time || ''}
@@ -1625,16 +1862,6 @@ const AppointmentModal = ({
             ✓ {slots.length} available slot(s)
           </div>
         )}
-        <label>Status</label>
-        <select
-          value={form.status}
-          onChange={(e) => setForm({ ...form, status: e.target.value })}
-          style={{ width: "100%", marginBottom: 10, padding: 8, borderRadius: 8, border: "1px solid #ccc" }}
-        >
-          {["Scheduled", "Completed", "Cancelled"].map((s) => (
-            <option key={s}>{s}</option>
-          ))}
-        </select>
         <div className="modal-actions">
           <button className="btn" onClick={saveClerkAppointmentForm}>Save</button>
           <button className="btn secondary" onClick={onClose}>Cancel</button>
@@ -1751,24 +1978,17 @@ const PatientViewModal = ({ patient, doctorName, nurseName, onClose }) => (
 );
 
 /**
- * Confirmation modal for deleting a patient.
+ * Confirmation modal for archiving a patient.
  * @param {Object} props - Component props
- * @param {Object} props.patient - Patient to delete
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Object} props.patient - Patient to archive
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeletePatientModal = ({ patient, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Patient</h2>
-      <p>Delete <strong>{patient.name}</strong> ({patient.id})?</p>
-      <div className="modal-actions">
-        <button className="danger" onClick={onDelete}>Delete</button>
-        <button className="secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal title="Archive Patient" onArchive={onDelete} onClose={onClose}>
+    <p>Archive <strong>{patient.name}</strong> ({patient.id})?</p>
+  </ArchiveModal>
 );
 
 /* -------- Nurses: Add/Edit + View + Delete -------- */
@@ -1881,32 +2101,25 @@ const ViewNurseModal = ({ nurse, patientsForNurse = [], onClose, navigate }) =>
 );
 
 /**
- * Confirmation modal for deleting a nurse.
+ * Confirmation modal for archiving a nurse.
  * Shows warning if nurse has assigned patients.
  * @param {Object} props - Component props
- * @param {Object} props.nurse - Nurse to delete
+ * @param {Object} props.nurse - Nurse to archive
  * @param {number} props.inUsePatients - Number of patients assigned to this nurse
  * @param {string} props.warn - Custom warning message
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteNurseModal = ({ nurse, inUsePatients = 0, warn, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Nurse</h2>
-      <p>Delete <strong>{nurse.name}</strong> ({nurse.id})?</p>
-      {inUsePatients > 0 && (
-        <p style={{ color: "#b54708", background: "#fff6e6", padding: "8px 10px", borderRadius: 8 }}>
-          {warn || `This nurse has ${inUsePatients} patient(s). Reassign or remove them first.`}
-        </p>
-      )}
-      <div className="modal-actions">
-        <button className="danger" onClick={onDelete} disabled={inUsePatients > 0}>Delete</button>
-        <button className="secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal title="Archive Nurse" disabled={inUsePatients > 0} onArchive={onDelete} onClose={onClose}>
+    <p>Archive <strong>{nurse.name}</strong> ({nurse.id})?</p>
+    {inUsePatients > 0 && (
+      <p style={{ color: "#b54708", background: "#fff6e6", padding: "8px 10px", borderRadius: 8 }}>
+        {warn || `This nurse has ${inUsePatients} patient(s). Reassign or remove them first.`}
+      </p>
+    )}
+  </ArchiveModal>
 );
 
 /* -------- Doctors: Add/Edit + View + Delete -------- */
@@ -2029,36 +2242,34 @@ const ViewDoctorModal = ({ doctor, patientsForDoctor = [], appointmentCount = 0,
 );
 
 /**
- * Confirmation modal for deleting a doctor.
+ * Confirmation modal for archiving a doctor.
  * Shows warning if doctor has assigned patients or appointments.
  * @param {Object} props - Component props
- * @param {Object} props.doctor - Doctor to delete
+ * @param {Object} props.doctor - Doctor to archive
  * @param {number} props.inUsePatients - Number of patients assigned to this doctor
  * @param {number} props.inUseAppointments - Number of appointments for this doctor
  * @param {string} props.warn - Custom warning message
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteDoctorModal = ({ doctor, inUsePatients = 0, inUseAppointments = 0, warn, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Doctor</h2>
-      <p>Delete <strong>{doctor.name}</strong> ({doctor.id})?</p>
-      {(inUsePatients > 0 || inUseAppointments > 0) && (
-        <p style={{ color: "#b54708", background: "#fff6e6", padding: "8px 10px", borderRadius: 8 }}>
-          {warn || `This doctor has ${inUsePatients} patient(s) and ${inUseAppointments} appointment(s). Reassign or remove them first.`}
-        </p>
-      )}
-      <div className="modal-actions">
-        <button className="danger" onClick={onDelete} disabled={inUsePatients > 0 || inUseAppointments > 0}>Delete</button>
-        <button className="secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal
+    title="Archive Doctor"
+    disabled={inUsePatients > 0 || inUseAppointments > 0}
+    onArchive={onDelete}
+    onClose={onClose}
+  >
+    <p>Archive <strong>{doctor.name}</strong> ({doctor.id})?</p>
+    {(inUsePatients > 0 || inUseAppointments > 0) && (
+      <p style={{ color: "#b54708", background: "#fff6e6", padding: "8px 10px", borderRadius: 8 }}>
+        {warn || `This doctor has ${inUsePatients} patient(s) and ${inUseAppointments} appointment(s). Reassign or remove them first.`}
+      </p>
+    )}
+  </ArchiveModal>
 );
 
-// Keep: Waitlist / FillFromWaitlist / Transfer / ConfirmDialog (unchanged from your file)
+// Keep: Waitlist / FillFromWaitlist / Transfer (unchanged from your file)
 /**
  * Modal component for adding patients to the waitlist.
  * @param {Object} props - Component props
@@ -2189,43 +2400,71 @@ const FillFromWaitlistModal = ({
 
 /**
  * Modal component for creating a new transfer request.
+ * The patient is picked from the registry so completion can move them;
+ * the from department defaults to their current department.
  * @param {Object} props - Component props
  * @param {Object} props.initial - Initial transfer data
+ * @param {Array} props.patients - Patients to choose from
+ * @param {Array<string>} props.departments - Known departments
+ * @param {Function} props.occupancyOf - Bed occupancy for a department
  * @param {Function} props.onSave - Callback when transfer is saved
  * @param {Function} props.onClose - Callback to close the modal
  * @returns {JSX.Element} Transfer creation form modal
  */
-const TransferCreateModal = ({ initial, onSave, onClose }) => {
+const TransferCreateModal = ({ initial, patients, departments, occupancyOf, onSave, onClose }) => {
   const [form, setForm] = useState(initial);
-  
+
+  /**
+   * Selects the patient and fills in their current department.
+   * @param {string} patientId - Selected patient ID
+   */
+  const pickPatient = (patientId) => {
+    const patient = patients.find((p) => p.id === patientId);
+    setForm({
+      ...form,
+      patientId,
+      patient: patient?.name ?? "",
+      fromDept: patient?.currentDepartment ?? form.fromDept,
+    });
+  };
+
   /**
    * Validates and saves the transfer form.
-   * Ensures patient, from department, and to department are provided.
+   * Ensures patient and to department are provided.
    */
   const saveTransferForm = () => {
-    if (!form.patient || !form.fromDept || !form.toDept)
-      return alert("Patient, from and to departments are required.");
+    if (!form.patientId || !form.toDept)
+      return alert("Patient and to department are required.");
     onSave(form);
   };
   return (
     <div className="modal-overlay">
       <div className="modal wide">
         <h2>New Transfer</h2>
-        <input
-          placeholder="Patient name"
-          value={form.patient}
-          onChange={(e) => setForm({ ...form, patient: e.target.value })}
-        />
+        <select value={form.patientId} onChange={(e) => pickPatient(e.target.value)}>
+          <option value="">Select patient</option>
+          {patients.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}{p.currentDepartment ? ` (${p.currentDepartment})` : ""}
+            </option>
+          ))}
+        </select>
         <input
           placeholder="From department"
           value={form.fromDept}
           onChange={(e) => setForm({ ...form, fromDept: e.target.value })}
         />
-        <input
-          placeholder="To department"
-          value={form.toDept}
-          onChange={(e) => setForm({ ...form, toDept: e.target.value })}
-        />
+        <select value={form.toDept} onChange={(e) => setForm({ ...form, toDept: e.target.value })}>
+          <option value="">To department</option>
+          {departments.map((d) => {
+            const { free, beds } = occupancyOf(d);
+            return (
+              <option key={d} value={d}>
+                {d} ({beds === null ? "beds not set" : `${free}/${beds} beds free`})
+              </option>
+            );
+          })}
+        </select>
         <input
           placeholder="Reason (optional)"
           value={form.reason ?? ""}
@@ -2274,28 +2513,5 @@ const TransferAssignModal = ({ transfer, doctors, onSave, onClose }) => {
   );
 };
 
-/**
- * Generic confirmation dialog component for delete operations.
- * Displays a warning message and requires explicit confirmation.
- * @param {Object} props - Component props
- * @param {string} props.title - Dialog title
- * @param {string} props.message - Warning message to display
- * @param {Function} props.onConfirm - Callback when user confirms
- * @param {Function} props.onClose - Callback to close the dialog
- * @returns {JSX.Element} Confirmation dialog
- */
-const ConfirmDialog = ({ title, message, onConfirm, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h3>{title}</h3>
-      <p style={{ marginBottom: 16, color: "#555" }}>{message}</p>
-      <div className="modal-actions">
-        <button className="btn" onClick={onConfirm}>Delete</button>
-        <button className="btn secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
-);
-
 // === Export only the working default ===
 export default ClerkDashboardModern;
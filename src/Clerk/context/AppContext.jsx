@@ -1,7 +1,14 @@
 
 // src/Clerk/context/AppContext.jsx
 import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
-import { subscribeToCollection, appAddDoc, appUpdateDoc, appDeleteDoc } from '../../services/firestoreService';
+import { subscribeToCollection, appAddDoc, appUpdateDoc, appDeleteDoc, restoreDoc } from '../../services/firestoreService';
+import { excludeArchived, onlyArchived } from '../../services/archive';
+import { findSlotConflict, availableTimes } from '../../services/appointmentSlots';
+import { workingHoursFor } from '../../services/doctorSchedule';
+import { clinicSettingsOf } from '../../services/clinicSettings';
+import { useAuth } from '../../context/AuthContext';
+import { can } from '../../config/permissions';
+import { USE_LOCAL_DATA } from '../../config/runtime';
 
 /* ---------- Helpers ---------- */
 /**
@@ -19,11 +26,8 @@ const toISO = (d) => (d instanceof Date ? d.toISOString().split('T')[0] : d);
  */
 const genId = (prefix) => `${prefix}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
 
-/* Template slots per doctor (Configuration) */
-const initialDoctorSlots = {
-  'Dr. Omar Khaled': ['09:00 AM', '10:00 AM', '11:00 AM', '02:00 PM', '03:00 PM'],
-  'Dr. Lina Yousef': ['10:00 AM', '11:00 AM', '01:00 PM', '02:00 PM', '04:00 PM'],
-};
+// How often overdue appointments are checked for no-shows
+const NO_SHOW_SWEEP_MS = 60000;
 
 const AppContext = createContext(null);
 
@@ -44,100 +48,101 @@ export const useApp = () => useContext(AppContext);
  * @returns {JSX.Element} Context provider with application data
  */
 export const AppProvider = ({ children }) => {
-  // State from Firestore
-  const [patients, setPatients] = useState([]);
-  const [doctors, setDoctors] = useState([]);
-  const [nurses, setNurses] = useState([]);
-  const [appointments, setAppointments] = useState([]);
-
-  // Slots as config (could be moved to Firestore 'configs' collection later)
-  const [doctorSlots] = useState(initialDoctorSlots);
+  // State from Firestore (including archived records - split below)
+  const [allPatients, setPatients] = useState([]);
+  const [allDoctors, setDoctors] = useState([]);
+  const [allNurses, setNurses] = useState([]);
+  const [allAppointments, setAppointments] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [clinicSettings, setClinicSettings] = useState(() => clinicSettingsOf(null));
+
   const [loading, setLoading] = useState(true);
 
   // Real-time subscriptions - استخدام collections الجديدة
   useEffect(() => {
-    const { subscribeToWebAppointments } = require('../../services/firestoreService');
+    const { subscribeToWebAppointments, subscribeToClinicSettings } = require('../../services/firestoreService');
     
     const unsubs = [
-      subscribeToCollection('patients', setPatients),
-      subscribeToCollection('doctors', setDoctors),
-      subscribeToCollection('nurses', setNurses),
-      subscribeToWebAppointments(setAppointments), // استخدام web_appointments
+      subscribeToCollection('patients', setPatients, { includeArchived: true }),
+      subscribeToCollection('doctors', setDoctors, { includeArchived: true }),
+      subscribeToCollection('nurses', setNurses, { includeArchived: true }),
+      subscribeToWebAppointments(setAppointments, { includeArchived: true }), // استخدام web_appointments
+      subscribeToCollection('holidays', setHolidays),
+      subscribeToClinicSettings(setClinicSettings), // مهلة no-show وتوقيت العيادة (settings/clinic)
     ];
     setLoading(false);
     return () => unsubs.forEach(u => u());
   }, []);
 
-  // Fast lookups
-  const patientById = useMemo(() => Object.fromEntries(patients.map(p => [p.id, p])), [patients]);
-  const doctorById = useMemo(() => Object.fromEntries(doctors.map(d => [d.id, d])), [doctors]);
-  const nurseById = useMemo(() => Object.fromEntries(nurses.map(n => [n.id, n])), [nurses]);
-
-  // Availability helper (doctorId + dateISO) -> open slot names
+  // تسجيل no-show تلقائياً بعد مهلة التأخير للبيانات المحلية فقط (لمن يملك تعديل المواعيد)؛
+  // مع Firestore تقوم بذلك الدالة المجدولة markNoShows في functions
+  const { activeRole } = useAuth();
+  const canUpdateAppointments = can(activeRole, 'update', 'web_appointments');
+  useEffect(() => {
+    if (!USE_LOCAL_DATA || !canUpdateAppointments) return undefined;
+    const { markOverdueNoShows } = require('../../services/firestoreService');
+    // المحاولة التالية بعد دقيقة
+    const sweep = () => markOverdueNoShows().catch((error) => console.warn('No-show sweep failed:', error));
+    sweep();
+    const interval = setInterval(sweep, NO_SHOW_SWEEP_MS);
+    return () => clearInterval(interval);
+  }, [canUpdateAppointments]);
+
+  // السجلات النشطة تُستخدم في كل الصفحات، والمؤرشفة لعرض Archived فقط
+  const patients = useMemo(() => excludeArchived(allPatients, 'patients'), [allPatients]);
+  const doctors = useMemo(() => excludeArchived(allDoctors, 'doctors'), [allDoctors]);
+  const nurses = useMemo(() => excludeArchived(allNurses, 'nurses'), [allNurses]);
+  const appointments = useMemo(() => excludeArchived(allAppointments, 'web_appointments'), [allAppointments]);
+  const archived = useMemo(() => ({
+    patients: onlyArchived(allPatients, 'patients'),
+    doctors: onlyArchived(allDoctors, 'doctors'),
+    nurses: onlyArchived(allNurses, 'nurses'),
+    appointments: onlyArchived(allAppointments, 'web_appointments'),
+  }), [allPatients, allDoctors, allNurses, allAppointments]);
+
+  // Fast lookups (تشمل المؤرشفين حتى تظهر الأسماء في السجلات القديمة)
+  const patientById = useMemo(() => Object.fromEntries(allPatients.map(p => [p.id, p])), [allPatients]);
+  const doctorById = useMemo(() => Object.fromEntries(allDoctors.map(d => [d.id, d])), [allDoctors]);
+  const nurseById = useMemo(() => Object.fromEntries(allNurses.map(n => [n.id, n])), [allNurses]);
+
+  // Availability helper (doctorId + dateISO) -> open start times
   /**
-   * Calculates available appointment slots for a specific doctor on a given date.
-   * Uses workSchedule from doctor data, or falls back to default slots.
-   * Filters out slots that are already booked in the 'appointments' list.
+   * Calculates available start times for a doctor on a given date.
+   * Times are generated from the doctor's working hours on that date (weekly template,
+   * date changes, leave and hospital holidays) and skip any start whose
+   * interval (duration + buffer of the appointment type) overlaps a booked appointment.
    * @param {string} doctorId - The ID or UID of the doctor.
    * @param {string|Date} dateISO - The date to check (string or Date object).
-   * @returns {Array<string>} List of available time strings (e.g. "09:00").
+   * @param {Object} [options] - { appointmentType, duration, excludeId } (excludeId: appointment being edited).
+   * @returns {Array<string>} List of available start times (e.g. "09:00").
    */
-  const availableSlots = (doctorId, dateISO) => {
+  const availableSlots = (doctorId, dateISO, { appointmentType, duration, excludeId } = {}) => {
     // البحث عن الطبيب بواسطة id أو uid
     const doctor = doctorById[doctorId] || doctors.find(d => d.uid === doctorId || d.id === doctorId);
     if (!doctor) return [];
 
-    // الحصول على اليوم من التاريخ
-    const date = new Date(toISO(dateISO));
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const dayName = dayNames[date.getDay()];
-
-    // استخدام workSchedule من بيانات الطبيب
-    let all = [];
-    if (doctor.workSchedule && doctor.workSchedule[dayName] && doctor.workSchedule[dayName].enabled) {
-      all = doctor.workSchedule[dayName].slots || [];
-    } else {
-      // Fallback: استخدام doctorSlots القديم
-      all = doctorSlots[doctor.name] || [];
-    }
-
-    const dateStr = toISO(dateISO);
-    const taken = appointments
-      .filter(a => {
-        // دعم كل من doctorId و uid
-        const aDoctorId = a.doctorId || a.doctor?.uid || a.doctor?.id;
-        return (aDoctorId === doctorId || aDoctorId === doctor.uid || aDoctorId === doctor.id) && 
-               a.date === dateStr;
-      })
-      .map(a => a.time);
-    
-    return all.filter(s => !taken.includes(s));
+    const date = toISO(dateISO);
+    return availableTimes(
+      appointments,
+      { doctorId: [doctorId, doctor.uid, doctor.id], doctorName: doctor.name, date, appointmentType, duration },
+      workingHoursFor(doctor, date, holidays),
+      excludeId
+    );
   };
 
   // Double-booking guard
   /**
-   * Checks if a proposed appointment clashes with an existing one.
-   * @param {Object} param0 - Object containing { id, doctorId, date, time }.
+   * Checks if a proposed appointment overlaps an existing one.
+   * @param {Object} param0 - Object containing { id, doctorId, date, time, appointmentType, duration }.
    * @returns {boolean} True if a clash exists, false otherwise.
    */
-  const willClash = ({ id, doctorId, date, time }) => {
-    const dateStr = toISO(date);
-    return appointments.some(a => {
-      // دعم كل من doctorId و uid و name
-      const aDoctorId = a.doctorId || a.doctor?.uid || a.doctor?.id;
-      const checkDoctorId = doctorId;
-      const doctor = doctors.find(d => d.id === doctorId || d.uid === doctorId);
-      
-      return (
-        (aDoctorId === checkDoctorId || 
-         aDoctorId === doctor?.uid || 
-         aDoctorId === doctor?.id) && 
-        a.date === dateStr && 
-        a.time === time && 
-        a.id !== id &&
-        a.status !== 'cancelled' // تجاهل المواعيد الملغاة
-      );
-    });
+  const willClash = ({ id, doctorId, date, time, appointmentType, duration }) => {
+    const doctor = doctors.find(d => d.id === doctorId || d.uid === doctorId);
+    return !!findSlotConflict(
+      appointments,
+      { doctorId: [doctorId, doctor?.uid, doctor?.id], doctorName: doctor?.name, date: toISO(date), time, appointmentType, duration },
+      id
+    );
   };
 
   /* ---------- CRUD (Async Firestore) ---------- */
@@ -164,11 +169,13 @@ export const AppProvider = ({ children }) => {
   };
 
   /**
-   * Deletes a patient record.
+   * Archives a patient record (soft delete).
    * @param {string} id - Patient ID.
+   * @param {string} reason - Archive reason.
    */
-  const deletePatient = async (id) => {
-    await appDeleteDoc('patients', id);
+  const deletePatient = async (id, reason) => {
+    const { deletePatient: archivePatient } = await import('../../services/firestoreService');
+    await archivePatient(id, reason);
   };
 
   // Doctors
@@ -183,8 +190,8 @@ export const AppProvider = ({ children }) => {
     await appUpdateDoc('doctors', d.id, d);
   };
 
-  const deleteDoctor = async (id) => {
-    await appDeleteDoc('doctors', id);
+  const deleteDoctor = async (id, reason) => {
+    await appDeleteDoc('doctors', id, reason);
   };
 
   // Nurses
@@ -197,21 +204,23 @@ export const AppProvider = ({ children }) => {
     await appUpdateDoc('nurses', n.id, n);
   };
 
-  const deleteNurse = async (id) => {
-    await appDeleteDoc('nurses', id);
+  const deleteNurse = async (id, reason) => {
+    await appDeleteDoc('nurses', id, reason);
   };
 
   // Appointments - استخدام web_appointments
   /**
    * Creates a new appointment after validating availability.
+   * With `a.recurrence`, creates the whole series instead.
    * @param {Object} a - Appointment data.
+   * @returns {Promise<Object|undefined>} For a series: { seriesId, ids, conflicts }.
    * @throws Will throw an error if the slot is double-booked.
    */
   const addAppointment = async (a) => {
-    const { createWebAppointment } = await import('../../services/firestoreService');
+    const { createWebAppointment, createRecurringAppointments } = await import('../../services/firestoreService');
     
-    // Check clash against current local state (which reflects DB)
-    if (willClash({ id: null, ...a })) {
+    // Check clash against current local state (which reflects DB); a series skips taken dates instead
+    if (!a.recurrence && willClash({ id: null, ...a })) {
       throw new Error('This slot is already booked for the selected doctor.');
     }
 
@@ -219,25 +228,31 @@ export const AppProvider = ({ children }) => {
     const doctor = doctors.find(d => d.id === a.doctorId || d.uid === a.doctorId || d.name === a.doctor);
     const patient = patients.find(p => p.id === a.patientId || p.name === a.patient);
 
-    await createWebAppointment({
+    const data = {
       patientId: patient?.id || a.patientId || null,
       patientName: patient?.name || a.patient || a.patientName,
       doctorId: doctor?.uid || doctor?.id || a.doctorId,
       doctorName: doctor?.name || a.doctor || a.doctorName,
       date: a.date,
       time: a.time,
-      status: a.status || 'scheduled',
+      appointmentType: a.appointmentType,
+      duration: a.duration,
       notes: a.notes || ''
-    });
+    };
+
+    // سلسلة متكررة: المواعيد المتعارضة تُعاد في conflicts
+    if (a.recurrence) return createRecurringAppointments(data, a.recurrence);
+    await createWebAppointment(data);
   };
 
   /**
-   * Updates an existing appointment.
+   * Updates an existing appointment, or part of its series.
    * @param {Object} a - Updated appointment data.
+   * @param {string} [scope='this'] - 'this' | 'following' | 'all' for series appointments.
    * @throws Error if double-booked.
    */
-  const editAppointment = async (a) => {
-    const { updateWebAppointment } = await import('../../services/firestoreService');
+  const editAppointment = async (a, scope = 'this') => {
+    const { updateWebAppointment, updateAppointmentSeries } = await import('../../services/firestoreService');
     
     if (willClash(a)) throw new Error('This slot is already booked for the selected doctor.');
     
@@ -259,24 +274,60 @@ export const AppProvider = ({ children }) => {
     }
     if (a.date !== undefined) updates.date = a.date;
     if (a.time !== undefined) updates.time = a.time;
-    if (a.status !== undefined) updates.status = a.status;
+    if (a.appointmentType !== undefined) updates.appointmentType = a.appointmentType;
+    if (a.duration !== undefined) updates.duration = Number(a.duration);
     if (a.notes !== undefined) updates.notes = a.notes;
     
+    const original = allAppointments.find(x => x.id === a.id);
+    if (original?.seriesId && scope !== 'this') {
+      // للسلسلة نرسل الحقول المتغيرة فقط حتى لا نلغي تعديلات المواعيد الفردية
+      const changed = Object.fromEntries(Object.entries(updates).filter(([key, value]) => original[key] !== value));
+      await updateAppointmentSeries(a.id, changed, scope);
+      return;
+    }
     await updateWebAppointment(a.id, updates);
   };
 
   /**
-   * Deletes (cancels) an appointment.
+   * Moves an appointment along its lifecycle (check-in, consultation, completion,
+   * no-show or cancellation).
    * @param {string} id - Appointment ID.
+   * @param {string} status - Target status (see appointmentLifecycle).
+   * @param {string} [reason] - Required for 'no-show' and 'cancelled'.
+   * @returns {Promise<Array>} Waitlist entries offered a cancelled slot.
+   */
+  const transitionAppointment = async (id, status, reason) => {
+    const { transitionAppointment: moveAppointment } = await import('../../services/firestoreService');
+    return moveAppointment(id, status, reason);
+  };
+
+  /**
+   * Archives an appointment (soft delete).
+   * @param {string} id - Appointment ID.
+   * @param {string} reason - Archive reason.
+   * @param {string} [scope='this'] - 'this' | 'following' | 'all' for series appointments.
+   */
+  const removeAppointment = async (id, reason, scope = 'this') => {
+    const { deleteWebAppointment, archiveAppointmentSeries } = await import('../../services/firestoreService');
+    if (scope !== 'this') {
+      await archiveAppointmentSeries(id, reason, scope);
+      return;
+    }
+    await deleteWebAppointment(id, reason);
+  };
+
+  /**
+   * Restores an archived record.
+   * @param {string} collectionName - 'patients', 'doctors', 'nurses' or 'web_appointments'.
+   * @param {string} id - Record ID.
    */
-  const removeAppointment = async (id) => {
-    const { deleteWebAppointment } = await import('../../services/firestoreService');
-    await deleteWebAppointment(id);
+  const restoreRecord = async (collectionName, id) => {
+    await restoreDoc(collectionName, id);
   };
 
   const api = {
     // data
-    patients, doctors, nurses, appointments, doctorSlots, loading,
+    patients, doctors, nurses, appointments, archived, holidays, clinicSettings, loading,
     // lookups
     patientById, doctorById, nurseById,
     // helpers
@@ -285,7 +336,8 @@ export const AppProvider = ({ children }) => {
     addPatient, editPatient, deletePatient,
     addDoctor, editDoctor, deleteDoctor,
     addNurse, editNurse, deleteNurse,
-    addAppointment, editAppointment, removeAppointment,
+    addAppointment, editAppointment, removeAppointment, transitionAppointment,
+    restoreRecord,
   };
 
   if (loading) return <div>Loading Application Data...</div>;
@@ -2,6 +2,9 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import './Users.css';
 import { useApp } from '../context/AppContext';
+import ArchiveModal from '../../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../../components/ArchiveToggle';
+import { doctorStatsFor, isDoctorPatient } from '../../services/staffStats';
 
 /* ---------- Utilities ---------- */
 /**
@@ -56,9 +59,10 @@ const PatientViewModal = ({ patient, doctorName, nurseName, onClose }) => (
  * @returns {JSX.Element} Doctors management interface
  */
 const Doctors = () => {
-  const { doctors, patients, appointments, nurses, addDoctor, editDoctor, deleteDoctor } = useApp();
+  const { doctors, archived, patients, appointments, nurses, addDoctor, editDoctor, deleteDoctor, restoreRecord } = useApp();
 
   const [search, setSearch] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
   const [loading, setLoading] = useState(true);
   const [modal, setModal] = useState({ type: '', doctor: null, warn: '' });
 
@@ -71,38 +75,29 @@ const Doctors = () => {
   }, []);
 
   const filteredDoctors = useMemo(() => {
+    const list = showArchived ? archived.doctors : doctors;
     const s = search.trim().toLowerCase();
-    if (!s) return doctors;
-    return doctors.filter(d =>
+    if (!s) return list;
+    return list.filter(d =>
       d.name?.toLowerCase().includes(s) ||
       d.id?.toLowerCase().includes(s) ||
       (d.specialization || d.specialty || '').toLowerCase().includes(s)
     );
-  }, [doctors, search]);
+  }, [doctors, archived.doctors, showArchived, search]);
 
   /**
-   * Counts the number of patients assigned to a doctor.
-   * Supports both new (doctorId) and legacy (doctorName) formats.
+   * Counts the number of patients assigned to a doctor (from the staff stats module).
    * @param {Object} doc - Doctor object
    * @returns {number} Number of assigned patients
    */
-  const countPatientsFor = (doc) => {
-    const byId   = patients.filter(p => p.doctorId === doc.id).length;
-    const legacy = patients.filter(p => !p.doctorId && p.doctorName === doc.name).length;
-    return byId + legacy;
-  };
+  const countPatientsFor = (doc) => doctorStatsFor(doc, { patients }).assignedPatients;
   
   /**
-   * Counts the number of appointments for a doctor.
-   * Supports both new (doctorId) and legacy (doctor name) formats.
+   * Counts the number of live (not cancelled) appointments for a doctor.
    * @param {Object} doc - Doctor object
    * @returns {number} Number of appointments
    */
-  const countAppointmentsFor = (doc) => {
-    const byId   = appointments.filter(a => a.doctorId === doc.id).length;
-    const legacy = appointments.filter(a => !a.doctorId && a.doctor === doc.name).length;
-    return byId + legacy;
-  };
+  const countAppointmentsFor = (doc) => doctorStatsFor(doc, { appointments }).appointments;
 
   /**
    * Resolves doctor name from patient data.
@@ -145,22 +140,29 @@ const Doctors = () => {
   const handleEditDoctor = (d) => { editDoctor(d); setModal({ type: '', doctor: null, warn: '' }); };
   
   /**
-   * Handles deleting a doctor.
-   * Prevents deletion if doctor has assigned patients or appointments.
-   * @param {string} id - Doctor ID to delete
+   * Handles archiving a doctor.
+   * Prevents archiving if doctor has assigned patients or appointments.
+   * @param {string} id - Doctor ID to archive
+   * @param {string} reason - Archive reason
    */
-  const handleDeleteDoctor = (id) => {
+  const handleDeleteDoctor = (id, reason) => {
     const doc = doctors.find(x => x.id === id);
     const pc = countPatientsFor(doc);
     const ac = countAppointmentsFor(doc);
     if (pc > 0 || ac > 0) {
-      setModal(m => ({ ...m, warn: `Cannot delete. This doctor still has ${pc} patient(s) and ${ac} appointment(s).` }));
+      setModal(m => ({ ...m, warn: `Cannot archive. This doctor still has ${pc} patient(s) and ${ac} appointment(s).` }));
       return;
     }
-    deleteDoctor(id);
+    deleteDoctor(id, reason);
     setModal({ type: '', doctor: null, warn: '' });
   };
 
+  /**
+   * Handles restoring an archived doctor.
+   * @param {string} id - Doctor ID to restore
+   */
+  const handleRestoreDoctor = (id) => { restoreRecord('doctors', id); };
+
   return (
     <div className="users-page">
       <div className="users-header">
@@ -175,6 +177,12 @@ const Doctors = () => {
           value={search}
           onChange={(e) => setSearch(e.target.value)}
         />
+        <ArchiveToggle
+          showArchived={showArchived}
+          onChange={setShowArchived}
+          activeCount={doctors.length}
+          archivedCount={archived.doctors.length}
+        />
         <button className="add-btn" onClick={() => setModal({ type: 'add', doctor: null, warn: '' })}>+ Add Doctor</button>
       </div>
 
@@ -195,13 +203,22 @@ const Doctors = () => {
                 <td>{d.phone || '—'}</td>
                 <td className="table-actions">
                   <button className="view-btn"  onClick={() => setModal({ type: 'view', doctor: d, warn: '' })}>View</button>
-                  <button className="edit-btn"  onClick={() => setModal({ type: 'edit', doctor: d, warn: '' })}>Edit</button>
-                  <button className="delete-btn" onClick={() => setModal({ type: 'delete', doctor: d, warn: '' })}>Delete</button>
+                  {showArchived ? (
+                    <>
+                      <span className="archive-info">{formatArchiveInfo(d)}</span>
+                      <button className="restore-btn" onClick={() => handleRestoreDoctor(d.id)}>Restore</button>
+                    </>
+                  ) : (
+                    <>
+                      <button className="edit-btn"  onClick={() => setModal({ type: 'edit', doctor: d, warn: '' })}>Edit</button>
+                      <button className="delete-btn" onClick={() => setModal({ type: 'delete', doctor: d, warn: '' })}>Archive</button>
+                    </>
+                  )}
                 </td>
               </tr>
             ))
           ) : (
-            <tr><td colSpan="6" className="empty-state">No doctors found</td></tr>
+            <tr><td colSpan="6" className="empty-state">{showArchived ? 'No archived doctors' : 'No doctors found'}</td></tr>
           )}
         </tbody>
         </table>
@@ -219,10 +236,7 @@ const Doctors = () => {
       {modal.type === 'view' && (
         <ViewDoctorModal
           doctor={modal.doctor}
-          patientsForDoctor={[
-            ...patients.filter(p => p.doctorId === modal.doctor.id),
-            ...patients.filter(p => !p.doctorId && p.doctorName === modal.doctor.name),
-          ]}
+          patientsForDoctor={patients.filter(p => isDoctorPatient(modal.doctor, p))}
           appointmentCount={countAppointmentsFor(modal.doctor)}
           onClose={() => setModal({ type: '', doctor: null, warn: '' })}
           // NEW: clean callback to open patient modal instead of navigate
@@ -236,7 +250,7 @@ const Doctors = () => {
           inUsePatients={countPatientsFor(modal.doctor)}
           inUseAppointments={countAppointmentsFor(modal.doctor)}
           warn={modal.warn}
-          onDelete={() => handleDeleteDoctor(modal.doctor.id)}
+          onDelete={(reason) => handleDeleteDoctor(modal.doctor.id, reason)}
           onClose={() => setModal({ type: '', doctor: null, warn: '' })}
         />
       )}
@@ -398,33 +412,31 @@ const ViewDoctorModal = ({ doctor, patientsForDoctor, appointmentCount, onClose,
 );
 
 /**
- * Confirmation modal for deleting a doctor.
+ * Confirmation modal for archiving a doctor.
  * Shows warning if doctor has assigned patients or appointments.
  * @param {Object} props - Component props
- * @param {Object} props.doctor - Doctor to delete
+ * @param {Object} props.doctor - Doctor to archive
  * @param {number} props.inUsePatients - Number of patients assigned to this doctor
  * @param {number} props.inUseAppointments - Number of appointments for this doctor
  * @param {string} props.warn - Custom warning message
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteDoctorModal = ({ doctor, inUsePatients, inUseAppointments, warn, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Doctor</h2>
-      <p>Delete <strong>{doctor.name}</strong> ({doctor.id})?</p>
-      {(inUsePatients > 0 || inUseAppointments > 0) && (
-        <p style={{ color: '#b54708', background: '#fff6e6', padding: '8px 10px', borderRadius: 8 }}>
-          {warn || `This doctor has ${inUsePatients} patient(s) and ${inUseAppointments} appointment(s). Reassign or remove them first.`}
-        </p>
-      )}
-      <div className="modal-actions">
-        <button className="danger" onClick={onDelete} disabled={inUsePatients > 0 || inUseAppointments > 0}>Delete</button>
-        <button className="secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal
+    title="Archive Doctor"
+    disabled={inUsePatients > 0 || inUseAppointments > 0}
+    onArchive={onDelete}
+    onClose={onClose}
+  >
+    <p>Archive <strong>{doctor.name}</strong> ({doctor.id})?</p>
+    {(inUsePatients > 0 || inUseAppointments > 0) && (
+      <p style={{ color: '#b54708', background: '#fff6e6', padding: '8px 10px', borderRadius: 8 }}>
+        {warn || `This doctor has ${inUsePatients} patient(s) and ${inUseAppointments} appointment(s). Reassign or remove them first.`}
+      </p>
+    )}
+  </ArchiveModal>
 );
 
 export default Doctors;
@@ -2,6 +2,9 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import './Users.css';
 import { useApp } from '../context/AppContext';
+import ArchiveModal from '../../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../../components/ArchiveToggle';
+import { nurseStatsFor, isNursePatient } from '../../services/staffStats';
 
 /* ---------- Utilities ---------- */
 /**
@@ -47,9 +50,10 @@ const PatientViewModal = ({ patient, doctorName, nurseName, onClose }) => (
  * @returns {JSX.Element} Nurses management interface
  */
 const Nurses = () => {
-  const { nurses, patients, doctors, addNurse, editNurse, deleteNurse } = useApp(); // include doctors for name resolution
+  const { nurses, archived, patients, doctors, addNurse, editNurse, deleteNurse, restoreRecord } = useApp(); // include doctors for name resolution
 
   const [search, setSearch] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
   const [loading, setLoading] = useState(true);
   const [modal, setModal] = useState({ type: '', nurse: null, warn: '' });
 
@@ -62,26 +66,22 @@ const Nurses = () => {
   }, []);
 
   const filteredNurses = useMemo(() => {
+    const list = showArchived ? archived.nurses : nurses;
     const s = search.trim().toLowerCase();
-    if (!s) return nurses;
-    return nurses.filter(n =>
+    if (!s) return list;
+    return list.filter(n =>
       n.name?.toLowerCase().includes(s) ||
       n.id?.toLowerCase().includes(s) ||
       (n.department || '').toLowerCase().includes(s)
     );
-  }, [nurses, search]);
+  }, [nurses, archived.nurses, showArchived, search]);
 
   /**
-   * Counts the number of patients assigned to a nurse.
-   * Supports both new (nurseId) and legacy (nurseName) formats.
+   * Counts the number of patients assigned to a nurse (from the staff stats module).
    * @param {Object} nurse - Nurse object
    * @returns {number} Number of assigned patients
    */
-  const countPatientsFor = (nurse) => {
-    const byId   = patients.filter(p => p.nurseId === nurse.id).length;
-    const legacy = patients.filter(p => !p.nurseId && p.nurseName === nurse.name).length;
-    return byId + legacy;
-  };
+  const countPatientsFor = (nurse) => nurseStatsFor(nurse, { patients }).assignedPatients;
 
   /**
    * Resolves doctor name from patient data.
@@ -124,21 +124,28 @@ const Nurses = () => {
   const handleEditNurse  = (n) => { editNurse(n); setModal({ type: '', nurse: null, warn: '' }); };
   
   /**
-   * Handles deleting a nurse.
-   * Prevents deletion if nurse has assigned patients.
-   * @param {string} id - Nurse ID to delete
+   * Handles archiving a nurse.
+   * Prevents archiving if nurse has assigned patients.
+   * @param {string} id - Nurse ID to archive
+   * @param {string} reason - Archive reason
    */
-  const handleDeleteNurse = (id) => {
+  const handleDeleteNurse = (id, reason) => {
     const nu = nurses.find(x => x.id === id);
     const pc = countPatientsFor(nu);
     if (pc > 0) {
-      setModal(m => ({ ...m, warn: `Cannot delete. This nurse still has ${pc} assigned patient(s).` }));
+      setModal(m => ({ ...m, warn: `Cannot archive. This nurse still has ${pc} assigned patient(s).` }));
       return;
     }
-    deleteNurse(id);
+    deleteNurse(id, reason);
     setModal({ type: '', nurse: null, warn: '' });
   };
 
+  /**
+   * Handles restoring an archived nurse.
+   * @param {string} id - Nurse ID to restore
+   */
+  const handleRestoreNurse = (id) => { restoreRecord('nurses', id); };
+
   return (
     <div className="users-page">
       <div className="users-header">
@@ -153,6 +160,12 @@ const Nurses = () => {
           value={search}
           onChange={(e) => setSearch(e.target.value)}
         />
+        <ArchiveToggle
+          showArchived={showArchived}
+          onChange={setShowArchived}
+          activeCount={nurses.length}
+          archivedCount={archived.nurses.length}
+        />
         <button className="add-btn" onClick={() => setModal({ type: 'add', nurse: null, warn: '' })}>+ Add Nurse</button>
       </div>
 
@@ -172,13 +185,22 @@ const Nurses = () => {
                   <td>{n.phone || '—'}</td>
                   <td className="table-actions">
                     <button className="view-btn"  onClick={() => setModal({ type: 'view', nurse: n, warn: '' })}>View</button>
-                    <button className="edit-btn"  onClick={() => setModal({ type: 'edit', nurse: n, warn: '' })}>Edit</button>
-                    <button className="delete-btn" onClick={() => setModal({ type: 'delete', nurse: n, warn: '' })}>Delete</button>
+                    {showArchived ? (
+                      <>
+                        <span className="archive-info">{formatArchiveInfo(n)}</span>
+                        <button className="restore-btn" onClick={() => handleRestoreNurse(n.id)}>Restore</button>
+                      </>
+                    ) : (
+                      <>
+                        <button className="edit-btn"  onClick={() => setModal({ type: 'edit', nurse: n, warn: '' })}>Edit</button>
+                        <button className="delete-btn" onClick={() => setModal({ type: 'delete', nurse: n, warn: '' })}>Archive</button>
+                      </>
+                    )}
                   </td>
                 </tr>
               ))
             ) : (
-              <tr><td colSpan="6" className="empty-state">No nurses found</td></tr>
+              <tr><td colSpan="6" className="empty-state">{showArchived ? 'No archived nurses' : 'No nurses found'}</td></tr>
             )}
           </tbody>
         </table>
@@ -196,10 +218,7 @@ const Nurses = () => {
       {modal.type === 'view' && (
         <ViewNurseModal
           nurse={modal.nurse}
-          patientsForNurse={[
-            ...patients.filter(p => p.nurseId === modal.nurse.id),
-            ...patients.filter(p => !p.nurseId && p.nurseName === modal.nurse.name),
-          ]}
+          patientsForNurse={patients.filter(p => isNursePatient(modal.nurse, p))}
           onClose={() => setModal({ type: '', nurse: null, warn: '' })}
           // NEW: clean callback to open patient modal instead of navigate
           onPatientClick={(p) => setViewPatient(p)}
@@ -211,7 +230,7 @@ const Nurses = () => {
           nurse={modal.nurse}
           inUsePatients={countPatientsFor(modal.nurse)}
           warn={modal.warn}
-          onDelete={() => handleDeleteNurse(modal.nurse.id)}
+          onDelete={(reason) => handleDeleteNurse(modal.nurse.id, reason)}
           onClose={() => setModal({ type: '', nurse: null, warn: '' })}
         />
       )}
@@ -363,32 +382,25 @@ const ViewNurseModal = ({ nurse, patientsForNurse, onClose, onPatientClick }) =>
 );
 
 /**
- * Confirmation modal for deleting a nurse.
+ * Confirmation modal for archiving a nurse.
  * Shows warning if nurse has assigned patients.
  * @param {Object} props - Component props
- * @param {Object} props.nurse - Nurse to delete
+ * @param {Object} props.nurse - Nurse to archive
  * @param {number} props.inUsePatients - Number of patients assigned to this nurse
  * @param {string} props.warn - Custom warning message
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteNurseModal = ({ nurse, inUsePatients, warn, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Nurse</h2>
-      <p>Delete <strong>{nurse.name}</strong> ({nurse.id})?</p>
-      {inUsePatients > 0 && (
-        <p style={{ color: '#b54708', background: '#fff6e6', padding: '8px 10px', borderRadius: 8 }}>
-          {warn || `This nurse has ${inUsePatients} patient(s). Reassign or remove them first.`}
-        </p>
-      )}
-      <div className="modal-actions">
-        <button className="danger" onClick={onDelete} disabled={inUsePatients > 0}>Delete</button>
-        <button className="secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal title="Archive Nurse" disabled={inUsePatients > 0} onArchive={onDelete} onClose={onClose}>
+    <p>Archive <strong>{nurse.name}</strong> ({nurse.id})?</p>
+    {inUsePatients > 0 && (
+      <p style={{ color: '#b54708', background: '#fff6e6', padding: '8px 10px', borderRadius: 8 }}>
+        {warn || `This nurse has ${inUsePatients} patient(s). Reassign or remove them first.`}
+      </p>
+    )}
+  </ArchiveModal>
 );
 
 export default Nurses;
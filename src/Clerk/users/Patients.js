@@ -1,6 +1,8 @@
 import React, { useMemo, useState, useEffect } from 'react';
 import './Users.css';
 import { useApp } from '../context/AppContext';
+import ArchiveModal from '../../components/ArchiveModal';
+import ArchiveToggle, { formatArchiveInfo } from '../../components/ArchiveToggle';
 
 /**
  * Calculates age from a date of birth string.
@@ -25,10 +27,11 @@ const calculateAge = (dob) => {
  */
 const Patients = () => {
   const {
-    patients, doctors, nurses, doctorById, addPatient, editPatient, deletePatient,
+    patients, archived, doctors, nurses, doctorById, addPatient, editPatient, deletePatient, restoreRecord,
   } = useApp();
 
   const [search, setSearch] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
   const [loading, setLoading] = useState(true);
   const [modal, setModal] = useState({ type: '', patient: null });
 
@@ -38,10 +41,11 @@ const Patients = () => {
   }, []);
 
   const filteredPatients = useMemo(() => {
+    const list = showArchived ? archived.patients : patients;
     const s = search.trim().toLowerCase();
-    if (!s) return patients;
-    return patients.filter(p => p.name?.toLowerCase().includes(s) || p.id?.toLowerCase().includes(s));
-  }, [patients, search]);
+    if (!s) return list;
+    return list.filter(p => p.name?.toLowerCase().includes(s) || p.id?.toLowerCase().includes(s));
+  }, [patients, archived.patients, showArchived, search]);
 
   /**
    * Gets doctor name for a patient.
@@ -70,10 +74,17 @@ const Patients = () => {
   const handleEditPatient = (patient) => { editPatient(patient); setModal({ type: '', patient: null }); };
   
   /**
-   * Handles deleting a patient.
-   * @param {string} id - Patient ID to delete
+   * Handles archiving a patient.
+   * @param {string} id - Patient ID to archive
+   * @param {string} reason - Archive reason
    */
-  const handleDeletePatient = (id) => { deletePatient(id);      setModal({ type: '', patient: null }); };
+  const handleDeletePatient = (id, reason) => { deletePatient(id, reason); setModal({ type: '', patient: null }); };
+
+  /**
+   * Handles restoring an archived patient.
+   * @param {string} id - Patient ID to restore
+   */
+  const handleRestorePatient = (id) => { restoreRecord('patients', id); };
 
   return (
     <div className="users-page">
@@ -89,6 +100,12 @@ const Patients = () => {
           value={search}
           onChange={(e) => setSearch(e.target.value)}
         />
+        <ArchiveToggle
+          showArchived={showArchived}
+          onChange={setShowArchived}
+          activeCount={patients.length}
+          archivedCount={archived.patients.length}
+        />
         <button className="add-btn" onClick={() => setModal({ type: 'add', patient: null })}>+ Add Patient</button>
       </div>
 
@@ -114,13 +131,22 @@ const Patients = () => {
                   <td>{p.phone || '—'}</td>
                   <td className="table-actions">
                     <button className="view-btn"  onClick={() => setModal({ type: 'view', patient: p })}>View</button>
-                    <button className="edit-btn"  onClick={() => setModal({ type: 'edit', patient: p })}>Edit</button>
-                    <button className="delete-btn" onClick={() => setModal({ type: 'delete', patient: p })}>Delete</button>
+                    {showArchived ? (
+                      <>
+                        <span className="archive-info">{formatArchiveInfo(p)}</span>
+                        <button className="restore-btn" onClick={() => handleRestorePatient(p.id)}>Restore</button>
+                      </>
+                    ) : (
+                      <>
+                        <button className="edit-btn"  onClick={() => setModal({ type: 'edit', patient: p })}>Edit</button>
+                        <button className="delete-btn" onClick={() => setModal({ type: 'delete', patient: p })}>Archive</button>
+                      </>
+                    )}
                   </td>
                 </tr>
               ))
             ) : (
-              <tr><td colSpan="8" className="empty-state">No patients found</td></tr>
+              <tr><td colSpan="8" className="empty-state">{showArchived ? 'No archived patients' : 'No patients found'}</td></tr>
             )}
           </tbody>
         </table>
@@ -149,7 +175,7 @@ const Patients = () => {
       {modal.type === 'delete' && (
         <DeleteModal
           patient={modal.patient}
-          onDelete={() => handleDeletePatient(modal.patient.id)}
+          onDelete={(reason) => handleDeletePatient(modal.patient.id, reason)}
           onClose={() => setModal({ type: '', patient: null })}
         />
       )}
@@ -282,24 +308,17 @@ const PatientViewModal = ({ patient, doctorName, nurseName, onClose }) => (
 );
 
 /**
- * Confirmation modal for deleting a patient.
+ * Confirmation modal for archiving a patient.
  * @param {Object} props - Component props
- * @param {Object} props.patient - Patient to delete
- * @param {Function} props.onDelete - Callback when deletion is confirmed
+ * @param {Object} props.patient - Patient to archive
+ * @param {Function} props.onDelete - Callback with the archive reason
  * @param {Function} props.onClose - Callback to close the modal
- * @returns {JSX.Element} Delete confirmation modal
+ * @returns {JSX.Element} Archive confirmation modal
  */
 const DeleteModal = ({ patient, onDelete, onClose }) => (
-  <div className="modal-overlay">
-    <div className="modal">
-      <h2>Delete Patient</h2>
-      <p>Delete <strong>{patient.name}</strong> ({patient.id})?</p>
-      <div className="modal-actions">
-        <button className="danger" onClick={onDelete}>Delete</button>
-        <button className="secondary" onClick={onClose}>Cancel</button>
-      </div>
-    </div>
-  </div>
+  <ArchiveModal title="Archive Patient" onArchive={onDelete} onClose={onClose}>
+    <p>Archive <strong>{patient.name}</strong> ({patient.id})?</p>
+  </ArchiveModal>
 );
 
 export default Patients;
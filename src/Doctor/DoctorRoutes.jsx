@@ -0,0 +1,98 @@
+import React, { useCallback } from 'react';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
+import AppLayout from '../Chief/AppLayout';
+import Patients from '../Chief/Users/Patients';
+import UserProfile from '../Chief/Profile/UserProfile';
+import Appointments from '../Clerk/Appointments/Appointments';
+import WorkSchedule from './WorkSchedule';
+import RouteGuard from '../components/RouteGuard';
+import NotificationInbox from '../components/NotificationInbox';
+import { useAuth } from '../context/AuthContext';
+import useStaffProfile from '../hooks/useStaffProfile';
+import { isPatientOfDoctor } from '../services/staffScope';
+
+/**
+ * Sidebar links of the doctor portal.
+ */
+const DOCTOR_LINKS = [
+  { name: 'My Appointments', path: '/' },
+  { name: 'My Patients', path: '/patients' },
+  { name: 'Work Schedule', path: '/schedule' },
+  { name: 'Notifications', path: '/notifications' },
+];
+
+/**
+ * Mapping of route paths to their display titles.
+ */
+const pageTitles = {
+  '/': 'My Appointments',
+  '/patients': 'My Patients',
+  '/schedule': 'Work Schedule',
+  '/notifications': 'Notifications',
+};
+
+/**
+ * Routing component for the doctor portal.
+ * Resolves the signed-in doctor's profile and shows only their own
+ * web_appointments, assigned patients and work schedule, reusing the
+ * Chief layout and the existing list pages.
+ * @returns {JSX.Element} Router with all doctor routes configured
+ */
+const DoctorRoutes = () => {
+  const location = useLocation();
+  const { signOut, activeRole } = useAuth();
+  const { profile: doctor, loading } = useStaffProfile('doctors');
+
+  // ثابت بين عمليات الإعادة حتى لا تعيد صفحة المرضى الاشتراك
+  const scope = useCallback((p) => isPatientOfDoctor(p, doctor), [doctor]);
+
+  const renderRoutes = () => {
+    if (loading) {
+      return <div className="users-page"><p>Loading profile...</p></div>;
+    }
+
+    if (!doctor) {
+      return (
+        <div className="users-page">
+          <h2>لا يوجد ملف طبيب مرتبط بهذا الحساب</h2>
+          <p>الرجاء التواصل مع المسؤول</p>
+        </div>
+      );
+    }
+
+    return (
+      <Routes>
+        <Route path="/" element={<RouteGuard><Appointments doctor={doctor} /></RouteGuard>} />
+        <Route
+          path="/patients"
+          element={
+            <RouteGuard>
+              <Patients
+                scope={scope}
+                title="My Patients"
+                subtitle="Patients assigned to you."
+              />
+            </RouteGuard>
+          }
+        />
+        <Route path="/schedule" element={<RouteGuard><WorkSchedule doctor={doctor} /></RouteGuard>} />
+        <Route path="/notifications" element={<RouteGuard><div className="users-page"><NotificationInbox /></div></RouteGuard>} />
+        <Route path="/users/:id" element={<RouteGuard><UserProfile scope={scope} /></RouteGuard>} />
+        <Route path="*" element={<Navigate to="/" />} />
+      </Routes>
+    );
+  };
+
+  return (
+    <AppLayout
+      role={activeRole}
+      links={DOCTOR_LINKS}
+      pageTitle={pageTitles[location.pathname]}
+      onLogout={() => signOut()}
+    >
+      {renderRoutes()}
+    </AppLayout>
+  );
+};
+
+export default DoctorRoutes;
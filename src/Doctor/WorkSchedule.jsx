@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import '../Chief/Users/Users.css';
+import { DAY_NAMES as DAYS, dayWorkingHours, validateSchedule } from '../services/doctorSchedule';
+import { toMinutes } from '../services/appointmentSlots';
+import { formatDateISO } from '../services/treatmentPlans';
+import { subscribeToHolidays, updateDoctorSchedule } from '../services/firestoreService';
+import ScheduleEditor, { editableSchedule } from '../components/ScheduleEditor';
+
+/**
+ * Work schedule of the signed-in doctor: weekly template, date changes, leave
+ * and the hospital holidays. Bookable times are generated from this schedule,
+ * so the doctor keeps it up to date here.
+ * @param {Object} props - Component props
+ * @param {Object} props.doctor - The doctor's profile document
+ * @returns {JSX.Element} Work schedule editor
+ */
+const WorkSchedule = ({ doctor }) => {
+  const [schedule, setSchedule] = useState(() => editableSchedule(doctor));
+  const [holidays, setHolidays] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToHolidays(setHolidays);
+    return () => unsubscribe();
+  }, []);
+
+  const hoursByDay = Object.fromEntries(DAYS.map(day => [day, dayWorkingHours(schedule.workSchedule[day])]));
+  const workingDays = DAYS.filter(day => hoursByDay[day]);
+  const weeklyMinutes = workingDays.reduce((sum, day) => sum + toMinutes(hoursByDay[day].end) - toMinutes(hoursByDay[day].start), 0);
+  const today = formatDateISO(new Date());
+  const upcomingLeave = schedule.leave.filter(l => l.to >= today).length;
+
+  const handleSaveSchedule = async () => {
+    const invalid = validateSchedule(schedule);
+    if (invalid) return alert(invalid);
+
+    setSaving(true);
+    try {
+      await updateDoctorSchedule(doctor.id, schedule);
+      alert('Work schedule saved.');
+    } catch (error) {
+      console.error('Error saving work schedule:', error);
+      alert(`Error saving work schedule: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="users-page">
+      <div className="users-header">
+        <h1>Work Schedule</h1>
+        <p>Your availability used for booking appointments: weekly hours, date changes and leave.</p>
+      </div>
+
+      <div className="users-cards">
+        <div className="users-card">
+          <h3>Working Days</h3>
+          <span>{workingDays.length}</span>
+        </div>
+        <div className="users-card">
+          <h3>Weekly Hours</h3>
+          <span>{Math.round(weeklyMinutes / 6) / 10}</span>
+        </div>
+        <div className="users-card">
+          <h3>Upcoming Leave</h3>
+          <span>{upcomingLeave}</span>
+        </div>
+      </div>
+
+      <div className="users-table-wrapper" style={{ padding: 20 }}>
+        <ScheduleEditor value={schedule} onChange={setSchedule} holidays={holidays} />
+        <div className="modal-actions" style={{ marginTop: 12 }}>
+          <button onClick={handleSaveSchedule} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Schedule'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkSchedule;
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import '../Chief/Users/Users.css';
+import { subscribeToPatients, subscribeToRoster } from '../services/firestoreService';
+import { isPatientOfNurse } from '../services/staffScope';
+import { SHIFTS, shiftInterval, activeAssignments } from '../services/nurseRoster';
+
+/**
+ * Formats a roster entry, e.g. "2030-01-06 Morning (07:00–15:00) · ICU".
+ * @param {Object} assignment - Roster entry
+ * @returns {string} Shift description
+ */
+const formatShift = (assignment) => {
+  const shift = SHIFTS[assignment.shift];
+  return `${assignment.date} ${shift.label} (${shift.start}–${shift.end}) · ${assignment.department}`;
+};
+
+/**
+ * Shift overview for the signed-in nurse.
+ * Shows the nurse's current or next rostered shift, their department and
+ * the patients assigned to them.
+ * @param {Object} props - Component props
+ * @param {Object} props.nurse - The nurse's profile document
+ * @returns {JSX.Element} Shift overview page
+ */
+const MyShift = ({ nurse }) => {
+  const navigate = useNavigate();
+  const [patients, setPatients] = useState([]);
+  const [shifts, setShifts] = useState([]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToPatients((patientsData) => {
+      setPatients((patientsData || []).filter(p => isPatientOfNurse(p, nurse)));
+    });
+    return () => unsubscribe();
+  }, [nurse]);
+
+  // المناوبات الحالية والقادمة من جدول المناوبات
+  useEffect(() => {
+    const unsubscribe = subscribeToRoster((roster) => {
+      const now = Date.now();
+      setShifts(activeAssignments(roster)
+        .filter(a => a.nurseId === nurse.id && shiftInterval(a).end > now)
+        .sort((a, b) => shiftInterval(a).start - shiftInterval(b).start));
+    });
+    return () => unsubscribe();
+  }, [nurse]);
+
+  const nextShift = shifts[0];
+  const onDuty = nextShift && shiftInterval(nextShift).start <= Date.now();
+
+  return (
+    <div className="users-page">
+      <div className="users-header">
+        <h1>My Shift</h1>
+        <p>Your rostered shifts and the patients under your care.</p>
+      </div>
+
+      <div className="users-cards">
+        <div className="users-card">
+          <h3>{onDuty ? 'On Duty Now' : 'Next Shift'}</h3>
+          <span>{nextShift ? `${SHIFTS[nextShift.shift].label} · ${nextShift.date}` : 'Not rostered'}</span>
+        </div>
+        <div className="users-card">
+          <h3>Department</h3>
+          <span>{nurse.department || '—'}</span>
+        </div>
+        <div className="users-card">
+          <h3>Assigned Patients</h3>
+          <span>{patients.length}</span>
+        </div>
+      </div>
+
+      {shifts.length > 1 && (
+        <div className="users-actions">
+          <p>Upcoming: {shifts.slice(1, 6).map(formatShift).join(' | ')}</p>
+        </div>
+      )}
+
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Department</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {patients.length > 0 ? (
+              patients.map(p => (
+                <tr key={p.id}>
+                  <td>{p.name || 'Unknown'}</td>
+                  <td>{p.currentDepartment || p.department || '—'}</td>
+                  <td>
+                    <span className={`status ${(p.status || 'active').toLowerCase().replace(/\s+/g, '-')}`}>
+                      {p.status || 'Active'}
+                    </span>
+                  </td>
+                  <td className="table-actions">
+                    <button
+                      className="view-btn"
+                      onClick={() => navigate(`/users/${p.id}`, { state: { user: { ...p, role: 'Patient' } } })}
+                    >
+                      View
+                    </button>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="4" className="empty-state">No patients assigned</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MyShift;
@@ -0,0 +1,93 @@
+import React, { useCallback } from 'react';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
+import AppLayout from '../Chief/AppLayout';
+import Patients from '../Chief/Users/Patients';
+import UserProfile from '../Chief/Profile/UserProfile';
+import MyShift from './MyShift';
+import RouteGuard from '../components/RouteGuard';
+import NotificationInbox from '../components/NotificationInbox';
+import { useAuth } from '../context/AuthContext';
+import useStaffProfile from '../hooks/useStaffProfile';
+import { isPatientOfNurse } from '../services/staffScope';
+
+/**
+ * Sidebar links of the nurse portal.
+ */
+const NURSE_LINKS = [
+  { name: 'My Shift', path: '/' },
+  { name: 'My Patients', path: '/patients' },
+  { name: 'Notifications', path: '/notifications' },
+];
+
+/**
+ * Mapping of route paths to their display titles.
+ */
+const pageTitles = {
+  '/': 'My Shift',
+  '/patients': 'My Patients',
+  '/notifications': 'Notifications',
+};
+
+/**
+ * Routing component for the nurse portal.
+ * Resolves the signed-in nurse's profile and shows their shift and
+ * assigned patients, reusing the Chief layout and patients list.
+ * @returns {JSX.Element} Router with all nurse routes configured
+ */
+const NurseRoutes = () => {
+  const location = useLocation();
+  const { signOut, activeRole } = useAuth();
+  const { profile: nurse, loading } = useStaffProfile('nurses');
+
+  // ثابت بين عمليات الإعادة حتى لا تعيد صفحة المرضى الاشتراك
+  const scope = useCallback((p) => isPatientOfNurse(p, nurse), [nurse]);
+
+  const renderRoutes = () => {
+    if (loading) {
+      return <div className="users-page"><p>Loading profile...</p></div>;
+    }
+
+    if (!nurse) {
+      return (
+        <div className="users-page">
+          <h2>لا يوجد ملف ممرضة مرتبط بهذا الحساب</h2>
+          <p>الرجاء التواصل مع المسؤول</p>
+        </div>
+      );
+    }
+
+    return (
+      <Routes>
+        <Route path="/" element={<RouteGuard><MyShift nurse={nurse} /></RouteGuard>} />
+        <Route
+          path="/patients"
+          element={
+            <RouteGuard>
+              <Patients
+                scope={scope}
+                title="My Patients"
+                subtitle="Patients assigned to you."
+              />
+            </RouteGuard>
+          }
+        />
+        <Route path="/notifications" element={<RouteGuard><div className="users-page"><NotificationInbox /></div></RouteGuard>} />
+        <Route path="/users/:id" element={<RouteGuard><UserProfile scope={scope} /></RouteGuard>} />
+        <Route path="*" element={<Navigate to="/" />} />
+      </Routes>
+    );
+  };
+
+  return (
+    <AppLayout
+      role={activeRole}
+      links={NURSE_LINKS}
+      pageTitle={pageTitles[location.pathname]}
+      onLogout={() => signOut()}
+    >
+      {renderRoutes()}
+    </AppLayout>
+  );
+};
+
+export default NurseRoutes;
@@ -0,0 +1,352 @@
+import React, { useEffect, useState } from 'react';
+import '../Chief/Users/Users.css';
+import {
+  subscribeToDoctors,
+  subscribeToHolidays,
+  subscribeToSlotDays,
+  subscribeToWebAppointments,
+  subscribeToAppointmentRequests,
+  createAppointmentRequest,
+  withdrawAppointmentRequest,
+  cancelOwnAppointment
+} from '../services/firestoreService';
+import {
+  REQUEST_TYPES,
+  REQUEST_STATUS_LABELS,
+  CANCELLATION_NOTICE_HOURS,
+  requestStatus,
+  isOpenRequest,
+  pendingRescheduleFor,
+  validateAppointmentRequest,
+  canPatientCancel
+} from '../services/appointmentRequests';
+import { APPOINTMENT_STATUS_LABELS, appointmentStatus } from '../services/appointmentLifecycle';
+import {
+  APPOINTMENT_TYPES,
+  DEFAULT_APPOINTMENT_TYPE,
+  appointmentTypeOf,
+  formatTimeRange,
+  availableTimesFromReservations
+} from '../services/appointmentSlots';
+import { workingHoursFor } from '../services/doctorSchedule';
+import { formatDateISO } from '../services/treatmentPlans';
+import { matchesStaffId } from '../services/staffScope';
+
+// Statuses that still lie ahead of the patient
+const UPCOMING_STATUSES = ['scheduled', 'checked-in', 'in-consultation'];
+
+/**
+ * Appointments page of the patient portal: upcoming appointments with
+ * reschedule and cancel actions, and the patient's requests. New appointments
+ * and reschedules are sent as requests that the clinic approves or declines;
+ * cancellations are applied directly when made early enough. Only the patient's
+ * own records are subscribed to (no shared clinic data).
+ * @param {Object} props - Component props
+ * @param {Object} props.patient - The patient's record
+ * @returns {JSX.Element} Patient appointments page
+ */
+const MyAppointments = ({ patient }) => {
+  const [doctors, setDoctors] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [requests, setRequests] = useState([]);
+  // null = closed; { type, appointment? } = request form open
+  const [requestForm, setRequestForm] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToDoctors(setDoctors);
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToWebAppointments(setAppointments, { patientId: patient.id });
+    return () => unsubscribe();
+  }, [patient.id]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToAppointmentRequests(setRequests, { patientId: patient.id });
+    return () => unsubscribe();
+  }, [patient.id]);
+
+  const today = formatDateISO(new Date());
+  const upcoming = appointments
+    .filter(a => a.date >= today && UPCOMING_STATUSES.includes(appointmentStatus(a)))
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+  const openRequests = requests.filter(isOpenRequest);
+
+  const handleSubmitRequest = async (request) => {
+    try {
+      await createAppointmentRequest(request);
+      setRequestForm(null);
+      alert('Request sent. The clinic will confirm it shortly.');
+    } catch (error) {
+      console.error('Error sending appointment request:', error);
+      alert(`Error sending appointment request: ${error.message}`);
+    }
+  };
+
+  const handleWithdraw = async (request) => {
+    if (!window.confirm('Withdraw this request?')) return;
+    try {
+      await withdrawAppointmentRequest(request.id);
+    } catch (error) {
+      console.error('Error withdrawing appointment request:', error);
+      alert(`Error withdrawing appointment request: ${error.message}`);
+    }
+  };
+
+  const handleCancel = async (appointment) => {
+    const reason = window.prompt(`Reason for cancelling your appointment on ${appointment.date} at ${appointment.time}:`);
+    if (reason === null) return;
+    try {
+      await cancelOwnAppointment(appointment.id, reason);
+    } catch (error) {
+      console.error('Error cancelling appointment:', error);
+      alert(`Error cancelling appointment: ${error.message}`);
+    }
+  };
+
+  /**
+   * Requested slot of a request, with the slot actually booked when the clinic changed it.
+   * @param {Object} r - Appointment request
+   * @returns {string} Slot description
+   */
+  const describeSlot = (r) => {
+    const slot = r.approvedSlot || r;
+    return `${slot.date} ${slot.time} · ${slot.doctorName}`;
+  };
+
+  return (
+    <div className="users-page">
+      <div className="users-header">
+        <h1>My Appointments</h1>
+        <p>
+          Request a new appointment or a new time; the clinic confirms each request.
+          You can cancel up to {CANCELLATION_NOTICE_HOURS} hours before an appointment.
+        </p>
+      </div>
+
+      <div className="users-cards">
+        <div className="users-card">
+          <h3>Upcoming</h3>
+          <span>{upcoming.length}</span>
+        </div>
+        <div className="users-card">
+          <h3>Next Appointment</h3>
+          <span>{upcoming[0] ? `${upcoming[0].date} ${upcoming[0].time}` : '—'}</span>
+        </div>
+        <div className="users-card">
+          <h3>Pending Requests</h3>
+          <span>{openRequests.length}</span>
+        </div>
+      </div>
+
+      <div className="users-actions">
+        <button onClick={() => setRequestForm({ type: 'new' })}>+ Request Appointment</button>
+      </div>
+
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Time</th>
+              <th>Doctor</th>
+              <th>Type</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {upcoming.length > 0 ? (
+              upcoming.map(a => {
+                const cancel = canPatientCancel(a);
+                const pendingReschedule = pendingRescheduleFor(requests, a.id);
+                return (
+                  <tr key={a.id}>
+                    <td>{a.date}</td>
+                    <td>{formatTimeRange(a)}</td>
+                    <td>{a.doctorName || '—'}</td>
+                    <td>{APPOINTMENT_TYPES[appointmentTypeOf(a)].label}</td>
+                    <td>
+                      <span className={`status ${appointmentStatus(a)}`}>
+                        {APPOINTMENT_STATUS_LABELS[appointmentStatus(a)]}
+                      </span>
+                      {pendingReschedule && <div>New time requested: {pendingReschedule.date} {pendingReschedule.time}</div>}
+                    </td>
+                    <td className="table-actions">
+                      <button
+                        className="edit-btn"
+                        disabled={appointmentStatus(a) !== 'scheduled' || !!pendingReschedule}
+                        onClick={() => setRequestForm({ type: 'reschedule', appointment: a })}
+                      >
+                        Reschedule
+                      </button>
+                      <button
+                        className="delete-btn"
+                        disabled={!cancel.allowed}
+                        title={cancel.reason || ''}
+                        onClick={() => handleCancel(a)}
+                      >
+                        Cancel
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan="6" className="empty-state">No upcoming appointments</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="users-table-wrapper" style={{ marginTop: 25 }}>
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Request</th>
+              <th>Requested Time</th>
+              <th>Type</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {requests.length > 0 ? (
+              requests.map(r => (
+                <tr key={r.id}>
+                  <td>{REQUEST_TYPES[r.type] || r.type}</td>
+                  <td>{describeSlot(r)}</td>
+                  <td>{APPOINTMENT_TYPES[appointmentTypeOf(r)].label}</td>
+                  <td>
+                    <span className={`status ${requestStatus(r)}`}>{REQUEST_STATUS_LABELS[requestStatus(r)]}</span>
+                    {r.declineReason && <div>{r.declineReason}</div>}
+                  </td>
+                  <td className="table-actions">
+                    {isOpenRequest(r) && (
+                      <button className="delete-btn" onClick={() => handleWithdraw(r)}>Withdraw</button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="5" className="empty-state">No requests yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {requestForm && (
+        <RequestModal
+          {...requestForm}
+          doctors={doctors}
+          onSave={handleSubmitRequest}
+          onClose={() => setRequestForm(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Form for a new appointment or a reschedule request. Offered times are the
+ * doctor's working hours minus the reserved slots of that day (slot documents
+ * hold no patient data); the clinic checks the slot again on approval.
+ * @param {Object} props - Component props
+ * @param {'new'|'reschedule'} props.type - Request type
+ * @param {Object} [props.appointment] - Appointment to reschedule
+ * @param {Array} props.doctors - Doctors to choose from
+ * @param {Function} props.onSave - Callback with the request
+ * @param {Function} props.onClose - Closes the form
+ * @returns {JSX.Element} Request modal
+ */
+const RequestModal = ({ type, appointment, doctors, onSave, onClose }) => {
+  const currentDoctor = appointment && doctors.find(d => matchesStaffId(appointment.doctorId, d));
+  const [form, setForm] = useState({
+    doctorId: currentDoctor?.id || '',
+    date: '',
+    time: '',
+    appointmentType: appointment ? appointmentTypeOf(appointment) : DEFAULT_APPOINTMENT_TYPE,
+    notes: '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [slotDays, setSlotDays] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+
+  const doctor = doctors.find(d => d.id === form.doctorId);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToHolidays(setHolidays);
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSlotDays(doctor, form.date, setSlotDays);
+    return () => unsubscribe();
+  }, [doctor, form.date]);
+
+  const times = doctor && form.date
+    ? availableTimesFromReservations(
+      slotDays,
+      { appointmentType: form.appointmentType },
+      workingHoursFor(doctor, form.date, holidays),
+      appointment?.id
+    )
+    : [];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    // A different doctor, day or type offers different times
+    setForm({ ...form, [name]: value, ...(name !== 'time' && name !== 'notes' && { time: '' }) });
+  };
+
+  const handleSubmit = async () => {
+    const request = { ...form, type, appointmentId: appointment?.id };
+    const invalid = validateAppointmentRequest(request);
+    if (invalid) return alert(invalid);
+
+    setSaving(true);
+    try {
+      await onSave(request);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <h3>{type === 'reschedule' ? `Reschedule ${appointment.date} ${appointment.time}` : 'Request Appointment'}</h3>
+        <select name="doctorId" value={form.doctorId} onChange={handleChange}>
+          <option value="">Select doctor</option>
+          {doctors.map(d => (
+            <option key={d.id} value={d.id}>{d.name}{d.department ? ` · ${d.department}` : ''}</option>
+          ))}
+        </select>
+        <select name="appointmentType" value={form.appointmentType} onChange={handleChange} disabled={type === 'reschedule'}>
+          {Object.entries(APPOINTMENT_TYPES).map(([key, t]) => (
+            <option key={key} value={key}>{t.label}</option>
+          ))}
+        </select>
+        <input type="date" name="date" min={formatDateISO(new Date())} value={form.date} onChange={handleChange} />
+        <select name="time" value={form.time} onChange={handleChange} disabled={!form.doctorId || !form.date}>
+          <option value="">{form.doctorId && form.date && times.length === 0 ? 'No free times on this day' : 'Select time'}</option>
+          {times.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <input name="notes" placeholder="Notes for the clinic (optional)" value={form.notes} onChange={handleChange} />
+        <div className="modal-actions">
+          <button onClick={handleSubmit} disabled={saving || !form.time}>
+            {saving ? 'Sending...' : 'Send Request'}
+          </button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MyAppointments;
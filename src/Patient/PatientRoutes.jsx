@@ -0,0 +1,68 @@
+import React from 'react';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
+import AppLayout from '../Chief/AppLayout';
+import MyAppointments from './MyAppointments';
+import RouteGuard from '../components/RouteGuard';
+import { useAuth } from '../context/AuthContext';
+import useStaffProfile from '../hooks/useStaffProfile';
+
+/**
+ * Sidebar links of the patient portal.
+ */
+const PATIENT_LINKS = [
+  { name: 'My Appointments', path: '/' },
+];
+
+/**
+ * Mapping of route paths to their display titles.
+ */
+const pageTitles = {
+  '/': 'My Appointments',
+};
+
+/**
+ * Routing component for the patient portal.
+ * Resolves the signed-in patient's record and shows their appointments
+ * and appointment requests, reusing the Chief layout.
+ * @returns {JSX.Element} Router with all patient routes configured
+ */
+const PatientRoutes = () => {
+  const location = useLocation();
+  const { signOut, activeRole } = useAuth();
+  const { profile: patient, loading } = useStaffProfile('patients');
+
+  const renderRoutes = () => {
+    if (loading) {
+      return <div className="users-page"><p>Loading profile...</p></div>;
+    }
+
+    if (!patient) {
+      return (
+        <div className="users-page">
+          <h2>لا يوجد ملف مريض مرتبط بهذا الحساب</h2>
+          <p>الرجاء التواصل مع العيادة</p>
+        </div>
+      );
+    }
+
+    return (
+      <Routes>
+        <Route path="/" element={<RouteGuard><MyAppointments patient={patient} /></RouteGuard>} />
+        <Route path="*" element={<Navigate to="/" />} />
+      </Routes>
+    );
+  };
+
+  return (
+    <AppLayout
+      role={activeRole}
+      links={PATIENT_LINKS}
+      pageTitle={pageTitles[location.pathname]}
+      onLogout={() => signOut()}
+    >
+      {renderRoutes()}
+    </AppLayout>
+  );
+};
+
+export default PatientRoutes;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { APPOINTMENT_TYPES, DEFAULT_APPOINTMENT_TYPE } from '../services/appointmentSlots';
+
+/**
+ * Label + input pair, wrapped in a div when the modal lays fields out in a grid.
+ * @param {Object} props - Component props
+ * @param {string} [props.className] - Wrapper class (no wrapper when omitted)
+ * @param {React.ReactNode} props.children - Label and input
+ * @returns {JSX.Element} Field
+ */
+const Field = ({ className, children }) => (className ? <div className={className}>{children}</div> : <>{children}</>);
+
+/**
+ * Appointment type and duration inputs. Choosing a type resets the duration to
+ * that type's default; the duration can then be adjusted.
+ * Shared by the Clerk and Chief appointment modals.
+ * @param {Object} props - Component props
+ * @param {string} props.appointmentType - Selected type (key of APPOINTMENT_TYPES)
+ * @param {number|string} props.duration - Duration in minutes
+ * @param {Function} props.onChange - Callback with { appointmentType, duration }
+ * @param {string} [props.fieldClassName] - Wraps each label + input in a div with this class
+ * @returns {JSX.Element} Type select and duration input
+ */
+const AppointmentTypeFields = ({ appointmentType, duration, onChange, fieldClassName }) => {
+  const type = APPOINTMENT_TYPES[appointmentType] ? appointmentType : DEFAULT_APPOINTMENT_TYPE;
+
+  return (
+    <>
+      <Field className={fieldClassName}>
+        <label>Type</label>
+        <select
+          value={type}
+          onChange={(e) => onChange({ appointmentType: e.target.value, duration: APPOINTMENT_TYPES[e.target.value].duration })}
+        >
+          {Object.entries(APPOINTMENT_TYPES).map(([key, t]) => (
+            <option key={key} value={key}>
+              {t.label} ({t.duration} min{t.buffer ? ` + ${t.buffer} min buffer` : ''})
+            </option>
+          ))}
+        </select>
+      </Field>
+
+      <Field className={fieldClassName}>
+        <label>Duration (minutes)</label>
+        <input
+          type="number"
+          min="5"
+          max="720"
+          step="5"
+          value={duration ?? APPOINTMENT_TYPES[type].duration}
+          onChange={(e) => onChange({ appointmentType: type, duration: e.target.value })}
+        />
+      </Field>
+    </>
+  );
+};
+
+export default AppointmentTypeFields;
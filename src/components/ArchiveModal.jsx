@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import './Archive.css';
+
+/**
+ * Confirmation modal for archiving (soft-deleting) a record with a reason.
+ * The record is hidden from active lists and can be restored from the
+ * Archived view. Extra content (warnings, details) is passed as children.
+ * @param {Object} props - Component props
+ * @param {string} props.title - Modal title, e.g. "Archive Doctor"
+ * @param {boolean} [props.disabled] - Blocks archiving (e.g. record still in use)
+ * @param {Function} props.onArchive - Callback with the entered reason
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {React.ReactNode} props.children - Confirmation message
+ * @returns {JSX.Element} Archive confirmation modal
+ */
+const ArchiveModal = ({ title, disabled = false, onArchive, onClose, children }) => {
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleArchive = async () => {
+    if (!reason.trim()) {
+      alert('Please enter a reason for archiving.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onArchive(reason.trim());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <h2>{title}</h2>
+        {children}
+        <textarea
+          className="archive-reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason for archiving *"
+          rows={3}
+        />
+        <div className="modal-actions">
+          <button className="danger" onClick={handleArchive} disabled={disabled || saving}>Archive</button>
+          <button className="secondary" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArchiveModal;
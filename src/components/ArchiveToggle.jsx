@@ -0,0 +1,35 @@
+import React from 'react';
+import './Archive.css';
+
+/**
+ * Switch between the active and archived records of a list page.
+ * @param {Object} props - Component props
+ * @param {boolean} props.showArchived - Whether the archived view is selected
+ * @param {Function} props.onChange - Callback with the new showArchived value
+ * @param {number} props.activeCount - Number of active records
+ * @param {number} props.archivedCount - Number of archived records
+ * @returns {JSX.Element} Active / Archived toggle
+ */
+const ArchiveToggle = ({ showArchived, onChange, activeCount, archivedCount }) => (
+  <div className="archive-toggle">
+    <button className={!showArchived ? 'active' : ''} onClick={() => onChange(false)}>
+      Active ({activeCount})
+    </button>
+    <button className={showArchived ? 'active' : ''} onClick={() => onChange(true)}>
+      Archived ({archivedCount})
+    </button>
+  </div>
+);
+
+/**
+ * Formats the archive details of a record for the Archived view.
+ * @param {Object} doc - Archived record
+ * @returns {string} Reason and archive date
+ */
+export const formatArchiveInfo = (doc) => {
+  const at = doc.archivedAt?.toDate ? doc.archivedAt.toDate() : doc.archivedAt;
+  const date = at ? new Date(at).toLocaleDateString() : '';
+  return [doc.archiveReason || 'No reason given', date].filter(Boolean).join(' · ');
+};
+
+export default ArchiveToggle;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getHomeRoute } from '../config/permissions';
+import './Forbidden.css';
+
+/**
+ * 403 page shown when the active role is not allowed to open a route.
+ * @param {Object} props - Component props
+ * @param {string} props.path - The path that was requested
+ * @returns {JSX.Element} Forbidden message with a link back to the role's home page
+ */
+const Forbidden = ({ path }) => {
+  const { activeRole } = useAuth();
+
+  return (
+    <div className="forbidden-page">
+      <div className="forbidden-code">403</div>
+      <h2>غير مصرح بالدخول</h2>
+      <p>
+        ليس لديك صلاحية لفتح هذه الصفحة
+        {path && <> (<code>{path}</code>)</>}
+        {activeRole && <> بالدور الحالي: <strong>{activeRole}</strong></>}
+      </p>
+      <Link to={getHomeRoute(activeRole)} className="forbidden-home">
+        العودة إلى الصفحة الرئيسية
+      </Link>
+    </div>
+  );
+};
+
+export default Forbidden;
@@ -0,0 +1,395 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { can } from '../config/permissions';
+import {
+  subscribeToLabOrders,
+  createLabOrder,
+  markLabSampleCollected,
+  recordLabResults,
+  reviewLabResults,
+  cancelLabOrder,
+} from '../services/firestoreService';
+import {
+  LAB_STATUSES,
+  LAB_PRIORITIES,
+  LAB_TESTS,
+  flagResult,
+  countPendingLabTests,
+  pendingLabTestsFor,
+} from '../services/labOrders';
+import './LabWorklist.css';
+
+/**
+ * Formats an order timestamp for the worklist.
+ * @param {Date|Object|string} value - Stored timestamp
+ * @returns {string} Localized date-time or '-'
+ */
+const formatTime = (value) => {
+  if (!value) return '-';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date) ? '-' : date.toLocaleString();
+};
+
+/**
+ * Lab worklist shared by the Chief and Clerk dashboards.
+ * Lists lab orders through ordered → collected → resulted → reviewed, with
+ * abnormal flags and each doctor's pending lab tests derived live from lab_orders.
+ * Actions follow the active role's lab_orders permissions.
+ * @param {Object} props - Component props
+ * @param {Array} props.patients - Patients for new orders
+ * @param {Array} props.doctors - Doctors for new orders and pending counts
+ * @returns {JSX.Element} Lab worklist panel
+ */
+const LabWorklist = ({ patients = [], doctors = [] }) => {
+  const { activeRole } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [showNew, setShowNew] = useState(false);
+  const [resultsFor, setResultsFor] = useState(null); // { order, mode: 'enter' | 'review' | 'view' }
+  const [cancelFor, setCancelFor] = useState(null);
+
+  const canCreate = can(activeRole, 'create', 'lab_orders');
+  const canUpdate = can(activeRole, 'update', 'lab_orders');
+  const canReview = can(activeRole, 'review', 'lab_orders');
+  const canCancel = can(activeRole, 'delete', 'lab_orders');
+
+  useEffect(() => {
+    const unsubscribe = subscribeToLabOrders(setOrders);
+    return () => unsubscribe();
+  }, []);
+
+  const pendingCounts = useMemo(() => countPendingLabTests(orders), [orders]);
+
+  const doctorsWithPending = useMemo(
+    () => doctors
+      .map((d) => ({ ...d, pendingLabTests: pendingLabTestsFor(d, pendingCounts) }))
+      .filter((d) => d.pendingLabTests > 0),
+    [doctors, pendingCounts]
+  );
+
+  const visibleOrders = orders.filter((o) => {
+    if (statusFilter === 'pending') return o.status !== 'reviewed';
+    if (statusFilter === 'abnormal') return o.abnormal;
+    return statusFilter === 'all' || o.status === statusFilter;
+  });
+
+  /**
+   * Runs an order action and reports errors.
+   * @param {Function} action - Async action
+   * @returns {Promise<boolean>} Whether the action succeeded
+   */
+  const runAction = async (action) => {
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+      return false;
+    }
+  };
+
+  return (
+    <div className="lab-worklist">
+      <div className="lab-head">
+        <h3>Lab Worklist</h3>
+        <span className="lab-count">{orders.filter((o) => o.status !== 'reviewed').length} pending</span>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <option value="pending">Pending</option>
+          <option value="abnormal">Abnormal</option>
+          {LAB_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+          <option value="all">All</option>
+        </select>
+        {canCreate && (
+          <button className="lab-btn primary" onClick={() => setShowNew(true)}>+ New Lab Order</button>
+        )}
+      </div>
+
+      {doctorsWithPending.length > 0 && (
+        <div className="lab-doctor-counts">
+          {doctorsWithPending.map((d) => (
+            <span key={d.id} className="lab-chip">{d.name}: {d.pendingLabTests} pending</span>
+          ))}
+        </div>
+      )}
+
+      {visibleOrders.length === 0 ? (
+        <p className="lab-empty">No lab orders.</p>
+      ) : (
+        <table className="lab-table">
+          <thead>
+            <tr>
+              <th>Test</th>
+              <th>Patient</th>
+              <th>Doctor</th>
+              <th>Priority</th>
+              <th>Status</th>
+              <th>Ordered</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleOrders.map((o) => (
+              <tr key={o.id}>
+                <td>
+                  {o.testName}
+                  {o.abnormal && <span className="lab-flag abnormal">Abnormal</span>}
+                </td>
+                <td>{o.patientName || o.patientId}</td>
+                <td>{o.doctorName || o.doctorId}</td>
+                <td><span className={`lab-priority ${o.priority}`}>{o.priority}</span></td>
+                <td><span className={`lab-status ${o.status}`}>{o.status}</span></td>
+                <td>{formatTime(o.orderedAt)}</td>
+                <td className="lab-actions">
+                  {canUpdate && o.status === 'ordered' && (
+                    <button className="lab-btn" onClick={() => runAction(() => markLabSampleCollected(o.id))}>Collected</button>
+                  )}
+                  {canUpdate && o.status === 'collected' && (
+                    <button className="lab-btn" onClick={() => setResultsFor({ order: o, mode: 'enter' })}>Enter Results</button>
+                  )}
+                  {canReview && o.status === 'resulted' && (
+                    <button className="lab-btn primary" onClick={() => setResultsFor({ order: o, mode: 'review' })}>Review</button>
+                  )}
+                  {(o.status === 'resulted' || o.status === 'reviewed') && !(canReview && o.status === 'resulted') && (
+                    <button className="lab-btn" onClick={() => setResultsFor({ order: o, mode: 'view' })}>Results</button>
+                  )}
+                  {canCancel && o.status !== 'reviewed' && (
+                    <button className="lab-btn danger" onClick={() => setCancelFor(o)}>Cancel</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {showNew && (
+        <NewLabOrderModal
+          patients={patients}
+          doctors={doctors}
+          onSave={async (form) => {
+            if (await runAction(() => createLabOrder(form))) setShowNew(false);
+          }}
+          onClose={() => setShowNew(false)}
+        />
+      )}
+
+      {resultsFor && (
+        <LabResultsModal
+          order={resultsFor.order}
+          mode={resultsFor.mode}
+          onSubmit={async (payload) => {
+            const action = resultsFor.mode === 'enter'
+              ? () => recordLabResults(resultsFor.order.id, payload)
+              : () => reviewLabResults(resultsFor.order.id, payload);
+            if (await runAction(action)) setResultsFor(null);
+          }}
+          onClose={() => setResultsFor(null)}
+        />
+      )}
+
+      {cancelFor && (
+        <CancelLabOrderModal
+          order={cancelFor}
+          onCancel={async (reason) => {
+            if (await runAction(() => cancelLabOrder(cancelFor.id, reason))) setCancelFor(null);
+          }}
+          onClose={() => setCancelFor(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Modal for ordering a lab test.
+ * @param {Object} props - Component props
+ * @param {Array} props.patients - Patients to choose from
+ * @param {Array} props.doctors - Doctors to choose from
+ * @param {Function} props.onSave - Callback with the order data
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} New lab order modal
+ */
+const NewLabOrderModal = ({ patients, doctors, onSave, onClose }) => {
+  const [form, setForm] = useState({ patientId: '', doctorId: '', testName: LAB_TESTS[0].name, priority: 'routine', notes: '' });
+
+  /**
+   * Handles form changes; picking a patient preselects their assigned doctor.
+   * @param {Event} e - Input change event
+   */
+  const handleLabOrderFormChange = (e) => {
+    const { name, value } = e.target;
+    const next = { ...form, [name]: value };
+    if (name === 'patientId') {
+      const patient = patients.find((p) => p.id === value);
+      next.doctorId = patient?.assignedDoctorId || patient?.doctorId || form.doctorId;
+    }
+    setForm(next);
+  };
+
+  /**
+   * Adds patient and doctor names and submits the order.
+   */
+  const handleSubmit = () => {
+    const patient = patients.find((p) => p.id === form.patientId);
+    const doctor = doctors.find((d) => (d.uid || d.id) === form.doctorId);
+    onSave({ ...form, patientName: patient?.name || '', doctorName: doctor?.name || '' });
+  };
+
+  return (
+    <div className="lab-overlay">
+      <div className="lab-modal">
+        <h3>New Lab Order</h3>
+        <label>Patient *</label>
+        <select name="patientId" value={form.patientId} onChange={handleLabOrderFormChange}>
+          <option value="">Select Patient</option>
+          {patients.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <label>Ordering Doctor *</label>
+        <select name="doctorId" value={form.doctorId} onChange={handleLabOrderFormChange}>
+          <option value="">Select Doctor</option>
+          {doctors.map((d) => <option key={d.id} value={d.uid || d.id}>{d.name}</option>)}
+        </select>
+        <label>Test *</label>
+        <input name="testName" list="lab-test-names" value={form.testName} onChange={handleLabOrderFormChange} />
+        <datalist id="lab-test-names">
+          {LAB_TESTS.map((t) => <option key={t.name} value={t.name} />)}
+        </datalist>
+        <label>Priority</label>
+        <select name="priority" value={form.priority} onChange={handleLabOrderFormChange}>
+          {LAB_PRIORITIES.map((p) => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <label>Notes</label>
+        <textarea name="notes" rows={2} value={form.notes} onChange={handleLabOrderFormChange} />
+        <div className="lab-modal-actions">
+          <button className="lab-btn primary" onClick={handleSubmit}>Order</button>
+          <button className="lab-btn" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Modal to enter, review or view the results of a lab order.
+ * Entry rows are prefilled with the analytes and reference ranges of known tests;
+ * the L/H flag is shown live against the reference range.
+ * @param {Object} props - Component props
+ * @param {Object} props.order - Lab order
+ * @param {'enter'|'review'|'view'} props.mode - Modal mode
+ * @param {Function} props.onSubmit - Callback with the results (enter) or review note (review)
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Results modal
+ */
+const LabResultsModal = ({ order, mode, onSubmit, onClose }) => {
+  const [rows, setRows] = useState(() => {
+    if (mode !== 'enter') return order.results || [];
+    const test = LAB_TESTS.find((t) => t.name === order.testName);
+    return (test?.analytes || [{ analyte: '', unit: '', refLow: '', refHigh: '' }]).map((a) => ({ ...a, value: '' }));
+  });
+  const [reviewNote, setReviewNote] = useState('');
+
+  /**
+   * Updates one cell of the results table.
+   * @param {number} index - Row index
+   * @param {string} field - Field name
+   * @param {string} value - New value
+   */
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+  };
+
+  const editable = mode === 'enter';
+
+  return (
+    <div className="lab-overlay">
+      <div className="lab-modal wide">
+        <h3>{order.testName} — {order.patientName}</h3>
+        <table className="lab-table">
+          <thead>
+            <tr>
+              <th>Analyte</th>
+              <th>Value</th>
+              <th>Unit</th>
+              <th>Reference</th>
+              <th>Flag</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => {
+              const flag = r.flag !== undefined && !editable ? r.flag : flagResult(r);
+              return (
+                <tr key={i}>
+                  <td>{editable ? <input value={r.analyte} onChange={(e) => updateRow(i, 'analyte', e.target.value)} /> : r.analyte}</td>
+                  <td>{editable ? <input value={r.value} onChange={(e) => updateRow(i, 'value', e.target.value)} /> : r.value}</td>
+                  <td>{editable ? <input value={r.unit} onChange={(e) => updateRow(i, 'unit', e.target.value)} /> : r.unit}</td>
+                  <td>
+                    {editable ? (
+                      <span className="lab-range">
+                        <input value={r.refLow ?? ''} onChange={(e) => updateRow(i, 'refLow', e.target.value)} />
+                        –
+                        <input value={r.refHigh ?? ''} onChange={(e) => updateRow(i, 'refHigh', e.target.value)} />
+                      </span>
+                    ) : `${r.refLow ?? ''} – ${r.refHigh ?? ''}`}
+                  </td>
+                  <td>{flag && <span className={`lab-flag ${flag === 'N' ? 'normal' : 'abnormal'}`}>{flag}</span>}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        {editable && (
+          <button className="lab-btn" onClick={() => setRows([...rows, { analyte: '', value: '', unit: '', refLow: '', refHigh: '' }])}>
+            + Add Analyte
+          </button>
+        )}
+
+        {order.status === 'reviewed' && order.reviewNote && (
+          <p className="lab-note">Review note: {order.reviewNote}</p>
+        )}
+
+        {mode === 'review' && (
+          <>
+            <label>Review Note</label>
+            <textarea rows={2} value={reviewNote} onChange={(e) => setReviewNote(e.target.value)} />
+          </>
+        )}
+
+        <div className="lab-modal-actions">
+          {mode === 'enter' && <button className="lab-btn primary" onClick={() => onSubmit(rows)}>Save Results</button>}
+          {mode === 'review' && <button className="lab-btn primary" onClick={() => onSubmit(reviewNote)}>Mark Reviewed</button>}
+          <button className="lab-btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Modal for cancelling (archiving) a lab order with a reason.
+ * @param {Object} props - Component props
+ * @param {Object} props.order - Lab order to cancel
+ * @param {Function} props.onCancel - Callback with the reason
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Cancel confirmation modal
+ */
+const CancelLabOrderModal = ({ order, onCancel, onClose }) => {
+  const [reason, setReason] = useState('');
+
+  return (
+    <div className="lab-overlay">
+      <div className="lab-modal">
+        <h3>Cancel Lab Order</h3>
+        <p>Cancel <strong>{order.testName}</strong> for {order.patientName}?</p>
+        <label>Reason *</label>
+        <textarea rows={2} value={reason} onChange={(e) => setReason(e.target.value)} />
+        <div className="lab-modal-actions">
+          <button className="lab-btn danger" disabled={!reason.trim()} onClick={() => onCancel(reason.trim())}>Cancel Order</button>
+          <button className="lab-btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LabWorklist;
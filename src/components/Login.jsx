@@ -1,11 +1,9 @@
 import React, { useState } from 'react';
-import { signIn, mockLogin } from '../services/authService';
+import { useAuth } from '../context/AuthContext';
 import './Login.css';
 
-// تفعيل Mock Mode (يجب أن يكون نفس القيمة في App.js)
-const USE_MOCK_AUTH = true;
-
 function Login() {
+  const { signIn, signInAs } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
@@ -17,13 +15,8 @@ function Login() {
     setLoading(true);
 
     try {
-      if (USE_MOCK_AUTH) {
-        // استخدام Mock Login
-        await mockLogin('admin'); // يمكن تغيير الافتراضي
-      } else {
-        // استخدام Firebase Login
-        await signIn(email, password);
-      }
+      // وضع المصادقة (Mock أو Firebase) يحدده AuthProvider
+      await signIn(email, password);
       // التوجيه سيتم تلقائياً عبر App.js
     } catch (err) {
       setError(err.message);
@@ -32,27 +25,13 @@ function Login() {
     }
   };
 
-  // تسجيل الدخول المباشر لكل role (بدون تسجيل دخول فعلي)
+  // تسجيل الدخول المباشر لكل role
   const handleRoleLogin = async (role) => {
     setError('');
     setLoading(true);
     
     try {
-      if (USE_MOCK_AUTH) {
-        // استخدام Mock Login - دخول مباشر بدون Firebase
-        await mockLogin(role);
-      } else {
-        // استخدام Firebase Login (إذا تم تعطيل Mock Mode)
-        const roleCredentials = {
-          admin: { email: 'admin@cancare.com', password: 'admin123' },
-          chief: { email: 'chief@cancare.com', password: 'chief123' },
-          clerk: { email: 'clerk@cancare.com', password: 'clerk123' }
-        };
-        const creds = roleCredentials[role];
-        if (creds) {
-          await signIn(creds.email, creds.password);
-        }
-      }
+      await signInAs(role);
       // التوجيه سيتم تلقائياً عبر App.js
     } catch (err) {
       setError(err.message);
@@ -145,6 +124,33 @@ function Login() {
                 <span className="role-icon">📋</span>
                 <span>Clerk</span>
               </button>
+              <button 
+                type="button"
+                onClick={() => handleRoleLogin('doctor')}
+                className="role-btn role-btn-doctor"
+                disabled={loading}
+              >
+                <span className="role-icon">🩺</span>
+                <span>Doctor</span>
+              </button>
+              <button 
+                type="button"
+                onClick={() => handleRoleLogin('nurse')}
+                className="role-btn role-btn-nurse"
+                disabled={loading}
+              >
+                <span className="role-icon">💉</span>
+                <span>Nurse</span>
+              </button>
+              <button 
+                type="button"
+                onClick={() => handleRoleLogin('patient')}
+                className="role-btn role-btn-patient"
+                disabled={loading}
+              >
+                <span className="role-icon">🧑</span>
+                <span>Patient</span>
+              </button>
             </div>
           </div>
         </div>
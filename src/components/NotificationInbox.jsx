@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import useNotificationInbox from '../hooks/useNotificationInbox';
+import { markNotificationRead, markAllNotificationsRead, dismissNotification } from '../services/firestoreService';
+import { isUnread } from '../services/notifications';
+import './NotificationInbox.css';
+
+/**
+ * Formats a delivery timestamp for the inbox.
+ * @param {Date|Object|string} value - Stored timestamp
+ * @returns {string} Localized date-time or '-'
+ */
+const formatTime = (value) => {
+  if (!value) return '-';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date) ? '-' : date.toLocaleString();
+};
+
+/**
+ * Notification inbox of the signed-in user, shared by every staff portal.
+ * Opening an unread notification marks it read (a read receipt for the
+ * sender); dismissing hides it from the inbox.
+ * @returns {JSX.Element} Inbox panel
+ */
+const NotificationInbox = () => {
+  const { entries, unread, loading } = useNotificationInbox();
+  const [openId, setOpenId] = useState(null);
+
+  /**
+   * Runs an inbox action and reports failures.
+   * @param {Function} action - Service call
+   */
+  const run = async (action) => {
+    try {
+      await action();
+    } catch (error) {
+      alert(`Error updating notification: ${error.message}`);
+    }
+  };
+
+  const handleOpen = (entry) => {
+    setOpenId(openId === entry.id ? null : entry.id);
+    if (isUnread(entry)) run(() => markNotificationRead(entry.id));
+  };
+
+  return (
+    <div className="notification-inbox">
+      <div className="inbox-head">
+        <h3>Inbox</h3>
+        <span className={`inbox-count ${unread ? 'unread' : ''}`}>{unread} unread</span>
+        <button disabled={!unread} onClick={() => run(markAllNotificationsRead)}>
+          Mark all read
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="inbox-empty">Loading notifications...</p>
+      ) : entries.length === 0 ? (
+        <p className="inbox-empty">No notifications</p>
+      ) : (
+        <ul className="inbox-list">
+          {entries.map((entry) => (
+            <li key={entry.id} className={`inbox-item ${isUnread(entry) ? 'unread' : ''} ${entry.priority || ''}`}>
+              <div className="inbox-summary" onClick={() => handleOpen(entry)}>
+                <strong>{entry.subject || 'No subject'}</strong>
+                <span className="inbox-meta">
+                  {entry.priority || 'medium'} · {formatTime(entry.deliveredAt || entry.sentAt)}
+                </span>
+              </div>
+              {openId === entry.id && <p className="inbox-message">{entry.message}</p>}
+              <div className="inbox-actions">
+                {isUnread(entry) && (
+                  <button onClick={() => run(() => markNotificationRead(entry.id))}>Mark read</button>
+                )}
+                <button className="secondary" onClick={() => run(() => dismissNotification(entry.id))}>
+                  Dismiss
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Unread notification count for a navigation link; renders nothing when all are read.
+ * @returns {JSX.Element|null} Badge
+ */
+export const UnreadBadge = () => {
+  const { unread } = useNotificationInbox();
+  return unread ? <span className="unread-badge">{unread > 99 ? '99+' : unread}</span> : null;
+};
+
+export default NotificationInbox;
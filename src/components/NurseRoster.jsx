@@ -0,0 +1,201 @@
+import React, { useState, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { can } from '../config/permissions';
+import { assignNurseShift, removeNurseShift } from '../services/firestoreService';
+import {
+  ROSTER_COLLECTION,
+  SHIFTS,
+  MIN_NURSES_PER_SHIFT,
+  MIN_REST_HOURS,
+  shiftKey,
+  groupRoster,
+  coverageGaps,
+  rosterDepartments,
+  rosterDays,
+  currentShift,
+} from '../services/nurseRoster';
+import { formatDateISO, addDays } from '../services/treatmentPlans';
+import './NurseRoster.css';
+
+const ROSTER_DAYS = 7;
+
+/**
+ * Weekly nurse roster: one row per department and shift, one column per day.
+ * Cells below MIN_NURSES_PER_SHIFT are flagged as coverage gaps and the
+ * shift running now is highlighted. Editing follows the nurse_roster permissions.
+ * @param {Object} props - Component props
+ * @param {Array} props.nurses - Active nurses
+ * @param {Array} props.assignments - Roster entries from subscribeToRoster
+ * @returns {JSX.Element} Roster grid
+ */
+const NurseRoster = ({ nurses = [], assignments = [] }) => {
+  const { activeRole } = useAuth();
+  const [weekStart, setWeekStart] = useState(() => formatDateISO(new Date()));
+  const [assignFor, setAssignFor] = useState(null); // { date, shift, department }
+
+  const canAssign = can(activeRole, 'create', ROSTER_COLLECTION);
+  const canRemove = can(activeRole, 'delete', ROSTER_COLLECTION);
+
+  const days = rosterDays(weekStart, ROSTER_DAYS);
+  const departments = rosterDepartments(nurses, assignments);
+  const groups = useMemo(() => groupRoster(assignments), [assignments]);
+  const gaps = coverageGaps(assignments, { dates: days, departments });
+  const now = currentShift();
+
+  /**
+   * Removes (archives) a roster entry. Removing below the shift minimum is blocked
+   * unless a reason for the override is given.
+   * @param {Object} assignment - Roster entry
+   */
+  const handleRemoveShift = async (assignment) => {
+    try {
+      await removeNurseShift(assignment.id, 'Removed from roster');
+    } catch (error) {
+      if (error.code !== 'understaffed') {
+        alert(`Error removing shift: ${error.message}`);
+        return;
+      }
+      const override = window.prompt(`${error.message}\nReason for leaving the shift below minimum:`);
+      if (!override?.trim()) return;
+      try {
+        await removeNurseShift(assignment.id, 'Removed from roster', override);
+      } catch (retryError) {
+        alert(`Error removing shift: ${retryError.message}`);
+      }
+    }
+  };
+
+  return (
+    <div className="roster">
+      <div className="roster-head">
+        <h3>Nurse Roster</h3>
+        <span className={`roster-count ${gaps.length ? 'gap' : ''}`}>
+          {gaps.length ? `${gaps.length} coverage gap(s)` : 'Fully covered'}
+        </span>
+        <button className="roster-btn" onClick={() => setWeekStart(addDays(weekStart, -ROSTER_DAYS))}>‹ Prev</button>
+        <button className="roster-btn" onClick={() => setWeekStart(formatDateISO(new Date()))}>Today</button>
+        <button className="roster-btn" onClick={() => setWeekStart(addDays(weekStart, ROSTER_DAYS))}>Next ›</button>
+      </div>
+      <p className="roster-note">
+        Minimum per shift: {Object.entries(MIN_NURSES_PER_SHIFT).map(([s, n]) => `${SHIFTS[s].label} ${n}`).join(' · ')}.
+        {' '}At least {MIN_REST_HOURS} hours rest between shifts.
+        {' '}Removing a nurse below the minimum needs a reason.
+      </p>
+
+      {departments.length === 0 ? (
+        <p className="roster-empty">Add nurses with a department to build the roster.</p>
+      ) : (
+        <div className="roster-scroll">
+          <table className="roster-table">
+            <thead>
+              <tr>
+                <th>Department / Shift</th>
+                {days.map((day) => <th key={day}>{day.slice(5)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {departments.flatMap((department) => Object.entries(SHIFTS).map(([shift, s]) => (
+                <tr key={`${department}-${shift}`}>
+                  <td className="roster-label">
+                    <strong>{department}</strong>
+                    <span>{s.label} {s.start}–{s.end}</span>
+                  </td>
+                  {days.map((date) => {
+                    const entries = groups[`${date}|${department}|${shift}`] || [];
+                    const isGap = entries.length < MIN_NURSES_PER_SHIFT[shift];
+                    const isNow = now && now.date === date && now.shift === shift;
+                    return (
+                      <td key={date} className={`roster-cell ${isGap ? 'gap' : ''} ${isNow ? 'now' : ''}`}>
+                        {entries.map((a) => (
+                          <span key={a.id} className="roster-chip" title={a.note || ''}>
+                            {a.nurseName}
+                            {canRemove && <button onClick={() => handleRemoveShift(a)}>×</button>}
+                          </span>
+                        ))}
+                        {canAssign && (
+                          <button className="roster-add" onClick={() => setAssignFor({ date, shift, department })}>+</button>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {assignFor && (
+        <AssignShiftModal
+          slot={assignFor}
+          nurses={nurses}
+          rostered={(groups[`${assignFor.date}|${assignFor.department}|${assignFor.shift}`] || []).map((a) => a.nurseId)}
+          onClose={() => setAssignFor(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Modal for assigning a nurse to a dated shift. Nurses of the department
+ * and with a matching preferred shift are listed first.
+ * @param {Object} props - Component props
+ * @param {Object} props.slot - { date, shift, department }
+ * @param {Array} props.nurses - Nurses to choose from
+ * @param {Array<string>} props.rostered - Nurses already on this shift
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Assign shift modal
+ */
+const AssignShiftModal = ({ slot, nurses, rostered, onClose }) => {
+  const [form, setForm] = useState({ ...slot, nurseId: '', note: '' });
+
+  const rank = (n) => (n.department === slot.department ? 0 : 2) + (shiftKey(n.shift) === slot.shift ? 0 : 1);
+  const options = nurses
+    .filter((n) => !rostered.includes(n.id))
+    .sort((a, b) => rank(a) - rank(b) || (a.name || '').localeCompare(b.name || ''));
+
+  /**
+   * Handles form field changes.
+   * @param {Event} e - Input change event
+   */
+  const handleAssignFormChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSubmit = async () => {
+    if (!form.nurseId) return alert('Choose a nurse.');
+    try {
+      await assignNurseShift(form);
+      onClose();
+    } catch (error) {
+      alert(`Error assigning shift: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="roster-overlay">
+      <div className="roster-modal">
+        <h3>Assign Shift</h3>
+        <p className="roster-note">{slot.department} · {SHIFTS[slot.shift].label} · {slot.date}</p>
+        <select name="nurseId" value={form.nurseId} onChange={handleAssignFormChange}>
+          <option value="">Select nurse</option>
+          {options.map((n) => (
+            <option key={n.id} value={n.id}>
+              {n.name} ({n.department || 'No department'}{shiftKey(n.shift) ? `, prefers ${SHIFTS[shiftKey(n.shift)].label}` : ''})
+            </option>
+          ))}
+        </select>
+        <select name="shift" value={form.shift} onChange={handleAssignFormChange}>
+          {Object.entries(SHIFTS).map(([key, s]) => <option key={key} value={key}>{s.label} ({s.start}–{s.end})</option>)}
+        </select>
+        <input type="date" name="date" value={form.date} onChange={handleAssignFormChange} />
+        <input name="note" value={form.note} onChange={handleAssignFormChange} placeholder="Note (optional)" />
+        <div className="roster-modal-actions">
+          <button className="roster-btn primary" onClick={handleSubmit}>Assign</button>
+          <button className="roster-btn" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NurseRoster;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import './Recurrence.css';
+import { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES, SERIES_SCOPES, expandRecurrence, validateRecurrence } from '../services/recurrence';
+
+const DEFAULT_RULE = { frequency: 'weekly', interval: 1, endType: 'count', count: 6, until: '', exceptions: [] };
+
+/**
+ * Converts the form state into the rule stored by createRecurringAppointments.
+ * @param {Object} form - Recurrence form state
+ * @returns {Object} Recurrence rule
+ */
+const toRule = (form) => ({
+  frequency: form.frequency,
+  interval: Number(form.interval),
+  ...(form.endType === 'until' ? { until: form.until } : { count: Number(form.count) }),
+  exceptions: form.exceptions,
+});
+
+/**
+ * Repeat options for a new appointment: frequency, end (occurrences or date)
+ * and skipped dates. Reports the rule (or null for a one-off appointment).
+ * Shared by the Clerk and Chief appointment modals.
+ * @param {Object} props - Component props
+ * @param {string} props.startDate - Date of the first appointment (YYYY-MM-DD)
+ * @param {Function} props.onChange - Callback with the rule, or null when not repeating
+ * @returns {JSX.Element} Recurrence form fields
+ */
+const RecurrenceFields = ({ startDate, onChange }) => {
+  const [repeat, setRepeat] = useState(false);
+  const [form, setForm] = useState(DEFAULT_RULE);
+  const [exceptionDate, setExceptionDate] = useState('');
+
+  /**
+   * Updates the form and reports the resulting rule.
+   * @param {boolean} nextRepeat - Whether the appointment repeats
+   * @param {Object} nextForm - Recurrence form state
+   */
+  const update = (nextRepeat, nextForm) => {
+    setRepeat(nextRepeat);
+    setForm(nextForm);
+    onChange(nextRepeat ? toRule(nextForm) : null);
+  };
+
+  /**
+   * Handles recurrence field changes.
+   * @param {Event} e - Input change event
+   */
+  const handleRecurrenceChange = (e) => update(repeat, { ...form, [e.target.name]: e.target.value });
+
+  const addException = () => {
+    if (!exceptionDate || form.exceptions.includes(exceptionDate)) return;
+    update(repeat, { ...form, exceptions: [...form.exceptions, exceptionDate].sort() });
+    setExceptionDate('');
+  };
+
+  const removeException = (date) => update(repeat, { ...form, exceptions: form.exceptions.filter((d) => d !== date) });
+
+  const rule = toRule(form);
+  const error = repeat && startDate ? validateRecurrence(rule, startDate) : null;
+  const occurrences = repeat && startDate && !error ? expandRecurrence(startDate, rule) : [];
+
+  return (
+    <div className="recurrence-fields">
+      <label className="recurrence-check">
+        <input type="checkbox" checked={repeat} onChange={(e) => update(e.target.checked, form)} />
+        Repeat
+      </label>
+
+      {repeat && (
+        <>
+          <div className="recurrence-row">
+            <span>Every</span>
+            <input type="number" min="1" max="52" name="interval" value={form.interval} onChange={handleRecurrenceChange} />
+            <select name="frequency" value={form.frequency} onChange={handleRecurrenceChange}>
+              {Object.entries(RECURRENCE_FREQUENCIES).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+            </select>
+          </div>
+
+          <div className="recurrence-row">
+            <select name="endType" value={form.endType} onChange={handleRecurrenceChange}>
+              <option value="count">Ends after</option>
+              <option value="until">Ends on</option>
+            </select>
+            {form.endType === 'count' ? (
+              <input type="number" min="2" max={MAX_OCCURRENCES} name="count" value={form.count} onChange={handleRecurrenceChange} />
+            ) : (
+              <input type="date" name="until" value={form.until} onChange={handleRecurrenceChange} />
+            )}
+          </div>
+
+          <div className="recurrence-row">
+            <span>Skip</span>
+            <input type="date" value={exceptionDate} onChange={(e) => setExceptionDate(e.target.value)} />
+            <button type="button" className="recurrence-btn" onClick={addException}>Add</button>
+          </div>
+          {form.exceptions.length > 0 && (
+            <div className="recurrence-chips">
+              {form.exceptions.map((d) => (
+                <span key={d} className="recurrence-chip">
+                  {d}
+                  <button type="button" onClick={() => removeException(d)}>×</button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {error
+            ? <div className="recurrence-error">{error}</div>
+            : occurrences.length > 0 && (
+              <div className="recurrence-note">
+                {occurrences.length} appointments: {occurrences[0].date} … {occurrences[occurrences.length - 1].date}
+              </div>
+            )}
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Scope selector for editing, cancelling or archiving an appointment of a series.
+ * @param {Object} props - Component props
+ * @param {string} props.value - 'this' | 'following' | 'all'
+ * @param {Function} props.onChange - Callback with the selected scope
+ * @returns {JSX.Element} Scope radio group
+ */
+export const SeriesScopeSelect = ({ value, onChange }) => (
+  <div className="series-scope">
+    {Object.entries(SERIES_SCOPES).map(([key, label]) => (
+      <label key={key}>
+        <input type="radio" name="series-scope" value={key} checked={value === key} onChange={() => onChange(key)} />
+        {label}
+      </label>
+    ))}
+  </div>
+);
+
+export default RecurrenceFields;
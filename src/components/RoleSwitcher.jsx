@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getHomeRoute } from '../config/permissions';
+import './RoleSwitcher.css';
+
+// أسماء الأدوار المعروضة
+const ROLE_LABELS = {
+  admin: 'Admin',
+  chief: 'Chief',
+  clerk: 'Clerk',
+  doctor: 'Doctor',
+  nurse: 'Nurse',
+  patient: 'Patient'
+};
+
+/**
+ * Dropdown that lets a user holding several roles change their active role.
+ * The choice is saved to the users document and the app switches to the
+ * matching route tree without logging out. Renders nothing for single-role users.
+ * @returns {JSX.Element|null} Role selector
+ */
+const RoleSwitcher = () => {
+  const { currentUser, activeRole, switchRole } = useAuth();
+  const navigate = useNavigate();
+  const [switching, setSwitching] = useState(false);
+
+  const roles = currentUser?.roles || [];
+  if (roles.length < 2) return null;
+
+  /**
+   * Persists the selected role and sends the user to that role's home page.
+   * @param {React.ChangeEvent<HTMLSelectElement>} e - Select change event
+   */
+  const handleChange = async (e) => {
+    const role = e.target.value;
+    if (role === activeRole) return;
+
+    setSwitching(true);
+    try {
+      await switchRole(role);
+      navigate(getHomeRoute(role));
+    } catch (error) {
+      console.error('Error switching role:', error);
+      alert(`Error switching role: ${error.message}`);
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <label className="role-switcher">
+      <span>Role</span>
+      <select value={activeRole || ''} onChange={handleChange} disabled={switching}>
+        {roles.map((role) => (
+          <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default RoleSwitcher;
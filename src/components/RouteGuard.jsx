@@ -0,0 +1,25 @@
+import React from 'react';
+import { useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { canAccessRoute } from '../config/permissions';
+import Forbidden from './Forbidden';
+
+/**
+ * Wraps a route element and renders it only if the active role may open
+ * the current path (see src/config/permissions.js). Otherwise shows the 403 page.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The guarded route element
+ * @returns {JSX.Element} The route element or the Forbidden page
+ */
+const RouteGuard = ({ children }) => {
+  const { activeRole } = useAuth();
+  const location = useLocation();
+
+  if (!canAccessRoute(activeRole, location.pathname)) {
+    return <Forbidden path={location.pathname} />;
+  }
+
+  return children;
+};
+
+export default RouteGuard;
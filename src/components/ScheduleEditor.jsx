@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import './ScheduleEditor.css';
+import { DAY_NAMES, DEFAULT_WORKING_HOURS, defaultWorkSchedule, dayWorkingHours, validateSchedule } from '../services/doctorSchedule';
+import { formatDateISO } from '../services/treatmentPlans';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday'];
+
+// عدد العطل القادمة المعروضة
+const UPCOMING_HOLIDAYS = 5;
+
+const EMPTY_OVERRIDE = { date: '', enabled: true, ...DEFAULT_WORKING_HOURS, note: '' };
+const EMPTY_LEAVE = { from: '', to: '', reason: '' };
+
+/**
+ * Reads a stored schedule into the editor shape. Legacy days that only carry
+ * slots are shown (and saved) as start/end hours.
+ * @param {Object} doctor - Doctor document, or a { workSchedule, scheduleOverrides, leave } object
+ * @returns {{ workSchedule: Object, scheduleOverrides: Array, leave: Array }} Editable schedule
+ */
+export const editableSchedule = (doctor = {}) => {
+  const weekly = doctor.workSchedule || defaultWorkSchedule();
+  return {
+    workSchedule: Object.fromEntries(DAY_NAMES.map((day) => {
+      const hours = dayWorkingHours(weekly[day]);
+      return [day, { enabled: !!hours, ...(hours || DEFAULT_WORKING_HOURS) }];
+    })),
+    scheduleOverrides: doctor.scheduleOverrides || [],
+    leave: doctor.leave || [],
+  };
+};
+
+/**
+ * Doctor schedule editor: weekly template, date-specific changes, leave periods
+ * and the upcoming hospital holidays. Shared by the Chief doctor modal, the
+ * user profile and the doctor's own Work Schedule page.
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Schedule from editableSchedule()
+ * @param {Function} props.onChange - Callback with the updated schedule
+ * @param {Array} [props.holidays] - Hospital holidays ({ date, name })
+ * @param {boolean} [props.readOnly] - Show the schedule without editing controls
+ * @returns {JSX.Element} Schedule editor
+ */
+const ScheduleEditor = ({ value, onChange, holidays = [], readOnly = false }) => {
+  const [override, setOverride] = useState(EMPTY_OVERRIDE);
+  const [leave, setLeave] = useState(EMPTY_LEAVE);
+
+  const today = formatDateISO(new Date());
+  const error = validateSchedule(value);
+
+  /**
+   * Updates one day of the weekly template.
+   * @param {string} day - Day name
+   * @param {Object} changes - Changed fields of the day
+   */
+  const updateDay = (day, changes) => onChange({
+    ...value,
+    workSchedule: { ...value.workSchedule, [day]: { ...value.workSchedule[day], ...changes } },
+  });
+
+  /**
+   * Applies Sunday's hours to Sunday–Thursday and marks Friday and Saturday off.
+   */
+  const copyToWeekdays = () => {
+    const { start, end } = value.workSchedule.sunday;
+    onChange({
+      ...value,
+      workSchedule: Object.fromEntries(DAY_NAMES.map((day) => [day, { enabled: WEEKDAYS.includes(day), start, end }])),
+    });
+  };
+
+  const addOverride = () => {
+    if (!override.date) return alert('Choose the date of the schedule change.');
+    const next = [...value.scheduleOverrides.filter((o) => o.date !== override.date), override]
+      .sort((a, b) => a.date.localeCompare(b.date));
+    onChange({ ...value, scheduleOverrides: next });
+    setOverride(EMPTY_OVERRIDE);
+  };
+
+  const addLeave = () => {
+    if (!leave.from || !leave.to) return alert('Choose the first and last day of leave.');
+    if (leave.to < leave.from) return alert('Leave must end on or after its start date.');
+    const next = [...value.leave, leave].sort((a, b) => a.from.localeCompare(b.from));
+    onChange({ ...value, leave: next });
+    setLeave(EMPTY_LEAVE);
+  };
+
+  const removeOverride = (date) =>
+    onChange({ ...value, scheduleOverrides: value.scheduleOverrides.filter((o) => o.date !== date) });
+
+  const removeLeave = (index) =>
+    onChange({ ...value, leave: value.leave.filter((_, i) => i !== index) });
+
+  const upcomingHolidays = holidays
+    .filter((h) => h.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(0, UPCOMING_HOLIDAYS);
+
+  return (
+    <div className="schedule-editor">
+      <div className="schedule-section">
+        <div className="schedule-section-header">
+          <h4>Weekly Template</h4>
+          {!readOnly && (
+            <button type="button" className="schedule-btn" onClick={copyToWeekdays}>
+              Sunday hours → Sun–Thu
+            </button>
+          )}
+        </div>
+        {DAY_NAMES.map((day) => {
+          const entry = value.workSchedule[day];
+          return (
+            <div key={day} className="schedule-row">
+              <label className="schedule-day">
+                <input
+                  type="checkbox"
+                  checked={entry.enabled}
+                  disabled={readOnly}
+                  onChange={(e) => updateDay(day, { enabled: e.target.checked })}
+                />
+                {day}
+              </label>
+              {entry.enabled ? (
+                <>
+                  <input type="time" value={entry.start} disabled={readOnly} onChange={(e) => updateDay(day, { start: e.target.value })} />
+                  <span>–</span>
+                  <input type="time" value={entry.end} disabled={readOnly} onChange={(e) => updateDay(day, { end: e.target.value })} />
+                </>
+              ) : (
+                <span className="schedule-off">Off</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="schedule-section">
+        <h4>Date Changes</h4>
+        {value.scheduleOverrides.length === 0 && <p className="schedule-empty">No changes to the weekly template.</p>}
+        {value.scheduleOverrides.map((o) => (
+          <div key={o.date} className={`schedule-item ${o.date < today ? 'past' : ''}`}>
+            <span>
+              <strong>{o.date}</strong> {o.enabled ? `${o.start}–${o.end}` : 'Off'}
+              {o.note && ` · ${o.note}`}
+            </span>
+            {!readOnly && <button type="button" onClick={() => removeOverride(o.date)}>×</button>}
+          </div>
+        ))}
+        {!readOnly && (
+          <div className="schedule-row schedule-add">
+            <input type="date" value={override.date} onChange={(e) => setOverride({ ...override, date: e.target.value })} />
+            <label className="schedule-day">
+              <input
+                type="checkbox"
+                checked={override.enabled}
+                onChange={(e) => setOverride({ ...override, enabled: e.target.checked })}
+              />
+              Working
+            </label>
+            {override.enabled && (
+              <>
+                <input type="time" value={override.start} onChange={(e) => setOverride({ ...override, start: e.target.value })} />
+                <input type="time" value={override.end} onChange={(e) => setOverride({ ...override, end: e.target.value })} />
+              </>
+            )}
+            <input placeholder="Note" value={override.note} onChange={(e) => setOverride({ ...override, note: e.target.value })} />
+            <button type="button" className="schedule-btn" onClick={addOverride}>Add</button>
+          </div>
+        )}
+      </div>
+
+      <div className="schedule-section">
+        <h4>Leave</h4>
+        {value.leave.length === 0 && <p className="schedule-empty">No leave booked.</p>}
+        {value.leave.map((l, index) => (
+          <div key={`${l.from}-${index}`} className={`schedule-item leave ${l.to < today ? 'past' : ''}`}>
+            <span>
+              <strong>{l.from === l.to ? l.from : `${l.from} → ${l.to}`}</strong>
+              {l.reason && ` · ${l.reason}`}
+            </span>
+            {!readOnly && <button type="button" onClick={() => removeLeave(index)}>×</button>}
+          </div>
+        ))}
+        {!readOnly && (
+          <div className="schedule-row schedule-add">
+            <input type="date" value={leave.from} onChange={(e) => setLeave({ ...leave, from: e.target.value })} />
+            <span>to</span>
+            <input type="date" value={leave.to} min={leave.from} onChange={(e) => setLeave({ ...leave, to: e.target.value })} />
+            <input placeholder="Reason" value={leave.reason} onChange={(e) => setLeave({ ...leave, reason: e.target.value })} />
+            <button type="button" className="schedule-btn" onClick={addLeave}>Add</button>
+          </div>
+        )}
+      </div>
+
+      <div className="schedule-section">
+        <h4>Hospital Holidays</h4>
+        {upcomingHolidays.length === 0
+          ? <p className="schedule-empty">No upcoming holidays.</p>
+          : upcomingHolidays.map((h) => (
+            <div key={h.id || h.date} className="schedule-item holiday">
+              <span><strong>{h.date}</strong> · {h.name}</span>
+            </div>
+          ))}
+      </div>
+
+      {error && <div className="schedule-error">{error}</div>}
+    </div>
+  );
+};
+
+export default ScheduleEditor;
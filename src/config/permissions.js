@@ -0,0 +1,206 @@
+/**
+ * Permissions (RBAC)
+ *
+ * خريطة الصلاحيات لكل دور - المصدر الوحيد لما يُسمح به:
+ * - home: الصفحة الافتراضية للدور
+ * - routes: المسارات المسموحة (تدعم :param)
+ * - collections: العمليات المسموحة لكل مجموعة ('*' = جميع المجموعات)
+ * - own: المجموعات التي يصل فيها الدور لسجلاته فقط، والحقل الذي يربطها به
+ *   (uid = حسابه، patientId = ملف المريض المرتبط بحسابه)؛ استعلاماته تُقيد بهذا الحقل دائماً
+ *
+ * تُستخدم من RouteGuard ومن firestoreService لحجب الواجهة فقط (المسارات والأزرار وخطأ مبكر
+ * قبل الكتابة)؛ الحماية الفعلية في firestore.rules الذي يحمل نسخة من collections ويجب
+ * تعديلهما معاً.
+ */
+
+export const ACTIONS = {
+  CREATE: 'create',
+  READ: 'read',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  // مراجعة نتائج التحاليل (lab_orders) للطبيب، وطلبات المرضى (web_appointment_requests) للموظف
+  REVIEW: 'review',
+  // إلغاء المريض موعده بنفسه ضمن السياسة (راجع appointmentRequests.canPatientCancel)
+  CANCEL: 'cancel'
+};
+
+const ALL = ['create', 'read', 'update', 'delete'];
+const READ_ONLY = ['read'];
+
+export const PERMISSIONS = {
+  admin: {
+    home: '/',
+    routes: [
+      '/', '/profile', '/patients', '/doctors', '/nurses', '/directory', '/users/:id',
+      '/appointments', '/notifications', '/community', '/audit'
+    ],
+    collections: {
+      '*': ALL,
+      lab_orders: [...ALL, 'review'],
+      web_appointment_requests: [...ALL, 'review']
+    }
+  },
+  chief: {
+    home: '/',
+    routes: ['/', '/profile', '/appointments', '/notifications', '/community', '/audit'],
+    collections: {
+      patients: READ_ONLY,
+      doctors: READ_ONLY,
+      nurses: READ_ONLY,
+      web_appointments: ALL,
+      web_waitlist: ALL,
+      web_transfers: ALL,
+      web_appointment_requests: READ_ONLY,
+      departments: READ_ONLY,
+      web_posts: ['create', 'read', 'update'],
+      web_notifications: ['create', 'read', 'update'],
+      web_notification_inbox: ['create', 'read', 'update'],
+      treatment_plans: READ_ONLY,
+      lab_orders: READ_ONLY,
+      holidays: READ_ONLY,
+      nurse_roster: READ_ONLY,
+      audit_log: READ_ONLY
+    }
+  },
+  clerk: {
+    home: '/clerk/dashboard',
+    routes: [
+      '/clerk/dashboard', '/clerk/patients', '/clerk/doctors', '/clerk/nurses', '/clerk/appointments',
+      '/clerk/notifications'
+    ],
+    collections: {
+      patients: ALL,
+      doctors: ALL,
+      nurses: ALL,
+      web_appointments: ALL,
+      web_waitlist: ALL,
+      web_transfers: ALL,
+      waitlist: ALL,
+      transfers: ALL,
+      web_appointment_requests: [...ALL, 'review'],
+      departments: READ_ONLY,
+      web_posts: READ_ONLY,
+      web_notifications: READ_ONLY,
+      // صندوق الوارد: القراءة والإخفاء لنسخ المستخدم نفسه فقط
+      web_notification_inbox: ['read', 'update'],
+      treatment_plans: READ_ONLY,
+      lab_orders: ['create', 'read', 'update', 'delete'],
+      holidays: READ_ONLY
+    }
+  },
+  doctor: {
+    home: '/',
+    routes: ['/', '/patients', '/schedule', '/notifications', '/users/:id'],
+    collections: {
+      patients: ['read', 'update'],
+      doctors: READ_ONLY,
+      nurses: READ_ONLY,
+      // إنشاء المواعيد لجدولة دورات خطط العلاج
+      web_appointments: ['create', 'read', 'update'],
+      treatment_plans: ['create', 'read', 'update'],
+      lab_orders: ['create', 'read', 'update', 'review'],
+      holidays: READ_ONLY,
+      web_notification_inbox: ['read', 'update']
+    }
+  },
+  nurse: {
+    home: '/',
+    routes: ['/', '/patients', '/notifications', '/users/:id'],
+    collections: {
+      patients: ['read', 'update'],
+      doctors: READ_ONLY,
+      nurses: READ_ONLY,
+      treatment_plans: READ_ONLY,
+      // أخذ العينات
+      lab_orders: ['read', 'update'],
+      holidays: READ_ONLY,
+      nurse_roster: READ_ONLY,
+      web_notification_inbox: ['read', 'update']
+    }
+  },
+  patient: {
+    home: '/',
+    routes: ['/'],
+    collections: {
+      patients: READ_ONLY,
+      doctors: READ_ONLY,
+      // مواعيده فقط (بوابة المريض)؛ التعديل عبر طلبات يراجعها الموظف
+      web_appointments: ['read', 'cancel'],
+      web_appointment_requests: ['create', 'read', 'update'],
+      holidays: READ_ONLY
+    },
+    own: {
+      patients: 'uid',
+      web_appointments: 'patientId',
+      web_appointment_requests: 'patientId'
+    }
+  }
+};
+
+/**
+ * الأدوار التي يمنحها كل دور عند إنشاء الحسابات وإدارتها (نفس GRANTABLE_ROLES في functions/index.js):
+ * المسؤول فقط يمنح admin و chief، والموظف يُنشئ حسابات المرضى والأطباء والممرضين
+ */
+export const GRANTABLE_ROLES = {
+  admin: ['admin', 'chief', 'clerk', 'doctor', 'nurse', 'patient'],
+  clerk: ['patient', 'doctor', 'nurse']
+};
+
+/**
+ * هل تسمح أدوار المستدعي بمنح كل هذه الأدوار؟
+ */
+export const canGrantRoles = (callerRoles = [], roles = []) => {
+  const grantable = callerRoles.flatMap((role) => GRANTABLE_ROLES[role] || []);
+  return roles.every((role) => grantable.includes(role));
+};
+
+/**
+ * تطابق مسار مع نمط (مثل /users/:id) - بدون حساسية لحالة الأحرف كما في react-router
+ */
+const matchRoute = (pattern, pathname) => {
+  const normalize = (path) => path.toLowerCase().replace(/\/+$/, '').split('/');
+  const patternParts = normalize(pattern);
+  const pathParts = normalize(pathname);
+
+  if (patternParts.length !== pathParts.length) return false;
+  return patternParts.every((part, i) => part.startsWith(':') ? pathParts[i] !== '' : part === pathParts[i]);
+};
+
+/**
+ * هل يستطيع الدور فتح هذا المسار؟
+ */
+export const canAccessRoute = (role, pathname) => {
+  const routes = PERMISSIONS[role]?.routes || [];
+  return routes.some((pattern) => matchRoute(pattern, pathname));
+};
+
+/**
+ * هل يستطيع الدور تنفيذ العملية على المجموعة؟
+ */
+export const can = (role, action, collectionName) => {
+  const collections = PERMISSIONS[role]?.collections;
+  if (!collections) return false;
+  const allowed = collections[collectionName] || collections['*'] || [];
+  return allowed.includes(action);
+};
+
+/**
+ * حقل الملكية إذا كان الدور مقيداً بسجلاته في هذه المجموعة، وإلا null
+ */
+export const ownRecordField = (role, collectionName) => PERMISSIONS[role]?.own?.[collectionName] || null;
+
+/**
+ * التحقق من الصلاحية وإطلاق خطأ permission-denied (نفس رمز Firestore) إذا لم تكن مسموحة
+ */
+export const assertCan = (role, action, collectionName) => {
+  if (can(role, action, collectionName)) return;
+
+  const error = new Error(`ليس لديك صلاحية (${action}) على ${collectionName}`);
+  error.code = 'permission-denied';
+  throw error;
+};
+
+/**
+ * الصفحة الافتراضية للدور
+ */
+export const getHomeRoute = (role) => PERMISSIONS[role]?.home || '/';
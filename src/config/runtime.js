@@ -0,0 +1,38 @@
+/**
+ * Runtime Configuration
+ *
+ * مصدر واحد لإعدادات التشغيل، تُقرأ من متغيرات البيئة مرة واحدة عند بدء التطبيق.
+ * لا تكرر هذه القيم في المكونات أو الخدمات - استوردها من هنا.
+ *
+ * في ملف .env:
+ * - REACT_APP_AUTH_MODE=mock | firebase  (الافتراضي mock - لا يحتاج Firebase)
+ * - REACT_APP_DATA_BACKEND=firestore | local  (الافتراضي firestore، و local في Jest)
+ * - REACT_APP_USE_EMULATORS=true  (الاتصال بـ Firebase Emulator Suite المحلي - راجع firebase.json)
+ *
+ * إعدادات العيادة المشتركة مع الخادم (مهلة no-show، التوقيت) ليست هنا بل في settings/clinic
+ * (راجع services/clinicSettings.js).
+ */
+
+const env = process.env;
+
+/** وضع المصادقة: 'mock' أو 'firebase' */
+export const AUTH_MODE = env.REACT_APP_AUTH_MODE === 'firebase' ? 'firebase' : 'mock';
+
+export const USE_MOCK_AUTH = AUTH_MODE === 'mock';
+
+/** مصدر البيانات: 'firestore' أو 'local' */
+export const DATA_BACKEND =
+  env.REACT_APP_DATA_BACKEND === 'local' || env.NODE_ENV === 'test' ? 'local' : 'firestore';
+
+export const USE_LOCAL_DATA = DATA_BACKEND === 'local';
+
+/** الاتصال بالمحاكيات (Auth / Firestore / Functions) بدلاً من المشروع الحقيقي */
+export const USE_EMULATORS = env.REACT_APP_USE_EMULATORS === 'true';
+
+const runtimeConfig = Object.freeze({
+  authMode: AUTH_MODE,
+  dataBackend: DATA_BACKEND,
+  useEmulators: USE_EMULATORS
+});
+
+export default runtimeConfig;
@@ -0,0 +1,83 @@
+// src/context/AuthContext.jsx
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { authProvider } from '../services/authProvider';
+import { getActiveRole } from '../services/authService';
+
+const AuthContext = createContext(null);
+
+/**
+ * Custom hook to access the AuthContext.
+ * Every screen reads the signed-in user and auth actions from here
+ * instead of subscribing to the auth service on its own.
+ * @returns {Object} { currentUser, activeRole, loading, authMode, signIn, signInAs, signOut, switchRole }
+ */
+export const useAuth = () => useContext(AuthContext);
+
+/* ---------- Provider ---------- */
+/**
+ * AuthContext Provider component.
+ * Subscribes once to the configured auth provider (mock or Firebase)
+ * and shares the current user and their active role with the whole app.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} AuthContext provider
+ */
+export const AuthProvider = ({ children }) => {
+  const [currentUser, setCurrentUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = authProvider.subscribe((authUser) => {
+      setCurrentUser(authUser || null);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  const activeRole = useMemo(() => getActiveRole(currentUser), [currentUser]);
+
+  /**
+   * Signs in with email and password using the configured provider.
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @returns {Promise<Object>} Signed-in user
+   */
+  const signIn = useCallback((email, password) => authProvider.signIn(email, password), []);
+
+  /**
+   * Quick sign-in as one of the demo roles (admin, chief, clerk).
+   * @param {string} role - Role key
+   * @returns {Promise<Object>} Signed-in user
+   */
+  const signInAs = useCallback((role) => authProvider.signInAs(role), []);
+
+  /**
+   * Signs the current user out.
+   * @returns {Promise<void>}
+   */
+  const signOut = useCallback(() => authProvider.signOut(), []);
+
+  /**
+   * Switches the active role of a multi-role user and persists it
+   * to their users document. The user stays signed in.
+   * @param {string} role - One of currentUser.roles
+   * @returns {Promise<void>}
+   */
+  const switchRole = useCallback((role) => authProvider.switchRole(role), []);
+
+  const value = useMemo(() => ({
+    currentUser,
+    activeRole,
+    loading,
+    authMode: authProvider.mode,
+    signIn,
+    signInAs,
+    signOut,
+    switchRole
+  }), [currentUser, activeRole, loading, signIn, signInAs, signOut, switchRole]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthContext;
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { subscribeToInbox } from '../services/firestoreService';
+import { unreadCount } from '../services/notifications';
+
+/**
+ * Keeps the signed-in user's notification inbox in sync in real time.
+ * Dismissed notifications are left out.
+ * @returns {{ entries: Array, unread: number, loading: boolean }} Inbox entries and unread count
+ */
+const useNotificationInbox = () => {
+  const { currentUser } = useAuth();
+  const uid = currentUser?.uid;
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!uid) return undefined;
+    const unsubscribe = subscribeToInbox(uid, (data) => {
+      setEntries(data || []);
+      setLoading(false);
+    });
+    return () => unsubscribe();
+  }, [uid]);
+
+  return { entries, unread: unreadCount(entries), loading };
+};
+
+export default useNotificationInbox;
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { subscribeToOwnProfile } from '../services/firestoreService';
+
+/**
+ * Finds the signed-in user's own record in the doctors, nurses or patients collection
+ * and keeps it in sync in real time. Only the user's own record is queried.
+ * @param {'doctors'|'nurses'|'patients'} collectionName - Collection to search
+ * @returns {{ profile: Object|null, loading: boolean }} The matching profile
+ */
+const useStaffProfile = (collectionName) => {
+  const { currentUser } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const uid = currentUser?.uid;
+  const email = currentUser?.email;
+
+  useEffect(() => {
+    setLoading(true);
+    const unsubscribe = subscribeToOwnProfile(collectionName, { uid, email }, (data) => {
+      setProfile(data);
+      setLoading(false);
+    });
+    return () => unsubscribe();
+  }, [collectionName, uid, email]);
+
+  return { profile, loading };
+};
+
+export default useStaffProfile;
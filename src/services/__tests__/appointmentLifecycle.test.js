@@ -0,0 +1,66 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { markOverdueNoShows } from '../firestoreService';
+import { appointmentStatus, canTransitionAppointment, isOverdueNoShow } from '../appointmentLifecycle';
+import { SETTINGS_COLLECTION, CLINIC_SETTINGS_ID, clinicSettingsOf, clinicNow } from '../clinicSettings';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+/**
+ * Legacy statuses map into the lifecycle and final states have no transitions.
+ */
+test('legacy statuses and final states', () => {
+  expect(appointmentStatus({ status: 'Confirmed' })).toBe('scheduled');
+  expect(canTransitionAppointment({ status: 'scheduled' }, 'checked-in')).toBe(true);
+  expect(canTransitionAppointment({ status: 'no-show' }, 'checked-in')).toBe(false);
+  const now = new Date(2031, 5, 2, 9, 20);
+  expect(isOverdueNoShow({ date: '2031-06-02', time: '09:00' }, now, 15)).toBe(true);
+  expect(isOverdueNoShow({ date: '2031-06-02', time: '09:10' }, now, 15)).toBe(false);
+});
+
+/**
+ * The sweep also covers scheduled appointments from earlier days and leaves handled ones alone.
+ */
+test('markOverdueNoShows covers past days', async () => {
+  const base = { doctorId: 'doc-ns', appointmentType: 'consultation', duration: 30 };
+  await dataAdapter.set('web_appointments', 'ns-yesterday', { ...base, date: '2031-06-01', time: '16:00', status: 'scheduled' });
+  await dataAdapter.set('web_appointments', 'ns-today', { ...base, date: '2031-06-02', time: '09:00', status: 'pending' });
+  await dataAdapter.set('web_appointments', 'ns-later', { ...base, date: '2031-06-02', time: '11:00', status: 'scheduled' });
+  await dataAdapter.set('web_appointments', 'ns-done', { ...base, date: '2031-06-01', time: '10:00', status: 'completed' });
+
+  const marked = await markOverdueNoShows(new Date(2031, 5, 2, 9, 30));
+
+  expect(marked.sort()).toEqual(['ns-today', 'ns-yesterday']);
+  expect((await dataAdapter.get('web_appointments', 'ns-yesterday')).status).toBe('no-show');
+  expect((await dataAdapter.get('web_appointments', 'ns-later')).status).toBe('scheduled');
+});
+
+/**
+ * Grace period and clock come from settings/clinic, the same document the server sweep reads.
+ */
+test('markOverdueNoShows uses the clinic settings', async () => {
+  await dataAdapter.set(SETTINGS_COLLECTION, CLINIC_SETTINGS_ID, { noShowGraceMinutes: 45, timeZone: 'Asia/Tokyo' });
+  const base = { doctorId: 'doc-tz', appointmentType: 'consultation', duration: 30, status: 'scheduled' };
+  await dataAdapter.set('web_appointments', 'tz-early', { ...base, date: '2031-07-01', time: '08:30' });
+  await dataAdapter.set('web_appointments', 'tz-grace', { ...base, date: '2031-07-01', time: '09:00' });
+
+  try {
+    // 00:30 UTC is 09:30 in Tokyo
+    const marked = await markOverdueNoShows(new Date(Date.UTC(2031, 6, 1, 0, 30)));
+    expect(marked).toContain('tz-early');
+    expect(marked).not.toContain('tz-grace');
+  } finally {
+    await dataAdapter.remove(SETTINGS_COLLECTION, CLINIC_SETTINGS_ID);
+  }
+});
+
+/**
+ * Missing or invalid settings fall back to the default grace period and the device clock.
+ */
+test('clinicSettingsOf validates the settings document', () => {
+  expect(clinicSettingsOf(null)).toEqual({ noShowGraceMinutes: 15, timeZone: null });
+  expect(clinicSettingsOf({ noShowGraceMinutes: -5, timeZone: 'Mars/Base' })).toEqual({ noShowGraceMinutes: 15, timeZone: null });
+  expect(clinicNow('Asia/Tokyo', new Date(Date.UTC(2031, 6, 1, 0, 30)))).toEqual(new Date(2031, 6, 1, 9, 30));
+});
@@ -0,0 +1,59 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import {
+  createAppointmentRequest,
+  cancelOwnAppointment,
+  subscribeToWebAppointments,
+  subscribeToOwnProfile
+} from '../firestoreService';
+import { validateAppointmentRequest } from '../appointmentRequests';
+import { ownRecordField } from '../../config/permissions';
+import { defaultWorkSchedule } from '../doctorSchedule';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+  await dataAdapter.set('doctors', 'doc-req', { name: 'Dr. Request', uid: 'uid-req', workSchedule: defaultWorkSchedule() });
+  // Same email as the signed-in patient but not linked to the account
+  await dataAdapter.set('patients', 'pat-other', { name: 'Other', email: 'patient@cancare.com' });
+  await dataAdapter.set('patients', 'pat-own', { name: 'Own', uid: 'mock-patient-001' });
+  await authProvider.signInAs('patient');
+});
+
+/**
+ * Patients reach their own records only, so their queries always carry the owner field.
+ */
+test('patient queries are scoped to their own records', () => {
+  expect(ownRecordField('patient', 'web_appointments')).toBe('patientId');
+  expect(ownRecordField('clerk', 'web_appointments')).toBeNull();
+  expect(() => subscribeToWebAppointments(() => {})).toThrow(expect.objectContaining({ code: 'permission-denied' }));
+  expect(validateAppointmentRequest({ type: 'new', doctorId: 'd', date: '2031-01-01', time: '' })).toBeTruthy();
+});
+
+/**
+ * The patient's profile is found by the account uid only.
+ */
+test('own profile and requests use the linked patient record', async () => {
+  const profile = await new Promise((resolve) => {
+    const unsubscribe = subscribeToOwnProfile('patients', authProvider.getCurrentUser(), (p) => {
+      resolve(p);
+      setTimeout(() => unsubscribe());
+    });
+  });
+  expect(profile.id).toBe('pat-own');
+
+  const id = await createAppointmentRequest({
+    type: 'new', doctorId: 'doc-req', date: '2031-07-07', time: '09:00', appointmentType: 'consultation'
+  });
+  expect(await dataAdapter.get('web_appointment_requests', id)).toMatchObject({ patientId: 'pat-own', doctorId: 'uid-req' });
+});
+
+/**
+ * Patients cannot cancel an appointment that belongs to another record.
+ */
+test('cancelOwnAppointment rejects other patients\' appointments', async () => {
+  await dataAdapter.set('web_appointments', 'appt-other', {
+    patientId: 'pat-other', doctorId: 'uid-req', date: '2031-07-08', time: '10:00', status: 'scheduled'
+  });
+  await expect(cancelOwnAppointment('appt-other', 'no')).rejects.toThrow();
+  expect((await dataAdapter.get('web_appointments', 'appt-other')).status).toBe('scheduled');
+});
@@ -0,0 +1,65 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { createWebAppointment, updateWebAppointment } from '../firestoreService';
+import { blockedInterval, intervalsOverlap, slotDayKey, availableTimesFromReservations } from '../appointmentSlots';
+import { defaultWorkSchedule } from '../doctorSchedule';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+  await dataAdapter.set('doctors', 'doc-slots', { name: 'Dr. Slots', uid: 'uid-slots', workSchedule: defaultWorkSchedule() });
+});
+
+/**
+ * Blocked intervals include the type's buffer, so back-to-back visits do not overlap.
+ */
+test('blocked intervals overlap only when the visits do', () => {
+  const first = blockedInterval({ time: '09:00', duration: 30 });
+  expect(intervalsOverlap(first, blockedInterval({ time: '09:15', duration: 30 }))).toBe(true);
+  expect(intervalsOverlap(first, blockedInterval({ time: '11:00', duration: 30 }))).toBe(false);
+});
+
+/**
+ * Booking by the doctor's document id keys the appointment and its slot day on the uid.
+ */
+test('appointments are booked under the canonical doctor id', async () => {
+  const id = await createWebAppointment({
+    patientId: 'p-slots', doctorId: 'doc-slots', date: '2031-03-03', time: '10:00', appointmentType: 'consultation'
+  });
+
+  expect((await dataAdapter.get('web_appointments', id)).doctorId).toBe('uid-slots');
+  expect(await dataAdapter.get('appointment_slots', slotDayKey('doc-slots', '2031-03-03'))).toBeNull();
+  expect((await dataAdapter.get('appointment_slots', slotDayKey('uid-slots', '2031-03-03'))).reservations[id]).toBeTruthy();
+
+  await expect(createWebAppointment({
+    patientId: 'p-other', doctorId: 'uid-slots', date: '2031-03-03', time: '10:00', appointmentType: 'consultation'
+  })).rejects.toMatchObject({ code: 'slot-taken' });
+});
+
+/**
+ * Legacy appointments under the document id still block their time, and move to the uid when rescheduled.
+ */
+test('legacy document-id appointments conflict and are rekeyed on change', async () => {
+  await dataAdapter.set('web_appointments', 'legacy-slot', {
+    patientId: 'p-legacy', doctorId: 'doc-slots', date: '2031-03-04', time: '09:00',
+    appointmentType: 'consultation', duration: 30, status: 'scheduled'
+  });
+
+  await expect(createWebAppointment({
+    patientId: 'p-new', doctorId: 'uid-slots', date: '2031-03-04', time: '09:00', appointmentType: 'consultation'
+  })).rejects.toMatchObject({ code: 'slot-taken' });
+
+  await updateWebAppointment('legacy-slot', { time: '11:00' });
+  expect((await dataAdapter.get('web_appointments', 'legacy-slot')).doctorId).toBe('uid-slots');
+  expect((await dataAdapter.get('appointment_slots', slotDayKey('uid-slots', '2031-03-04'))).reservations['legacy-slot'])
+    .toMatchObject({ start: '11:00' });
+});
+
+/**
+ * Free times can be computed from slot documents alone (patient portal).
+ */
+test('availableTimesFromReservations skips reserved intervals', () => {
+  const days = [{ reservations: { a: { start: '09:00', end: '09:30' }, mine: { start: '10:00', end: '10:30' } } }];
+  const times = availableTimesFromReservations(days, { duration: 30 }, { start: '09:00', end: '11:00' }, 'mine');
+  expect(times).not.toContain('09:00');
+  expect(times).toContain('10:00');
+});
@@ -0,0 +1,38 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { deletePatient, restoreDoc, subscribeToPatients } from '../firestoreService';
+import { isArchived } from '../archive';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+/**
+ * Deleting a patient archives it with the reason; restoring brings it back to the list.
+ */
+test('patients are archived and restored instead of deleted', async () => {
+  await dataAdapter.set('patients', 'patient-archive', { name: 'Archived Patient', status: 'active' });
+  let visible = [];
+  const unsubscribe = subscribeToPatients((patients) => { visible = patients.map((p) => p.id); });
+
+  await deletePatient('patient-archive', 'Duplicate record');
+  const archived = await dataAdapter.get('patients', 'patient-archive');
+  expect(archived).toMatchObject({ archived: true, archiveReason: 'Duplicate record' });
+  expect(visible).not.toContain('patient-archive');
+
+  await restoreDoc('patients', 'patient-archive');
+  expect(visible).toContain('patient-archive');
+  unsubscribe();
+});
+
+/**
+ * Patients deleted before archiving existed (status inactive) count as archived.
+ */
+test('legacy inactive patients count as archived', async () => {
+  expect(isArchived({ status: 'inactive' }, 'patients')).toBe(true);
+  expect(isArchived({ status: 'inactive' }, 'nurses')).toBe(false);
+
+  await dataAdapter.set('patients', 'patient-legacy', { name: 'Legacy', status: 'inactive' });
+  await restoreDoc('patients', 'patient-legacy');
+  expect((await dataAdapter.get('patients', 'patient-legacy')).status).toBe('active');
+});
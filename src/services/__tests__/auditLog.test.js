@@ -0,0 +1,69 @@
+import { createLocalAdapter } from '../adapters/localAdapter';
+import { withAuditLog, diffDocs, AUDIT_COLLECTION } from '../auditLog';
+import { authProvider } from '../authProvider';
+
+/**
+ * Only changed top-level fields are recorded; metadata is ignored.
+ */
+test('diffDocs keeps changed fields only', () => {
+  expect(diffDocs({ name: 'A', status: 'active', updatedAt: 1 }, { name: 'B', status: 'active', updatedAt: 2 }))
+    .toEqual({ name: { before: 'A', after: 'B' } });
+  expect(diffDocs({ stats: { patients: 1 }, updatedByRole: 'admin' }, { stats: { patients: 2 }, updatedByRole: 'clerk' }))
+    .toEqual({});
+  expect(diffDocs(null, { name: 'A' })).toEqual({ name: { before: null, after: 'A' } });
+});
+
+/**
+ * The local adapter writes entries itself, including transaction writes.
+ */
+test('local writes are recorded and the log cannot be edited', async () => {
+  const adapter = withAuditLog(createLocalAdapter({ persist: false }));
+  const id = await adapter.create('patients', { name: 'Audit Patient' });
+  await adapter.runTransaction(async (tx) => {
+    await tx.get('patients', id);
+    tx.update('patients', id, { name: 'Renamed' });
+  });
+
+  const entries = await adapter.list(AUDIT_COLLECTION);
+  expect(entries.map((e) => e.action)).toEqual(['create', 'update']);
+  expect(entries[1].changes).toEqual({ name: { before: 'Audit Patient', after: 'Renamed' } });
+  await expect(adapter.update(AUDIT_COLLECTION, entries[0].id, { action: 'delete' })).rejects.toThrow();
+});
+
+/**
+ * With Firestore the server writes the log, so the client wrapper writes nothing.
+ */
+test('client entries are skipped when the server writes the log', async () => {
+  const adapter = withAuditLog(createLocalAdapter({ persist: false }), { writeEntries: false });
+  await adapter.create('patients', { name: 'Server Audited' });
+  expect(await adapter.list(AUDIT_COLLECTION)).toEqual([]);
+});
+
+/**
+ * A failed audit write is reported instead of being swallowed.
+ */
+test('audit write failures reach the caller', async () => {
+  const base = createLocalAdapter({ persist: false });
+  const adapter = withAuditLog({
+    ...base,
+    create: async (collectionName, data) => {
+      if (collectionName === AUDIT_COLLECTION) throw new Error('audit unavailable');
+      return base.create(collectionName, data);
+    }
+  });
+  await expect(adapter.create('patients', { name: 'Unlogged' })).rejects.toThrow('audit unavailable');
+});
+
+/**
+ * Every write is stamped with the platform and the role it was made under, and the entry
+ * takes both from that stamp.
+ */
+test('entries record the platform and acting role from the write', async () => {
+  await authProvider.signInAs('admin');
+  const adapter = withAuditLog(createLocalAdapter({ persist: false }));
+  const id = await adapter.create('patients', { name: 'Stamped' });
+
+  expect(await adapter.get('patients', id)).toMatchObject({ updatedPlatform: 'web', updatedByRole: 'admin' });
+  const [entry] = await adapter.list(AUDIT_COLLECTION);
+  expect(entry).toMatchObject({ platform: 'web', role: 'admin' });
+});
@@ -0,0 +1,85 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import {
+  getClinicalRecord,
+  validateClinicalEntry,
+  addClinicalEntry,
+  updateClinicalEntry,
+  removeClinicalEntry
+} from '../clinicalRecord';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+/**
+ * Mobile string lists are read as entries until structured records exist; vitals are newest first.
+ */
+test('legacy lists are read as entries', () => {
+  const record = getClinicalRecord({
+    mobileData: {
+      allergies: ['Penicillin', ''],
+      medicalHistory: ['Diabetes'],
+      vitals: [{ id: 'v1', takenAt: '2031-01-01T08:00' }, { id: 'v2', takenAt: '2031-01-02T08:00' }]
+    }
+  });
+  expect(record.allergies).toEqual([{ id: 'legacy-0', substance: 'Penicillin', legacy: true }]);
+  expect(record.problems.map((p) => p.name)).toEqual(['Diabetes']);
+  expect(record.vitals.map((v) => v.id)).toEqual(['v2', 'v1']);
+  expect(record.medications).toEqual([]);
+});
+
+/**
+ * Each section has its own required fields and ranges.
+ */
+test('validateClinicalEntry checks each section', () => {
+  expect(validateClinicalEntry('allergies', { substance: 'Latex' })).toBe('Allergy severity is required.');
+  expect(validateClinicalEntry('allergies', { substance: 'Latex', severity: 'mild', code: '1191' }))
+    .toBe('Select the code system for the allergy code.');
+  expect(validateClinicalEntry('problems', { name: 'Anemia', onsetDate: '2031-02-01', resolvedDate: '2031-01-01' }))
+    .toBe('Resolved date cannot be before the onset date.');
+  expect(validateClinicalEntry('vitals', { takenAt: '2031-01-01T08:00' })).toBe('Enter at least one vital sign.');
+  expect(validateClinicalEntry('vitals', { takenAt: '2031-01-01T08:00', heartRate: '300' }))
+    .toBe('Heart Rate must be between 20 and 250 bpm.');
+  expect(validateClinicalEntry('medications', { name: 'Ondansetron', dose: '8 mg', schedule: 'q8h' })).toBeNull();
+});
+
+/**
+ * The first edit migrates legacy strings, and the mobile name list follows every write.
+ */
+test('writes keep the mobile name list in sync', async () => {
+  await dataAdapter.set('patients', 'clinical-1', { name: 'Clinical', mobileData: { allergies: ['Penicillin'] } });
+
+  const added = await addClinicalEntry('clinical-1', 'allergies', { substance: ' Latex ', severity: 'severe' });
+  expect(added.allergies.map((a) => a.substance)).toEqual(['Penicillin', 'Latex']);
+  let patient = await dataAdapter.get('patients', 'clinical-1');
+  expect(patient.mobileData.allergies).toEqual(['Penicillin', 'Latex']);
+  expect(patient.mobileData.allergyRecords.some((a) => a.legacy)).toBe(false);
+
+  const latex = added.allergies.find((a) => a.substance === 'Latex');
+  await updateClinicalEntry('clinical-1', 'allergies', latex.id, { substance: 'Natural rubber latex' });
+  await removeClinicalEntry('clinical-1', 'allergies', 'legacy-0');
+  patient = await dataAdapter.get('patients', 'clinical-1');
+  expect(patient.mobileData.allergies).toEqual(['Natural rubber latex']);
+});
+
+/**
+ * Vital signs are stored as numbers; invalid entries and read-only roles write nothing.
+ */
+test('vitals are numeric and invalid writes are refused', async () => {
+  await dataAdapter.set('patients', 'clinical-2', { name: 'Vitals' });
+
+  const record = await addClinicalEntry('clinical-2', 'vitals', { takenAt: '2031-03-01T09:00', heartRate: '72', weight: '' });
+  expect(record.vitals[0].heartRate).toBe(72);
+  expect(record.vitals[0]).not.toHaveProperty('weight');
+
+  await expect(addClinicalEntry('clinical-2', 'problems', { name: 'Fatigue' })).rejects.toThrow('Onset date is required.');
+  await authProvider.signInAs('patient');
+  try {
+    await expect(addClinicalEntry('clinical-2', 'vitals', { takenAt: '2031-03-02T09:00', heartRate: '80' }))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  } finally {
+    await authProvider.signInAs('admin');
+  }
+  expect((await dataAdapter.get('patients', 'clinical-2')).mobileData.vitals).toHaveLength(1);
+});
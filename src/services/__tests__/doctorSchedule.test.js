@@ -0,0 +1,80 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { updateDoctorSchedule } from '../firestoreService';
+import { scheduleFor, workingHoursFor, fitsWorkingHours, validateSchedule } from '../doctorSchedule';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+const doctor = {
+  workSchedule: {
+    monday: { enabled: true, start: '08:00', end: '14:00' },
+    tuesday: { enabled: true, slots: ['10:00', '11:30'] }
+  },
+  scheduleOverrides: [{ date: '2031-06-09', enabled: true, start: '12:00', end: '16:00', note: 'Clinic moved' }],
+  leave: [{ from: '2031-06-16', to: '2031-06-17', reason: 'Conference' }]
+};
+
+/**
+ * Holidays win over leave, leave over a one-day change, and that change over the weekly template.
+ */
+test('scheduleFor applies the precedence order', () => {
+  const holidays = [{ date: '2031-06-16', name: 'Eid' }, { date: '2031-06-23', name: 'Old', archived: true }];
+  expect(scheduleFor(doctor, '2031-06-16', holidays)).toEqual({ hours: null, source: 'holiday', note: 'Eid' });
+  expect(scheduleFor(doctor, '2031-06-17', holidays)).toEqual({ hours: null, source: 'leave', note: 'Conference' });
+  expect(scheduleFor(doctor, '2031-06-09', holidays).hours).toEqual({ start: '12:00', end: '16:00' });
+  expect(scheduleFor(doctor, '2031-06-23', holidays)).toEqual({ hours: { start: '08:00', end: '14:00' }, source: 'weekly', note: '' });
+});
+
+/**
+ * Legacy slot lists become hours, doctors without a template get the default week, and
+ * appointments must end inside the working hours.
+ */
+test('working hours from legacy slots and defaults', () => {
+  expect(workingHoursFor(doctor, '2031-06-03')).toEqual({ start: '10:00', end: '12:00' });
+  expect(workingHoursFor(doctor, '2031-06-04')).toBeNull();
+  expect(workingHoursFor({}, '2031-06-02')).toEqual({ start: '09:00', end: '17:00' });
+  expect(workingHoursFor({}, '2031-06-06')).toBeNull();
+
+  const hours = { start: '08:00', end: '14:00' };
+  expect(fitsWorkingHours({ time: '13:30', duration: 30 }, hours)).toBe(true);
+  expect(fitsWorkingHours({ time: '13:30', appointmentType: 'procedure' }, hours)).toBe(false);
+});
+
+/**
+ * Hours must run forwards, changes need unique dates and leave cannot end before it starts.
+ */
+test('validateSchedule reports the first problem', () => {
+  expect(validateSchedule({ workSchedule: { monday: { enabled: true, start: '14:00', end: '09:00' } } }))
+    .toBe('Working hours on monday must start before they end.');
+  expect(validateSchedule({ scheduleOverrides: [{ date: '2031-06-09' }, { date: '2031-06-09' }] }))
+    .toBe('There is more than one schedule change on 2031-06-09.');
+  expect(validateSchedule({ leave: [{ from: '2031-06-10', to: '2031-06-09' }] }))
+    .toBe('Leave must end on or after its start date.');
+  expect(validateSchedule(doctor)).toBeNull();
+});
+
+/**
+ * A doctor saves only the schedule fields of their own profile; other profiles need update rights.
+ */
+test('updateDoctorSchedule lets doctors edit their own schedule only', async () => {
+  await authProvider.signInAs('doctor');
+  const uid = authProvider.getCurrentUser().uid;
+  await dataAdapter.set('doctors', 'schedule-own', { name: 'Own', uid });
+  await dataAdapter.set('doctors', 'schedule-other', { name: 'Other', uid: 'uid-other-doctor' });
+
+  try {
+    await updateDoctorSchedule('schedule-own', { leave: [{ from: '2031-07-01', to: '2031-07-03' }], name: 'Renamed' });
+    const saved = await dataAdapter.get('doctors', 'schedule-own');
+    expect(saved.leave).toEqual([{ from: '2031-07-01', to: '2031-07-03' }]);
+    expect(saved.name).toBe('Own');
+
+    await expect(updateDoctorSchedule('schedule-own', { leave: [{ from: '2031-07-03', to: '2031-07-01' }] }))
+      .rejects.toThrow('Leave must end on or after its start date.');
+    await expect(updateDoctorSchedule('schedule-other', { leave: [] }))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  } finally {
+    await authProvider.signInAs('admin');
+  }
+});
@@ -0,0 +1,63 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { createLabOrder, markLabSampleCollected, recordLabResults, reviewLabResults } from '../firestoreService';
+import { flagResult, countPendingLabTests, pendingLabTestsFor } from '../labOrders';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+/**
+ * Values outside the reference range are flagged; text values and missing ranges are not.
+ */
+test('flagResult compares against the reference range', () => {
+  expect(flagResult({ value: 3.1, refLow: 4, refHigh: 11 })).toBe('L');
+  expect(flagResult({ value: '12', refLow: 4, refHigh: 11 })).toBe('H');
+  expect(flagResult({ value: 40, refLow: 0, refHigh: null })).toBe('N');
+  expect(flagResult({ value: 'hemolysed', refLow: 4, refHigh: 11 })).toBeNull();
+  expect(flagResult({ value: 5 })).toBeNull();
+});
+
+/**
+ * Pending counts cover everything not yet reviewed, under both the uid and the document id.
+ */
+test('pending lab tests are counted per doctor', () => {
+  const counts = countPendingLabTests([
+    { doctorId: 'uid-lab', status: 'ordered' },
+    { doctorId: 'doc-lab', status: 'resulted' },
+    { doctorId: 'uid-lab', status: 'reviewed' }
+  ]);
+  expect(counts).toEqual({ 'uid-lab': 1, 'doc-lab': 1 });
+  expect(pendingLabTestsFor({ id: 'doc-lab', uid: 'uid-lab' }, counts)).toBe(2);
+});
+
+/**
+ * Orders move one step at a time, results are flagged on save and only reviewers close them.
+ */
+test('lab orders follow the lifecycle', async () => {
+  const id = await createLabOrder({ patientId: 'lab-patient', doctorId: 'uid-lab', testName: ' CBC ', priority: 'asap' });
+  let order = await dataAdapter.get('lab_orders', id);
+  expect(order).toMatchObject({ status: 'ordered', testName: 'CBC', priority: 'routine' });
+
+  await expect(recordLabResults(id, [{ analyte: 'WBC', value: '3' }])).rejects.toThrow('لا يمكن نقل الطلب');
+  await markLabSampleCollected(id);
+  await expect(recordLabResults(id, [{ analyte: 'WBC', value: '' }])).rejects.toThrow('أدخل نتيجة واحدة على الأقل');
+  await recordLabResults(id, [
+    { analyte: 'WBC', value: '3', unit: '10^9/L', refLow: '4', refHigh: '11' },
+    { analyte: 'Platelets', value: '210', refLow: '150', refHigh: '400' }
+  ]);
+  order = await dataAdapter.get('lab_orders', id);
+  expect(order.status).toBe('resulted');
+  expect(order.abnormal).toBe(true);
+  expect(order.results.map((r) => r.flag)).toEqual(['L', 'N']);
+
+  await authProvider.signInAs('clerk');
+  try {
+    await expect(reviewLabResults(id, 'ok')).rejects.toMatchObject({ code: 'permission-denied' });
+  } finally {
+    await authProvider.signInAs('admin');
+  }
+  await reviewLabResults(id, ' Repeat in a week ');
+  order = await dataAdapter.get('lab_orders', id);
+  expect(order).toMatchObject({ status: 'reviewed', reviewNote: 'Repeat in a week' });
+});
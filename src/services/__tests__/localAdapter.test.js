@@ -0,0 +1,59 @@
+import { createLocalAdapter } from '../adapters/localAdapter';
+
+/**
+ * Updates need an existing document, as in Firestore.
+ */
+test('update rejects missing documents', async () => {
+  const adapter = createLocalAdapter({ persist: false });
+  await expect(adapter.update('patients', 'missing', { name: 'X' })).rejects.toThrow('No document to update');
+});
+
+/**
+ * Queries apply where and orderBy, and subscribers see every later write.
+ */
+test('queries filter, sort and stay live', async () => {
+  const adapter = createLocalAdapter({ persist: false, seed: {
+    web_appointments: [
+      { id: 'b', date: '2030-01-02', status: 'scheduled' },
+      { id: 'a', date: '2030-01-01', status: 'scheduled' },
+      { id: 'c', date: '2030-01-03', status: 'cancelled' }
+    ]
+  } });
+  const options = { where: [['status', 'in', ['scheduled']]], orderBy: ['date', 'asc'] };
+  expect((await adapter.list('web_appointments', options)).map((a) => a.id)).toEqual(['a', 'b']);
+
+  const seen = [];
+  const unsubscribe = adapter.subscribe('web_appointments', (docs) => seen.push(docs.map((a) => a.id)), options);
+  await adapter.update('web_appointments', 'c', { status: 'scheduled' });
+  unsubscribe();
+  await adapter.remove('web_appointments', 'a');
+  expect(seen).toEqual([['a', 'b'], ['a', 'b', 'c']]);
+});
+
+/**
+ * A transaction that fails part way applies none of its writes.
+ */
+test('failed transactions write nothing', async () => {
+  const adapter = createLocalAdapter({ persist: false });
+  await adapter.set('doctors', 'doc-1', { name: 'Dr. One' });
+
+  await expect(adapter.runTransaction(async (tx) => {
+    tx.update('doctors', 'doc-1', { name: 'Renamed' });
+    tx.update('doctors', 'missing', { name: 'Ghost' });
+  })).rejects.toThrow();
+
+  expect((await adapter.get('doctors', 'doc-1')).name).toBe('Dr. One');
+});
+
+/**
+ * localStorage keeps dates as Date objects between sessions.
+ */
+test('persisted collections survive a reload with their dates', async () => {
+  window.localStorage.clear();
+  const sentAt = new Date('2030-05-01T08:00:00Z');
+  await createLocalAdapter().set('web_posts', 'post-1', { title: 'Hello', sentAt });
+
+  const reloaded = await createLocalAdapter().get('web_posts', 'post-1');
+  expect(reloaded.sentAt).toEqual(sentAt);
+  window.localStorage.clear();
+});
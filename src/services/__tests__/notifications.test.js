@@ -0,0 +1,59 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider, getCurrentUserId } from '../authProvider';
+import { createWebNotification, markAllNotificationsRead } from '../firestoreService';
+import { INBOX_COLLECTION, NOTIFICATIONS_COLLECTION, inboxEntryId } from '../notifications';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * A department audience reaches linked profiles of that department only.
+ */
+test('department notifications reach the department staff', async () => {
+  await dataAdapter.set('nurses', 'nurse-onc', { name: 'Onc Nurse', uid: 'uid-onc-nurse', department: 'Oncology Ward' });
+  await dataAdapter.set('nurses', 'nurse-er', { name: 'ER Nurse', uid: 'uid-er-nurse', department: 'Emergency Ward' });
+
+  const id = await createWebNotification({
+    audienceType: 'department', audienceTarget: 'Oncology Ward', subject: 'Ward', message: 'Meeting at 9'
+  });
+
+  const entries = await dataAdapter.list(INBOX_COLLECTION, { where: [['notificationId', '==', id]] });
+  expect(entries.map((e) => e.recipientId)).toEqual(['uid-onc-nurse']);
+});
+
+/**
+ * Large audiences are written in transactions of at most 500 writes each.
+ */
+test('large audiences are delivered in chunks', async () => {
+  await Promise.all(Array.from({ length: 620 }, (_, i) =>
+    dataAdapter.set('users', `uid-chunk-${i}`, { name: `Chunk Doctor ${i}`, roles: ['doctor'] })));
+  const transaction = jest.spyOn(dataAdapter, 'runTransaction');
+
+  const id = await createWebNotification({ audienceType: 'role', audienceTarget: 'doctor', subject: 'All', message: 'Hi' });
+
+  const entries = await dataAdapter.list(INBOX_COLLECTION, { where: [['notificationId', '==', id]] });
+  const notification = await dataAdapter.get(NOTIFICATIONS_COLLECTION, id);
+  expect(transaction).toHaveBeenCalledTimes(2);
+  expect(entries).toHaveLength(notification.recipientCount);
+  expect(notification.status).toBe('sent');
+});
+
+/**
+ * Marking everything read splits the updates the same way.
+ */
+test('markAllNotificationsRead updates in chunks', async () => {
+  const uid = getCurrentUserId();
+  await Promise.all(Array.from({ length: 510 }, (_, i) =>
+    dataAdapter.set(INBOX_COLLECTION, inboxEntryId(`bulk-${i}`, uid), { notificationId: `bulk-${i}`, recipientId: uid, readAt: null })));
+  const transaction = jest.spyOn(dataAdapter, 'runTransaction');
+
+  expect(await markAllNotificationsRead()).toBe(510);
+  expect(transaction).toHaveBeenCalledTimes(2);
+  const entries = await dataAdapter.list(INBOX_COLLECTION, { where: [['recipientId', '==', uid]] });
+  expect(entries.every((e) => e.readAt)).toBe(true);
+});
@@ -0,0 +1,38 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { assignNurseShift, removeNurseShift } from '../firestoreService';
+import { restViolation, ROSTER_COLLECTION } from '../nurseRoster';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+  await dataAdapter.set('nurses', 'nurse-a', { name: 'Nurse A', department: 'Oncology' });
+  await dataAdapter.set('nurses', 'nurse-b', { name: 'Nurse B', department: 'Oncology' });
+  await dataAdapter.set('nurses', 'nurse-c', { name: 'Nurse C', department: 'Oncology' });
+});
+
+/**
+ * A morning shift right after a night shift leaves no rest.
+ */
+test('restViolation flags shifts without enough rest', () => {
+  const night = { id: 'n', date: '2031-05-01', shift: 'night' };
+  expect(restViolation([night], { date: '2031-05-02', shift: 'morning' })).toMatchObject({ restHours: 0 });
+  expect(restViolation([night], { date: '2031-05-02', shift: 'evening' })).toMatchObject({ restHours: 8 });
+  expect(restViolation([night], { date: '2031-05-03', shift: 'morning' })).toBeNull();
+});
+
+/**
+ * Removing a nurse below the shift minimum needs an override reason.
+ */
+test('removeNurseShift keeps the minimum unless overridden', async () => {
+  const a = await assignNurseShift({ nurseId: 'nurse-a', date: '2031-05-05', shift: 'morning' });
+  const b = await assignNurseShift({ nurseId: 'nurse-b', date: '2031-05-05', shift: 'morning' });
+  const c = await assignNurseShift({ nurseId: 'nurse-c', date: '2031-05-05', shift: 'morning' });
+
+  await removeNurseShift(c, 'Swap');
+  await expect(removeNurseShift(b, 'Swap')).rejects.toMatchObject({ code: 'understaffed' });
+  expect((await dataAdapter.get(ROSTER_COLLECTION, b)).archived).toBeFalsy();
+
+  await removeNurseShift(b, 'Swap', 'Sick leave');
+  expect((await dataAdapter.get(ROSTER_COLLECTION, b)).archiveReason).toBe('Swap (below minimum: Sick leave)');
+  expect((await dataAdapter.get(ROSTER_COLLECTION, a)).archived).toBeFalsy();
+});
@@ -0,0 +1,33 @@
+import { authProvider } from '../authProvider';
+import { provisionUser, setUserPassword } from '../provisioningService';
+import { canGrantRoles } from '../../config/permissions';
+
+/**
+ * Roles each caller may grant (mirrors GRANTABLE_ROLES in functions/index.js).
+ */
+test('only admins grant admin and chief roles', () => {
+  expect(canGrantRoles(['admin'], ['chief'])).toBe(true);
+  expect(canGrantRoles(['clerk'], ['doctor', 'nurse', 'patient'])).toBe(true);
+  expect(canGrantRoles(['clerk'], ['admin'])).toBe(false);
+  expect(canGrantRoles(['chief'], ['patient'])).toBe(false);
+});
+
+/**
+ * A clerk provisions clinical accounts but not admin or chief accounts.
+ */
+test('clerk cannot provision or manage admin accounts', async () => {
+  await authProvider.signInAs('clerk');
+
+  await expect(provisionUser({ email: 'boss@cancare.com', roles: ['chief'] }))
+    .rejects.toMatchObject({ code: 'permission-denied' });
+
+  const { uid } = await provisionUser({ email: 'new.doctor@cancare.com', roles: ['doctor'] });
+  expect(uid).toBeTruthy();
+
+  await authProvider.signInAs('admin');
+  const { uid: adminUid } = await provisionUser({ email: 'second.admin@cancare.com', roles: ['admin'], password: 'secret1' });
+
+  await authProvider.signInAs('clerk');
+  await expect(setUserPassword(adminUid, 'changed1')).rejects.toMatchObject({ code: 'permission-denied' });
+  await expect(setUserPassword(uid, 'changed1')).resolves.toEqual({ uid });
+});
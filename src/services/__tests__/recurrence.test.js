@@ -0,0 +1,23 @@
+import { validateRecurrence, expandRecurrence, MAX_OCCURRENCES } from '../recurrence';
+
+/**
+ * Exceptions are skipped but still count toward the occurrence numbers.
+ */
+test('expandRecurrence skips exception dates', () => {
+  const rule = { frequency: 'weekly', interval: 1, count: 3, exceptions: ['2031-01-13'] };
+  expect(expandRecurrence('2031-01-06', rule)).toEqual([
+    { occurrence: 1, date: '2031-01-06' },
+    { occurrence: 3, date: '2031-01-20' }
+  ]);
+});
+
+/**
+ * An end date past the occurrence cap is rejected instead of silently cutting the series.
+ */
+test('validateRecurrence rejects an end date beyond the cap', () => {
+  const weekly = { frequency: 'weekly', interval: 1 };
+  expect(validateRecurrence({ ...weekly, until: '2031-12-29' }, '2031-01-06')).toBeNull();
+  expect(expandRecurrence('2031-01-06', { ...weekly, until: '2031-12-29' })).toHaveLength(MAX_OCCURRENCES);
+  expect(validateRecurrence({ ...weekly, until: '2032-01-05' }, '2031-01-06')).toMatch(/more than 52/);
+  expect(validateRecurrence({ frequency: 'daily', interval: 1, until: '2031-03-31' }, '2031-01-06')).toMatch(/more than 52/);
+});
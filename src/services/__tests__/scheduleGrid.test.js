@@ -0,0 +1,60 @@
+import { doctorColumn, gridRows } from '../scheduleGrid';
+
+const doctor = {
+  id: 'doc-grid',
+  uid: 'uid-grid',
+  name: 'Dr Grid',
+  workSchedule: { monday: { enabled: true, start: '09:00', end: '12:00' } },
+  leave: [{ from: '2031-06-09', to: '2031-06-09', reason: 'Course' }]
+};
+
+const MONDAY = '2031-06-02';
+const at = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+const appointments = [
+  { id: 'a-proc', doctorId: 'uid-grid', date: MONDAY, time: '09:00', appointmentType: 'procedure', status: 'scheduled' },
+  { id: 'a-drop', doctorId: 'doc-grid', date: MONDAY, time: '10:30', duration: 30, status: 'cancelled' },
+  { id: 'a-legacy', doctorName: 'Dr Grid', date: MONDAY, time: '11:30', duration: 15, status: 'scheduled' },
+  { id: 'a-archived', doctorId: 'uid-grid', date: MONDAY, time: '11:00', duration: 15, status: 'scheduled', archived: true }
+];
+
+/**
+ * Cells are booked for the whole appointment, cancelled starts show whether they can be rebooked,
+ * and the rest is free or blocked with a reason.
+ */
+test('doctorColumn classifies each cell', () => {
+  const { cellAt } = doctorColumn({ appointments, doctor, date: MONDAY, free: ['10:30', '11:00'] });
+
+  expect(cellAt(at('09:00'))).toMatchObject({ state: 'booked', starts: true, appointment: { id: 'a-proc' } });
+  expect(cellAt(at('09:45'))).toMatchObject({ state: 'booked', starts: false });
+  expect(cellAt(at('10:30'))).toMatchObject({ state: 'cancelled', bookable: true, appointment: { id: 'a-drop' } });
+  expect(cellAt(at('11:00'))).toEqual({ state: 'free' });
+  expect(cellAt(at('11:30'))).toMatchObject({ state: 'booked', appointment: { id: 'a-legacy' } });
+  expect(cellAt(at('10:00'))).toEqual({ state: 'blocked', reason: 'Not enough time' });
+  expect(cellAt(at('13:00'))).toEqual({ state: 'blocked', reason: 'Off hours' });
+});
+
+/**
+ * Leave and days off block the whole column with their reason.
+ */
+test('days without working hours are blocked', () => {
+  expect(doctorColumn({ appointments, doctor, date: '2031-06-09', free: [] }).cellAt(at('09:00')))
+    .toEqual({ state: 'blocked', reason: 'Course' });
+  expect(doctorColumn({ appointments, doctor, date: '2031-06-03', free: [] }).cellAt(at('09:00')))
+    .toEqual({ state: 'blocked', reason: 'Off' });
+});
+
+/**
+ * Rows span every column's hours plus any appointment outside them, on the slot step.
+ */
+test('gridRows covers hours and stray appointments', () => {
+  const column = doctorColumn({ appointments, doctor, date: MONDAY, free: [] });
+  const rows = gridRows([column], [{ time: '07:50' }]);
+  expect(rows[0]).toBe(at('07:45'));
+  expect(rows[rows.length - 1]).toBe(at('11:45'));
+  expect(rows[1] - rows[0]).toBe(15);
+
+  const off = doctorColumn({ appointments: [], doctor, date: '2031-06-03', free: [] });
+  const fallback = gridRows([off]);
+  expect([fallback[0], fallback[fallback.length - 1]]).toEqual([at('08:00'), at('15:45')]);
+});
@@ -0,0 +1,55 @@
+import { createLocalAdapter } from '../adapters/localAdapter';
+import { withStaffStats, doctorStatsFor } from '../staffStats';
+import { formatDateISO } from '../treatmentPlans';
+
+const today = formatDateISO(new Date());
+
+/**
+ * Doctor references may be the document id, the uid or a legacy name.
+ */
+test('doctorStatsFor counts records under every doctor reference', () => {
+  const doctor = { id: 'doc-1', uid: 'uid-1', name: 'Dr. One' };
+  const stats = doctorStatsFor(doctor, {
+    patients: [{ assignedDoctorId: 'uid-1' }, { doctorId: 'doc-1', status: 'discharged' }, { doctorName: 'Dr. One' }],
+    appointments: [{ doctorId: 'uid-1', date: today }, { doctorId: 'doc-1', date: today, status: 'cancelled' }]
+  }, today);
+  expect(stats).toMatchObject({ assignedPatients: 3, activePatients: 2, appointments: 1, appointmentsToday: 1 });
+});
+
+/**
+ * Stored stats are recomputed once per transaction from the affected doctor's records only.
+ */
+test('withStaffStats syncs once per transaction with targeted queries', async () => {
+  const base = createLocalAdapter({ persist: false });
+  await base.set('doctors', 'doc-stats', { name: 'Dr. Stats', uid: 'uid-stats' });
+  await base.set('patients', 'other-patient', { name: 'Other', assignedDoctorId: 'someone-else' });
+  const list = jest.spyOn(base, 'list');
+  const update = jest.spyOn(base, 'update');
+  const adapter = withStaffStats(base);
+
+  await adapter.runTransaction(async (tx) => {
+    tx.create('lab_orders', { doctorId: 'uid-stats', status: 'ordered' });
+    tx.create('patients', { name: 'Assigned', assignedDoctorId: 'doc-stats' });
+  });
+
+  expect(list.mock.calls.every(([, options]) => options?.where?.length)).toBe(true);
+  expect(update.mock.calls.filter(([collectionName]) => collectionName === 'doctors')).toHaveLength(1);
+  expect((await base.get('doctors', 'doc-stats')).stats).toEqual({ activePatients: 1, pendingLabTests: 1 });
+});
+
+/**
+ * Date-dependent counts are not stored, so appointments do not touch the stored stats,
+ * and with Firestore the server keeps them (the client writes none).
+ */
+test('appointments and server-synced adapters leave stored stats alone', async () => {
+  const base = createLocalAdapter({ persist: false });
+  await base.set('doctors', 'doc-quiet', { name: 'Dr. Quiet', uid: 'uid-quiet', stats: { activePatients: 0, appointmentsToday: 3 } });
+  const update = jest.spyOn(base, 'update');
+
+  await withStaffStats(base).create('web_appointments', { doctorId: 'uid-quiet', date: today, status: 'scheduled' });
+  await withStaffStats(base, { writeStats: false }).create('patients', { name: 'Server', assignedDoctorId: 'uid-quiet' });
+  expect(update).not.toHaveBeenCalled();
+
+  await withStaffStats(base).create('lab_orders', { doctorId: 'uid-quiet', status: 'ordered' });
+  expect((await base.get('doctors', 'doc-quiet')).stats).toEqual({ activePatients: 1, pendingLabTests: 1 });
+});
@@ -0,0 +1,71 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider, getCurrentUserId } from '../authProvider';
+import { approveTransfer } from '../firestoreService';
+import { departmentOccupancy, transferStatus, TRANSFERS_COLLECTION, DEPARTMENTS_COLLECTION } from '../transfers';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+/**
+ * Legacy statuses map into the lifecycle; departments without a bed count have no capacity.
+ */
+test('occupancy counts reserved beds and leaves unconfigured capacity unset', () => {
+  expect(transferStatus({ status: 'Need Info' })).toBe('requested');
+  const data = {
+    patients: [{ currentDepartment: 'Surgery' }, { currentDepartment: 'Surgery', status: 'discharged' }],
+    transfers: [{ id: 't1', toDept: 'Surgery', status: 'approved' }],
+    departments: [{ name: 'Surgery', beds: 3 }]
+  };
+  expect(departmentOccupancy(data, 'Surgery')).toEqual({ beds: 3, occupied: 1, reserved: 1, free: 1 });
+  expect(departmentOccupancy(data, 'Radiology')).toEqual({ beds: null, occupied: 0, reserved: 0, free: null });
+});
+
+/**
+ * Approval is refused when the receiving department is full, and skips the check when no bed count is set.
+ */
+test('approveTransfer checks configured capacity only', async () => {
+  await dataAdapter.set(DEPARTMENTS_COLLECTION, 'dept-icu', { name: 'ICU', beds: 1 });
+  await dataAdapter.set('patients', 'icu-patient', { name: 'In ICU', currentDepartment: 'ICU' });
+  await dataAdapter.set(TRANSFERS_COLLECTION, 'to-icu', { patient: 'P', fromDept: 'Ward', toDept: 'ICU', status: 'requested' });
+  await dataAdapter.set(TRANSFERS_COLLECTION, 'to-lab', { patient: 'Q', fromDept: 'Ward', toDept: 'Lab', status: 'requested' });
+
+  await expect(approveTransfer('to-icu')).rejects.toMatchObject({ code: 'department-full' });
+  expect((await dataAdapter.get(TRANSFERS_COLLECTION, 'to-icu')).status).toBe('requested');
+
+  await approveTransfer('to-lab');
+  expect((await dataAdapter.get(TRANSFERS_COLLECTION, 'to-lab')).status).toBe('approved');
+});
+
+/**
+ * A stored occupancy counter is the source of the check, and approval reserves the bed in it.
+ */
+test('approveTransfer reads and reserves the department counter', async () => {
+  await dataAdapter.set(DEPARTMENTS_COLLECTION, 'dept-ward', { name: 'Ward B', beds: 2, occupancy: { occupied: 1, reserved: 0 } });
+  await dataAdapter.set(TRANSFERS_COLLECTION, 'to-ward-1', { patient: 'P', fromDept: 'ER', toDept: 'Ward B', status: 'requested' });
+  await dataAdapter.set(TRANSFERS_COLLECTION, 'to-ward-2', { patient: 'Q', fromDept: 'ER', toDept: 'Ward B', status: 'requested' });
+
+  await approveTransfer('to-ward-1');
+  expect((await dataAdapter.get(DEPARTMENTS_COLLECTION, 'dept-ward')).occupancy).toEqual({ occupied: 1, reserved: 1 });
+  await expect(approveTransfer('to-ward-2')).rejects.toMatchObject({ code: 'department-full' });
+});
+
+/**
+ * Only staff of the receiving department (by the linked profile) may approve.
+ */
+test('approveTransfer requires the receiving department', async () => {
+  await authProvider.signInAs('clerk');
+  const uid = getCurrentUserId();
+  await dataAdapter.set('nurses', 'nurse-ward-c', { name: 'Ward C Nurse', uid, department: 'Ward C' });
+  await dataAdapter.set('users', uid, { name: 'Clerk', roles: ['clerk'], profile: { collection: 'nurses', id: 'nurse-ward-c' } });
+  await dataAdapter.set(TRANSFERS_COLLECTION, 'to-ward-c', { patient: 'P', fromDept: 'ER', toDept: 'Ward C', status: 'requested' });
+  await dataAdapter.set(TRANSFERS_COLLECTION, 'to-ward-d', { patient: 'Q', fromDept: 'ER', toDept: 'Ward D', status: 'requested' });
+
+  try {
+    await expect(approveTransfer('to-ward-d')).rejects.toMatchObject({ code: 'permission-denied' });
+    await approveTransfer('to-ward-c');
+    expect((await dataAdapter.get(TRANSFERS_COLLECTION, 'to-ward-c')).status).toBe('approved');
+  } finally {
+    await authProvider.signInAs('admin');
+  }
+});
@@ -0,0 +1,41 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { createTreatmentPlan } from '../firestoreService';
+import { planCycleDates, validateTreatmentPlan } from '../treatmentPlans';
+import { defaultWorkSchedule } from '../doctorSchedule';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+  await dataAdapter.set('doctors', 'doc-plan', { name: 'Dr. Plan', uid: 'uid-plan', workSchedule: defaultWorkSchedule() });
+});
+
+/**
+ * Cycles are spaced by the plan interval from the start date.
+ */
+test('planCycleDates spaces cycles by the interval', () => {
+  expect(planCycleDates('2031-01-06', 3, 21).map((c) => c.plannedDate))
+    .toEqual(['2031-01-06', '2031-01-27', '2031-02-17']);
+  expect(validateTreatmentPlan({ patientId: 'p', doctorId: 'd', regimen: 'AC', cycles: 60, intervalDays: 21, startDate: '2031-01-06' }))
+    .toMatch(/cycles/);
+});
+
+/**
+ * A plan given the doctor's document id is stored and booked under the canonical uid,
+ * and legacy appointments holding the document id still block their times.
+ */
+test('plans and cycle appointments use the canonical doctor id', async () => {
+  await dataAdapter.set('web_appointments', 'legacy-plan-appt', {
+    doctorId: 'doc-plan', date: '2031-01-06', time: '09:00', appointmentType: 'chemotherapy', status: 'scheduled'
+  });
+
+  const { id, unscheduledCycles } = await createTreatmentPlan({
+    patientId: 'patient-plan', patientName: 'Plan Patient', doctorId: 'doc-plan',
+    regimen: 'FOLFOX', cycles: 2, intervalDays: 7, startDate: '2031-01-06', preferredTime: '09:00'
+  });
+
+  expect(unscheduledCycles).toEqual([]);
+  expect((await dataAdapter.get('treatment_plans', id)).doctorId).toBe('uid-plan');
+  const cycles = await dataAdapter.list('web_appointments', { where: [['treatmentPlanId', '==', id]] });
+  expect(cycles.map((a) => a.doctorId)).toEqual(['uid-plan', 'uid-plan']);
+  expect(cycles.find((a) => a.cycle === 1).time).not.toBe('09:00');
+});
@@ -0,0 +1,61 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { linkProfile } from '../userDirectory';
+import { updateDoctor } from '../firestoreService';
+import { provisionUser } from '../provisioningService';
+
+beforeAll(async () => {
+  await authProvider.signInAs('admin');
+});
+
+/**
+ * Linking a profile moves appointments and their slot reservations to the real account.
+ */
+test('linkProfile migrates appointment slot days to the new uid', async () => {
+  await dataAdapter.set('doctors', 'doc-link', { name: 'Dr. Link', uid: 'doctor_1_abc' });
+  await dataAdapter.set('web_appointments', 'appt-link', {
+    doctorId: 'doctor_1_abc', date: '2030-01-07', time: '09:00', status: 'scheduled'
+  });
+  await dataAdapter.set('appointment_slots', 'doctor_1_abc_2030-01-07', {
+    doctorId: 'doctor_1_abc', date: '2030-01-07', reservations: { 'appt-link': { start: '09:00', end: '09:30' } }
+  });
+  const { uid } = await provisionUser({ email: 'link@cancare.com', roles: ['doctor'], password: 'secret1' });
+
+  await linkProfile('doctors', 'doc-link', uid);
+
+  expect((await dataAdapter.get('web_appointments', 'appt-link')).doctorId).toBe(uid);
+  expect(await dataAdapter.get('appointment_slots', 'doctor_1_abc_2030-01-07')).toBeNull();
+  expect((await dataAdapter.get('appointment_slots', `${uid}_2030-01-07`)).reservations)
+    .toEqual({ 'appt-link': { start: '09:00', end: '09:30' } });
+});
+
+/**
+ * A profile email change updates the login account first and is rejected when the email is taken.
+ */
+test('profile email changes go through the account email', async () => {
+  const { uid } = await provisionUser({ email: 'mail.doc@cancare.com', roles: ['doctor'], password: 'secret1' });
+  await provisionUser({ email: 'taken@cancare.com', roles: ['nurse'], password: 'secret1' });
+  await dataAdapter.set('doctors', 'doc-mail', { name: 'Dr. Mail', email: 'mail.doc@cancare.com', uid });
+
+  await updateDoctor('doc-mail', { email: 'renamed@cancare.com' });
+  expect((await dataAdapter.get('users', uid)).email).toBe('renamed@cancare.com');
+
+  await expect(updateDoctor('doc-mail', { email: 'taken@cancare.com' })).rejects.toThrow();
+  expect((await dataAdapter.get('doctors', 'doc-mail')).email).toBe('renamed@cancare.com');
+});
+
+/**
+ * A profile that never had an account is referenced by its document id; linking moves those too.
+ */
+test('linkProfile migrates references held by the document id', async () => {
+  await dataAdapter.set('doctors', 'doc-plain', { name: 'Dr. Plain' });
+  await dataAdapter.set('appointment_slots', 'doc-plain_2030-02-04', {
+    doctorId: 'doc-plain', date: '2030-02-04', reservations: { 'appt-plain': { start: '10:00', end: '10:30' } }
+  });
+  const { uid } = await provisionUser({ email: 'plain@cancare.com', roles: ['doctor'], password: 'secret1' });
+
+  await linkProfile('doctors', 'doc-plain', uid);
+
+  expect(await dataAdapter.get('appointment_slots', 'doc-plain_2030-02-04')).toBeNull();
+  expect(await dataAdapter.get('appointment_slots', `${uid}_2030-02-04`)).toBeTruthy();
+});
@@ -0,0 +1,59 @@
+import dataAdapter from '../dataAdapter';
+import { authProvider } from '../authProvider';
+import { acceptWaitlistOffer } from '../firestoreService';
+import { rankWaitlistMatches, offerFromAppointment, isOpenEntry } from '../waitlist';
+import { defaultWorkSchedule } from '../doctorSchedule';
+
+const NOW = new Date('2031-03-01T12:00:00Z');
+
+/**
+ * Freed slots go to waiting entries of the doctor's department: closest preferred date
+ * first, then the longest waiting.
+ */
+test('rankWaitlistMatches orders the department queue', () => {
+  const slot = { id: 'appt-1', date: '2031-03-10' };
+  const entries = [
+    { id: 'other-dept', department: 'Cardiology', preferredDate: '2031-03-10', createdAt: '2031-01-01' },
+    { id: 'far', department: 'Oncology', preferredDate: '2031-03-20', createdAt: '2031-01-01' },
+    { id: 'exact-new', department: 'oncology', preferredDate: '2031-03-10', createdAt: '2031-02-20' },
+    { id: 'exact-old', department: 'Oncology ', preferredDate: '2031-03-10', createdAt: '2031-02-01' },
+    { id: 'any-day', department: 'Oncology', createdAt: '2031-01-15' },
+    { id: 'declined', department: 'Oncology', preferredDate: '2031-03-10', declinedOffers: ['appt-1'] },
+    { id: 'offered', department: 'Oncology', preferredDate: '2031-03-10', status: 'offered' },
+    { id: 'archived', department: 'Oncology', preferredDate: '2031-03-10', archived: true }
+  ];
+
+  expect(rankWaitlistMatches(entries, slot, 'Oncology', NOW).map((m) => m.entry.id))
+    .toEqual(['exact-old', 'exact-new', 'any-day', 'far']);
+  expect(rankWaitlistMatches(entries, slot, '', NOW)).toEqual([]);
+});
+
+/**
+ * The offer keeps the freed slot with its type and duration; booked entries leave the queue.
+ */
+test('offers carry the slot and booked entries are closed', () => {
+  expect(offerFromAppointment({ id: 'a', doctorId: 'd', date: '2031-03-10', time: '09:00' }))
+    .toMatchObject({ appointmentId: 'a', appointmentType: 'consultation', duration: 30 });
+  expect(isOpenEntry({ status: 'offered' })).toBe(true);
+  expect(isOpenEntry({ status: 'booked' })).toBe(false);
+});
+
+/**
+ * Accepting an offer needs waitlist update rights and books the offered slot.
+ */
+test('acceptWaitlistOffer checks the permission and books the offer', async () => {
+  await authProvider.signInAs('admin');
+  await dataAdapter.set('doctors', 'doc-wait', { name: 'Dr. Wait', uid: 'uid-wait', workSchedule: defaultWorkSchedule() });
+  await dataAdapter.set('web_waitlist', 'entry-offer', {
+    patient: 'Waiting Patient', department: 'Oncology', status: 'offered',
+    offer: { appointmentId: 'freed', doctorId: 'uid-wait', doctorName: 'Dr. Wait', date: '2031-03-03', time: '10:00', appointmentType: 'consultation', duration: 30 }
+  });
+
+  await authProvider.signInAs('patient');
+  await expect(acceptWaitlistOffer('entry-offer')).rejects.toMatchObject({ code: 'permission-denied' });
+
+  await authProvider.signInAs('clerk');
+  const appointmentId = await acceptWaitlistOffer('entry-offer');
+  expect(await dataAdapter.get('web_waitlist', 'entry-offer')).toMatchObject({ status: 'booked', appointmentId });
+  expect(await dataAdapter.get('web_appointments', appointmentId)).toMatchObject({ doctorId: 'uid-wait', time: '10:00' });
+});
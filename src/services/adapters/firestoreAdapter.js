@@ -0,0 +1,177 @@
+/**
+ * Firestore Data Adapter
+ *
+ * التنفيذ الحقيقي لواجهة محوّل البيانات باستخدام Firebase SDK.
+ * جميع الدوال تعيد كائنات عادية { id, ...data } مع تحويل
+ * حقول Timestamp في المستوى الأول إلى Date.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  serverTimestamp,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { sortDocs } from './queryUtils';
+
+/**
+ * تحويل مستند Firestore إلى كائن عادي
+ */
+const toPlain = (snapshotDoc) => {
+  const data = snapshotDoc.data();
+  const plain = { id: snapshotDoc.id, ...data };
+
+  Object.keys(data).forEach((key) => {
+    const value = data[key];
+    if (value && typeof value.toDate === 'function') {
+      plain[key] = value.toDate();
+    }
+  });
+
+  return plain;
+};
+
+/**
+ * بناء استعلام من الخيارات { where: [[field, op, value]], orderBy: [field, direction] }
+ */
+const buildQuery = (collectionName, options = {}) => {
+  const constraints = (options.where || []).map(([field, op, value]) => where(field, op, value));
+  if (options.orderBy) {
+    const [field, direction = 'asc'] = options.orderBy;
+    constraints.push(orderBy(field, direction));
+  }
+  return query(collection(db, collectionName), ...constraints);
+};
+
+export const firestoreAdapter = {
+  name: 'firestore',
+
+  /**
+   * قيمة الوقت التي يحددها الخادم
+   */
+  timestamp: () => serverTimestamp(),
+
+  /**
+   * الاشتراك في تحديثات مجموعة (Real-time)
+   * إذا فشل الاستعلام مع orderBy، نعيد المحاولة بدونه ونرتب يدوياً
+   */
+  subscribe: (collectionName, callback, options = {}) => {
+    let unsubscribeFallback = null;
+
+    const subscribeWithoutOrder = () => onSnapshot(
+      buildQuery(collectionName, { ...options, orderBy: null }),
+      (snapshot) => callback(sortDocs(snapshot.docs.map(toPlain), options.orderBy)),
+      (fallbackError) => {
+        console.error(`Error in ${collectionName} subscription (fallback):`, fallbackError);
+        callback([]);
+      }
+    );
+
+    let unsubscribe;
+    try {
+      unsubscribe = onSnapshot(
+        buildQuery(collectionName, options),
+        (snapshot) => callback(snapshot.docs.map(toPlain)),
+        (error) => {
+          console.error(`Error in ${collectionName} subscription:`, error);
+          if (options.orderBy) {
+            unsubscribeFallback = subscribeWithoutOrder();
+          } else {
+            callback([]);
+          }
+        }
+      );
+    } catch (error) {
+      console.warn(`Initial ${collectionName} query failed, trying without orderBy:`, error);
+      unsubscribe = subscribeWithoutOrder();
+    }
+
+    return () => {
+      unsubscribe();
+      if (unsubscribeFallback) unsubscribeFallback();
+    };
+  },
+
+  /**
+   * جلب مستندات مجموعة مرة واحدة
+   */
+  list: async (collectionName, options = {}) => {
+    const snapshot = await getDocs(buildQuery(collectionName, options));
+    return snapshot.docs.map(toPlain);
+  },
+
+  /**
+   * جلب مستند واحد (null إذا لم يكن موجوداً)
+   */
+  get: async (collectionName, id) => {
+    const snapshot = await getDoc(doc(db, collectionName, id));
+    return snapshot.exists() ? toPlain(snapshot) : null;
+  },
+
+  /**
+   * إنشاء مستند جديد وإرجاع المعرف
+   */
+  create: async (collectionName, data) => {
+    const docRef = await addDoc(collection(db, collectionName), data);
+    return docRef.id;
+  },
+
+  /**
+   * إنشاء أو استبدال مستند بمعرف محدد (مثل users/{uid})
+   */
+  set: async (collectionName, id, data) => {
+    await setDoc(doc(db, collectionName, id), data);
+  },
+
+  /**
+   * تحديث حقول مستند موجود
+   */
+  update: async (collectionName, id, data) => {
+    await updateDoc(doc(db, collectionName, id), data);
+  },
+
+  /**
+   * حذف مستند نهائياً
+   */
+  remove: async (collectionName, id) => {
+    await deleteDoc(doc(db, collectionName, id));
+  },
+
+  /**
+   * تنفيذ قراءات وكتابات كعملية ذرية واحدة (Firestore transaction)
+   * كل القراءات (tx.get) يجب أن تسبق الكتابات، وقد يعيد Firestore تنفيذ fn عند التعارض
+   */
+  runTransaction: (fn) => runTransaction(db, (transaction) => fn({
+    get: async (collectionName, id) => {
+      const snapshot = await transaction.get(doc(db, collectionName, id));
+      return snapshot.exists() ? toPlain(snapshot) : null;
+    },
+    create: (collectionName, data) => {
+      const docRef = doc(collection(db, collectionName));
+      transaction.set(docRef, data);
+      return docRef.id;
+    },
+    set: (collectionName, id, data) => {
+      transaction.set(doc(db, collectionName, id), data);
+    },
+    update: (collectionName, id, data) => {
+      transaction.update(doc(db, collectionName, id), data);
+    },
+    remove: (collectionName, id) => {
+      transaction.delete(doc(db, collectionName, id));
+    }
+  }))
+};
+
+export default firestoreAdapter;
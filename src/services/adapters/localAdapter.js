@@ -0,0 +1,214 @@
+/**
+ * Local Data Adapter (In-memory / localStorage)
+ *
+ * تنفيذ محلي لواجهة محوّل البيانات يعمل بدون Firebase:
+ * - في المتصفح: يحفظ كل مجموعة في localStorage
+ * - في Jest أو بدون localStorage: يعمل في الذاكرة فقط
+ *
+ * نفس الدلالات المتوقعة من Firestore: update يفشل إذا لم يكن المستند موجوداً،
+ * ودمج الحقول يتم على المستوى الأول فقط. المعاملات تُنفَّذ واحدة تلو الأخرى
+ * وكتاباتها تُطبَّق معاً فقط إذا نجحت الدالة.
+ */
+
+import { matchesWhere, sortDocs } from './queryUtils';
+
+const STORAGE_PREFIX = 'cancare_local_';
+const DATE_TAG = '__date';
+
+/**
+ * نسخ عميق يحافظ على كائنات Date
+ */
+const cloneValue = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, cloneValue(v)])
+    );
+  }
+  return value;
+};
+
+/**
+ * توليد معرف بنفس شكل معرفات Firestore (20 حرف)
+ */
+const generateId = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return id;
+};
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const serialize = (docs) => JSON.stringify(docs, function replacer(key, value) {
+  const raw = this[key];
+  return raw instanceof Date ? { [DATE_TAG]: raw.toISOString() } : value;
+});
+
+const deserialize = (text) => JSON.parse(text, (key, value) =>
+  value && typeof value === 'object' && typeof value[DATE_TAG] === 'string'
+    ? new Date(value[DATE_TAG])
+    : value
+);
+
+/**
+ * إنشاء محوّل بيانات محلي
+ * @param {Object} options
+ * @param {boolean} options.persist - الحفظ في localStorage (افتراضياً true إذا كان متاحاً)
+ * @param {Object} options.seed - بيانات أولية { collectionName: [docs] }
+ */
+export const createLocalAdapter = ({ persist = true, seed = {} } = {}) => {
+  const storage = persist ? getStorage() : null;
+  const collections = {};
+  const listeners = {};
+  let transactionQueue = Promise.resolve();
+
+  const load = (collectionName) => {
+    if (collections[collectionName]) return collections[collectionName];
+
+    let docs = {};
+    const stored = storage?.getItem(STORAGE_PREFIX + collectionName);
+    if (stored) {
+      try {
+        docs = deserialize(stored);
+      } catch (error) {
+        console.error(`Corrupted local data for ${collectionName}, starting empty:`, error);
+      }
+    } else if (seed[collectionName]) {
+      seed[collectionName].forEach(({ id, ...data }) => {
+        docs[id || generateId()] = cloneValue(data);
+      });
+    }
+
+    collections[collectionName] = docs;
+    return docs;
+  };
+
+  const save = (collectionName) => {
+    if (!storage) return;
+    try {
+      storage.setItem(STORAGE_PREFIX + collectionName, serialize(collections[collectionName]));
+    } catch (error) {
+      console.error(`Error saving local data for ${collectionName}:`, error);
+    }
+  };
+
+  const snapshot = (collectionName, options = {}) => {
+    const docs = Object.entries(load(collectionName))
+      .map(([id, data]) => ({ id, ...cloneValue(data) }))
+      .filter((item) => matchesWhere(item, options.where));
+    return sortDocs(docs, options.orderBy);
+  };
+
+  const notify = (collectionName) => {
+    save(collectionName);
+    (listeners[collectionName] || []).forEach(({ callback, options }) => {
+      callback(snapshot(collectionName, options));
+    });
+  };
+
+  return {
+    name: 'local',
+
+    timestamp: () => new Date(),
+
+    subscribe: (collectionName, callback, options = {}) => {
+      const listener = { callback, options };
+      listeners[collectionName] = [...(listeners[collectionName] || []), listener];
+      callback(snapshot(collectionName, options));
+
+      return () => {
+        listeners[collectionName] = (listeners[collectionName] || []).filter(l => l !== listener);
+      };
+    },
+
+    list: async (collectionName, options = {}) => snapshot(collectionName, options),
+
+    get: async (collectionName, id) => {
+      const data = load(collectionName)[id];
+      return data ? { id, ...cloneValue(data) } : null;
+    },
+
+    create: async (collectionName, data) => {
+      const id = generateId();
+      load(collectionName)[id] = cloneValue(data);
+      notify(collectionName);
+      return id;
+    },
+
+    set: async (collectionName, id, data) => {
+      load(collectionName)[id] = cloneValue(data);
+      notify(collectionName);
+    },
+
+    update: async (collectionName, id, data) => {
+      const docs = load(collectionName);
+      if (!docs[id]) {
+        throw new Error(`No document to update: ${collectionName}/${id}`);
+      }
+      docs[id] = { ...docs[id], ...cloneValue(data) };
+      notify(collectionName);
+    },
+
+    remove: async (collectionName, id) => {
+      delete load(collectionName)[id];
+      notify(collectionName);
+    },
+
+    runTransaction: (fn) => {
+      const run = transactionQueue.then(async () => {
+        const writes = [];
+        const result = await fn({
+          get: async (collectionName, id) => {
+            const data = load(collectionName)[id];
+            return data ? { id, ...cloneValue(data) } : null;
+          },
+          create: (collectionName, data) => {
+            const id = generateId();
+            writes.push({ type: 'set', collectionName, id, data });
+            return id;
+          },
+          set: (collectionName, id, data) => writes.push({ type: 'set', collectionName, id, data }),
+          update: (collectionName, id, data) => writes.push({ type: 'update', collectionName, id, data }),
+          remove: (collectionName, id) => writes.push({ type: 'remove', collectionName, id })
+        });
+
+        // التحقق قبل تطبيق أي كتابة حتى لا تُطبَّق المعاملة جزئياً
+        const exists = new Map();
+        writes.forEach(({ type, collectionName, id }) => {
+          const key = `${collectionName}/${id}`;
+          const current = exists.has(key) ? exists.get(key) : !!load(collectionName)[id];
+          if (type === 'update' && !current) {
+            throw new Error(`No document to update: ${key}`);
+          }
+          exists.set(key, type !== 'remove');
+        });
+
+        writes.forEach(({ type, collectionName, id, data }) => {
+          const docs = load(collectionName);
+          if (type === 'set') docs[id] = cloneValue(data);
+          else if (type === 'update') docs[id] = { ...docs[id], ...cloneValue(data) };
+          else delete docs[id];
+        });
+        [...new Set(writes.map((w) => w.collectionName))].forEach(notify);
+        return result;
+      });
+
+      transactionQueue = run.catch(() => {});
+      return run;
+    }
+  };
+};
+
+export default createLocalAdapter;
@@ -0,0 +1,72 @@
+/**
+ * أدوات مشتركة للاستعلامات
+ *
+ * يستخدمها محوّل البيانات المحلي لتطبيق شروط where و orderBy بنفس
+ * دلالات Firestore، ويستخدمها محوّل Firestore لترتيب النتائج يدوياً
+ * عندما يفشل الاستعلام مع orderBy (مثلاً عند غياب الفهرس).
+ */
+
+/**
+ * تحويل القيمة إلى شكل قابل للمقارنة (التواريخ إلى أرقام)
+ */
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toDate === 'function') return value.toDate().getTime();
+  return value;
+};
+
+/**
+ * التحقق من تطابق مستند مع شرط واحد [field, op, value]
+ */
+export const matchesCondition = (item, [field, op, value]) => {
+  const actual = comparable(item[field]);
+  const expected = comparable(value);
+
+  switch (op) {
+    case '==':
+      return actual === expected;
+    case '!=':
+      return actual !== expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case 'in':
+      return Array.isArray(value) && value.map(comparable).includes(actual);
+    case 'not-in':
+      return Array.isArray(value) && !value.map(comparable).includes(actual);
+    case 'array-contains':
+      return Array.isArray(item[field]) && item[field].includes(value);
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+/**
+ * التحقق من تطابق مستند مع جميع الشروط
+ */
+export const matchesWhere = (item, conditions = []) =>
+  conditions.every((condition) => matchesCondition(item, condition));
+
+/**
+ * ترتيب المستندات حسب [field, direction]
+ * القيم الفارغة تأتي أولاً كما في Firestore
+ */
+export const sortDocs = (docs, orderBy) => {
+  if (!orderBy) return docs;
+  const [field, direction = 'asc'] = orderBy;
+  const factor = direction === 'desc' ? -1 : 1;
+
+  return [...docs].sort((a, b) => {
+    const valueA = comparable(a[field]);
+    const valueB = comparable(b[field]);
+    if (valueA === valueB) return 0;
+    if (valueA === undefined || valueA === null) return -1 * factor;
+    if (valueB === undefined || valueB === null) return 1 * factor;
+    return (valueA < valueB ? -1 : 1) * factor;
+  });
+};
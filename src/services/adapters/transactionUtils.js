@@ -0,0 +1,51 @@
+/**
+ * أدوات مشتركة للمعاملات
+ *
+ * يستخدمها مغلّفا المحوّل (withAuditLog و withStaffStats) لمعرفة ما كتبته
+ * المعاملة بعد نجاحها: نوع الكتابة، المجموعة، المعرف، والقيمة قبل الكتابة
+ * (من قراءات tx.get داخل نفس المعاملة، أو null إذا لم يُقرأ المستند).
+ */
+
+/**
+ * تنفيذ معاملة مع تتبع كتاباتها
+ * @returns {Promise<{ result: any, writes: Array<{ action, collectionName, id, before }> }>}
+ */
+export const runTrackedTransaction = async (adapter, fn) => {
+  let writes = [];
+
+  const result = await adapter.runTransaction((tx) => {
+    // Firestore قد يعيد تنفيذ الدالة، لذا نبدأ التتبع من جديد في كل محاولة
+    writes = [];
+    const reads = {};
+    const track = (action, collectionName, id) => {
+      writes.push({ action, collectionName, id, before: reads[`${collectionName}/${id}`] || null });
+    };
+
+    return fn({
+      get: async (collectionName, id) => {
+        const data = await tx.get(collectionName, id);
+        reads[`${collectionName}/${id}`] = data;
+        return data;
+      },
+      create: (collectionName, data) => {
+        const id = tx.create(collectionName, data);
+        track('create', collectionName, id);
+        return id;
+      },
+      set: (collectionName, id, data) => {
+        track('set', collectionName, id);
+        tx.set(collectionName, id, data);
+      },
+      update: (collectionName, id, data) => {
+        track('update', collectionName, id);
+        tx.update(collectionName, id, data);
+      },
+      remove: (collectionName, id) => {
+        track('remove', collectionName, id);
+        tx.remove(collectionName, id);
+      }
+    });
+  });
+
+  return { result, writes };
+};
@@ -0,0 +1,140 @@
+/**
+ * Appointment Lifecycle
+ *
+ * حالات الموعد (web_appointments.status) وانتقالاتها (APPOINTMENT_TRANSITIONS):
+ * scheduled -> checked-in (وصل المريض) -> in-consultation (دخل عند الطبيب) -> completed
+ * - no-show: لم يصل المريض؛ يُسجل تلقائياً بعد مهلة التأخير (noShowGraceMinutes في settings/clinic، راجع clinicSettings.js)
+ * - cancelled: قبل بدء الاستشارة فقط
+ * completed و no-show و cancelled حالات نهائية. no-show و cancelled تتطلبان سبباً (REASON_FIELDS).
+ *
+ * كل انتقال يحفظ وقته ومنفذه في `${STATUS_STAMPS[status]}At` و `${STATUS_STAMPS[status]}By`
+ * (مثل checkedInAt / checkedInBy). الانتقالات نفسها في firestoreService.
+ *
+ * هذا الملف يحتوي الحسابات فقط.
+ */
+
+import { isArchived } from './archive';
+import { parseDate } from './treatmentPlans';
+import { toMinutes } from './appointmentSlots';
+
+export const APPOINTMENT_STATUSES = ['scheduled', 'checked-in', 'in-consultation', 'completed', 'no-show', 'cancelled'];
+
+export const APPOINTMENT_TRANSITIONS = {
+  scheduled: ['checked-in', 'no-show', 'cancelled'],
+  'checked-in': ['in-consultation', 'cancelled'],
+  'in-consultation': ['completed'],
+  completed: [],
+  'no-show': [],
+  cancelled: []
+};
+
+export const APPOINTMENT_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  'checked-in': 'Checked In',
+  'in-consultation': 'In Consultation',
+  completed: 'Completed',
+  'no-show': 'No-show',
+  cancelled: 'Cancelled'
+};
+
+// نص زر الانتقال إلى الحالة
+export const APPOINTMENT_ACTION_LABELS = {
+  'checked-in': 'Check in',
+  'in-consultation': 'Start consultation',
+  completed: 'Complete',
+  'no-show': 'No-show',
+  cancelled: 'Cancel'
+};
+
+// بادئة حقول الوقت والمنفذ لكل حالة
+export const STATUS_STAMPS = {
+  'checked-in': 'checkedIn',
+  'in-consultation': 'consultationStarted',
+  completed: 'completed',
+  'no-show': 'noShow',
+  cancelled: 'cancelled'
+};
+
+// الحالات التي تتطلب سبباً، وحقل حفظه
+export const REASON_FIELDS = {
+  'no-show': 'noShowReason',
+  cancelled: 'cancellationReason'
+};
+
+export const DEFAULT_NO_SHOW_GRACE_MINUTES = 15;
+
+// القيم القديمة قبل دورة الحياة
+const LEGACY_STATUSES = {
+  pending: 'scheduled',
+  confirmed: 'scheduled',
+  canceled: 'cancelled'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const lower = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * حالة الموعد ضمن دورة الحياة
+ */
+export const appointmentStatus = (appointment) => {
+  const status = lower(appointment.status);
+  if (APPOINTMENT_STATUSES.includes(status)) return status;
+  return LEGACY_STATUSES[status] || 'scheduled';
+};
+
+export const canTransitionAppointment = (appointment, to) =>
+  APPOINTMENT_TRANSITIONS[appointmentStatus(appointment)].includes(to);
+
+/**
+ * الحالات التي يمكن نقل الموعد إليها الآن
+ */
+export const nextStatuses = (appointment) =>
+  isArchived(appointment, 'web_appointments') ? [] : APPOINTMENT_TRANSITIONS[appointmentStatus(appointment)];
+
+/**
+ * وقت بدء الموعد (null إذا كان التاريخ أو الوقت غير صالح)
+ */
+export const appointmentStart = (appointment) => {
+  const minutes = toMinutes(appointment.time);
+  if (!appointment.date || Number.isNaN(minutes)) return null;
+  const start = parseDate(appointment.date);
+  start.setMinutes(minutes);
+  return Number.isNaN(start.getTime()) ? null : start;
+};
+
+/**
+ * وقت (Timestamp أو Date أو نص) كـ Date، أو null
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * دقائق التأخير عن موعد البدء (سالبة قبل الموعد)
+ */
+export const minutesLate = (appointment, now = new Date()) => {
+  const start = appointmentStart(appointment);
+  return start ? Math.floor((now.getTime() - start.getTime()) / MINUTE_MS) : 0;
+};
+
+/**
+ * دقائق انتظار المريض منذ تسجيل وصوله حتى دخوله (أو حتى الآن إن لم يدخل بعد)
+ */
+export const waitingMinutes = (appointment, now = new Date()) => {
+  const arrived = toDate(appointment.checkedInAt);
+  if (!arrived) return 0;
+  const until = toDate(appointment.consultationStartedAt) || now;
+  return Math.max(Math.floor((until.getTime() - arrived.getTime()) / MINUTE_MS), 0);
+};
+
+/**
+ * موعد لم يُسجل وصول مريضه بعد انتهاء مهلة التأخير
+ */
+export const isOverdueNoShow = (appointment, now = new Date(), graceMinutes = DEFAULT_NO_SHOW_GRACE_MINUTES) =>
+  !isArchived(appointment, 'web_appointments') &&
+  appointmentStatus(appointment) === 'scheduled' &&
+  !!appointmentStart(appointment) &&
+  minutesLate(appointment, now) >= graceMinutes;
@@ -0,0 +1,92 @@
+/**
+ * Appointment Requests
+ *
+ * طلبات المرضى من بوابة المريض (web_appointment_requests):
+ * { type, patientId, patientName, appointmentId?, doctorId, doctorName, date, time, appointmentType, notes, status }
+ * - new: موعد جديد؛ يُنشأ عبر createWebAppointment عند الموافقة فقط
+ * - reschedule: نقل موعد قائم للمريض (appointmentId) إلى date / time عند الموافقة
+ *
+ * الحالات: pending -> approved (يحفظ appointmentId) | declined (declineReason) | withdrawn (سحبه المريض)
+ * الموظف يوافق أو يرفض من لوحة Clerk (صلاحية review)، ويمكنه تعديل الوقت قبل الموافقة.
+ *
+ * الإلغاء لا يمر بالطلبات: المريض يلغي موعده مباشرة إذا بقي على بدايته
+ * CANCELLATION_NOTICE_HOURS على الأقل (canPatientCancel)، وإلا يتصل بالعيادة.
+ *
+ * هذا الملف يحتوي الحسابات فقط؛ الإنشاء والموافقة في firestoreService.
+ */
+
+import { isArchived } from './archive';
+import { toMinutes } from './appointmentSlots';
+import { formatDateISO } from './treatmentPlans';
+import { appointmentStatus, appointmentStart } from './appointmentLifecycle';
+
+export const APPOINTMENT_REQUESTS_COLLECTION = 'web_appointment_requests';
+
+export const REQUEST_TYPES = {
+  new: 'New appointment',
+  reschedule: 'Reschedule'
+};
+
+export const REQUEST_STATUSES = ['pending', 'approved', 'declined', 'withdrawn'];
+
+export const REQUEST_STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  declined: 'Declined',
+  withdrawn: 'Withdrawn'
+};
+
+// أقل مدة قبل بداية الموعد يستطيع فيها المريض الإلغاء بنفسه
+export const CANCELLATION_NOTICE_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * حالة الطلب (الطلبات بدون حالة = pending)
+ */
+export const requestStatus = (request) =>
+  REQUEST_STATUSES.includes(request.status) ? request.status : 'pending';
+
+/**
+ * الطلبات التي تنتظر قرار الموظف
+ */
+export const isOpenRequest = (request) =>
+  !isArchived(request, APPOINTMENT_REQUESTS_COLLECTION) && requestStatus(request) === 'pending';
+
+/**
+ * طلب نقل مفتوح لنفس الموعد (لا يُقبل طلبان لموعد واحد)
+ */
+export const pendingRescheduleFor = (requests, appointmentId) =>
+  (requests || []).find((r) => isOpenRequest(r) && r.type === 'reschedule' && r.appointmentId === appointmentId) || null;
+
+/**
+ * التحقق من الطلب قبل إرساله
+ * @returns {string|null} رسالة الخطأ أو null
+ */
+export const validateAppointmentRequest = (request, now = new Date()) => {
+  if (!REQUEST_TYPES[request.type]) return 'نوع الطلب غير معروف';
+  if (request.type === 'reschedule' && !request.appointmentId) return 'الموعد المطلوب نقله غير محدد';
+  if (!request.doctorId) return 'الطبيب مطلوب';
+  if (!request.date) return 'التاريخ مطلوب';
+  if (request.date < formatDateISO(now)) return 'لا يمكن طلب موعد في تاريخ سابق';
+  if (Number.isNaN(toMinutes(request.time))) return 'صيغة الوقت غير صحيحة (HH:MM)';
+  return null;
+};
+
+/**
+ * هل يستطيع المريض إلغاء موعده بنفسه؟
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+export const canPatientCancel = (appointment, now = new Date()) => {
+  if (isArchived(appointment, 'web_appointments') || appointmentStatus(appointment) !== 'scheduled') {
+    return { allowed: false, reason: 'Only scheduled appointments can be cancelled' };
+  }
+  const start = appointmentStart(appointment);
+  if (start && start.getTime() - now.getTime() < CANCELLATION_NOTICE_HOURS * HOUR_MS) {
+    return {
+      allowed: false,
+      reason: `Cancellations less than ${CANCELLATION_NOTICE_HOURS} hours before the appointment must be made by phone`
+    };
+  }
+  return { allowed: true };
+};
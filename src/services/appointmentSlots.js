@@ -0,0 +1,197 @@
+/**
+ * Appointment Slots
+ *
+ * قواعد التعارض في المواعيد - مكان واحد تستخدمه الخدمة والواجهات:
+ * - الموعد يبدأ في time (HH:MM بنظام 24 ساعة) ويستمر duration دقيقة، ونوعه appointmentType
+ * - بعد كل موعد وقت فاصل (buffer) حسب نوعه لا يبدأ فيه موعد آخر
+ * - موعدان لنفس الطبيب يتعارضان إذا تداخلت فترتاهما مع الفاصل (blockedInterval)
+ * - الموعد يشغل وقته إذا لم يكن مؤرشفاً ولم تكن حالته من RELEASED_STATUSES (holdsSlot)
+ * - الطبيب يُطابق بأي من معرفاته (id أو uid)، والسجلات القديمة بالاسم
+ * - المواعيد القديمة بدون نوع أو مدة تُعامل كـ DEFAULT_APPOINTMENT_TYPE
+ *
+ * الحجز الذري: لكل طبيب ويوم مستند في appointment_slots معرفه slotDayKey(doctorId, date)
+ * ويحمل فترات المواعيد المحجوزة { reservations: { [appointmentId]: { start, end } } }
+ * (end يشمل الفاصل). الحجز والنقل والتحرير تتم داخل نفس المعاملة التي تكتب الموعد
+ * (راجع firestoreService).
+ */
+
+import { isArchived } from './archive';
+import { appointmentDoctorRef } from './staffStats';
+
+export const SLOTS_COLLECTION = 'appointment_slots';
+
+// حالات تحرر الوقت
+export const RELEASED_STATUSES = ['cancelled'];
+
+// أنواع المواعيد: المدة الافتراضية والفاصل بعد الموعد (بالدقائق)
+export const APPOINTMENT_TYPES = {
+  consultation: { label: 'Consultation', duration: 30, buffer: 0 },
+  follow_up: { label: 'Follow-up', duration: 15, buffer: 5 },
+  procedure: { label: 'Procedure', duration: 60, buffer: 15 },
+  chemotherapy: { label: 'Chemotherapy', duration: 180, buffer: 30 }
+};
+
+export const DEFAULT_APPOINTMENT_TYPE = 'consultation';
+
+// الفرق بين الأوقات المقترحة في ساعات العمل
+export const SLOT_STEP_MINUTES = 15;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * تطبيع الوقت إلى HH:MM بنظام 24 ساعة
+ */
+export const normalizeTime = (time) => {
+  const text = String(time || '').trim();
+  const match = text.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return text;
+
+  const period = (match[3] || '').toUpperCase();
+  let hours = Number(match[1]);
+  if (period) hours = (hours % 12) + (period === 'PM' ? 12 : 0);
+  return `${pad(hours)}:${match[2]}`;
+};
+
+/**
+ * الوقت بالدقائق من بداية اليوم (NaN إذا كان غير صالح)
+ */
+export const toMinutes = (time) => {
+  const match = normalizeTime(time).match(/^(\d{2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return NaN;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+export const fromMinutes = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+export const appointmentTypeOf = (appointment) =>
+  APPOINTMENT_TYPES[appointment.appointmentType] ? appointment.appointmentType : DEFAULT_APPOINTMENT_TYPE;
+
+/**
+ * مدة الموعد بالدقائق (المحفوظة، أو الافتراضية لنوعه)
+ */
+export const appointmentDuration = (appointment) => {
+  const duration = Number(appointment.duration);
+  return duration > 0 ? duration : APPOINTMENT_TYPES[appointmentTypeOf(appointment)].duration;
+};
+
+export const appointmentEndTime = (appointment) =>
+  fromMinutes(toMinutes(appointment.time) + appointmentDuration(appointment));
+
+/**
+ * عرض الفترة، مثل "09:00–09:30"
+ */
+export const formatTimeRange = (appointment) =>
+  Number.isNaN(toMinutes(appointment.time))
+    ? appointment.time || ''
+    : `${normalizeTime(appointment.time)}–${appointmentEndTime(appointment)}`;
+
+/**
+ * الفترة التي يشغلها الموعد بالدقائق، مع الفاصل بعده
+ * @returns {{ start: number, end: number }}
+ */
+export const blockedInterval = (appointment) => {
+  const start = toMinutes(appointment.time);
+  const { buffer } = APPOINTMENT_TYPES[appointmentTypeOf(appointment)];
+  return { start, end: start + appointmentDuration(appointment) + buffer };
+};
+
+export const intervalsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * هل الموعد يشغل وقته؟
+ */
+export const holdsSlot = (appointment) =>
+  !isArchived(appointment, 'web_appointments') &&
+  !RELEASED_STATUSES.includes((appointment.status || '').toLowerCase());
+
+/**
+ * معرف مستند الحجز (ثابت لنفس الطبيب والتاريخ)
+ */
+export const slotDayKey = (doctorId, date) =>
+  [doctorId, date].join('_').replace(/\//g, '-');
+
+export const appointmentSlotKey = (appointment) =>
+  slotDayKey(appointment.doctorId, appointment.date);
+
+/**
+ * الفترة كما تُحفظ في مستند الحجز
+ */
+export const slotReservation = (appointment) => {
+  const { start, end } = blockedInterval(appointment);
+  return { start: fromMinutes(start), end: fromMinutes(end) };
+};
+
+/**
+ * هل الموعد لهذا الطبيب في هذا التاريخ؟
+ * @param {Object} slot - { doctorId: string | string[], doctorName?, date }
+ */
+const onDoctorDay = (appointment, { doctorId, doctorName, date }) => {
+  const ref = appointmentDoctorRef(appointment);
+  const matchesDoctor = ref
+    ? [].concat(doctorId).filter(Boolean).includes(ref)
+    : !!doctorName && (appointment.doctorName || appointment.doctor) === doctorName;
+  return matchesDoctor && appointment.date === date;
+};
+
+/**
+ * المواعيد التي تشغل وقتاً لطبيب في يوم معين
+ * @param {Array} appointments - المواعيد
+ * @param {Object} slot - { doctorId: string | string[], doctorName?, date }
+ * @param {string|string[]} [excludeIds] - مواعيد لا تُحسب (الموعد الذي يتم تعديله)
+ */
+export const bookedAppointments = (appointments, slot, excludeIds = []) => {
+  const excluded = [].concat(excludeIds || []);
+  return appointments.filter((a) => !excluded.includes(a.id) && holdsSlot(a) && onDoctorDay(a, slot));
+};
+
+/**
+ * الموعد الذي تتداخل فترته مع الموعد المطلوب، أو null
+ * @param {Object} slot - { doctorId: string | string[], doctorName?, date, time, appointmentType?, duration? }
+ */
+export const findSlotConflict = (appointments, slot, excludeIds = []) => {
+  const interval = blockedInterval(slot);
+  return bookedAppointments(appointments, slot, excludeIds)
+    .find((a) => intervalsOverlap(blockedInterval(a), interval)) || null;
+};
+
+/**
+ * أوقات البدء المتاحة ضمن ساعات العمل (كل SLOT_STEP_MINUTES)، بحيث ينتهي الموعد
+ * قبل نهاية الدوام ولا يتداخل مع موعد آخر
+ * @param {Object} slot - { doctorId: string | string[], doctorName?, date, appointmentType?, duration? }
+ * @param {{ start: string, end: string }|null} hours - ساعات العمل في ذلك اليوم (راجع doctorSchedule.js)
+ */
+export const availableTimes = (appointments, slot, hours, excludeIds = []) =>
+  freeStartTimes(bookedAppointments(appointments, slot, excludeIds).map(blockedInterval), slot, hours);
+
+/**
+ * نفس availableTimes لكن من مستندات الحجز (appointment_slots) بدلاً من المواعيد؛
+ * لمن لا يقرأ مواعيد الآخرين (بوابة المريض). المواعيد القديمة بدون حجز لا تظهر هنا،
+ * والوقت يُفحص من جديد عند الحجز.
+ * @param {Array} slotDays - مستندات الحجز لأيام الطبيب (بكل معرفاته) في ذلك التاريخ
+ */
+export const availableTimesFromReservations = (slotDays, slot, hours, excludeIds = []) => {
+  const excluded = [].concat(excludeIds || []);
+  const booked = (slotDays || [])
+    .flatMap((day) => Object.entries(day.reservations || {}))
+    .filter(([id]) => !excluded.includes(id))
+    .map(([, r]) => ({ start: toMinutes(r.start), end: toMinutes(r.end) }));
+  return freeStartTimes(booked, slot, hours);
+};
+
+const freeStartTimes = (booked, slot, hours) => {
+  if (!hours) return [];
+  const duration = appointmentDuration(slot);
+  const times = [];
+
+  for (let start = toMinutes(hours.start); start + duration <= toMinutes(hours.end); start += SLOT_STEP_MINUTES) {
+    const interval = blockedInterval({ ...slot, time: fromMinutes(start) });
+    if (!booked.some((b) => intervalsOverlap(b, interval))) times.push(fromMinutes(start));
+  }
+  return times;
+};
+
+/**
+ * دقائق المواعيد المحجوزة لطبيب في يوم (بدون الفاصل)
+ */
+export const bookedMinutes = (appointments, slot) =>
+  bookedAppointments(appointments, slot).reduce((sum, a) => sum + appointmentDuration(a), 0);
@@ -0,0 +1,27 @@
+/**
+ * Archive (Soft delete)
+ *
+ * نموذج موحد للأرشفة بدلاً من الحذف النهائي لكل المجموعات:
+ * { archived: true, archiveReason, archivedAt, archivedBy }
+ * الاستعادة تعيد archived: false وتسجل restoredAt / restoredBy.
+ *
+ * المرضى المحذوفون بالطريقة القديمة (status: 'inactive') يُعاملون كمؤرشفين.
+ */
+
+/**
+ * هل المستند مؤرشف؟
+ */
+export const isArchived = (doc, collectionName) =>
+  doc?.archived === true || (collectionName === 'patients' && doc?.status === 'inactive');
+
+/**
+ * المستندات النشطة فقط
+ */
+export const excludeArchived = (docs, collectionName) =>
+  (docs || []).filter((doc) => !isArchived(doc, collectionName));
+
+/**
+ * المستندات المؤرشفة فقط
+ */
+export const onlyArchived = (docs, collectionName) =>
+  (docs || []).filter((doc) => isArchived(doc, collectionName));
@@ -0,0 +1,184 @@
+/**
+ * Audit Log
+ *
+ * سجل تدقيق (audit_log): كل create / set / update / remove يُسجَّل مع المنفذ ودوره
+ * والمجموعة ومعرف المستند والفرق بين القيم قبل وبعد التغيير.
+ *
+ * - Firestore: يكتب السجلَّ الخادم (auditLog في functions/index.js) لكل كتابة من أي عميل،
+ *   و firestore.rules يمنع إضافة أو تعديل أو حذف مستندات audit_log من العملاء.
+ * - المحوّل المحلي: withAuditLog(adapter, { writeEntries: true }) يكتب السجل بعد كل كتابة
+ *   عبر الخدمات (للتطوير والاختبار فقط؛ لا حماية حقيقية لبيانات المتصفح).
+ *
+ * في الحالتين يرفض المغلِّف أي set / update / remove على audit_log من الخدمات، ويختم كل
+ * كتابة على المجموعات المسجلة بـ updatedPlatform و updatedByRole (الدور الذي نُفذت به)؛
+ * السجل يأخذ المنصة والدور من المستند المكتوب وليس من الدور النشط وقت التسجيل.
+ */
+
+import { authProvider } from './authProvider';
+import { runTrackedTransaction } from './adapters/transactionUtils';
+
+export const AUDIT_COLLECTION = 'audit_log';
+
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+const PLATFORM = 'web';
+
+// مجموعات لا تُسجَّل (السجل نفسه وطابور البريد وحجوزات الأوقات المشتقة من المواعيد
+// ونسخ صناديق الوارد المشتقة من الإشعارات - الإرسال نفسه يُسجَّل في web_notifications)
+const UNAUDITED_COLLECTIONS = [AUDIT_COLLECTION, 'mail', 'appointment_slots', 'web_notification_inbox'];
+
+// حقول وصفية تتغير مع كل كتابة ولا تفيد في الفرق، و stats / occupancy المشتقة (staffStats.js، transfers.js)
+// نفس IGNORED_FIELDS في functions/index.js
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'updatedBy', 'updatedPlatform', 'updatedByRole', 'stats', 'occupancy'];
+
+/**
+ * تحويل القيمة لشكل قابل للمقارنة والحفظ (Firestore لا يقبل undefined)
+ */
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * حساب الفرق بين نسختين من المستند على مستوى الحقول الأولى
+ * @returns {Object} { field: { before, after } }
+ */
+export const diffDocs = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (!isEqual(oldValue, newValue)) {
+      changes[field] = { before: normalize(oldValue), after: normalize(newValue) };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * ختم الكتابة بالمنصة والدور الحالي
+ */
+const writeStamp = () => ({
+  updatedPlatform: PLATFORM,
+  updatedByRole: authProvider.getCurrentRole() || null
+});
+
+/**
+ * بيانات المنفذ؛ المنصة والدور من ختم المستند (نفس auditActor في functions/index.js)
+ */
+const getActor = (doc) => {
+  const user = authProvider.getCurrentUser();
+  return {
+    actorId: user?.uid || null,
+    actorName: user?.name || user?.displayName || '',
+    actorEmail: user?.email || '',
+    role: doc?.updatedByRole ?? null,
+    platform: doc?.updatedPlatform || doc?.createdPlatform || null
+  };
+};
+
+/**
+ * تغليف محوّل بيانات بحيث تُسجَّل كل عملية كتابة في audit_log
+ * @param {Object} options
+ * @param {boolean} options.writeEntries - كتابة السجل من العميل (المحوّل المحلي فقط؛
+ *   في Firestore يكتبه الخادم)
+ */
+export const withAuditLog = (adapter, { writeEntries = true } = {}) => {
+  // فشل كتابة السجل يُعاد للمستدعي (الكتابة الأصلية تمت لكن لم تُسجَّل)
+  const record = async (collectionName, docId, action, before, after) => {
+    const changes = diffDocs(before, after);
+    if (action === AUDIT_ACTIONS.UPDATE && Object.keys(changes).length === 0) return;
+
+    await adapter.create(AUDIT_COLLECTION, {
+      ...getActor(after || before),
+      collection: collectionName,
+      docId,
+      action,
+      changes,
+      timestamp: adapter.timestamp()
+    });
+  };
+
+  const isStamped = (collectionName) => !UNAUDITED_COLLECTIONS.includes(collectionName);
+  const isAudited = (collectionName) => writeEntries && isStamped(collectionName);
+  const stamped = (collectionName, data) => (isStamped(collectionName) ? { ...data, ...writeStamp() } : data);
+
+  const assertWritable = (collectionName) => {
+    if (collectionName === AUDIT_COLLECTION) {
+      throw new Error('سجل التدقيق للإضافة فقط');
+    }
+  };
+
+  return {
+    ...adapter,
+
+    create: async (collectionName, data) => {
+      const id = await adapter.create(collectionName, stamped(collectionName, data));
+      if (isAudited(collectionName)) {
+        await record(collectionName, id, AUDIT_ACTIONS.CREATE, null, await adapter.get(collectionName, id));
+      }
+      return id;
+    },
+
+    set: async (collectionName, id, data) => {
+      assertWritable(collectionName);
+      const before = isAudited(collectionName) ? await adapter.get(collectionName, id) : null;
+      await adapter.set(collectionName, id, stamped(collectionName, data));
+      if (isAudited(collectionName)) {
+        const action = before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE;
+        await record(collectionName, id, action, before, await adapter.get(collectionName, id));
+      }
+    },
+
+    update: async (collectionName, id, data) => {
+      assertWritable(collectionName);
+      const before = isAudited(collectionName) ? await adapter.get(collectionName, id) : null;
+      await adapter.update(collectionName, id, stamped(collectionName, data));
+      if (isAudited(collectionName)) {
+        await record(collectionName, id, AUDIT_ACTIONS.UPDATE, before, await adapter.get(collectionName, id));
+      }
+    },
+
+    remove: async (collectionName, id) => {
+      assertWritable(collectionName);
+      const before = isAudited(collectionName) ? await adapter.get(collectionName, id) : null;
+      await adapter.remove(collectionName, id);
+      if (isAudited(collectionName)) {
+        await record(collectionName, id, AUDIT_ACTIONS.DELETE, before, null);
+      }
+    },
+
+    // كتابات المعاملة تُسجَّل بعد نجاحها فقط
+    runTransaction: async (fn) => {
+      const { result, writes } = await runTrackedTransaction(adapter, (tx) => fn({
+        ...tx,
+        create: (collectionName, data) => tx.create(collectionName, stamped(collectionName, data)),
+        set: (collectionName, id, data) => { assertWritable(collectionName); tx.set(collectionName, id, stamped(collectionName, data)); },
+        update: (collectionName, id, data) => { assertWritable(collectionName); tx.update(collectionName, id, stamped(collectionName, data)); },
+        remove: (collectionName, id) => { assertWritable(collectionName); tx.remove(collectionName, id); }
+      }));
+
+      for (const { action, collectionName, id, before } of writes) {
+        if (!isAudited(collectionName)) continue;
+        if (action === 'remove') {
+          await record(collectionName, id, AUDIT_ACTIONS.DELETE, before, null);
+        } else {
+          const auditAction = before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE;
+          await record(collectionName, id, auditAction, before, await adapter.get(collectionName, id));
+        }
+      }
+      return result;
+    }
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * Auth Provider
+ *
+ * نقطة الدخول الوحيدة للمصادقة. يختار التنفيذ (Mock أو Firebase) مرة واحدة
+ * حسب AUTH_MODE في src/config/runtime.js، ويعرض نفس الواجهة في الوضعين:
+ * - signIn(email, password)
+ * - signInAs(role)        -> الدخول السريع من شاشة تسجيل الدخول
+ * - signOut()
+ * - switchRole(role)      -> تغيير الدور النشط وحفظه في users/{uid}
+ * - subscribe(callback)   -> unsubscribe
+ * - getCurrentUser()      -> المستخدم الحالي مع بيانات users/{uid} (أو null)
+ * - getCurrentRole()      -> الدور النشط للمستخدم الحالي (أو null)
+ */
+
+import { AUTH_MODE, USE_MOCK_AUTH } from '../config/runtime';
+import {
+  signIn as firebaseSignIn,
+  signOut as authSignOut,
+  subscribeToAuthState,
+  getActiveRole,
+  updateActiveRole,
+  mockLogin,
+  mockSignIn,
+  mockSetActiveRole,
+  subscribeToMockAuthState
+} from './authService';
+
+// حسابات الدخول السريع في وضع Firebase
+const ROLE_CREDENTIALS = {
+  admin: { email: 'admin@cancare.com', password: 'admin123' },
+  chief: { email: 'chief@cancare.com', password: 'chief123' },
+  clerk: { email: 'clerk@cancare.com', password: 'clerk123' },
+  doctor: { email: 'doctor@cancare.com', password: 'doctor123' },
+  nurse: { email: 'nurse@cancare.com', password: 'nurse123' },
+  patient: { email: 'patient@cancare.com', password: 'patient123' }
+};
+
+const mockProvider = {
+  signIn: (email) => mockSignIn(email),
+  signInAs: (role) => mockLogin(role),
+  saveActiveRole: (uid, role) => mockSetActiveRole(role),
+  subscribe: subscribeToMockAuthState
+};
+
+const firebaseProvider = {
+  signIn: (email, password) => firebaseSignIn(email, password),
+  signInAs: async (role) => {
+    const creds = ROLE_CREDENTIALS[role];
+    if (!creds) {
+      throw new Error(`Role ${role} غير موجود`);
+    }
+    return firebaseSignIn(creds.email, creds.password);
+  },
+  saveActiveRole: updateActiveRole,
+  subscribe: subscribeToAuthState
+};
+
+const provider = USE_MOCK_AUTH ? mockProvider : firebaseProvider;
+
+// نسخة متزامنة من المستخدم الحالي (مع الأدوار) للخدمات التي لا تستطيع الاشتراك
+let currentUser = null;
+let resolved = false;
+const listeners = new Set();
+
+const publish = (user) => {
+  currentUser = user || null;
+  resolved = true;
+  listeners.forEach((callback) => callback(currentUser));
+};
+
+provider.subscribe(publish);
+
+export const authProvider = {
+  mode: AUTH_MODE,
+  signIn: provider.signIn,
+  signInAs: provider.signInAs,
+  signOut: authSignOut,
+
+  /**
+   * تغيير الدور النشط دون تسجيل الخروج
+   * (onAuthStateChanged لا يُطلق عند تعديل مستند users، لذلك ننشر التغيير هنا)
+   */
+  switchRole: async (role) => {
+    if (!currentUser) {
+      throw new Error('لا يوجد مستخدم مسجل');
+    }
+    if (!currentUser.roles?.includes(role)) {
+      throw new Error(`الدور ${role} غير متاح لهذا المستخدم`);
+    }
+
+    await provider.saveActiveRole(currentUser.uid, role);
+    publish({ ...currentUser, activeRole: role });
+  },
+
+  subscribe: (callback) => {
+    listeners.add(callback);
+    if (resolved) {
+      callback(currentUser);
+    }
+    return () => {
+      listeners.delete(callback);
+    };
+  },
+
+  getCurrentUser: () => currentUser,
+  getCurrentRole: () => getActiveRole(currentUser)
+};
+
+/**
+ * معرف المستخدم الحالي (للحقول createdBy / updatedBy)
+ */
+export const getCurrentUserId = () => authProvider.getCurrentUser()?.uid || null;
+
+export default authProvider;
@@ -5,13 +5,13 @@
  * 1. Firebase Authentication (الحقيقي)
  * 2. Mock Authentication (للتنمية والتجربة بدون Firebase)
  * 
- * لتغيير الوضع، غيّر قيمة USE_MOCK_AUTH في:
- * - src/App.js
- * - src/components/Login.jsx  
- * - src/services/authService.js (في دالة signOut)
+ * الوضع يُحدد مرة واحدة في src/config/runtime.js من متغير البيئة REACT_APP_AUTH_MODE:
  * 
- * USE_MOCK_AUTH = true  -> Mock Mode (لا يحتاج Firebase)
- * USE_MOCK_AUTH = false -> Firebase Mode (يحتاج Firebase Config)
+ * REACT_APP_AUTH_MODE=mock     -> Mock Mode (لا يحتاج Firebase) - الافتراضي
+ * REACT_APP_AUTH_MODE=firebase -> Firebase Mode (يحتاج Firebase Config)
+ * 
+ * المكونات لا تستورد هذا الملف مباشرة - تستخدم useAuth() من src/context/AuthContext.jsx
+ * والخدمات تستخدم src/services/authProvider.js
  */
 
 import { 
@@ -21,6 +21,7 @@ import {
 } from 'firebase/auth';
 import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
 import { auth, db } from '../firebase/config';
+import { USE_MOCK_AUTH } from '../config/runtime';
 
 /**
  * تسجيل الدخول
@@ -43,7 +44,9 @@ export const signIn = async (email, password) => {
     // تحديث آخر دخول
     await updateDoc(userDocRef, {
       lastLoginAt: serverTimestamp(),
-      lastLoginPlatform: 'web'
+      lastLoginPlatform: 'web',
+      updatedPlatform: 'web',
+      updatedByRole: userData.activeRole || null
     });
     
     return {
@@ -76,9 +79,6 @@ export const signIn = async (email, password) => {
  */
 export const signOut = async () => {
   try {
-    // تفعيل Mock Mode (يجب أن يكون نفس القيمة في App.js)
-    const USE_MOCK_AUTH = true;
-    
     if (USE_MOCK_AUTH) {
       await mockSignOut();
     } else {
@@ -121,6 +121,23 @@ export const subscribeToAuthState = (callback) => {
   });
 };
 
+/**
+ * حفظ الدور النشط في مستند users/{uid}
+ */
+export const updateActiveRole = async (uid, role) => {
+  try {
+    await updateDoc(doc(db, 'users', uid), {
+      activeRole: role,
+      updatedAt: serverTimestamp(),
+      updatedPlatform: 'web',
+      updatedByRole: role
+    });
+  } catch (error) {
+    console.error('Error updating active role:', error);
+    throw error;
+  }
+};
+
 /**
  * التحقق من وجود دور معين
  */
@@ -167,7 +184,7 @@ const mockUsers = {
     uid: 'mock-chief-001',
     email: 'chief@cancare.com',
     name: 'Chief User',
-    roles: ['chief'],
+    roles: ['chief', 'clerk'],
     activeRole: 'chief',
     createdAt: new Date().toISOString()
   },
@@ -178,13 +195,41 @@ const mockUsers = {
     roles: ['clerk'],
     activeRole: 'clerk',
     createdAt: new Date().toISOString()
+  },
+  doctor: {
+    uid: 'mock-doctor-001',
+    email: 'doctor@cancare.com',
+    name: 'Doctor User',
+    roles: ['doctor'],
+    activeRole: 'doctor',
+    createdAt: new Date().toISOString()
+  },
+  nurse: {
+    uid: 'mock-nurse-001',
+    email: 'nurse@cancare.com',
+    name: 'Nurse User',
+    roles: ['nurse'],
+    activeRole: 'nurse',
+    createdAt: new Date().toISOString()
+  },
+  patient: {
+    uid: 'mock-patient-001',
+    email: 'patient@cancare.com',
+    name: 'Patient User',
+    roles: ['patient'],
+    activeRole: 'patient',
+    createdAt: new Date().toISOString()
   }
 };
 
-// Mock auth state listener
-let mockAuthCallback = null;
+// Mock auth state listeners
+const mockAuthCallbacks = new Set();
 let mockCurrentUser = null;
 
+const notifyMockAuthState = () => {
+  mockAuthCallbacks.forEach((callback) => callback(mockCurrentUser));
+};
+
 /**
  * تسجيل الدخول الوهمي (Mock Login) - للتجربة بدون Firebase
  */
@@ -197,40 +242,63 @@ export const mockLogin = async (role) => {
   // تخزين المستخدم الحالي
   mockCurrentUser = user;
   
-  // استدعاء callback إذا كان موجود
-  if (mockAuthCallback) {
-    mockAuthCallback(user);
-  }
+  // إبلاغ جميع المشتركين
+  notifyMockAuthState();
   
   return user;
 };
 
+/**
+ * تسجيل الدخول الوهمي بالبريد الإلكتروني
+ * إذا لم يكن البريد لمستخدم وهمي معروف يتم الدخول كـ admin (السلوك السابق)
+ */
+export const mockSignIn = async (email) => {
+  const normalized = (email || '').trim().toLowerCase();
+  const role = Object.keys(mockUsers).find((key) => mockUsers[key].email === normalized) || 'admin';
+  return mockLogin(role);
+};
+
 /**
  * تسجيل الخروج الوهمي (Mock Logout)
  */
 export const mockSignOut = async () => {
   mockCurrentUser = null;
-  if (mockAuthCallback) {
-    mockAuthCallback(null);
+  notifyMockAuthState();
+};
+
+/**
+ * تغيير الدور النشط للمستخدم الوهمي الحالي
+ */
+export const mockSetActiveRole = async (role) => {
+  if (!mockCurrentUser) {
+    throw new Error('لا يوجد مستخدم مسجل');
+  }
+  
+  mockCurrentUser = { ...mockCurrentUser, activeRole: role };
+  
+  // حفظ الدور في "مستند" المستخدم الوهمي ليبقى بعد إعادة الدخول
+  const key = Object.keys(mockUsers).find((k) => mockUsers[k].uid === mockCurrentUser.uid);
+  if (key) {
+    mockUsers[key] = { ...mockUsers[key], activeRole: role };
   }
+  
+  notifyMockAuthState();
+  
+  return mockCurrentUser;
 };
 
 /**
  * الاشتراك في حالة المصادقة الوهمية
  */
 export const subscribeToMockAuthState = (callback) => {
-  mockAuthCallback = callback;
+  mockAuthCallbacks.add(callback);
   
-  // استدعاء فوري إذا كان هناك مستخدم حالي
-  if (mockCurrentUser) {
-    callback(mockCurrentUser);
-  } else {
-    callback(null);
-  }
+  // استدعاء فوري بالمستخدم الحالي (أو null)
+  callback(mockCurrentUser);
   
   // إرجاع دالة إلغاء الاشتراك
   return () => {
-    mockAuthCallback = null;
+    mockAuthCallbacks.delete(callback);
   };
 };
 
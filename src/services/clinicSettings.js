@@ -0,0 +1,54 @@
+/**
+ * Clinic Settings
+ *
+ * إعدادات العيادة المشتركة بين الواجهة والخادم، في مستند واحد settings/clinic يعدّله المسؤول:
+ * - noShowGraceMinutes: مهلة التأخير بالدقائق قبل تسجيل الموعد no-show تلقائياً (الافتراضي 15)
+ * - timeZone: توقيت العيادة (IANA مثل 'Asia/Amman')؛ مواعيد web_appointments تُحفظ بتوقيتها المحلي
+ *
+ * markNoShows في functions/index.js يقرأ نفس المستند بنفس القواعد (clinicSettingsOf). بدون timeZone
+ * تستخدم الواجهة توقيت الجهاز، ولا يسجل الخادم أي no-show حتى يُضبط (لا يُفترض UTC).
+ */
+
+import { DEFAULT_NO_SHOW_GRACE_MINUTES } from './appointmentLifecycle';
+
+export const SETTINGS_COLLECTION = 'settings';
+export const CLINIC_SETTINGS_ID = 'clinic';
+
+/**
+ * هل القيمة اسم توقيت IANA يعرفه Intl؟
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * الإعدادات بعد التحقق (القيم الناقصة أو غير الصالحة تأخذ الافتراضي)
+ * @param {Object|null} doc - مستند settings/clinic
+ * @returns {{ noShowGraceMinutes: number, timeZone: string|null }}
+ */
+export const clinicSettingsOf = (doc) => {
+  const grace = doc?.noShowGraceMinutes;
+  return {
+    noShowGraceMinutes: Number.isInteger(grace) && grace >= 0 ? grace : DEFAULT_NO_SHOW_GRACE_MINUTES,
+    timeZone: isValidTimeZone(doc?.timeZone) ? doc.timeZone : null
+  };
+};
+
+/**
+ * الوقت بتوقيت العيادة كـ Date محلي حقوله ساعة العيادة، ليُقارن مباشرة مع تاريخ ووقت الموعد
+ * (بدون timeZone يُعاد الوقت كما هو)
+ */
+export const clinicNow = (timeZone, now = new Date()) => {
+  if (!timeZone) return now;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(now).map(({ type, value }) => [type, Number(value)]));
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
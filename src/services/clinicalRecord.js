@@ -0,0 +1,237 @@
+/**
+ * Clinical Record
+ *
+ * السجل الطبي المنظم للمريض داخل patients/{id}.mobileData (نفس مكان بيانات تطبيق الموبايل):
+ * - allergyRecords: الحساسية مع الرمز ونظام الترميز والشدة والعَرَض
+ * - problems:       قائمة المشاكل الصحية مع تاريخ البداية والحالة
+ * - medications:    الأدوية الحالية مع الجرعة والطريق والجدول
+ * - vitals:         العلامات الحيوية مع وقت القياس
+ *
+ * التوافق مع الموبايل: الحقلان القديمان mobileData.allergies و mobileData.medicalHistory
+ * يبقيان مصفوفتي نصوص (الأسماء فقط) ويُحدَّثان مع كل كتابة.
+ * إذا لم توجد سجلات منظمة بعد، تُقرأ النصوص القديمة كسجلات وتُرحَّل عند أول تعديل.
+ *
+ * التواريخ داخل المصفوفات نصوص ISO لأن serverTimestamp غير مسموح داخل المصفوفات.
+ */
+
+import { dataAdapter } from './dataAdapter';
+import { authProvider, getCurrentUserId } from './authProvider';
+import { assertCan } from '../config/permissions';
+
+export const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'life-threatening'];
+
+export const CODE_SYSTEMS = ['SNOMED CT', 'RxNorm', 'ICD-10', 'Other'];
+
+export const PROBLEM_STATUSES = ['active', 'resolved'];
+
+export const MEDICATION_ROUTES = ['oral', 'IV', 'IM', 'subcutaneous', 'topical', 'inhaled', 'other'];
+
+export const MEDICATION_STATUSES = ['active', 'stopped'];
+
+// الأقسام: المفتاح في mobileData والحقل النصي القديم المقابل (إن وجد)
+export const CLINICAL_SECTIONS = {
+  allergies: { key: 'allergyRecords', legacyKey: 'allergies', nameField: 'substance' },
+  problems: { key: 'problems', legacyKey: 'medicalHistory', nameField: 'name' },
+  medications: { key: 'medications', legacyKey: null, nameField: 'name' },
+  vitals: { key: 'vitals', legacyKey: null, nameField: null }
+};
+
+export const VITAL_FIELDS = [
+  { name: 'temperature', label: 'Temperature', unit: '°C', min: 30, max: 45 },
+  { name: 'heartRate', label: 'Heart Rate', unit: 'bpm', min: 20, max: 250 },
+  { name: 'respiratoryRate', label: 'Respiratory Rate', unit: '/min', min: 4, max: 80 },
+  { name: 'systolic', label: 'BP Systolic', unit: 'mmHg', min: 50, max: 260 },
+  { name: 'diastolic', label: 'BP Diastolic', unit: 'mmHg', min: 20, max: 180 },
+  { name: 'oxygenSaturation', label: 'SpO2', unit: '%', min: 50, max: 100 },
+  { name: 'weight', label: 'Weight', unit: 'kg', min: 0.5, max: 400 }
+];
+
+const serverTimestamp = () => dataAdapter.timestamp();
+
+const generateEntryId = () => `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+
+/**
+ * تحويل نص قديم (من الموبايل أو النموذج القديم) إلى سجل
+ */
+const fromLegacy = (section, value, index) => {
+  const { nameField } = CLINICAL_SECTIONS[section];
+  return { id: `legacy-${index}`, [nameField]: String(value), legacy: true };
+};
+
+/**
+ * قراءة قسم واحد من mobileData مع دعم الشكل القديم
+ */
+const readSection = (mobileData, section) => {
+  const { key, legacyKey } = CLINICAL_SECTIONS[section];
+  if (Array.isArray(mobileData?.[key])) return mobileData[key];
+  if (legacyKey && Array.isArray(mobileData?.[legacyKey])) {
+    return mobileData[legacyKey].filter(Boolean).map((value, i) => fromLegacy(section, value, i));
+  }
+  return [];
+};
+
+/**
+ * السجل الطبي المنظم لمريض
+ * @returns {{ allergies: Array, problems: Array, medications: Array, vitals: Array }}
+ */
+export const getClinicalRecord = (patient) => {
+  const mobileData = patient?.mobileData || {};
+  const vitals = [...readSection(mobileData, 'vitals')]
+    .sort((a, b) => String(b.takenAt || '').localeCompare(String(a.takenAt || '')));
+
+  return {
+    allergies: readSection(mobileData, 'allergies'),
+    problems: readSection(mobileData, 'problems'),
+    medications: readSection(mobileData, 'medications'),
+    vitals
+  };
+};
+
+/**
+ * التحقق من صحة سجل قبل الحفظ
+ * @returns {string|null} رسالة الخطأ أو null
+ */
+export const validateClinicalEntry = (section, entry) => {
+  switch (section) {
+    case 'allergies':
+      if (!entry.substance?.trim()) return 'Allergy substance is required.';
+      if (!ALLERGY_SEVERITIES.includes(entry.severity)) return 'Allergy severity is required.';
+      if (entry.code && !entry.codeSystem) return 'Select the code system for the allergy code.';
+      return null;
+    case 'problems':
+      if (!entry.name?.trim()) return 'Problem name is required.';
+      if (!entry.onsetDate) return 'Onset date is required.';
+      if (entry.resolvedDate && entry.resolvedDate < entry.onsetDate) {
+        return 'Resolved date cannot be before the onset date.';
+      }
+      return null;
+    case 'medications':
+      if (!entry.name?.trim()) return 'Medication name is required.';
+      if (!entry.dose?.trim()) return 'Dose is required.';
+      if (!entry.schedule?.trim()) return 'Schedule is required.';
+      if (entry.endDate && entry.startDate && entry.endDate < entry.startDate) {
+        return 'End date cannot be before the start date.';
+      }
+      return null;
+    case 'vitals': {
+      if (!entry.takenAt) return 'Measurement time is required.';
+      const filled = VITAL_FIELDS.filter((f) => entry[f.name] !== undefined && entry[f.name] !== '' && entry[f.name] !== null);
+      if (filled.length === 0) return 'Enter at least one vital sign.';
+      const invalid = filled.find((f) => {
+        const value = Number(entry[f.name]);
+        return Number.isNaN(value) || value < f.min || value > f.max;
+      });
+      if (invalid) return `${invalid.label} must be between ${invalid.min} and ${invalid.max} ${invalid.unit}.`;
+      return null;
+    }
+    default:
+      return `Unknown clinical section: ${section}`;
+  }
+};
+
+/**
+ * تنظيف السجل: إزالة الحقول الفارغة وتحويل العلامات الحيوية إلى أرقام
+ */
+const normalizeEntry = (section, entry) => {
+  const { legacy, ...rest } = entry;
+  const clean = Object.fromEntries(
+    Object.entries(rest).map(([k, v]) => [k, typeof v === 'string' ? v.trim() : v])
+      .filter(([, v]) => v !== '' && v !== undefined && v !== null)
+  );
+
+  if (section === 'vitals') {
+    VITAL_FIELDS.forEach((f) => {
+      if (clean[f.name] !== undefined) clean[f.name] = Number(clean[f.name]);
+    });
+  }
+  return clean;
+};
+
+// ==================== MUTATIONS ====================
+
+/**
+ * كتابة قسم كامل مع تحديث الحقل النصي القديم للموبايل
+ */
+const writeSection = async (patientId, section, updater) => {
+  assertCan(authProvider.getCurrentRole(), 'update', 'patients');
+
+  const patient = await dataAdapter.get('patients', patientId);
+  if (!patient) throw new Error('المريض غير موجود');
+
+  const { key, legacyKey, nameField } = CLINICAL_SECTIONS[section];
+  const mobileData = patient.mobileData || {};
+  const entries = updater(readSection(mobileData, section));
+
+  const nextMobileData = { ...mobileData, [key]: entries };
+  if (legacyKey) {
+    nextMobileData[legacyKey] = entries.map((e) => e[nameField]).filter(Boolean);
+  }
+
+  await dataAdapter.update('patients', patientId, {
+    mobileData: nextMobileData,
+    updatedAt: serverTimestamp(),
+    updatedBy: getCurrentUserId()
+  });
+
+  return getClinicalRecord({ ...patient, mobileData: nextMobileData });
+};
+
+/**
+ * إضافة سجل لقسم
+ * @returns {Promise<Object>} السجل الطبي بعد التعديل
+ */
+export const addClinicalEntry = async (patientId, section, entry) => {
+  try {
+    const error = validateClinicalEntry(section, entry);
+    if (error) throw new Error(error);
+
+    const record = {
+      ...normalizeEntry(section, entry),
+      id: generateEntryId(),
+      recordedAt: new Date().toISOString(),
+      recordedBy: getCurrentUserId()
+    };
+    return await writeSection(patientId, section, (entries) => [...entries.map((e) => normalizeEntry(section, e)), record]);
+  } catch (error) {
+    console.error('Error adding clinical entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * تعديل سجل موجود
+ */
+export const updateClinicalEntry = async (patientId, section, entryId, changes) => {
+  try {
+    return await writeSection(patientId, section, (entries) => {
+      const current = entries.find((e) => e.id === entryId);
+      if (!current) throw new Error('السجل غير موجود');
+
+      const updated = { ...current, ...changes, id: entryId };
+      const error = validateClinicalEntry(section, updated);
+      if (error) throw new Error(error);
+
+      return entries.map((e) => e.id === entryId
+        ? { ...normalizeEntry(section, updated), updatedAt: new Date().toISOString(), updatedBy: getCurrentUserId() }
+        : normalizeEntry(section, e));
+    });
+  } catch (error) {
+    console.error('Error updating clinical entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * حذف سجل من قسم
+ */
+export const removeClinicalEntry = async (patientId, section, entryId) => {
+  try {
+    return await writeSection(patientId, section, (entries) => {
+      if (!entries.some((e) => e.id === entryId)) throw new Error('السجل غير موجود');
+      return entries.filter((e) => e.id !== entryId).map((e) => normalizeEntry(section, e));
+    });
+  } catch (error) {
+    console.error('Error removing clinical entry:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Data Adapter
+ *
+ * يختار مصدر البيانات عند بدء التطبيق حسب إعدادات التشغيل (src/config/runtime.js):
+ * 1. Firestore (الحقيقي)
+ * 2. Local (في الذاكرة / localStorage - للتنمية والتجربة و Jest بدون Firebase)
+ *
+ * لتغيير الوضع، عيّن REACT_APP_DATA_BACKEND=local في ملف .env
+ * (يتم استخدام الوضع المحلي تلقائياً في بيئة الاختبار)
+ *
+ * واجهة المحوّل (لكل مجموعة):
+ * - subscribe(collection, callback, { where, orderBy }) -> unsubscribe
+ * - list(collection, { where, orderBy }) -> Promise<Array>
+ * - get(collection, id) -> Promise<Object|null>
+ * - create(collection, data) -> Promise<id>
+ * - set(collection, id, data) -> Promise (إنشاء أو استبدال بمعرف محدد)
+ * - update(collection, id, data) -> Promise
+ * - remove(collection, id) -> Promise
+ * - runTransaction(fn) -> Promise (fn(tx): tx.get ثم tx.create / set / update / remove كعملية ذرية)
+ * - timestamp() -> قيمة الوقت الحالي للحفظ
+ *
+ * where: [[field, op, value], ...]  |  orderBy: [field, 'asc' | 'desc']
+ *
+ * كل عمليات الكتابة تُسجَّل في audit_log: في Firestore من الخادم (functions/index.js)،
+ * وفي الوضع المحلي عبر withAuditLog (راجع auditLog.js).
+ * و stats للأطباء والممرضين يعيد حسابها الخادم في Firestore (syncStaffStats)، وفي الوضع المحلي
+ * withStaffStats (راجع staffStats.js)؛ كتابات stats نفسها لا تُسجَّل لأنها مشتقة
+ */
+
+import { firestoreAdapter } from './adapters/firestoreAdapter';
+import { createLocalAdapter } from './adapters/localAdapter';
+import { USE_LOCAL_DATA } from '../config/runtime';
+import { withAuditLog } from './auditLog';
+import { withStaffStats } from './staffStats';
+
+const baseAdapter = USE_LOCAL_DATA
+  ? createLocalAdapter({ persist: process.env.NODE_ENV !== 'test' })
+  : firestoreAdapter;
+
+export const dataAdapter = withAuditLog(
+  withStaffStats(baseAdapter, { writeStats: USE_LOCAL_DATA }),
+  { writeEntries: USE_LOCAL_DATA }
+);
+
+export default dataAdapter;
@@ -0,0 +1,154 @@
+/**
+ * Doctor Work Schedule
+ *
+ * جدول الطبيب في مستند doctors:
+ * - workSchedule: القالب الأسبوعي { monday: { enabled: true, start: '09:00', end: '17:00' }, ... }
+ * - scheduleOverrides: تغييرات ليوم محدد [{ date, enabled, start, end, note }]
+ * - leave: الإجازات [{ from, to, reason }] (التاريخان ضمن الإجازة)
+ * والعطل الرسمية للمستشفى في مجموعة holidays: { date, name }
+ *
+ * الأولوية عند حساب ساعات يوم معين (scheduleFor):
+ * عطلة رسمية ← إجازة ← تغيير لذلك اليوم ← القالب الأسبوعي
+ *
+ * الأيام القديمة التي تحمل slots فقط تُقرأ كساعات من أول وقت إلى آخر وقت + LEGACY_SLOT_MINUTES.
+ * الأوقات المتاحة للحجز تُولّد من هذه الساعات (راجع appointmentSlots.availableTimes)،
+ * والحجز يُرفض إذا لم يقع الموعد كاملاً داخلها (راجع firestoreService).
+ *
+ * هذا الملف يحتوي الحسابات فقط.
+ */
+
+import { isArchived } from './archive';
+import { parseDate, formatDateISO } from './treatmentPlans';
+import { normalizeTime, toMinutes, fromMinutes, appointmentDuration } from './appointmentSlots';
+
+export const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00' };
+
+export const HOLIDAYS_COLLECTION = 'holidays';
+
+// حقول الجدول في مستند الطبيب (الطبيب يعدلها بنفسه؛ نفس isOwnScheduleChange في firestore.rules)
+export const SCHEDULE_FIELDS = ['workSchedule', 'scheduleOverrides', 'leave'];
+
+const DEFAULT_DAYS_OFF = ['friday', 'saturday'];
+
+// المسافة بين الأوقات في الجداول القديمة
+const LEGACY_SLOT_MINUTES = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * الجدول الافتراضي للطبيب الجديد
+ */
+export const defaultWorkSchedule = () => Object.fromEntries(DAY_NAMES.map((day) => [
+  day,
+  { enabled: !DEFAULT_DAYS_OFF.includes(day), ...DEFAULT_WORKING_HOURS }
+]));
+
+/**
+ * ساعات العمل ليوم من workSchedule (أو تغيير ليوم محدد)، أو null إذا كان يوم عطلة
+ * @returns {{ start: string, end: string }|null}
+ */
+export const dayWorkingHours = (day) => {
+  if (!day?.enabled) return null;
+  if (day.start && day.end) {
+    return toMinutes(day.start) < toMinutes(day.end)
+      ? { start: normalizeTime(day.start), end: normalizeTime(day.end) }
+      : null;
+  }
+
+  const slots = (day.slots || []).map(toMinutes).filter((m) => !Number.isNaN(m));
+  if (slots.length === 0) return null;
+  return { start: fromMinutes(Math.min(...slots)), end: fromMinutes(Math.max(...slots) + LEGACY_SLOT_MINUTES) };
+};
+
+export const holidayOn = (holidays, dateISO) =>
+  (holidays || []).find((h) => h.date === dateISO && !isArchived(h, HOLIDAYS_COLLECTION)) || null;
+
+export const leaveOn = (doctor, dateISO) =>
+  (doctor?.leave || []).find((l) => l.from <= dateISO && dateISO <= l.to) || null;
+
+export const overrideOn = (doctor, dateISO) =>
+  (doctor?.scheduleOverrides || []).find((o) => o.date === dateISO) || null;
+
+/**
+ * جدول الطبيب في تاريخ معين ومصدره
+ * @param {Array} [holidays] - العطل الرسمية (مجموعة holidays)
+ * @returns {{ hours: { start, end }|null, source: 'holiday'|'leave'|'override'|'weekly', note: string }}
+ */
+export const scheduleFor = (doctor, dateISO, holidays = []) => {
+  const holiday = holidayOn(holidays, dateISO);
+  if (holiday) return { hours: null, source: 'holiday', note: holiday.name || 'Holiday' };
+
+  const leave = leaveOn(doctor, dateISO);
+  if (leave) return { hours: null, source: 'leave', note: leave.reason || 'Leave' };
+
+  const override = overrideOn(doctor, dateISO);
+  if (override) return { hours: dayWorkingHours(override), source: 'override', note: override.note || '' };
+
+  // الطبيب بدون جدول يعمل بالجدول الافتراضي
+  const schedule = doctor?.workSchedule || defaultWorkSchedule();
+  return { hours: dayWorkingHours(schedule[DAY_NAMES[parseDate(dateISO).getDay()]]), source: 'weekly', note: '' };
+};
+
+/**
+ * ساعات عمل الطبيب في تاريخ معين (null إذا لم يكن يعمل)
+ */
+export const workingHoursFor = (doctor, dateISO, holidays = []) => {
+  if (!doctor || !dateISO) return null;
+  return scheduleFor(doctor, dateISO, holidays).hours;
+};
+
+/**
+ * هل الطبيب في ساعات عمله الآن؟
+ */
+export const isDoctorOnDuty = (doctor, now = new Date(), holidays = []) => {
+  const hours = workingHoursFor(doctor, formatDateISO(now), holidays);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  return !!hours && toMinutes(hours.start) <= minutes && minutes < toMinutes(hours.end);
+};
+
+/**
+ * هل يقع الموعد كاملاً (بدون الفاصل) داخل ساعات العمل؟
+ */
+export const fitsWorkingHours = (appointment, hours) => {
+  if (!hours) return false;
+  const start = toMinutes(appointment.time);
+  return start >= toMinutes(hours.start) && start + appointmentDuration(appointment) <= toMinutes(hours.end);
+};
+
+const validHours = ({ start, end }) =>
+  !Number.isNaN(toMinutes(start)) && !Number.isNaN(toMinutes(end)) && toMinutes(start) < toMinutes(end);
+
+/**
+ * التحقق من جدول الطبيب قبل الحفظ (الحقول الموجودة فقط)
+ * @returns {string|null} رسالة الخطأ أو null
+ */
+export const validateSchedule = ({ workSchedule, scheduleOverrides, leave }) => {
+  if (workSchedule) {
+    for (const day of DAY_NAMES) {
+      const entry = workSchedule[day];
+      if (entry?.enabled && entry.start !== undefined && !validHours(entry)) {
+        return `Working hours on ${day} must start before they end.`;
+      }
+    }
+  }
+
+  if (scheduleOverrides) {
+    const dates = new Set();
+    for (const override of scheduleOverrides) {
+      if (!DATE_PATTERN.test(override.date || '')) return 'Every schedule change needs a date.';
+      if (dates.has(override.date)) return `There is more than one schedule change on ${override.date}.`;
+      dates.add(override.date);
+      if (override.enabled && !validHours(override)) return `Working hours on ${override.date} must start before they end.`;
+    }
+  }
+
+  if (leave) {
+    for (const period of leave) {
+      if (!DATE_PATTERN.test(period.from || '') || !DATE_PATTERN.test(period.to || '')) return 'Leave needs a start and end date.';
+      if (period.to < period.from) return 'Leave must end on or after its start date.';
+    }
+  }
+  return null;
+};
@@ -1,27 +1,195 @@
+import { dataAdapter } from './dataAdapter';
+import { provisionUser, setUserPassword, updateUserEmail, linkUserProfile } from './provisioningService';
+import { authProvider, getCurrentUserId } from './authProvider';
+import { assertCan, ownRecordField } from '../config/permissions';
+import { syncUserFromProfile, isSyntheticUid } from './userDirectory';
+import { AUDIT_COLLECTION } from './auditLog';
+import { excludeArchived, isArchived } from './archive';
 import {
-    collection,
-  doc, 
-  getDoc, 
-    getDocs,
-    addDoc,
-    updateDoc,
-    deleteDoc,
-  query,
-  where,
-  orderBy,
-  onSnapshot,
-  serverTimestamp
-} from 'firebase/firestore';
-import { createUserWithEmailAndPassword, updatePassword } from 'firebase/auth';
-import { db, auth } from '../firebase/config';
+  PLAN_STATUSES,
+  MAX_CYCLE_SHIFT_DAYS,
+  CYCLE_APPOINTMENT_TYPE,
+  addDays,
+  formatDateISO,
+  planCycleDates,
+  validateTreatmentPlan
+} from './treatmentPlans';
+import {
+  LAB_PRIORITIES,
+  LAB_TRANSITIONS,
+  flagResults
+} from './labOrders';
+import { computeStaffStats } from './staffStats';
+import { validateRecurrence, expandRecurrence, selectSeriesScope, shiftSeriesDate } from './recurrence';
+import {
+  SLOTS_COLLECTION,
+  APPOINTMENT_TYPES,
+  normalizeTime,
+  toMinutes,
+  appointmentTypeOf,
+  appointmentDuration,
+  blockedInterval,
+  intervalsOverlap,
+  holdsSlot,
+  appointmentSlotKey,
+  slotReservation,
+  findSlotConflict,
+  availableTimes
+} from './appointmentSlots';
+import {
+  HOLIDAYS_COLLECTION,
+  SCHEDULE_FIELDS,
+  defaultWorkSchedule,
+  workingHoursFor,
+  fitsWorkingHours,
+  validateSchedule
+} from './doctorSchedule';
+import { findStaffProfile, staffRefId, staffRefIds } from './staffScope';
+import { ROSTER_COLLECTION, SHIFTS, MIN_REST_HOURS, MIN_NURSES_PER_SHIFT, restViolation, activeAssignments } from './nurseRoster';
+import { WAITLIST_COLLECTION, waitlistStatus, isOpenEntry, rankWaitlistMatches, offerFromAppointment } from './waitlist';
+import {
+  TRANSFERS_COLLECTION,
+  DEPARTMENTS_COLLECTION,
+  TRANSFER_STATUS_LABELS,
+  transferStatus,
+  canTransition,
+  findDepartment,
+  departmentBeds,
+  departmentOccupancy,
+  storedOccupancy,
+  approverDepartment,
+  isSameDepartment
+} from './transfers';
+import {
+  APPOINTMENT_STATUSES,
+  APPOINTMENT_STATUS_LABELS,
+  STATUS_STAMPS,
+  REASON_FIELDS,
+  appointmentStatus,
+  canTransitionAppointment,
+  isOverdueNoShow
+} from './appointmentLifecycle';
+import {
+  APPOINTMENT_REQUESTS_COLLECTION,
+  isOpenRequest,
+  pendingRescheduleFor,
+  validateAppointmentRequest,
+  canPatientCancel
+} from './appointmentRequests';
+import {
+  NOTIFICATIONS_COLLECTION,
+  INBOX_COLLECTION,
+  STAFF_ROLES,
+  staffAccounts,
+  notificationAudience,
+  validateAudience,
+  describeAudience,
+  resolveRecipients,
+  inboxEntryId,
+  isUnread
+} from './notifications';
+import { SETTINGS_COLLECTION, CLINIC_SETTINGS_ID, clinicSettingsOf, clinicNow } from './clinicSettings';
+import { USE_LOCAL_DATA } from '../config/runtime';
 
 // ==================== HELPERS ====================
 
-const getCurrentUserId = () => {
-  return auth.currentUser?.uid;
+const getPlatform = () => 'web';
+
+// التحقق من صلاحية الدور النشط قبل أي عملية كتابة (راجع src/config/permissions.js)
+const requirePermission = (action, collectionName) => {
+  assertCan(authProvider.getCurrentRole(), action, collectionName);
 };
 
-const getPlatform = () => 'web';
+// الدور المقيد بسجلاته (PERMISSIONS[role].own) لا يستعلم عن المجموعة بدون حقل الملكية
+const requireOwnScope = (collectionName, value) => {
+  const field = ownRecordField(authProvider.getCurrentRole(), collectionName);
+  if (!field || value) return;
+  const error = new Error(`ليس لديك صلاحية على ${collectionName} بدون ${field}`);
+  error.code = 'permission-denied';
+  throw error;
+};
+
+// قيمة الوقت من المحوّل (serverTimestamp في Firestore، Date في الوضع المحلي)
+const serverTimestamp = () => dataAdapter.timestamp();
+
+// إخفاء المستندات المؤرشفة إلا إذا طُلبت صراحة ({ includeArchived: true })
+const withArchiveFilter = (collectionName, callback, { includeArchived = false } = {}) =>
+  (docs) => callback(includeArchived ? docs : excludeArchived(docs, collectionName));
+
+// إنشاء حساب للملف الجديد عبر خدمة الإدارة (لا يسجل خروج المستخدم الحالي)
+// بدون بريد إلكتروني (أو مع uid موجود) لا يتم إنشاء حساب؛ بدون كلمة مرور تُرسل دعوة
+const provisionAccount = async (data, role, profileCollection) => {
+  if (data.uid || !data.email) return null;
+
+  const { uid } = await provisionUser({
+    email: data.email,
+    password: data.password,
+    name: data.name,
+    roles: [role],
+    profileCollection
+  });
+  console.log(`${role} account provisioned:`, uid);
+  return uid;
+};
+
+// إنشاء مستند الملف ثم ربطه بمستند users/{uid} إذا تم إنشاء حساب
+const createProfileDoc = async (collectionName, profile, provisionedUid) => {
+  const id = await dataAdapter.create(collectionName, profile);
+  if (provisionedUid) {
+    await linkUserProfile(provisionedUid, collectionName, id);
+  }
+  return id;
+};
+
+// تغيير كلمة مرور الحساب المرتبط بالملف (عبر خدمة الإدارة)
+const changeProfilePassword = async (collectionName, id, password) => {
+  const profile = await dataAdapter.get(collectionName, id);
+  if (!profile?.uid) {
+    throw new Error('لا يوجد حساب مرتبط بهذا الملف');
+  }
+  await setUserPassword(profile.uid, password);
+};
+
+// تغيير بريد الحساب المرتبط بالملف (Auth و users عبر خدمة الإدارة) قبل حفظه في الملف:
+// إذا رُفض البريد لا يُحفظ التعديل، فلا يختلف بريد الدخول عن بريد الملف
+const changeProfileEmail = async (collectionName, id, email) => {
+  if (email === undefined) return;
+  const profile = await dataAdapter.get(collectionName, id);
+  if (!profile?.uid || isSyntheticUid(profile.uid)) return;
+  if ((email || '').trim().toLowerCase() === (profile.email || '').trim().toLowerCase()) return;
+  await updateUserEmail(profile.uid, email);
+};
+
+// ==================== OWN PROFILE ====================
+
+/**
+ * الاشتراك في ملف المستخدم الحالي في doctors / nurses / patients (أو null)
+ * بالاستعلام عن uid الحساب فقط بدلاً من قراءة المجموعة؛ ملفات الطاقم التي لم تُربط بحساب بعد
+ * تُطابق بالبريد، أما المريض فلا يقرأ إلا الملف المرتبط بحسابه (firestore.rules)
+ */
+export const subscribeToOwnProfile = (collectionName, user, callback) => {
+  if (!user?.uid) {
+    callback(null);
+    return () => {};
+  }
+
+  const queries = [['uid', '==', user.uid]];
+  if (!ownRecordField(authProvider.getCurrentRole(), collectionName) && user.email) {
+    queries.push(['email', '==', user.email.toLowerCase()]);
+  }
+
+  const results = {};
+  const emit = () => {
+    if (Object.keys(results).length < queries.length) return;
+    const profiles = excludeArchived(Object.values(results).flat(), collectionName);
+    callback(findStaffProfile(profiles, user));
+  };
+  const unsubs = queries.map((condition, i) => dataAdapter.subscribe(collectionName, (docs) => {
+    results[i] = docs;
+    emit();
+  }, { where: [condition] }));
+  return () => unsubs.forEach((unsub) => unsub());
+};
 
 // ==================== PATIENTS (موحد) ====================
 
@@ -30,16 +198,11 @@ const getPlatform = () => 'web';
  */
 export const getPatients = async () => {
   try {
-    const patientsRef = collection(db, 'patients');
-    const q = query(patientsRef, where('status', '==', 'active'), orderBy('name'));
-    const snapshot = await getDocs(q);
-    
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate(),
-      updatedAt: doc.data().updatedAt?.toDate()
-    }));
+    const patients = await dataAdapter.list('patients', {
+      where: [['status', '==', 'active']],
+      orderBy: ['name']
+    });
+    return excludeArchived(patients, 'patients');
   } catch (error) {
     console.error('Error getting patients:', error);
     throw error;
@@ -48,60 +211,14 @@ export const getPatients = async () => {
 
 /**
  * الاشتراك في تحديثات المرضى (Real-time)
- * جلب جميع المرضى بدون فلترة - يمكن الفلترة في الـ UI
+ * المؤرشفون مستبعدون إلا مع { includeArchived: true }
  */
-export const subscribeToPatients = (callback) => {
-  const patientsRef = collection(db, 'patients');
-  
-  // محاولة جلب جميع المرضى مع orderBy
-  try {
-    const q = query(patientsRef, orderBy('name'));
-    
-    return onSnapshot(q, (snapshot) => {
-      const patients = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : doc.data().createdAt,
-        updatedAt: doc.data().updatedAt?.toDate ? doc.data().updatedAt.toDate() : doc.data().updatedAt
-      }));
-      console.log('Patients loaded:', patients.length);
-      callback(patients);
-    }, (error) => {
-      console.error('Error in patients subscription:', error);
-      // إذا فشل orderBy، جرب بدون orderBy
-      const fallbackQuery = query(patientsRef);
-      return onSnapshot(fallbackQuery, (snapshot) => {
-        const patients = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : doc.data().createdAt,
-          updatedAt: doc.data().updatedAt?.toDate ? doc.data().updatedAt.toDate() : doc.data().updatedAt
-        }));
-        console.log('Patients loaded (fallback):', patients.length);
-        callback(patients);
-      }, (fallbackError) => {
-        console.error('Error in patients subscription (fallback):', fallbackError);
-        callback([]);
-      });
-    });
-  } catch (error) {
-    // إذا فشل الاستعلام تماماً، جرب بدون orderBy
-    console.warn('Initial query failed, trying without orderBy:', error);
-    const fallbackQuery = query(patientsRef);
-    return onSnapshot(fallbackQuery, (snapshot) => {
-      const patients = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : doc.data().createdAt,
-        updatedAt: doc.data().updatedAt?.toDate ? doc.data().updatedAt.toDate() : doc.data().updatedAt
-      }));
-      console.log('Patients loaded (no orderBy):', patients.length);
-      callback(patients);
-    }, (fallbackError) => {
-      console.error('Error in patients subscription (no orderBy):', fallbackError);
-      callback([]);
-    });
-  }
+export const subscribeToPatients = (callback, options) => {
+  // مع orderBy، ويتم الرجوع تلقائياً للاستعلام بدون orderBy عند الفشل
+  return dataAdapter.subscribe('patients', withArchiveFilter('patients', (patients) => {
+    console.log('Patients loaded:', patients.length);
+    callback(patients);
+  }, options), { orderBy: ['name'] });
 };
 
 /**
@@ -109,26 +226,12 @@ export const subscribeToPatients = (callback) => {
  */
 export const createPatient = async (patientData) => {
   try {
-    const patientsRef = collection(db, 'patients');
-    let uid = patientData.uid;
-    
-    // إنشاء حساب في Firebase Authentication إذا كان هناك email و password
-    if (patientData.email && patientData.password) {
-      try {
-        const userCredential = await createUserWithEmailAndPassword(
-          auth,
-          patientData.email,
-          patientData.password
-        );
-        uid = userCredential.user.uid;
-        console.log('Patient account created in Firebase Auth:', uid);
-      } catch (authError) {
-        console.error('Error creating Firebase Auth account:', authError);
-        throw new Error(`Failed to create account: ${authError.message}`);
-      }
-    }
+    requirePermission('create', 'patients');
+    // إنشاء الحساب عبر خدمة الإدارة إذا كان هناك email
+    const provisionedUid = await provisionAccount(patientData, 'patient', 'patients');
+    const uid = patientData.uid || provisionedUid;
     
-    const docRef = await addDoc(patientsRef, {
+    return await createProfileDoc('patients', {
       name: patientData.name,
       dob: patientData.dob,
       gender: patientData.gender || null,
@@ -152,10 +255,14 @@ export const createPatient = async (patientData) => {
         admissionDate: patientData.admissionDate ? serverTimestamp() : null
       },
       
-      // بيانات Flutter Mobile (فارغة للـ web)
+      // بيانات Flutter Mobile + السجل الطبي المنظم (راجع clinicalRecord.js)
       mobileData: {
         medicalHistory: [],
-        allergies: []
+        allergies: [],
+        allergyRecords: [],
+        problems: [],
+        medications: [],
+        vitals: []
       },
       
       // Metadata
@@ -164,9 +271,7 @@ export const createPatient = async (patientData) => {
       createdPlatform: getPlatform(),
       updatedAt: serverTimestamp(),
       updatedBy: null // سيتم تعبئته عند التحديث
-    });
-    
-    return docRef.id;
+    }, provisionedUid);
   } catch (error) {
     console.error('Error creating patient:', error);
     throw error;
@@ -178,21 +283,18 @@ export const createPatient = async (patientData) => {
  */
 export const updatePatient = async (patientId, updates) => {
   try {
-    const patientRef = doc(db, 'patients', patientId);
-    
-    // إذا كان هناك password جديد، نحذر أن تحديث كلمة السر يحتاج Admin SDK
-    let updateData = { ...updates };
-    if (updates.password && updates.password.trim()) {
-      console.warn('Password update requires admin privileges. Please use Firebase Admin SDK or update manually in Firebase Console.');
-      // إزالة password من updates لأننا لا نريد حفظه في Firestore
-      const { password, ...rest } = updateData;
-      updateData = rest;
+    requirePermission('update', 'patients');
+    // كلمة السر لا تُحفظ في Firestore - تُرسل لخدمة الإدارة
+    const { password, ...rest } = updates;
+    let updateData = rest;
+    if (password && password.trim()) {
+      await changeProfilePassword('patients', patientId, password);
     }
+    await changeProfileEmail('patients', patientId, updates.email);
     
     // تحديث webData بشكل منفصل إذا كان موجوداً
     if (updates.diagnosis !== undefined || updates.admissionDate !== undefined) {
-      const currentDoc = await getDoc(patientRef);
-      const currentData = currentDoc.data();
+      const currentData = await dataAdapter.get('patients', patientId);
       updateData.webData = {
         ...currentData?.webData,
         ...(updates.diagnosis !== undefined && { diagnosis: updates.diagnosis }),
@@ -212,11 +314,12 @@ export const updatePatient = async (patientId, updates) => {
       delete updateData.nurseId;
     }
     
-    await updateDoc(patientRef, {
+    await dataAdapter.update('patients', patientId, {
       ...updateData,
       updatedAt: serverTimestamp(),
       updatedBy: getCurrentUserId()
     });
+    await syncUserFromProfile('patients', patientId);
   } catch (error) {
     console.error('Error updating patient:', error);
     throw error;
@@ -224,69 +327,38 @@ export const updatePatient = async (patientId, updates) => {
 };
 
 /**
- * حذف مريض (Soft delete)
+ * حذف مريض (أرشفة - Soft delete)
  */
-export const deletePatient = async (patientId) => {
-  try {
-    await updatePatient(patientId, { status: 'inactive' });
-  } catch (error) {
-    console.error('Error deleting patient:', error);
-    throw error;
-  }
+export const deletePatient = async (patientId, reason) => {
+  await archiveDoc('patients', patientId, reason);
 };
 
 // ==================== DOCTORS ====================
 
 export const getDoctors = async () => {
   try {
-    const doctorsRef = collection(db, 'doctors');
-    const snapshot = await getDocs(doctorsRef);
-    
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    return excludeArchived(await dataAdapter.list('doctors'), 'doctors');
   } catch (error) {
     console.error('Error getting doctors:', error);
     throw error;
   }
 };
 
-export const subscribeToDoctors = (callback) => {
-  const doctorsRef = collection(db, 'doctors');
-  
-  return onSnapshot(doctorsRef, (snapshot) => {
-    const doctors = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-    callback(doctors);
-  });
+export const subscribeToDoctors = (callback, options) => {
+  return dataAdapter.subscribe('doctors', withArchiveFilter('doctors', callback, options));
 };
 
 export const createDoctor = async (doctorData) => {
   try {
-    const doctorsRef = collection(db, 'doctors');
-    let uid = doctorData.uid;
+    requirePermission('create', 'doctors');
+    const invalidSchedule = validateSchedule(doctorData);
+    if (invalidSchedule) throw new Error(invalidSchedule);
+    // إنشاء الحساب عبر خدمة الإدارة إذا كان هناك email
+    const provisionedUid = await provisionAccount(doctorData, 'doctor', 'doctors');
     
-    // إنشاء حساب في Firebase Authentication إذا كان هناك email و password
-    if (doctorData.email && doctorData.password) {
-      try {
-        const userCredential = await createUserWithEmailAndPassword(
-          auth,
-          doctorData.email,
-          doctorData.password
-        );
-        uid = userCredential.user.uid;
-        console.log('Doctor account created in Firebase Auth:', uid);
-      } catch (authError) {
-        console.error('Error creating Firebase Auth account:', authError);
-        throw new Error(`Failed to create account: ${authError.message}`);
-      }
-    } else {
-      // إذا لم يكن هناك email/password، إنشاء UID فريد
-      uid = uid || `doctor_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
+    // إذا لم يكن هناك email، إنشاء UID فريد
+    const uid = doctorData.uid || provisionedUid ||
+      `doctor_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     // الهيكل الأساسي للطبيب
     const doctorDoc = {
@@ -297,54 +369,23 @@ export const createDoctor = async (doctorData) => {
       email: doctorData.email || '',
       uid: uid,
       
-      // Stats - القيم الافتراضية
+      // Stats - مشتقة، يعيد حسابها syncStaffStats / withStaffStats (راجع staffStats.js)
       stats: {
         activePatients: 0,
-        appointmentsToday: 0,
-        pendingLabTests: 0,
-        ...doctorData.stats // السماح بتجاوز القيم الافتراضية
+        pendingLabTests: 0
       },
       
-      // Work Schedule - هيكل أيام الأسبوع
-      workSchedule: doctorData.workSchedule || {
-        monday: {
-          enabled: true,
-          slots: ['09:00', '09:30', '10:00']
-        },
-        tuesday: {
-          enabled: true,
-          slots: ['09:00', '09:30', '10:00']
-        },
-        wednesday: {
-          enabled: true,
-          slots: ['09:00', '09:30', '10:00']
-        },
-        thursday: {
-          enabled: true,
-          slots: ['09:00', '09:30', '10:00']
-        },
-        friday: {
-          enabled: false,
-          slots: []
-        },
-        saturday: {
-          enabled: false,
-          slots: []
-        },
-        sunday: {
-          enabled: true,
-          slots: ['09:00', '09:30', '10:00']
-        }
-      },
+      // Work Schedule - ساعات العمل لكل يوم (راجع doctorSchedule.js)
+      workSchedule: doctorData.workSchedule || defaultWorkSchedule(),
+      scheduleOverrides: doctorData.scheduleOverrides || [],
+      leave: doctorData.leave || [],
       
       // Timestamps
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
     };
     
-    const docRef = await addDoc(doctorsRef, doctorDoc);
-    
-    return docRef.id;
+    return await createProfileDoc('doctors', doctorDoc, provisionedUid);
   } catch (error) {
     console.error('Error creating doctor:', error);
     throw error;
@@ -353,103 +394,181 @@ export const createDoctor = async (doctorData) => {
 
 export const updateDoctor = async (doctorId, updates) => {
   try {
-    const doctorRef = doc(db, 'doctors', doctorId);
-    
-    // إذا كان هناك password جديد، تحديث كلمة السر في Firebase Auth
-    if (updates.password && updates.password.trim()) {
-      try {
-        const doctorDoc = await getDoc(doctorRef);
-        const doctorData = doctorDoc.data();
-        
-        if (doctorData?.uid) {
-          // هنا نحتاج إلى sign in كـ admin لتحديث كلمة السر
-          // أو استخدام Firebase Admin SDK (Server-side)
-          // في الوقت الحالي، سنحفظ email فقط ونترك تحديث كلمة السر للـ admin
-          console.warn('Password update requires admin privileges. Please use Firebase Admin SDK or update manually in Firebase Console.');
-        }
-      } catch (authError) {
-        console.error('Error updating password:', authError);
-      }
-      
-      // إزالة password من updates لأننا لا نريد حفظه في Firestore
-      const { password, ...updatesWithoutPassword } = updates;
-      updates = updatesWithoutPassword;
+    requirePermission('update', 'doctors');
+    // كلمة السر لا تُحفظ في Firestore - تُرسل لخدمة الإدارة
+    // stats مشتقة ولا تُعدَّل يدوياً (راجع staffStats.js)
+    const { password, stats, ...updateData } = updates;
+    const invalidSchedule = validateSchedule(updateData);
+    if (invalidSchedule) throw new Error(invalidSchedule);
+    if (password && password.trim()) {
+      await changeProfilePassword('doctors', doctorId, password);
     }
+    await changeProfileEmail('doctors', doctorId, updates.email);
     
-    await updateDoc(doctorRef, {
-      ...updates,
+    await dataAdapter.update('doctors', doctorId, {
+      ...updateData,
       updatedAt: serverTimestamp()
     });
+    await syncUserFromProfile('doctors', doctorId);
   } catch (error) {
     console.error('Error updating doctor:', error);
     throw error;
   }
 };
 
-export const deleteDoctor = async (doctorId) => {
+/**
+ * حذف طبيب (أرشفة - Soft delete)
+ */
+export const deleteDoctor = async (doctorId, reason) => {
+  await archiveDoc('doctors', doctorId, reason);
+};
+
+/**
+ * الطبيب بـ uid أو معرف المستند (بما فيه المؤرشف)، أو null
+ */
+const resolveDoctor = async (doctorId) => {
+  if (!doctorId || typeof doctorId !== 'string') return null;
+  const [byUid] = await dataAdapter.list('doctors', { where: [['uid', '==', doctorId]] });
+  return byUid || (doctorId.includes('/') ? null : await dataAdapter.get('doctors', doctorId));
+};
+
+/**
+ * الطبيب بمعرف المستند أو uid؛ المراجع الجديدة تُحفظ بمعرفه الموحد staffRefId(doctor)
+ */
+const findDoctor = async (doctorId) => {
+  const doctor = await resolveDoctor(doctorId);
+  if (!doctor || isArchived(doctor, 'doctors')) throw new Error('الطبيب غير موجود');
+  return doctor;
+};
+
+/**
+ * الموعد بمعرف الطبيب الموحد (مفتاح مستند الحجز) مع ملف الطبيب
+ * المواعيد القديمة قد تحمل معرف المستند؛ الطبيب غير المعروف يبقى مرجعه كما هو
+ */
+const withCanonicalDoctor = async (appointment) => {
+  const doctor = await resolveDoctor(appointment.doctorId);
+  return { appointment: doctor ? { ...appointment, doctorId: staffRefId(doctor) } : appointment, doctor };
+};
+
+// ==================== DOCTOR SCHEDULES & HOLIDAYS ====================
+
+/**
+ * حفظ جدول الطبيب: القالب الأسبوعي، تغييرات أيام محددة، الإجازات (راجع doctorSchedule.js)
+ * الطبيب يعدّل جدوله بنفسه؛ غير ذلك يحتاج صلاحية تعديل الأطباء
+ */
+export const updateDoctorSchedule = async (doctorId, schedule) => {
+  try {
+    const doctor = await dataAdapter.get('doctors', doctorId);
+    if (!doctor) throw new Error('الطبيب غير موجود');
+    if (!findStaffProfile([doctor], authProvider.getCurrentUser())) {
+      requirePermission('update', 'doctors');
+    }
+
+    const updates = Object.fromEntries(
+      SCHEDULE_FIELDS.filter((field) => schedule[field] !== undefined).map((field) => [field, schedule[field]])
+    );
+    const invalid = validateSchedule(updates);
+    if (invalid) throw new Error(invalid);
+
+    await dataAdapter.update('doctors', doctorId, {
+      ...updates,
+      updatedAt: serverTimestamp(),
+      updatedBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error updating doctor schedule:', error);
+    throw error;
+  }
+};
+
+export const subscribeToHolidays = (callback, options) => {
+  return dataAdapter.subscribe(HOLIDAYS_COLLECTION, withArchiveFilter(HOLIDAYS_COLLECTION, callback, options));
+};
+
+/**
+ * إضافة عطلة رسمية للمستشفى (يوم واحد؛ لا يُحجز فيه أي موعد)
+ */
+export const createHoliday = async ({ date, name }) => {
   try {
-    const doctorRef = doc(db, 'doctors', doctorId);
-    await deleteDoc(doctorRef);
+    requirePermission('create', HOLIDAYS_COLLECTION);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error('تاريخ العطلة مطلوب');
+    if (!name?.trim()) throw new Error('اسم العطلة مطلوب');
+
+    const existing = excludeArchived(
+      await dataAdapter.list(HOLIDAYS_COLLECTION, { where: [['date', '==', date]] }),
+      HOLIDAYS_COLLECTION
+    );
+    if (existing.length) throw new Error('يوجد عطلة في هذا التاريخ');
+
+    return await dataAdapter.create(HOLIDAYS_COLLECTION, {
+      date,
+      name: name.trim(),
+      createdAt: serverTimestamp(),
+      createdBy: getCurrentUserId()
+    });
   } catch (error) {
-    console.error('Error deleting doctor:', error);
+    console.error('Error creating holiday:', error);
+    throw error;
+  }
+};
+
+export const deleteHoliday = async (holidayId, reason) => {
+  await archiveDoc(HOLIDAYS_COLLECTION, holidayId, reason);
+};
+
+/**
+ * التأكد أن الطبيب يعمل في وقت الموعد (العطل، الإجازات، تغييرات اليوم، القالب الأسبوعي)
+ * المواعيد القديمة لطبيب غير موجود لا تُفحص
+ */
+const assertDoctorAvailable = async (appointment, doctor) => {
+  if (!doctor) return;
+
+  const holidays = await dataAdapter.list(HOLIDAYS_COLLECTION, { where: [['date', '==', appointment.date]] });
+  if (!fitsWorkingHours(appointment, workingHoursFor(doctor, appointment.date, holidays))) {
+    const error = new Error(`الطبيب غير متاح في ${appointment.date} ${normalizeTime(appointment.time)}`);
+    error.code = 'doctor-unavailable';
     throw error;
   }
 };
 
+// ==================== CLINIC SETTINGS ====================
+
+/**
+ * إعدادات العيادة (settings/clinic) بعد التحقق؛ راجع clinicSettings.js
+ */
+export const getClinicSettings = async () =>
+  clinicSettingsOf(await dataAdapter.get(SETTINGS_COLLECTION, CLINIC_SETTINGS_ID));
+
+export const subscribeToClinicSettings = (callback) =>
+  dataAdapter.subscribe(SETTINGS_COLLECTION, (docs) =>
+    callback(clinicSettingsOf(docs.find((doc) => doc.id === CLINIC_SETTINGS_ID))));
+
 // ==================== NURSES ====================
 
 export const getNurses = async () => {
   try {
-    const nursesRef = collection(db, 'nurses');
-    const snapshot = await getDocs(nursesRef);
-    
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    return excludeArchived(await dataAdapter.list('nurses'), 'nurses');
   } catch (error) {
     console.error('Error getting nurses:', error);
     throw error;
   }
 };
 
-export const subscribeToNurses = (callback) => {
-  const nursesRef = collection(db, 'nurses');
-  
-  return onSnapshot(nursesRef, (snapshot) => {
-    const nurses = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-    callback(nurses);
-  });
+export const subscribeToNurses = (callback, options) => {
+  return dataAdapter.subscribe('nurses', withArchiveFilter('nurses', callback, options));
 };
 
 export const createNurse = async (nurseData) => {
   try {
-    const nursesRef = collection(db, 'nurses');
-    let uid = nurseData.uid;
+    requirePermission('create', 'nurses');
+    // إنشاء الحساب عبر خدمة الإدارة إذا كان هناك email
+    const provisionedUid = await provisionAccount(nurseData, 'nurse', 'nurses');
     
-    // إنشاء حساب في Firebase Authentication إذا كان هناك email و password
-    if (nurseData.email && nurseData.password) {
-      try {
-        const userCredential = await createUserWithEmailAndPassword(
-          auth,
-          nurseData.email,
-          nurseData.password
-        );
-        uid = userCredential.user.uid;
-        console.log('Nurse account created in Firebase Auth:', uid);
-      } catch (authError) {
-        console.error('Error creating Firebase Auth account:', authError);
-        throw new Error(`Failed to create account: ${authError.message}`);
-      }
-    } else {
-      // إذا لم يكن هناك email/password، إنشاء UID فريد
-      uid = uid || `nurse_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
+    // إذا لم يكن هناك email، إنشاء UID فريد
+    const uid = nurseData.uid || provisionedUid ||
+      `nurse_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    const docRef = await addDoc(nursesRef, {
+    return await createProfileDoc('nurses', {
       uid: uid,
       name: nurseData.name,
       department: nurseData.department || '',
@@ -457,17 +576,14 @@ export const createNurse = async (nurseData) => {
       email: nurseData.email || '',
       shift: nurseData.shift || 'morning', // morning | evening | night
       
-      // Stats - القيم الافتراضية
+      // Stats - مشتقة، يعيد حسابها syncStaffStats / withStaffStats (راجع staffStats.js)
       stats: {
-        assignedPatients: 0,
-        ...nurseData.stats // السماح بتجاوز القيم الافتراضية
+        assignedPatients: 0
       },
       
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
-    });
-    
-    return docRef.id;
+    }, provisionedUid);
   } catch (error) {
     console.error('Error creating nurse:', error);
     throw error;
@@ -476,290 +592,1239 @@ export const createNurse = async (nurseData) => {
 
 export const updateNurse = async (nurseId, updates) => {
   try {
-    const nurseRef = doc(db, 'nurses', nurseId);
-    
-    // إذا كان هناك password جديد، نحذر أن تحديث كلمة السر يحتاج Admin SDK
-    let updateData = { ...updates };
-    if (updates.password && updates.password.trim()) {
-      console.warn('Password update requires admin privileges. Please use Firebase Admin SDK or update manually in Firebase Console.');
-      // إزالة password من updates لأننا لا نريد حفظه في Firestore
-      const { password, ...rest } = updateData;
-      updateData = rest;
+    requirePermission('update', 'nurses');
+    // كلمة السر لا تُحفظ في Firestore - تُرسل لخدمة الإدارة
+    // stats مشتقة ولا تُعدَّل يدوياً (راجع staffStats.js)
+    const { password, stats, ...updateData } = updates;
+    if (password && password.trim()) {
+      await changeProfilePassword('nurses', nurseId, password);
     }
+    await changeProfileEmail('nurses', nurseId, updates.email);
     
-    await updateDoc(nurseRef, {
+    await dataAdapter.update('nurses', nurseId, {
       ...updateData,
       updatedAt: serverTimestamp()
     });
+    await syncUserFromProfile('nurses', nurseId);
   } catch (error) {
     console.error('Error updating nurse:', error);
     throw error;
   }
 };
 
-export const deleteNurse = async (nurseId) => {
-  try {
-    const nurseRef = doc(db, 'nurses', nurseId);
-    await deleteDoc(nurseRef);
-  } catch (error) {
-    console.error('Error deleting nurse:', error);
-    throw error;
-  }
+/**
+ * حذف ممرضة (أرشفة - Soft delete)
+ */
+export const deleteNurse = async (nurseId, reason) => {
+  await archiveDoc('nurses', nurseId, reason);
 };
 
-// ==================== WEB APPOINTMENTS ====================
-
-export const getWebAppointments = async () => {
-  try {
-    const appointmentsRef = collection(db, 'web_appointments');
-    const snapshot = await getDocs(appointmentsRef);
-    
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate()
-    }));
-  } catch (error) {
-    console.error('Error getting appointments:', error);
-    throw error;
-  }
-};
+// ==================== NURSE ROSTER ====================
 
-export const subscribeToWebAppointments = (callback) => {
-  const appointmentsRef = collection(db, 'web_appointments');
-  
-  return onSnapshot(appointmentsRef, (snapshot) => {
-    const appointments = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate()
-    }));
-    callback(appointments);
-  });
+export const subscribeToRoster = (callback, options) => {
+  return dataAdapter.subscribe(ROSTER_COLLECTION, withArchiveFilter(ROSTER_COLLECTION, callback, options));
 };
 
 /**
- * التحقق من التعارض في المواعيد
+ * إسناد مناوبة لممرض (راجع nurseRoster.js)
+ * تُرفض إذا تداخلت مع مناوبة أخرى له أو لم تترك MIN_REST_HOURS راحة (code: 'rest-violation')
  */
-const checkAppointmentConflict = async (doctorId, date, time, excludeId = null) => {
-  const appointmentsRef = collection(db, 'web_appointments');
-  const q = query(
-    appointmentsRef,
-    where('doctorId', '==', doctorId),
-    where('date', '==', date),
-    where('time', '==', time),
-    where('status', '==', 'scheduled')
-  );
-  
-  const snapshot = await getDocs(q);
-  
-  // استبعاد الموعد الحالي عند التحديث
-  if (excludeId) {
-    return snapshot.docs.some(doc => doc.id !== excludeId);
-  }
-  
-  return !snapshot.empty;
-};
-
-export const createWebAppointment = async (appointmentData) => {
+export const assignNurseShift = async ({ nurseId, date, shift, department, note }) => {
   try {
-    // التحقق من عدم التعارض
-    const hasConflict = await checkAppointmentConflict(
-      appointmentData.doctorId,
-      appointmentData.date,
-      appointmentData.time
-    );
-    
-    if (hasConflict) {
-      throw new Error('هذا الموعد محجوز بالفعل');
-    }
-    
-    const appointmentsRef = collection(db, 'web_appointments');
-    
-    // التأكد من أن الوقت موجود
-    if (!appointmentData.time || appointmentData.time.trim() === '') {
-      throw new Error('الوقت مطلوب');
+    requirePermission('create', ROSTER_COLLECTION);
+    if (!SHIFTS[shift]) throw new Error('المناوبة غير صحيحة');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error('تاريخ المناوبة مطلوب');
+
+    const nurse = await dataAdapter.get('nurses', nurseId);
+    if (!nurse || isArchived(nurse, 'nurses')) throw new Error('الممرض غير موجود');
+    const rosterDepartment = (department || nurse.department || '').trim();
+    if (!rosterDepartment) throw new Error('القسم مطلوب');
+
+    const nurseShifts = await dataAdapter.list(ROSTER_COLLECTION, { where: [['nurseId', '==', nurseId]] });
+    const violation = restViolation(nurseShifts, { date, shift });
+    if (violation) {
+      const { assignment, restHours } = violation;
+      const error = new Error(restHours === 0
+        ? `${nurse.name} لديه مناوبة متداخلة (${assignment.date} ${SHIFTS[assignment.shift].label})`
+        : `${nurse.name} يحتاج ${MIN_REST_HOURS} ساعة راحة بعد مناوبة ${assignment.date} ${SHIFTS[assignment.shift].label} (المتاح ${restHours})`);
+      error.code = 'rest-violation';
+      throw error;
     }
-    
-    const docRef = await addDoc(appointmentsRef, {
-      patientId: appointmentData.patientId || null,
-      patientName: appointmentData.patientName || '',
-      doctorId: appointmentData.doctorId || null,
-      doctorName: appointmentData.doctorName || '',
-      date: appointmentData.date || '',
-      time: appointmentData.time.trim(), // إزالة المسافات الزائدة
-      status: appointmentData.status || 'scheduled',
-      notes: appointmentData.notes || '',
+
+    return await dataAdapter.create(ROSTER_COLLECTION, {
+      nurseId,
+      nurseName: nurse.name,
+      department: rosterDepartment,
+      date,
+      shift,
+      note: note || '',
       createdAt: serverTimestamp(),
       createdBy: getCurrentUserId()
     });
-    
-    return docRef.id;
   } catch (error) {
-    console.error('Error creating appointment:', error);
+    console.error('Error assigning nurse shift:', error);
     throw error;
   }
 };
 
-export const updateWebAppointment = async (appointmentId, updates) => {
+/**
+ * إزالة مناوبة (أرشفة) في معاملة تقرأ مناوبات نفس القسم والمناوبة
+ * تُرفض إذا بقي أقل من MIN_NURSES_PER_SHIFT (code: 'understaffed') إلا مع overrideReason،
+ * الذي يُحفظ في سبب الأرشفة
+ */
+export const removeNurseShift = async (assignmentId, reason, overrideReason = '') => {
   try {
-    // إذا كان التحديث يتضمن تغيير الوقت، تحقق من التعارض
-    if (updates.doctorId || updates.date || updates.time) {
-      const appointmentRef = doc(db, 'web_appointments', appointmentId);
-      const appointmentDoc = await getDoc(appointmentRef);
-      const currentData = appointmentDoc.data();
-      
-      const hasConflict = await checkAppointmentConflict(
-        updates.doctorId || currentData.doctorId,
-        updates.date || currentData.date,
-        updates.time || currentData.time,
-        appointmentId
-      );
-      
-      if (hasConflict) {
-        throw new Error('هذا الموعد محجوز بالفعل');
+    requirePermission('delete', ROSTER_COLLECTION);
+    const assignment = await dataAdapter.get(ROSTER_COLLECTION, assignmentId);
+    if (!assignment || isArchived(assignment, ROSTER_COLLECTION)) throw new Error('المناوبة غير موجودة');
+    const sameShift = await dataAdapter.list(ROSTER_COLLECTION, {
+      where: [['date', '==', assignment.date], ['shift', '==', assignment.shift], ['department', '==', assignment.department]]
+    });
+    const override = (overrideReason || '').trim();
+
+    await dataAdapter.runTransaction(async (tx) => {
+      const current = (await Promise.all(sameShift.map((a) => tx.get(ROSTER_COLLECTION, a.id)))).filter(Boolean);
+      const remaining = activeAssignments(current).filter((a) => a.id !== assignmentId).length;
+      const minimum = MIN_NURSES_PER_SHIFT[assignment.shift] || 0;
+      if (remaining < minimum && !override) {
+        const error = new Error(`${assignment.department} ${SHIFTS[assignment.shift]?.label || assignment.shift} ${assignment.date}: يبقى ${remaining} من ${minimum} ممرض كحد أدنى`);
+        error.code = 'understaffed';
+        throw error;
       }
-    }
-    
-    const appointmentRef = doc(db, 'web_appointments', appointmentId);
-    
-    // تنظيف البيانات قبل التحديث
-    const cleanUpdates = { ...updates };
-    if (cleanUpdates.time) {
-      cleanUpdates.time = cleanUpdates.time.trim(); // إزالة المسافات الزائدة
-    }
-    
-    await updateDoc(appointmentRef, {
-      ...cleanUpdates,
-      updatedAt: serverTimestamp(),
-      updatedBy: getCurrentUserId()
+      tx.update(ROSTER_COLLECTION, assignmentId, archiveFields(override ? `${reason} (below minimum: ${override})` : reason));
     });
   } catch (error) {
-    console.error('Error updating appointment:', error);
+    console.error('Error removing nurse shift:', error);
     throw error;
   }
 };
 
+// ==================== WEB APPOINTMENTS ====================
 
-export const deleteWebAppointment = async (appointmentId) => {
+export const getWebAppointments = async () => {
   try {
-    const appointmentRef = doc(db, 'web_appointments', appointmentId);
-    await deleteDoc(appointmentRef);
+    return excludeArchived(await dataAdapter.list('web_appointments'), 'web_appointments');
   } catch (error) {
-    console.error('Error deleting appointment:', error);
+    console.error('Error getting appointments:', error);
     throw error;
   }
 };
 
-// ==================== WEB WAITLIST ====================
-
-export const subscribeToWebWaitlist = (callback) => {
-  const waitlistRef = collection(db, 'web_waitlist');
-  const q = query(waitlistRef, orderBy('createdAt', 'desc'));
-  
-  return onSnapshot(q, (snapshot) => {
-    const waitlist = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate()
-    }));
-    callback(waitlist);
-  });
+export const subscribeToWebAppointments = (callback, options = {}) => {
+  const { patientId, ...archiveOptions } = options;
+  requireOwnScope('web_appointments', patientId);
+  return dataAdapter.subscribe(
+    'web_appointments',
+    withArchiveFilter('web_appointments', callback, archiveOptions),
+    patientId ? { where: [['patientId', '==', patientId]] } : undefined
+  );
 };
 
-export const createWebWaitlistEntry = async (data) => {
-  try {
-    const waitlistRef = collection(db, 'web_waitlist');
-    
-    const docRef = await addDoc(waitlistRef, {
-      patient: data.patient,
-      department: data.department,
-      preferredDate: data.preferredDate,
-      notes: data.notes || '',
-      status: 'waiting',
-      createdAt: serverTimestamp(),
-      createdBy: getCurrentUserId()
-    });
-    
-    return docRef.id;
-  } catch (error) {
-    console.error('Error creating waitlist entry:', error);
-    throw error;
+/**
+ * الاشتراك في مستندات حجز الأوقات لطبيب في يوم (بكل معرفاته) - لا تحمل بيانات المرضى
+ * (بوابة المريض تحسب منها الأوقات المتاحة - راجع availableTimesFromReservations)
+ */
+export const subscribeToSlotDays = (doctor, date, callback) => {
+  const doctorIds = staffRefIds(doctor);
+  if (!doctorIds.length || !date) {
+    callback([]);
+    return () => {};
   }
+  return dataAdapter.subscribe(SLOTS_COLLECTION, callback, {
+    where: [['doctorId', 'in', doctorIds], ['date', '==', date]]
+  });
 };
 
-export const deleteWebWaitlistEntry = async (entryId) => {
-  try {
-    const entryRef = doc(db, 'web_waitlist', entryId);
-    await deleteDoc(entryRef);
-  } catch (error) {
-    console.error('Error deleting waitlist entry:', error);
-    throw error;
-  }
+/**
+ * خطأ التعارض (code يسمح للمستدعي بتمييزه، مثل تخطي تاريخ في سلسلة)
+ */
+const slotTakenError = (dates = []) => {
+  const error = new Error(dates.length > 1
+    ? `هذه المواعيد محجوزة بالفعل: ${dates.join(', ')}`
+    : 'هذا الموعد محجوز بالفعل');
+  error.code = 'slot-taken';
+  return error;
 };
 
-// ==================== WEB TRANSFERS ====================
-
-export const subscribeToWebTransfers = (callback) => {
-  const transfersRef = collection(db, 'web_transfers');
-  const q = query(transfersRef, orderBy('createdAt', 'desc'));
-  
-  return onSnapshot(q, (snapshot) => {
-    const transfers = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt?.toDate(),
-      updatedAt: doc.data().updatedAt?.toDate()
-    }));
-    callback(transfers);
+/**
+ * التحقق من التعارض في المواعيد (استعلام عادي بقواعد appointmentSlots.js)
+ * يغطي المواعيد القديمة التي ليس لها مستند حجز؛ الحماية من الحجز المتزامن في المعاملة
+ * appointment: { doctorId, date, time, appointmentType, duration }
+ * excludeId: معرف أو مصفوفة معرفات لا تُحسب (المواعيد التي يتم نقلها)
+ * doctor: ملف الطبيب إن كان معروفاً؛ المواعيد بأي من معرفاته (uid أو معرف المستند) تُحسب
+ */
+const checkAppointmentConflict = async (appointment, excludeId = null, doctor = null) => {
+  const known = doctor || await resolveDoctor(appointment.doctorId);
+  const doctorIds = known ? staffRefIds(known) : [appointment.doctorId];
+  const matches = await dataAdapter.list('web_appointments', {
+    where: [
+      ['doctorId', 'in', doctorIds],
+      ['date', '==', appointment.date]
+    ]
   });
+  return !!findSlotConflict(matches, { ...appointment, doctorId: doctorIds }, excludeId);
 };
 
-export const createWebTransfer = async (data) => {
-  try {
-    const transfersRef = collection(db, 'web_transfers');
-    
-    const docRef = await addDoc(transfersRef, {
-      patientId: data.patientId,
-      patient: data.patient,
-      fromDept: data.fromDept,
-      toDept: data.toDept,
-      reason: data.reason,
-      status: 'pending',
-      assignedDoctorId: data.assignedDoctorId || null,
-      createdAt: serverTimestamp(),
-      createdBy: getCurrentUserId(),
-      updatedAt: serverTimestamp()
-    });
-    
-    return docRef.id;
-  } catch (error) {
-    console.error('Error creating transfer:', error);
-    throw error;
-  }
+/**
+ * هل بقي الموعد في نفس الفترة؟ (تعديل لا يغير الوقت لا يُفحص من جديد)
+ */
+const sameSlot = (a, b) => {
+  const [x, y] = [blockedInterval(a), blockedInterval(b)];
+  return appointmentSlotKey(a) === appointmentSlotKey(b) && x.start === y.start && x.end === y.end;
 };
 
-export const updateWebTransfer = async (transferId, updates) => {
-  try {
-    const transferRef = doc(db, 'web_transfers', transferId);
-    
-    await updateDoc(transferRef, {
-      ...updates,
-      updatedAt: serverTimestamp(),
-      updatedBy: getCurrentUserId()
+/**
+ * حجز / نقل / تحرير فترات مواعيد في معاملة واحدة
+ * plans: [{ id, current, next }] (current = null لموعد جديد)
+ * يقرأ مستندات الأيام المتأثرة ويتأكد أن الفترات الجديدة لا تتداخل مع فترات محجوزة أو مع بعضها.
+ * الفترة المتداخلة تُتجاهل إذا لم يعد موعدها يشغلها (حجز قديم).
+ * كل القراءات هنا (شرط Firestore)؛ الكتابة في الدالة المعادة بعد كتابة المواعيد
+ * (معرف الموعد الجديد يُعرف عند إنشائه).
+ * @returns {Promise<Function>} دالة تكتب مستندات الأيام
+ */
+const reserveSlots = async (tx, plans) => {
+  const ids = plans.map((p) => p.id).filter(Boolean);
+  const days = {};
+  for (const appointment of plans.flatMap((p) => [p.current, p.next])) {
+    if (!appointment || !holdsSlot(appointment)) continue;
+    const key = appointmentSlotKey(appointment);
+    if (days[key]) continue;
+
+    const day = await tx.get(SLOTS_COLLECTION, key);
+    const reservations = { ...(day?.reservations || {}) };
+    ids.forEach((id) => delete reservations[id]);
+    days[key] = { exists: !!day, doctorId: appointment.doctorId, date: appointment.date, reservations, pending: [] };
+  }
+
+  const conflicts = [];
+  for (const plan of plans) {
+    if (!holdsSlot(plan.next)) continue;
+    const day = days[appointmentSlotKey(plan.next)];
+    const unchanged = plan.current && holdsSlot(plan.current) && sameSlot(plan.current, plan.next);
+    const interval = blockedInterval(plan.next);
+
+    let taken = !unchanged && day.pending.some((other) => intervalsOverlap(interval, blockedInterval(other.next)));
+    for (const [holderId, reservation] of Object.entries(day.reservations)) {
+      if (taken || unchanged) break;
+      if (!intervalsOverlap(interval, { start: toMinutes(reservation.start), end: toMinutes(reservation.end) })) continue;
+
+      const holder = await tx.get('web_appointments', holderId);
+      if (holder && holdsSlot(holder) && appointmentSlotKey(holder) === appointmentSlotKey(plan.next) &&
+          intervalsOverlap(interval, blockedInterval(holder))) {
+        taken = true;
+      } else {
+        delete day.reservations[holderId];
+      }
+    }
+
+    if (taken) conflicts.push(plan.next.date);
+    day.pending.push(plan);
+  }
+  if (conflicts.length) throw slotTakenError(conflicts);
+
+  return () => Object.entries(days).forEach(([key, day]) => {
+    const reservations = { ...day.reservations };
+    day.pending.forEach((plan) => { reservations[plan.id] = slotReservation(plan.next); });
+
+    if (Object.keys(reservations).length === 0) {
+      if (day.exists) tx.remove(SLOTS_COLLECTION, key);
+      return;
+    }
+    tx.set(SLOTS_COLLECTION, key, {
+      doctorId: day.doctorId,
+      date: day.date,
+      reservations,
+      updatedAt: serverTimestamp()
+    });
+  });
+};
+
+/**
+ * حجز موعد جديد ووقته في معاملة واحدة (الموعد يُحفظ بمعرف الطبيب الموحد)
+ */
+const bookAppointment = async (appointment) => {
+  const { appointment: data, doctor } = await withCanonicalDoctor(appointment);
+  if (holdsSlot(data)) await assertDoctorAvailable(data, doctor);
+  if (holdsSlot(data) && await checkAppointmentConflict(data, null, doctor)) {
+    throw slotTakenError();
+  }
+
+  return dataAdapter.runTransaction(async (tx) => {
+    const plan = { id: null, current: null, next: data };
+    const writeSlots = await reserveSlots(tx, [plan]);
+    plan.id = tx.create('web_appointments', data);
+    writeSlots();
+    return plan.id;
+  });
+};
+
+/**
+ * تغيير حالة الموعد حسب دورة الحياة (راجع appointmentLifecycle)
+ * نفس الحالة لا تُكتب مرة أخرى؛ الانتقال غير المسموح يُرفض (code: 'invalid-transition')،
+ * و no-show / cancelled تتطلبان سبباً في REASON_FIELDS. يُضاف وقت الانتقال ومنفذه.
+ * @returns {Object} التعديل بعد تطبيق الحالة
+ */
+const withStatusChange = (current, data) => {
+  if (data.status === undefined) return data;
+  const { status, ...rest } = data;
+  const to = (status || '').trim().toLowerCase();
+  if (!APPOINTMENT_STATUSES.includes(to)) throw new Error(`حالة الموعد غير معروفة: ${status}`);
+
+  const from = appointmentStatus(current);
+  if (to === from) return rest;
+  if (!canTransitionAppointment(current, to)) {
+    const error = new Error(`لا يمكن نقل الموعد من ${APPOINTMENT_STATUS_LABELS[from]} إلى ${APPOINTMENT_STATUS_LABELS[to]}`);
+    error.code = 'invalid-transition';
+    throw error;
+  }
+
+  const reasonField = REASON_FIELDS[to];
+  if (reasonField && !rest[reasonField]?.trim()) throw new Error(`السبب مطلوب (${APPOINTMENT_STATUS_LABELS[to]})`);
+  const stamp = STATUS_STAMPS[to];
+  return {
+    ...rest,
+    ...(reasonField && { [reasonField]: rest[reasonField].trim() }),
+    status: to,
+    [`${stamp}At`]: serverTimestamp(),
+    [`${stamp}By`]: getCurrentUserId()
+  };
+};
+
+/**
+ * كتابة تغييرات على موعد أو أكثر ونقل / تحرير فتراتها في معاملة واحدة
+ * changes: [{ id, data }]. كل الفترات الجديدة تُفحص قبل أي كتابة، وأي تعارض يلغي العملية كاملة
+ * تغيير الحالة يمر عبر دورة الحياة (withStatusChange) داخل المعاملة
+ * الموعد الذي يشغل وقتاً يُنقل لمعرف الطبيب الموحد (ومعه مستند الحجز)
+ * @returns {Promise<Array>} المواعيد التي أُلغيت بهذه التغييرات
+ */
+const applyAppointmentChanges = async (changes) => {
+  const ids = changes.map((c) => c.id);
+
+  // فحص مسبق: دورة الحياة، ساعات عمل الطبيب، والمواعيد القديمة بدون حجز
+  const conflicts = [];
+  const resolved = [];
+  for (const change of changes) {
+    const current = await dataAdapter.get('web_appointments', change.id);
+    if (!current) throw new Error('الموعد غير موجود');
+    const { appointment: next, doctor } = await withCanonicalDoctor({ ...current, ...withStatusChange(current, change.data) });
+    const data = holdsSlot(next) && next.doctorId !== current.doctorId
+      ? { ...change.data, doctorId: next.doctorId }
+      : change.data;
+    resolved.push({ id: change.id, data });
+    if (!holdsSlot(next) || (holdsSlot(current) && sameSlot(current, next))) continue;
+    await assertDoctorAvailable(next, doctor);
+    if (await checkAppointmentConflict(next, ids, doctor)) conflicts.push(next.date);
+  }
+  if (conflicts.length) throw slotTakenError(conflicts);
+
+  return dataAdapter.runTransaction(async (tx) => {
+    const plans = [];
+    for (const change of resolved) {
+      const current = await tx.get('web_appointments', change.id);
+      if (!current) throw new Error('الموعد غير موجود');
+      const data = withStatusChange(current, change.data);
+      plans.push({ id: change.id, data, current, next: { ...current, ...data } });
+    }
+
+    const writeSlots = await reserveSlots(tx, plans);
+    plans.forEach(({ id, data }) => tx.update('web_appointments', id, data));
+    writeSlots();
+
+    // المواعيد التي أُلغيت في هذا التعديل (وقتها أصبح متاحاً لقائمة الانتظار)
+    return plans
+      .filter(({ current, next }) => holdsSlot(current) && !holdsSlot(next) && !isArchived(next, 'web_appointments'))
+      .map(({ id, next }) => ({ ...next, id }));
+  });
+};
+
+/**
+ * التحقق من الوقت والنوع والمدة (الحقول الموجودة فقط)
+ */
+const assertValidTiming = ({ time, appointmentType, duration }) => {
+  if (time !== undefined && Number.isNaN(toMinutes(time))) throw new Error('صيغة الوقت غير صحيحة (HH:MM)');
+  if (appointmentType && !APPOINTMENT_TYPES[appointmentType]) throw new Error('نوع الموعد غير معروف');
+  if (duration !== undefined && duration !== null && duration !== '') {
+    const minutes = Number(duration);
+    if (!Number.isInteger(minutes) || minutes < 5 || minutes > 12 * 60) throw new Error('مدة الموعد غير صحيحة');
+  }
+};
+
+/**
+ * تطبيع حقول التوقيت في التعديل (تغيير النوع بدون مدة يعيد المدة الافتراضية للنوع)
+ */
+const normalizeTimingUpdates = (updates) => {
+  const clean = { ...updates };
+  if (clean.time) clean.time = normalizeTime(clean.time);
+  if (clean.duration !== undefined) clean.duration = Number(clean.duration);
+  if (clean.appointmentType && clean.duration === undefined) {
+    clean.duration = APPOINTMENT_TYPES[clean.appointmentType]?.duration;
+  }
+  assertValidTiming(clean);
+  return clean;
+};
+
+/**
+ * هيكل مستند الموعد عند الإنشاء
+ */
+const toAppointmentDoc = (appointmentData) => ({
+  patientId: appointmentData.patientId || null,
+  patientName: appointmentData.patientName || '',
+  doctorId: appointmentData.doctorId || null,
+  doctorName: appointmentData.doctorName || '',
+  date: appointmentData.date || '',
+  time: normalizeTime(appointmentData.time),
+  appointmentType: appointmentTypeOf(appointmentData),
+  duration: appointmentDuration(appointmentData),
+  status: appointmentStatus(appointmentData),
+  notes: appointmentData.notes || '',
+  // دورة من خطة علاج (راجع treatmentPlans.js)
+  ...(appointmentData.treatmentPlanId && {
+    treatmentPlanId: appointmentData.treatmentPlanId,
+    cycle: appointmentData.cycle,
+    plannedDate: appointmentData.plannedDate
+  }),
+  // موعد من سلسلة متكررة (راجع recurrence.js)
+  ...(appointmentData.seriesId && {
+    seriesId: appointmentData.seriesId,
+    occurrence: appointmentData.occurrence,
+    recurrence: appointmentData.recurrence
+  }),
+  createdAt: serverTimestamp(),
+  createdBy: getCurrentUserId()
+});
+
+export const createWebAppointment = async (appointmentData) => {
+  try {
+    requirePermission('create', 'web_appointments');
+    // التأكد من أن الوقت موجود
+    if (!appointmentData.time || appointmentData.time.trim() === '') {
+      throw new Error('الوقت مطلوب');
+    }
+    assertValidTiming(appointmentData);
+    
+    // الحجز والتحقق من عدم التعارض في معاملة واحدة
+    return await bookAppointment(toAppointmentDoc(appointmentData));
+  } catch (error) {
+    console.error('Error creating appointment:', error);
+    throw error;
+  }
+};
+
+/**
+ * تحديث موعد (إعادة الجدولة والإلغاء تنقل / تحرر حجز الوقت في نفس المعاملة)
+ * الإلغاء يعرض الوقت المتحرر على أنسب طلب في قائمة الانتظار
+ * @returns {Promise<Array>} طلبات الانتظار التي عُرض عليها الوقت
+ */
+export const updateWebAppointment = async (appointmentId, updates) => {
+  try {
+    requirePermission('update', 'web_appointments');
+    // تنظيف البيانات قبل التحديث
+    const cleanUpdates = normalizeTimingUpdates(updates);
+    
+    const cancelled = await applyAppointmentChanges([{
+      id: appointmentId,
+      data: { ...cleanUpdates, updatedAt: serverTimestamp(), updatedBy: getCurrentUserId() }
+    }]);
+    return await offerFreedSlots(cancelled);
+  } catch (error) {
+    console.error('Error updating appointment:', error);
+    throw error;
+  }
+};
+
+/**
+ * نقل الموعد في دورة الحياة (راجع appointmentLifecycle.APPOINTMENT_TRANSITIONS)
+ * no-show و cancelled تتطلبان سبباً؛ الإلغاء يعرض الوقت المتحرر على قائمة الانتظار
+ * @returns {Promise<Array>} طلبات الانتظار التي عُرض عليها الوقت
+ */
+export const transitionAppointment = async (appointmentId, to, reason) => {
+  const reasonField = REASON_FIELDS[to];
+  return updateWebAppointment(appointmentId, { status: to, ...(reasonField && { [reasonField]: reason || '' }) });
+};
+
+// قيم status التي تعني "مجدول" (appointmentStatus يحوّل القديمة إلى scheduled)
+const SCHEDULED_STATUS_VALUES = ['scheduled', 'pending', 'confirmed', 'Scheduled', 'Pending', 'Confirmed'];
+
+/**
+ * تسجيل المواعيد المجدولة (اليوم وما قبله) التي لم يصل مرضاها بعد مهلة التأخير كـ no-show
+ * مع Firestore تعمل الدالة المجدولة markNoShows في functions؛ هنا للبيانات المحلية (AppContext)
+ * المهلة والتوقيت من settings/clinic (نفس markNoShows). الموعد الذي تغيرت حالته في عميل آخر يُتخطى
+ * @returns {Promise<string[]>} معرفات المواعيد المسجلة no-show
+ */
+export const markOverdueNoShows = async (now = new Date()) => {
+  try {
+    requirePermission('update', 'web_appointments');
+    const { noShowGraceMinutes: graceMinutes, timeZone } = await getClinicSettings();
+    const clinicTime = clinicNow(timeZone, now);
+    const overdue = excludeArchived(
+      await dataAdapter.list('web_appointments', {
+        where: [['status', 'in', SCHEDULED_STATUS_VALUES], ['date', '<=', formatDateISO(clinicTime)]]
+      }),
+      'web_appointments'
+    ).filter((a) => isOverdueNoShow(a, clinicTime, graceMinutes));
+
+    const marked = [];
+    for (const appointment of overdue) {
+      try {
+        await applyAppointmentChanges([{
+          id: appointment.id,
+          data: {
+            status: 'no-show',
+            noShowReason: `Not checked in within ${graceMinutes} minutes`,
+            updatedAt: serverTimestamp(),
+            updatedBy: getCurrentUserId()
+          }
+        }]);
+        marked.push(appointment.id);
+      } catch (error) {
+        if (error.code !== 'invalid-transition') throw error;
+      }
+    }
+    return marked;
+  } catch (error) {
+    console.error('Error marking no-shows:', error);
+    throw error;
+  }
+};
+
+/**
+ * حذف موعد (أرشفة - Soft delete) وتحرير وقته
+ */
+export const deleteWebAppointment = async (appointmentId, reason) => {
+  await archiveDoc('web_appointments', appointmentId, reason);
+};
+
+// ==================== RECURRING APPOINTMENTS ====================
+
+/**
+ * إنشاء سلسلة مواعيد متكررة
+ * كل موعد يُحجز في معاملته الخاصة؛ التواريخ المحجوزة أو التي لا يعمل فيها الطبيب
+ * لا تُنشأ وتُعاد في conflicts
+ * @returns {Promise<{ seriesId: string, ids: string[], conflicts: string[] }>}
+ */
+export const createRecurringAppointments = async (appointmentData, recurrence) => {
+  try {
+    requirePermission('create', 'web_appointments');
+    const invalid = validateRecurrence(recurrence, appointmentData.date);
+    if (invalid) throw new Error(invalid);
+    if (!appointmentData.time || appointmentData.time.trim() === '') {
+      throw new Error('الوقت مطلوب');
+    }
+    assertValidTiming(appointmentData);
+
+    const rule = {
+      frequency: recurrence.frequency,
+      interval: Number(recurrence.interval),
+      ...(recurrence.until ? { until: recurrence.until } : { count: Number(recurrence.count) }),
+      exceptions: [...new Set(recurrence.exceptions || [])].sort()
+    };
+    const seriesId = `series_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const ids = [];
+    const conflicts = [];
+
+    for (const { occurrence, date } of expandRecurrence(appointmentData.date, rule)) {
+      try {
+        ids.push(await bookAppointment(toAppointmentDoc({ ...appointmentData, date, seriesId, occurrence, recurrence: rule })));
+      } catch (error) {
+        if (error.code !== 'slot-taken' && error.code !== 'doctor-unavailable') throw error;
+        conflicts.push(date);
+      }
+    }
+
+    return { seriesId, ids, conflicts };
+  } catch (error) {
+    console.error('Error creating recurring appointments:', error);
+    throw error;
+  }
+};
+
+/**
+ * مواعيد السلسلة التي يشملها النطاق ابتداءً من موعد معين
+ */
+const getSeriesScope = async (appointmentId, scope) => {
+  const target = await dataAdapter.get('web_appointments', appointmentId);
+  if (!target) throw new Error('الموعد غير موجود');
+  if (!target.seriesId || scope === 'this') return { target, members: [target] };
+
+  const series = await dataAdapter.list('web_appointments', { where: [['seriesId', '==', target.seriesId]] });
+  return { target, members: selectSeriesScope(series, target, scope) };
+};
+
+/**
+ * تعديل موعد من سلسلة: this / following / all
+ * تغيير التاريخ يُزيح كل مواعيد النطاق بنفس عدد الأيام. كل المواعيد تُكتب في معاملة واحدة
+ * (أي تعارض يلغي التعديل كاملاً)، والمواعيد المنتهية (completed / no-show) أو التي لا تقبل
+ * الحالة الجديدة (غير الموعد نفسه) لا تتغير.
+ * @returns {Promise<string[]>} معرفات المواعيد المعدلة
+ */
+export const updateAppointmentSeries = async (appointmentId, updates, scope = 'this') => {
+  try {
+    requirePermission('update', 'web_appointments');
+    const { target, members } = await getSeriesScope(appointmentId, scope);
+    if (members.length === 1) {
+      await updateWebAppointment(appointmentId, updates);
+      return [appointmentId];
+    }
+
+    const { date: newDate, ...shared } = normalizeTimingUpdates(updates);
+    const status = shared.status !== undefined ? String(shared.status).trim().toLowerCase() : null;
+    const changes = members
+      .filter((m) => m.id === target.id || (
+        !['completed', 'no-show'].includes(appointmentStatus(m)) &&
+        (!status || canTransitionAppointment(m, status))))
+      .map((m) => ({
+        id: m.id,
+        data: {
+          ...shared,
+          ...(newDate && { date: shiftSeriesDate(m.date, target.date, newDate) }),
+          updatedAt: serverTimestamp(),
+          updatedBy: getCurrentUserId()
+        }
+      }));
+
+    await offerFreedSlots(await applyAppointmentChanges(changes));
+    return changes.map((c) => c.id);
+  } catch (error) {
+    console.error('Error updating appointment series:', error);
+    throw error;
+  }
+};
+
+/**
+ * إلغاء موعد أو جزء من السلسلة مع السبب (المواعيد المنتهية تبقى كما هي)
+ */
+export const cancelAppointmentSeries = async (appointmentId, scope = 'this', reason) => {
+  return updateAppointmentSeries(appointmentId, { status: 'cancelled', cancellationReason: reason }, scope);
+};
+
+/**
+ * أرشفة موعد أو جزء من السلسلة مع السبب
+ * @returns {Promise<string[]>} معرفات المواعيد المؤرشفة
+ */
+export const archiveAppointmentSeries = async (appointmentId, reason, scope = 'this') => {
+  try {
+    requirePermission('delete', 'web_appointments');
+    const { members } = await getSeriesScope(appointmentId, scope);
+    await applyAppointmentChanges(members.map((m) => ({ id: m.id, data: archiveFields(reason) })));
+    return members.map((m) => m.id);
+  } catch (error) {
+    console.error('Error archiving appointment series:', error);
+    throw error;
+  }
+};
+
+// ==================== WEB WAITLIST ====================
+
+export const subscribeToWebWaitlist = (callback, options) => {
+  return dataAdapter.subscribe('web_waitlist', withArchiveFilter('web_waitlist', callback, options), { orderBy: ['createdAt', 'desc'] });
+};
+
+export const createWebWaitlistEntry = async (data) => {
+  try {
+    requirePermission('create', 'web_waitlist');
+    return await dataAdapter.create('web_waitlist', {
+      patient: data.patient,
+      patientId: data.patientId || null,
+      department: data.department,
+      preferredDate: data.preferredDate,
+      notes: data.notes || '',
+      status: 'waiting',
+      createdAt: serverTimestamp(),
+      createdBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error creating waitlist entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * حذف من قائمة الانتظار (أرشفة - Soft delete)
+ */
+export const deleteWebWaitlistEntry = async (entryId, reason) => {
+  await archiveDoc('web_waitlist', entryId, reason);
+};
+
+/**
+ * عرض وقت موعد ملغى على أنسب طلب انتظار (راجع waitlist.rankWaitlistMatches)
+ * @returns {Promise<Object|null>} الطلب الذي عُرض عليه الوقت
+ */
+const offerFreedSlot = async (appointment) => {
+  const doctors = await dataAdapter.list('doctors');
+  const doctor = doctors.find((d) => d.id === appointment.doctorId || d.uid === appointment.doctorId) ||
+    doctors.find((d) => d.name === (appointment.doctorName || appointment.doctor));
+  const [match] = rankWaitlistMatches(await dataAdapter.list(WAITLIST_COLLECTION), appointment, doctor?.department);
+  if (!match) return null;
+
+  const offer = { ...offerFromAppointment(appointment), offeredAt: new Date().toISOString() };
+  await dataAdapter.update(WAITLIST_COLLECTION, match.entry.id, {
+    status: 'offered',
+    offer,
+    updatedAt: serverTimestamp()
+  });
+  return { ...match.entry, status: 'offered', offer };
+};
+
+/**
+ * عرض أوقات المواعيد الملغاة على قائمة الانتظار
+ * أفضل جهد: فشل العرض لا يُفشل الإلغاء نفسه
+ */
+const offerFreedSlots = async (cancelled = []) => {
+  const offers = [];
+  for (const appointment of cancelled) {
+    try {
+      const entry = await offerFreedSlot(appointment);
+      if (entry) offers.push(entry);
+    } catch (error) {
+      console.warn('Could not offer freed slot to the waitlist:', error);
+    }
+  }
+  return offers;
+};
+
+/**
+ * حجز موعد لطلب انتظار ونقل الطلب إلى booked (بدلاً من حذفه)
+ * @returns {Promise<string>} معرف الموعد
+ */
+export const bookWaitlistEntry = async (entryId, appointmentData) => {
+  try {
+    requirePermission('update', WAITLIST_COLLECTION);
+    const entry = await dataAdapter.get(WAITLIST_COLLECTION, entryId);
+    if (!entry || !isOpenEntry(entry)) throw new Error('طلب الانتظار غير متاح');
+
+    const appointmentId = await createWebAppointment({
+      patientId: entry.patientId || null,
+      patientName: entry.patient,
+      ...appointmentData,
+      status: 'scheduled'
+    });
+    await dataAdapter.update(WAITLIST_COLLECTION, entryId, {
+      status: 'booked',
+      appointmentId,
+      bookedAt: serverTimestamp(),
+      bookedBy: getCurrentUserId(),
+      updatedAt: serverTimestamp()
     });
+    return appointmentId;
+  } catch (error) {
+    console.error('Error booking waitlist entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * قبول العرض: حجز الوقت المعروض. إذا حُجز الوقت في الأثناء يعود الطلب إلى waiting
+ */
+export const acceptWaitlistOffer = async (entryId) => {
+  try {
+    requirePermission('update', WAITLIST_COLLECTION);
+    const entry = await dataAdapter.get(WAITLIST_COLLECTION, entryId);
+    if (!entry?.offer || waitlistStatus(entry) !== 'offered') throw new Error('لا يوجد عرض لهذا الطلب');
+
+    const { appointmentId, offeredAt, ...slot } = entry.offer;
+    try {
+      return await bookWaitlistEntry(entryId, {
+        ...slot,
+        notes: `From waitlist${entry.notes ? ` - ${entry.notes}` : ''}`
+      });
+    } catch (error) {
+      if (error.code === 'slot-taken' || error.code === 'doctor-unavailable') {
+        await dataAdapter.update(WAITLIST_COLLECTION, entryId, { status: 'waiting', offer: null, updatedAt: serverTimestamp() });
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error);
+    throw error;
+  }
+};
+
+/**
+ * رفض العرض: الطلب يعود إلى waiting والوقت يُعرض على الطلب التالي
+ * @returns {Promise<Object|null>} الطلب التالي الذي عُرض عليه الوقت
+ */
+export const declineWaitlistOffer = async (entryId) => {
+  try {
+    requirePermission('update', WAITLIST_COLLECTION);
+    const entry = await dataAdapter.get(WAITLIST_COLLECTION, entryId);
+    if (!entry?.offer || waitlistStatus(entry) !== 'offered') throw new Error('لا يوجد عرض لهذا الطلب');
+
+    const { offer } = entry;
+    await dataAdapter.update(WAITLIST_COLLECTION, entryId, {
+      status: 'waiting',
+      offer: null,
+      declinedOffers: [...(entry.declinedOffers || []), offer.appointmentId],
+      updatedAt: serverTimestamp()
+    });
+
+    // الوقت ما زال متاحاً؟ (قد يكون حُجز من مكان آخر)
+    const { appointmentId, offeredAt, ...slot } = offer;
+    if (await checkAppointmentConflict(slot)) return null;
+    const [next] = await offerFreedSlots([{ ...slot, id: appointmentId }]);
+    return next || null;
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error);
+    throw error;
+  }
+};
+
+// ==================== WEB TRANSFERS ====================
+
+export const subscribeToWebTransfers = (callback, options) => {
+  return dataAdapter.subscribe(TRANSFERS_COLLECTION, withArchiveFilter(TRANSFERS_COLLECTION, callback, options), { orderBy: ['createdAt', 'desc'] });
+};
+
+export const subscribeToDepartments = (callback, options) => {
+  return dataAdapter.subscribe(DEPARTMENTS_COLLECTION, withArchiveFilter(DEPARTMENTS_COLLECTION, callback, options));
+};
+
+/**
+ * عدد أسرّة قسم (ينشئ مستند القسم إذا لم يكن موجوداً)
+ */
+export const setDepartmentBeds = async ({ name, beds }) => {
+  try {
+    const count = Number(beds);
+    if (!name?.trim()) throw new Error('اسم القسم مطلوب');
+    if (!Number.isInteger(count) || count < 0) throw new Error('عدد الأسرّة غير صحيح');
+
+    const existing = excludeArchived(await dataAdapter.list(DEPARTMENTS_COLLECTION), DEPARTMENTS_COLLECTION)
+      .find((d) => (d.name || '').trim().toLowerCase() === name.trim().toLowerCase());
+    if (existing) {
+      requirePermission('update', DEPARTMENTS_COLLECTION);
+      await dataAdapter.update(DEPARTMENTS_COLLECTION, existing.id, { beds: count, updatedAt: serverTimestamp() });
+      return existing.id;
+    }
+    requirePermission('create', DEPARTMENTS_COLLECTION);
+    return await dataAdapter.create(DEPARTMENTS_COLLECTION, {
+      name: name.trim(),
+      beds: count,
+      createdAt: serverTimestamp(),
+      createdBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error setting department beds:', error);
+    throw error;
+  }
+};
+
+export const createWebTransfer = async (data) => {
+  try {
+    requirePermission('create', TRANSFERS_COLLECTION);
+    if (!data.patient?.trim()) throw new Error('المريض مطلوب');
+    if (!data.toDept?.trim()) throw new Error('القسم المستقبِل مطلوب');
+    if (data.fromDept && data.fromDept.trim().toLowerCase() === data.toDept.trim().toLowerCase()) {
+      throw new Error('المريض في هذا القسم بالفعل');
+    }
+
+    return await dataAdapter.create(TRANSFERS_COLLECTION, {
+      patientId: data.patientId || null,
+      patient: data.patient.trim(),
+      fromDept: data.fromDept || '',
+      toDept: data.toDept.trim(),
+      reason: data.reason || '',
+      status: 'requested',
+      assignedDoctorId: null,
+      createdAt: serverTimestamp(),
+      createdBy: getCurrentUserId(),
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error creating transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * تعديل بيانات الطلب فقط (السبب، الملاحظات)؛ الحالة والطبيب عبر دوال الانتقال أدناه
+ */
+export const updateWebTransfer = async (transferId, updates) => {
+  try {
+    requirePermission('update', TRANSFERS_COLLECTION);
+    const { status, assignedDoctorId, ...rest } = updates;
+    if (status !== undefined || assignedDoctorId !== undefined) {
+      const error = new Error('حالة التحويل تتغير عبر الموافقة / الإسناد / الإكمال / الرفض فقط');
+      error.code = 'invalid-transition';
+      throw error;
+    }
+    await dataAdapter.update(TRANSFERS_COLLECTION, transferId, {
+      ...rest,
+      updatedAt: serverTimestamp(),
+      updatedBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error updating transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * نقل الطلب إلى حالة جديدة في معاملة (راجع transfers.TRANSFER_TRANSITIONS)
+ * withTransfer(tx, transfer) اختيارية: قراءات إضافية قبل الكتابة، وتعيد دالة لكتابات إضافية
+ * @returns {Promise<Object>} الطلب بعد الانتقال
+ */
+const transitionTransfer = (transferId, to, updates = {}, withTransfer) =>
+  dataAdapter.runTransaction(async (tx) => {
+    const transfer = await tx.get(TRANSFERS_COLLECTION, transferId);
+    if (!transfer || isArchived(transfer, TRANSFERS_COLLECTION)) throw new Error('طلب التحويل غير موجود');
+    if (!canTransition(transfer, to)) {
+      const error = new Error(`لا يمكن نقل التحويل من ${TRANSFER_STATUS_LABELS[transferStatus(transfer)]} إلى ${TRANSFER_STATUS_LABELS[to]}`);
+      error.code = 'invalid-transition';
+      throw error;
+    }
+
+    const writeMore = withTransfer ? await withTransfer(tx, transfer) : null;
+    const data = {
+      ...updates,
+      status: to,
+      [`${to}At`]: serverTimestamp(),
+      [`${to}By`]: getCurrentUserId(),
+      updatedAt: serverTimestamp(),
+      updatedBy: getCurrentUserId()
+    };
+    tx.update(TRANSFERS_COLLECTION, transferId, data);
+    if (writeMore) writeMore();
+    return { ...transfer, ...data, id: transferId };
+  });
+
+/**
+ * الموافقة لموظفي القسم المستقبِل فقط (المسؤول مستثنى)؛ نفس isReceivingDepartment في firestore.rules
+ */
+const requireReceivingDepartment = async (tx, department) => {
+  if (authProvider.getCurrentRole() === 'admin') return;
+  const user = await tx.get('users', getCurrentUserId());
+  const link = user?.profile;
+  const profile = link?.collection && link?.id ? await tx.get(link.collection, link.id) : null;
+  if (!isSameDepartment(approverDepartment(user, profile), department)) {
+    const error = new Error(`الموافقة على التحويل لموظفي قسم ${department} فقط`);
+    error.code = 'permission-denied';
+    throw error;
+  }
+};
+
+/**
+ * عدّ إشغال القسم من السجلات (قبل أول حساب للعداد occupancy، أو في المحوّل المحلي)
+ */
+const countDepartmentOccupancy = async (tx, transfer, department) => {
+  const [patients, candidates] = await Promise.all([
+    dataAdapter.list('patients'),
+    dataAdapter.list(TRANSFERS_COLLECTION, { where: [['toDept', '==', transfer.toDept]] })
+  ]);
+  const transfers = await Promise.all(candidates.filter((t) => t.id !== transfer.id).map((t) => tx.get(TRANSFERS_COLLECTION, t.id)));
+  const { occupied, reserved } = departmentOccupancy(
+    { patients, transfers: transfers.filter(Boolean), departments: [department] },
+    transfer.toDept,
+    transfer.id
+  );
+  return { occupied, reserved };
+};
+
+/**
+ * موافقة القسم المستقبِل؛ تُرفض إذا لم يبقَ سرير فارغ (code: 'department-full')
+ * أو إذا لم يكن الموافق من القسم المستقبِل (code: 'permission-denied').
+ * الإشغال من عداد مستند القسم داخل المعاملة، والموافقة تحجز السرير فيه (راجع transfers.js).
+ * القسم بدون عدد أسرّة لا تُفحص سعته.
+ */
+export const approveTransfer = async (transferId) => {
+  try {
+    requirePermission('update', TRANSFERS_COLLECTION);
+    return await transitionTransfer(transferId, 'approved', {}, async (tx, transfer) => {
+      await requireReceivingDepartment(tx, transfer.toDept);
+
+      // الاسم -> المعرف فقط؛ الأسرّة والعداد من tx.get
+      const department = findDepartment(await dataAdapter.list(DEPARTMENTS_COLLECTION), transfer.toDept);
+      const current = department ? await tx.get(DEPARTMENTS_COLLECTION, department.id) : null;
+      const beds = departmentBeds(current ? [current] : [], transfer.toDept);
+      if (beds === null) return null;
+
+      const stored = storedOccupancy(current);
+      const { occupied, reserved } = stored || await countDepartmentOccupancy(tx, { ...transfer, id: transferId }, current);
+      if (occupied + reserved >= beds) {
+        const error = new Error(`لا توجد أسرّة فارغة في ${transfer.toDept} (${occupied + reserved}/${beds})`);
+        error.code = 'department-full';
+        throw error;
+      }
+      if (!stored) return null;
+      return () => tx.update(DEPARTMENTS_COLLECTION, current.id, {
+        occupancy: { occupied, reserved: reserved + 1 },
+        updatedAt: serverTimestamp(),
+        updatedBy: getCurrentUserId()
+      });
+    });
+  } catch (error) {
+    console.error('Error approving transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * إسناد طبيب من القسم المستقبِل
+ */
+export const assignTransferDoctor = async (transferId, doctorId) => {
+  try {
+    requirePermission('update', TRANSFERS_COLLECTION);
+    const doctor = doctorId ? await dataAdapter.get('doctors', doctorId) : null;
+    if (!doctor || isArchived(doctor, 'doctors')) throw new Error('الطبيب غير موجود');
+
+    return await transitionTransfer(transferId, 'assigned', { assignedDoctorId: doctorId }, async (tx, transfer) => {
+      if (!isSameDepartment(doctor.department, transfer.toDept)) {
+        throw new Error(`${doctor.name} ليس من قسم ${transfer.toDept}`);
+      }
+    });
+  } catch (error) {
+    console.error('Error assigning transfer doctor:', error);
+    throw error;
+  }
+};
+
+/**
+ * إكمال التحويل: المريض ينتقل إلى القسم المستقبِل في نفس المعاملة
+ */
+export const completeTransfer = async (transferId) => {
+  try {
+    requirePermission('update', TRANSFERS_COLLECTION);
+    requirePermission('update', 'patients');
+    return await transitionTransfer(transferId, 'completed', {}, async (tx, transfer) => {
+      const patient = transfer.patientId ? await tx.get('patients', transfer.patientId) : null;
+      if (!patient) throw new Error('ملف المريض غير مرتبط بطلب التحويل');
+      return () => tx.update('patients', transfer.patientId, {
+        currentDepartment: transfer.toDept,
+        updatedAt: serverTimestamp()
+      });
+    });
+  } catch (error) {
+    console.error('Error completing transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * رفض التحويل (السبب مطلوب)
+ */
+export const rejectTransfer = async (transferId, reason) => {
+  try {
+    requirePermission('update', TRANSFERS_COLLECTION);
+    if (!reason?.trim()) throw new Error('سبب الرفض مطلوب');
+    return await transitionTransfer(transferId, 'rejected', { rejectionReason: reason.trim() });
+  } catch (error) {
+    console.error('Error rejecting transfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * حذف طلب تحويل (أرشفة - Soft delete)
+ */
+export const deleteWebTransfer = async (transferId, reason) => {
+  await archiveDoc(TRANSFERS_COLLECTION, transferId, reason);
+};
+
+// ==================== APPOINTMENT REQUESTS (بوابة المريض) ====================
+
+export const subscribeToAppointmentRequests = (callback, options = {}) => {
+  const { patientId, ...archiveOptions } = options;
+  requireOwnScope(APPOINTMENT_REQUESTS_COLLECTION, patientId);
+  return dataAdapter.subscribe(
+    APPOINTMENT_REQUESTS_COLLECTION,
+    withArchiveFilter(APPOINTMENT_REQUESTS_COLLECTION, callback, archiveOptions),
+    { ...(patientId && { where: [['patientId', '==', patientId]] }), orderBy: ['createdAt', 'desc'] }
+  );
+};
+
+/**
+ * ملف المريض المرتبط بالمستخدم الحالي (patients.uid فقط - قواعد patients لا تسمح للمريض بغيره)
+ */
+const currentPatientProfile = async () => {
+  const uid = getCurrentUserId();
+  const patients = uid ? await dataAdapter.list('patients', { where: [['uid', '==', uid]] }) : [];
+  const patient = excludeArchived(patients, 'patients')[0];
+  if (!patient) throw new Error('لا يوجد ملف مريض مرتبط بهذا الحساب');
+  return patient;
+};
+
+/**
+ * موعد المريض الحالي الذي ما زال مجدولاً
+ */
+const ownScheduledAppointment = async (appointmentId, patient) => {
+  const appointment = await dataAdapter.get('web_appointments', appointmentId);
+  if (!appointment || appointment.patientId !== patient.id || isArchived(appointment, 'web_appointments')) {
+    throw new Error('الموعد غير موجود');
+  }
+  if (appointmentStatus(appointment) !== 'scheduled') throw new Error('الموعد لم يعد مجدولاً');
+  return appointment;
+};
+
+/**
+ * طلب موعد جديد أو نقل موعد من بوابة المريض (راجع appointmentRequests)
+ * المريض يُحدد من الحساب الحالي وليس من بيانات الطلب
+ * @returns {Promise<string>} معرف الطلب
+ */
+export const createAppointmentRequest = async (request) => {
+  try {
+    requirePermission('create', APPOINTMENT_REQUESTS_COLLECTION);
+    const invalid = validateAppointmentRequest(request);
+    if (invalid) throw new Error(invalid);
+    assertValidTiming(request);
+
+    const patient = await currentPatientProfile();
+    const doctor = await findDoctor(request.doctorId);
+    if (request.type === 'reschedule') {
+      await ownScheduledAppointment(request.appointmentId, patient);
+      const requests = await dataAdapter.list(APPOINTMENT_REQUESTS_COLLECTION, {
+        where: [['patientId', '==', patient.id], ['appointmentId', '==', request.appointmentId]]
+      });
+      if (pendingRescheduleFor(requests, request.appointmentId)) {
+        throw new Error('يوجد طلب نقل قيد المراجعة لهذا الموعد');
+      }
+    }
+
+    return await dataAdapter.create(APPOINTMENT_REQUESTS_COLLECTION, {
+      type: request.type,
+      patientId: patient.id,
+      patientName: patient.name || '',
+      appointmentId: request.type === 'reschedule' ? request.appointmentId : null,
+      doctorId: doctor.uid || doctor.id,
+      doctorName: doctor.name,
+      date: request.date,
+      time: normalizeTime(request.time),
+      appointmentType: appointmentTypeOf(request),
+      notes: request.notes || '',
+      status: 'pending',
+      createdAt: serverTimestamp(),
+      createdBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error creating appointment request:', error);
+    throw error;
+  }
+};
+
+/**
+ * إنهاء طلب معلق (approved / declined / withdrawn) مع وقت القرار ومنفذه
+ */
+const closeAppointmentRequest = (requestId, to, updates = {}) =>
+  dataAdapter.runTransaction(async (tx) => {
+    const request = await tx.get(APPOINTMENT_REQUESTS_COLLECTION, requestId);
+    if (!request || !isOpenRequest(request)) {
+      const error = new Error('الطلب لم يعد قيد المراجعة');
+      error.code = 'invalid-transition';
+      throw error;
+    }
+    tx.update(APPOINTMENT_REQUESTS_COLLECTION, requestId, {
+      ...updates,
+      status: to,
+      [`${to}At`]: serverTimestamp(),
+      [`${to}By`]: getCurrentUserId(),
+      updatedAt: serverTimestamp()
+    });
+  });
+
+/**
+ * سحب المريض طلبه قبل المراجعة
+ */
+export const withdrawAppointmentRequest = async (requestId) => {
+  try {
+    requirePermission('update', APPOINTMENT_REQUESTS_COLLECTION);
+    const request = await dataAdapter.get(APPOINTMENT_REQUESTS_COLLECTION, requestId);
+    const patient = await currentPatientProfile();
+    if (!request || request.patientId !== patient.id) throw new Error('الطلب غير موجود');
+    await closeAppointmentRequest(requestId, 'withdrawn');
+  } catch (error) {
+    console.error('Error withdrawing appointment request:', error);
+    throw error;
+  }
+};
+
+/**
+ * موافقة الموظف على الطلب: عندها فقط يُنشأ الموعد (createWebAppointment) أو يُنقل (updateWebAppointment)
+ * changes اختيارية { doctorId, date, time } لحجز وقت غير المطلوب (مثلاً إذا حُجز في الأثناء)
+ * @returns {Promise<string>} معرف الموعد
+ */
+export const approveAppointmentRequest = async (requestId, changes = {}) => {
+  try {
+    requirePermission('review', APPOINTMENT_REQUESTS_COLLECTION);
+    const request = await dataAdapter.get(APPOINTMENT_REQUESTS_COLLECTION, requestId);
+    if (!request || !isOpenRequest(request)) throw new Error('الطلب لم يعد قيد المراجعة');
+
+    const doctor = await findDoctor(changes.doctorId || request.doctorId);
+    const slot = {
+      doctorId: doctor.uid || doctor.id,
+      doctorName: doctor.name,
+      date: changes.date || request.date,
+      time: normalizeTime(changes.time || request.time)
+    };
+
+    let appointmentId = request.appointmentId;
+    if (request.type === 'reschedule') {
+      await ownScheduledAppointment(request.appointmentId, { id: request.patientId });
+      await updateWebAppointment(request.appointmentId, slot);
+    } else {
+      appointmentId = await createWebAppointment({
+        ...slot,
+        patientId: request.patientId,
+        patientName: request.patientName,
+        appointmentType: request.appointmentType,
+        notes: request.notes ? `Patient request: ${request.notes}` : 'Patient request'
+      });
+    }
+
+    await closeAppointmentRequest(requestId, 'approved', { appointmentId, approvedSlot: slot });
+    return appointmentId;
+  } catch (error) {
+    console.error('Error approving appointment request:', error);
+    throw error;
+  }
+};
+
+/**
+ * رفض الطلب (السبب مطلوب ويظهر للمريض)
+ */
+export const declineAppointmentRequest = async (requestId, reason) => {
+  try {
+    requirePermission('review', APPOINTMENT_REQUESTS_COLLECTION);
+    if (!reason?.trim()) throw new Error('سبب الرفض مطلوب');
+    await closeAppointmentRequest(requestId, 'declined', { declineReason: reason.trim() });
   } catch (error) {
-    console.error('Error updating transfer:', error);
+    console.error('Error declining appointment request:', error);
     throw error;
   }
 };
 
-export const deleteWebTransfer = async (transferId) => {
+/**
+ * إلغاء المريض موعده بنفسه ضمن السياسة (canPatientCancel)؛ خارجها code: 'cancellation-window'
+ * طلبات النقل المعلقة لنفس الموعد تُسحب، والوقت المتحرر يُعرض على قائمة الانتظار
+ */
+export const cancelOwnAppointment = async (appointmentId, reason) => {
   try {
-    const transferRef = doc(db, 'web_transfers', transferId);
-    await deleteDoc(transferRef);
+    requirePermission('cancel', 'web_appointments');
+    const patient = await currentPatientProfile();
+    const appointment = await ownScheduledAppointment(appointmentId, patient);
+    const policy = canPatientCancel(appointment);
+    if (!policy.allowed) {
+      const error = new Error(policy.reason);
+      error.code = 'cancellation-window';
+      throw error;
+    }
+
+    const cancelled = await applyAppointmentChanges([{
+      id: appointmentId,
+      data: {
+        status: 'cancelled',
+        cancellationReason: reason?.trim() || 'Cancelled by patient',
+        updatedAt: serverTimestamp(),
+        updatedBy: getCurrentUserId()
+      }
+    }]);
+
+    const requests = await dataAdapter.list(APPOINTMENT_REQUESTS_COLLECTION, {
+      where: [['patientId', '==', patient.id], ['appointmentId', '==', appointmentId]]
+    });
+    for (const request of requests.filter(isOpenRequest)) {
+      await closeAppointmentRequest(request.id, 'withdrawn');
+    }
+    // المريض لا يقرأ قائمة الانتظار: مع Firestore يعرض الخادم الوقت (offerSlotFreedByPatient في functions)
+    if (USE_LOCAL_DATA) await offerFreedSlots(cancelled);
   } catch (error) {
-    console.error('Error deleting transfer:', error);
+    console.error('Error cancelling own appointment:', error);
     throw error;
   }
 };
@@ -767,70 +1832,17 @@ export const deleteWebTransfer = async (transferId) => {
 // ==================== WEB POSTS ====================
 
 export const subscribeToWebPosts = (callback) => {
-  const postsRef = collection(db, 'web_posts');
-  
-  try {
-    const q = query(postsRef, orderBy('createdAt', 'desc'));
-    
-    return onSnapshot(q, (snapshot) => {
-      const posts = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : doc.data().createdAt
-      }));
-      console.log('Posts loaded:', posts.length);
-      callback(posts);
-    }, (error) => {
-      console.error('Error in posts subscription (with orderBy):', error);
-      // Fallback without orderBy
-      const fallbackQuery = query(postsRef);
-      return onSnapshot(fallbackQuery, (snapshot) => {
-        const posts = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : doc.data().createdAt
-        }));
-        // Sort manually by createdAt
-        posts.sort((a, b) => {
-          const dateA = a.createdAt instanceof Date ? a.createdAt : new Date(a.createdAt || 0);
-          const dateB = b.createdAt instanceof Date ? b.createdAt : new Date(b.createdAt || 0);
-          return dateB - dateA;
-        });
-        console.log('Posts loaded (fallback):', posts.length);
-        callback(posts);
-      }, (fallbackError) => {
-        console.error('Error in posts subscription (fallback):', fallbackError);
-        callback([]);
-      });
-    });
-  } catch (error) {
-    console.warn('Initial query failed, trying without orderBy:', error);
-    const fallbackQuery = query(postsRef);
-    return onSnapshot(fallbackQuery, (snapshot) => {
-      const posts = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : doc.data().createdAt
-      }));
-      posts.sort((a, b) => {
-        const dateA = a.createdAt instanceof Date ? a.createdAt : new Date(a.createdAt || 0);
-        const dateB = b.createdAt instanceof Date ? b.createdAt : new Date(b.createdAt || 0);
-        return dateB - dateA;
-      });
-      console.log('Posts loaded (no orderBy):', posts.length);
-      callback(posts);
-    }, (fallbackError) => {
-      console.error('Error in posts subscription (no orderBy):', fallbackError);
-      callback([]);
-    });
-  }
+  // مع orderBy، ويتم الترتيب يدوياً حسب createdAt عند الرجوع للاستعلام بدونه
+  return dataAdapter.subscribe('web_posts', (posts) => {
+    console.log('Posts loaded:', posts.length);
+    callback(posts);
+  }, { orderBy: ['createdAt', 'desc'] });
 };
 
 export const createWebPost = async (postData) => {
   try {
-    const postsRef = collection(db, 'web_posts');
-    
-    const docRef = await addDoc(postsRef, {
+    requirePermission('create', 'web_posts');
+    return await dataAdapter.create('web_posts', {
       title: postData.title,
       content: postData.content,
       category: postData.category,
@@ -841,8 +1853,6 @@ export const createWebPost = async (postData) => {
       comments: [],
       createdAt: serverTimestamp()
     });
-    
-    return docRef.id;
   } catch (error) {
     console.error('Error creating post:', error);
     throw error;
@@ -851,9 +1861,8 @@ export const createWebPost = async (postData) => {
 
 export const updateWebPost = async (postId, updates) => {
   try {
-    const postRef = doc(db, 'web_posts', postId);
-    
-    await updateDoc(postRef, updates);
+    requirePermission('update', 'web_posts');
+    await dataAdapter.update('web_posts', postId, updates);
   } catch (error) {
     console.error('Error updating post:', error);
     throw error;
@@ -862,36 +1871,158 @@ export const updateWebPost = async (postId, updates) => {
 
 // ==================== WEB NOTIFICATIONS ====================
 
-export const subscribeToWebNotifications = (callback) => {
-  const notificationsRef = collection(db, 'web_notifications');
-  const q = query(notificationsRef, orderBy('sentAt', 'desc'));
-  
-  return onSnapshot(q, (snapshot) => {
-    const notifications = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-      sentAt: doc.data().sentAt?.toDate()
-    }));
-    callback(notifications);
+// الإشعارات المرسلة (options.sentBy: إشعارات مرسل واحد فقط)
+export const subscribeToWebNotifications = (callback, options = {}) => {
+  return dataAdapter.subscribe(NOTIFICATIONS_COLLECTION, callback, {
+    ...(options.sentBy && { where: [['sentBy', '==', options.sentBy]] }),
+    orderBy: ['sentAt', 'desc']
   });
 };
 
+/**
+ * حسابات الموظفين التي يمكن مراسلتها (لحظياً) - راجع notifications.staffAccounts
+ */
+export const subscribeToNotificationRecipients = (callback) => {
+  const data = { users: [], doctors: [], nurses: [] };
+  const loaded = new Set();
+
+  const unsubs = Object.keys(data).map((collectionName) =>
+    dataAdapter.subscribe(collectionName, (docs) => {
+      data[collectionName] = docs;
+      loaded.add(collectionName);
+      if (loaded.size === Object.keys(data).length) {
+        callback(staffAccounts(data));
+      }
+    })
+  );
+
+  return () => unsubs.forEach((u) => u());
+};
+
+// حد Firestore لعدد الكتابات في المعاملة الواحدة
+const TRANSACTION_WRITE_LIMIT = 500;
+
+const chunks = (items, size) => {
+  const parts = [];
+  for (let i = 0; i < items.length; i += size) parts.push(items.slice(i, i + size));
+  return parts;
+};
+
+const uniqueById = (docs) => [...new Map(docs.map((doc) => [doc.id, doc])).values()];
+
+/**
+ * الحسابات التي قد تدخل في الجمهور فقط (استعلامات بالدور أو القسم أو uid بدلاً من قراءة
+ * users و doctors و nurses كاملة)؛ التصفية النهائية في resolveRecipients
+ */
+const audienceAccounts = async ({ type, target }) => {
+  const usersWithRole = (role) => dataAdapter.list('users', { where: [['roles', 'array-contains', role]] });
+  const linked = (collectionName) => dataAdapter.list(collectionName, { where: [['uid', '!=', null]] });
+
+  let users = [];
+  let doctors = [];
+  let nurses = [];
+  if (type === 'user') {
+    const user = await dataAdapter.get('users', target);
+    users = user ? [user] : [];
+    [doctors, nurses] = await Promise.all(['doctors', 'nurses'].map((collectionName) =>
+      dataAdapter.list(collectionName, { where: [['uid', '==', target]] })));
+  } else if (type === 'department') {
+    [doctors, nurses] = await Promise.all(['doctors', 'nurses'].map((collectionName) =>
+      dataAdapter.list(collectionName, { where: [['department', '==', target]] })));
+    const uids = [...new Set([...doctors, ...nurses].map((p) => p.uid).filter(Boolean))];
+    users = (await Promise.all(uids.map((uid) => dataAdapter.get('users', uid)))).filter(Boolean);
+  } else if (type === 'role') {
+    [users, doctors, nurses] = await Promise.all([
+      usersWithRole(target),
+      target === 'doctor' ? linked('doctors') : [],
+      target === 'nurse' ? linked('nurses') : []
+    ]);
+  } else {
+    const [byRole, linkedDoctors, linkedNurses] = await Promise.all([
+      Promise.all(STAFF_ROLES.map(usersWithRole)),
+      linked('doctors'),
+      linked('nurses')
+    ]);
+    [users, doctors, nurses] = [uniqueById(byRole.flat()), linkedDoctors, linkedNurses];
+  }
+  return staffAccounts({ users, doctors, nurses });
+};
+
+/**
+ * إرسال إشعار: الجمهور يُوسَّع إلى نسخة في صندوق وارد كل مستلم
+ * notificationData: { audienceType, audienceTarget, subject, message, priority }
+ * (audience / toId القديمة ما زالت مقبولة)؛ بدون مستلمين code: 'no-recipients'
+ * النسخ تُكتب على دفعات (TRANSACTION_WRITE_LIMIT لكل معاملة، الأولى مع الإشعار بحالة sending)؛
+ * بعدها تصبح الحالة sent، وإذا فشلت دفعة تصبح partial مع عدد من وصلهم (deliveredCount)
+ * @returns {Promise<string>} معرف الإشعار
+ */
 export const createWebNotification = async (notificationData) => {
   try {
-    const notificationsRef = collection(db, 'web_notifications');
-    
-    const docRef = await addDoc(notificationsRef, {
-      audience: notificationData.audience,
-      toId: notificationData.toId || null,
+    requirePermission('create', NOTIFICATIONS_COLLECTION);
+    requirePermission('create', INBOX_COLLECTION);
+    const audience = notificationAudience(notificationData);
+    const invalid = validateAudience(audience);
+    if (invalid) throw new Error(invalid);
+
+    const accounts = await audienceAccounts(audience);
+    const recipients = resolveRecipients(audience, accounts);
+    if (recipients.length === 0) {
+      const error = new Error('لا يوجد مستلمون لهذا الجمهور');
+      error.code = 'no-recipients';
+      throw error;
+    }
+
+    const content = {
       subject: notificationData.subject,
       message: notificationData.message,
       priority: notificationData.priority || 'medium',
-      status: 'sent',
       sentAt: serverTimestamp(),
       sentBy: getCurrentUserId()
+    };
+
+    const writeEntries = (tx, notificationId, batch) => batch.forEach((recipient) => {
+      tx.set(INBOX_COLLECTION, inboxEntryId(notificationId, recipient.uid), {
+        ...content,
+        notificationId,
+        recipientId: recipient.uid,
+        recipientName: recipient.name,
+        deliveredAt: content.sentAt,
+        readAt: null,
+        dismissedAt: null
+      });
     });
-    
-    return docRef.id;
+
+    const [first, ...rest] = [
+      recipients.slice(0, TRANSACTION_WRITE_LIMIT - 1),
+      ...chunks(recipients.slice(TRANSACTION_WRITE_LIMIT - 1), TRANSACTION_WRITE_LIMIT)
+    ];
+    const notificationId = await dataAdapter.runTransaction(async (tx) => {
+      const id = tx.create(NOTIFICATIONS_COLLECTION, {
+        ...content,
+        audience: describeAudience(audience, accounts),
+        audienceType: audience.type,
+        audienceTarget: audience.target,
+        toId: audience.type === 'user' ? audience.target : null,
+        recipientCount: recipients.length,
+        status: rest.length ? 'sending' : 'sent'
+      });
+      writeEntries(tx, id, first);
+      return id;
+    });
+    if (rest.length === 0) return notificationId;
+
+    let delivered = first.length;
+    try {
+      for (const batch of rest) {
+        await dataAdapter.runTransaction(async (tx) => writeEntries(tx, notificationId, batch));
+        delivered += batch.length;
+      }
+    } catch (error) {
+      await dataAdapter.update(NOTIFICATIONS_COLLECTION, notificationId, { status: 'partial', deliveredCount: delivered });
+      throw error;
+    }
+    await dataAdapter.update(NOTIFICATIONS_COLLECTION, notificationId, { status: 'sent' });
+    return notificationId;
   } catch (error) {
     console.error('Error creating notification:', error);
     throw error;
@@ -900,9 +2031,8 @@ export const createWebNotification = async (notificationData) => {
 
 export const updateWebNotification = async (notificationId, updates) => {
   try {
-    const notificationRef = doc(db, 'web_notifications', notificationId);
-    
-    await updateDoc(notificationRef, {
+    requirePermission('update', 'web_notifications');
+    await dataAdapter.update('web_notifications', notificationId, {
       ...updates,
       reviewedAt: updates.reviewedAt ? serverTimestamp() : undefined
     });
@@ -912,19 +2042,468 @@ export const updateWebNotification = async (notificationId, updates) => {
   }
 };
 
+// ==================== NOTIFICATION INBOX ====================
+
+/**
+ * صندوق وارد المستخدم (المخفية مستبعدة إلا مع includeDismissed)
+ */
+export const subscribeToInbox = (recipientId, callback, { includeDismissed = false } = {}) => {
+  return dataAdapter.subscribe(
+    INBOX_COLLECTION,
+    (entries) => callback(includeDismissed ? entries : entries.filter((e) => !e.dismissedAt)),
+    { where: [['recipientId', '==', recipientId]], orderBy: ['sentAt', 'desc'] }
+  );
+};
+
+/**
+ * إيصالات القراءة (نسخ صناديق الوارد) لكل الإشعارات أو لإشعار واحد
+ */
+export const subscribeToNotificationReceipts = (callback, { notificationId } = {}) => {
+  return dataAdapter.subscribe(
+    INBOX_COLLECTION,
+    callback,
+    notificationId ? { where: [['notificationId', '==', notificationId]] } : undefined
+  );
+};
+
+/**
+ * نسخة من صندوق وارد المستخدم الحالي فقط
+ */
+const ownInboxEntry = async (entryId) => {
+  const entry = await dataAdapter.get(INBOX_COLLECTION, entryId);
+  if (!entry || entry.recipientId !== getCurrentUserId()) throw new Error('الإشعار غير موجود');
+  return entry;
+};
+
+export const markNotificationRead = async (entryId) => {
+  try {
+    requirePermission('update', INBOX_COLLECTION);
+    const entry = await ownInboxEntry(entryId);
+    if (entry.readAt) return;
+    await dataAdapter.update(INBOX_COLLECTION, entryId, { readAt: serverTimestamp() });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    throw error;
+  }
+};
+
+/**
+ * قراءة كل الإشعارات غير المقروءة للمستخدم الحالي
+ * @returns {Promise<number>} عدد الإشعارات التي قُرئت
+ */
+export const markAllNotificationsRead = async () => {
+  try {
+    requirePermission('update', INBOX_COLLECTION);
+    const entries = await dataAdapter.list(INBOX_COLLECTION, { where: [['recipientId', '==', getCurrentUserId()]] });
+    const unread = entries.filter(isUnread);
+    if (unread.length === 0) return 0;
+
+    // دفعات لا تتجاوز حد الكتابات في المعاملة
+    const readAt = serverTimestamp();
+    for (const batch of chunks(unread, TRANSACTION_WRITE_LIMIT)) {
+      await dataAdapter.runTransaction(async (tx) => {
+        batch.forEach((entry) => tx.update(INBOX_COLLECTION, entry.id, { readAt }));
+      });
+    }
+    return unread.length;
+  } catch (error) {
+    console.error('Error marking all notifications read:', error);
+    throw error;
+  }
+};
+
+/**
+ * إخفاء الإشعار من صندوق الوارد (يبقى للمرسل في إيصالات القراءة)
+ */
+export const dismissNotification = async (entryId) => {
+  try {
+    requirePermission('update', INBOX_COLLECTION);
+    await ownInboxEntry(entryId);
+    await dataAdapter.update(INBOX_COLLECTION, entryId, { dismissedAt: serverTimestamp() });
+  } catch (error) {
+    console.error('Error dismissing notification:', error);
+    throw error;
+  }
+};
+
+// ==================== TREATMENT PLANS ====================
+
+export const subscribeToTreatmentPlans = (callback, options = {}) => {
+  const { patientId, ...archiveOptions } = options;
+  return dataAdapter.subscribe(
+    'treatment_plans',
+    withArchiveFilter('treatment_plans', callback, archiveOptions),
+    { ...(patientId && { where: [['patientId', '==', patientId]] }), orderBy: ['startDate', 'desc'] }
+  );
+};
+
+/**
+ * إنشاء خطة علاج وجدولة مواعيد جميع دوراتها
+ * @returns {Promise<{ id: string, unscheduledCycles: Array }>}
+ */
+export const createTreatmentPlan = async (planData) => {
+  try {
+    requirePermission('create', 'treatment_plans');
+    const error = validateTreatmentPlan(planData);
+    if (error) throw new Error(error);
+    const doctor = await findDoctor(planData.doctorId);
+
+    const planId = await dataAdapter.create('treatment_plans', {
+      patientId: planData.patientId,
+      patientName: planData.patientName || '',
+      doctorId: staffRefId(doctor),
+      doctorName: doctor.name || planData.doctorName || '',
+      regimen: planData.regimen.trim(),
+      cycles: Number(planData.cycles),
+      intervalDays: Number(planData.intervalDays),
+      startDate: planData.startDate,
+      preferredTime: planData.preferredTime || null,
+      notes: planData.notes || '',
+      status: 'active',
+      unscheduledCycles: [],
+      createdAt: serverTimestamp(),
+      createdBy: getCurrentUserId()
+    });
+
+    const unscheduledCycles = await scheduleTreatmentCycles(planId);
+    return { id: planId, unscheduledCycles };
+  } catch (error) {
+    console.error('Error creating treatment plan:', error);
+    throw error;
+  }
+};
+
+/**
+ * البحث عن أول وقت متاح للطبيب ابتداءً من التاريخ المخطط
+ * (ساعات عمله حسب جدوله والعطل + عدم التداخل مع مواعيده بمدة جلسة الدورة)
+ * المواعيد تُقرأ بكل معرفات الطبيب (القديمة قد تحمل معرف المستند)
+ */
+const findCycleSlot = async (doctor, plannedDate, preferredTime, holidays) => {
+  const doctorId = staffRefIds(doctor);
+  const preferred = preferredTime ? normalizeTime(preferredTime) : null;
+  for (let shift = 0; shift <= MAX_CYCLE_SHIFT_DAYS; shift++) {
+    const date = addDays(plannedDate, shift);
+    const hours = workingHoursFor(doctor, date, holidays);
+    if (!hours) continue;
+
+    const booked = await dataAdapter.list('web_appointments', {
+      where: [['doctorId', 'in', doctorId], ['date', '==', date]]
+    });
+    const times = availableTimes(booked, { doctorId, date, appointmentType: CYCLE_APPOINTMENT_TYPE }, hours);
+    if (times.length) {
+      return { date, time: preferred && times.includes(preferred) ? preferred : times[0] };
+    }
+  }
+  return null;
+};
+
+/**
+ * جدولة الدورات التي ليس لها موعد (عند الإنشاء، أو بعد إلغاء موعد دورة)
+ * الدورات التي لم يوجد لها وقت خلال MAX_CYCLE_SHIFT_DAYS تُحفظ في unscheduledCycles
+ */
+export const scheduleTreatmentCycles = async (planId) => {
+  try {
+    requirePermission('update', 'treatment_plans');
+    const plan = await dataAdapter.get('treatment_plans', planId);
+    if (!plan) throw new Error('خطة العلاج غير موجودة');
+    if (plan.status !== 'active') throw new Error('خطة العلاج غير نشطة');
+
+    // الخطط القديمة قد تحمل معرف المستند؛ المواعيد تُحجز بالمعرف الموحد
+    const doctor = await findDoctor(plan.doctorId);
+
+    const existing = excludeArchived(
+      await dataAdapter.list('web_appointments', { where: [['treatmentPlanId', '==', planId]] }),
+      'web_appointments'
+    ).filter((a) => (a.status || '').toLowerCase() !== 'cancelled');
+    const scheduledCycles = new Set(existing.map((a) => a.cycle));
+    const holidays = await dataAdapter.list(HOLIDAYS_COLLECTION);
+
+    const unscheduledCycles = [];
+    for (const { cycle, plannedDate } of planCycleDates(plan.startDate, plan.cycles, plan.intervalDays)) {
+      if (scheduledCycles.has(cycle)) continue;
+
+      const slot = await findCycleSlot(doctor, plannedDate, plan.preferredTime, holidays);
+      if (!slot) {
+        unscheduledCycles.push({ cycle, plannedDate });
+        continue;
+      }
+
+      await createWebAppointment({
+        patientId: plan.patientId,
+        patientName: plan.patientName,
+        doctorId: staffRefId(doctor),
+        doctorName: plan.doctorName || doctor.name,
+        date: slot.date,
+        time: slot.time,
+        appointmentType: CYCLE_APPOINTMENT_TYPE,
+        notes: `${plan.regimen} - Cycle ${cycle}/${plan.cycles}`,
+        treatmentPlanId: planId,
+        cycle,
+        plannedDate
+      });
+    }
+
+    await dataAdapter.update('treatment_plans', planId, {
+      unscheduledCycles,
+      updatedAt: serverTimestamp(),
+      updatedBy: getCurrentUserId()
+    });
+    return unscheduledCycles;
+  } catch (error) {
+    console.error('Error scheduling treatment cycles:', error);
+    throw error;
+  }
+};
+
+/**
+ * تغيير حالة الخطة؛ عند الإلغاء تُلغى مواعيد الدورات القادمة
+ */
+export const updateTreatmentPlanStatus = async (planId, status) => {
+  try {
+    requirePermission('update', 'treatment_plans');
+    if (!PLAN_STATUSES.includes(status)) throw new Error(`Invalid plan status: ${status}`);
+
+    if (status === 'cancelled') {
+      const upcoming = excludeArchived(
+        await dataAdapter.list('web_appointments', { where: [['treatmentPlanId', '==', planId]] }),
+        'web_appointments'
+      ).filter((a) => appointmentStatus(a) === 'scheduled');
+
+      for (const appointment of upcoming) {
+        await updateWebAppointment(appointment.id, { status: 'cancelled', cancellationReason: 'Treatment plan cancelled' });
+      }
+    }
+
+    await dataAdapter.update('treatment_plans', planId, {
+      status,
+      ...(status === 'cancelled' && { unscheduledCycles: [] }),
+      updatedAt: serverTimestamp(),
+      updatedBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error updating treatment plan status:', error);
+    throw error;
+  }
+};
+
+// ==================== LAB ORDERS ====================
+
+export const subscribeToLabOrders = (callback, options) => {
+  return dataAdapter.subscribe('lab_orders', withArchiveFilter('lab_orders', callback, options), { orderBy: ['orderedAt', 'desc'] });
+};
+
+/**
+ * إنشاء طلب تحليل
+ */
+export const createLabOrder = async (orderData) => {
+  try {
+    requirePermission('create', 'lab_orders');
+    if (!orderData.patientId) throw new Error('المريض مطلوب');
+    if (!orderData.doctorId) throw new Error('الطبيب مطلوب');
+    if (!orderData.testName?.trim()) throw new Error('اسم التحليل مطلوب');
+
+    const id = await dataAdapter.create('lab_orders', {
+      patientId: orderData.patientId,
+      patientName: orderData.patientName || '',
+      doctorId: orderData.doctorId,
+      doctorName: orderData.doctorName || '',
+      testName: orderData.testName.trim(),
+      priority: LAB_PRIORITIES.includes(orderData.priority) ? orderData.priority : 'routine',
+      notes: orderData.notes || '',
+      status: 'ordered',
+      results: [],
+      abnormal: false,
+      orderedAt: serverTimestamp(),
+      orderedBy: getCurrentUserId()
+    });
+    return id;
+  } catch (error) {
+    console.error('Error creating lab order:', error);
+    throw error;
+  }
+};
+
+/**
+ * نقل الطلب إلى الحالة التالية فقط (لا يمكن تخطي حالة أو الرجوع)
+ */
+const advanceLabOrder = async (orderId, nextStatus, data = {}) => {
+  const order = await dataAdapter.get('lab_orders', orderId);
+  if (!order) throw new Error('طلب التحليل غير موجود');
+  if (LAB_TRANSITIONS[order.status] !== nextStatus) {
+    throw new Error(`لا يمكن نقل الطلب من ${order.status} إلى ${nextStatus}`);
+  }
+
+  await dataAdapter.update('lab_orders', orderId, {
+    ...data,
+    status: nextStatus,
+    [`${nextStatus}At`]: serverTimestamp(),
+    [`${nextStatus}By`]: getCurrentUserId()
+  });
+};
+
+/**
+ * تسجيل أخذ العينة
+ */
+export const markLabSampleCollected = async (orderId) => {
+  try {
+    requirePermission('update', 'lab_orders');
+    await advanceLabOrder(orderId, 'collected');
+  } catch (error) {
+    console.error('Error marking lab sample collected:', error);
+    throw error;
+  }
+};
+
+/**
+ * إدخال النتائج: [{ analyte, value, unit, refLow, refHigh }] - العلامات تُحسب هنا
+ */
+export const recordLabResults = async (orderId, results) => {
+  try {
+    requirePermission('update', 'lab_orders');
+    const rows = (results || []).filter((r) => r.analyte?.trim() && r.value !== '' && r.value !== undefined);
+    if (rows.length === 0) throw new Error('أدخل نتيجة واحدة على الأقل');
+
+    await advanceLabOrder(orderId, 'resulted', flagResults(rows.map((r) => ({
+      analyte: r.analyte.trim(),
+      value: Number.isNaN(Number(r.value)) ? String(r.value) : Number(r.value),
+      unit: r.unit || '',
+      refLow: r.refLow === '' || r.refLow === undefined ? null : Number(r.refLow),
+      refHigh: r.refHigh === '' || r.refHigh === undefined ? null : Number(r.refHigh)
+    }))));
+  } catch (error) {
+    console.error('Error recording lab results:', error);
+    throw error;
+  }
+};
+
+/**
+ * مراجعة الطبيب للنتائج (ينهي الطلب ويخرجه من pendingLabTests)
+ */
+export const reviewLabResults = async (orderId, reviewNote = '') => {
+  try {
+    requirePermission('review', 'lab_orders');
+    await advanceLabOrder(orderId, 'reviewed', { reviewNote: reviewNote.trim() });
+  } catch (error) {
+    console.error('Error reviewing lab results:', error);
+    throw error;
+  }
+};
+
+/**
+ * إلغاء طلب تحليل (أرشفة) - عداد الطبيب يُحدَّث عبر withStaffStats
+ */
+export const cancelLabOrder = async (orderId, reason) => {
+  await archiveDoc('lab_orders', orderId, reason);
+};
+
+// ==================== STAFF STATS ====================
+
+/**
+ * إحصائيات الطاقم الحية: { doctors: { [id]: stats }, nurses: { [id]: stats } }
+ * تُحسب من المصادر (راجع staffStats.js) وليس من الحقول المخزنة stats
+ */
+export const subscribeToStaffStats = (callback) => {
+  const sources = { doctors: [], nurses: [], patients: [], appointments: [], labOrders: [] };
+  const emit = (key) => (docs) => {
+    sources[key] = docs;
+    callback(computeStaffStats(sources));
+  };
+
+  const unsubs = [
+    dataAdapter.subscribe('doctors', emit('doctors')),
+    dataAdapter.subscribe('nurses', emit('nurses')),
+    dataAdapter.subscribe('patients', emit('patients')),
+    dataAdapter.subscribe('web_appointments', emit('appointments')),
+    dataAdapter.subscribe('lab_orders', emit('labOrders'))
+  ];
+  return () => unsubs.forEach((unsub) => unsub());
+};
+
+// ==================== ARCHIVE (Soft delete) ====================
+
+/**
+ * حقول الأرشفة والاستعادة (المواعيد تكتبها مع تحرير / حجز الوقت)
+ */
+const archiveFields = (reason = '') => ({
+  archived: true,
+  archiveReason: (reason || '').trim() || null,
+  archivedAt: serverTimestamp(),
+  archivedBy: getCurrentUserId()
+});
+
+const restoreFields = () => ({
+  archived: false,
+  archiveReason: null,
+  archivedAt: null,
+  archivedBy: null,
+  restoredAt: serverTimestamp(),
+  restoredBy: getCurrentUserId()
+});
+
+/**
+ * أرشفة مستند مع سبب الأرشفة بدلاً من حذفه
+ */
+export const archiveDoc = async (collectionName, id, reason = '') => {
+  try {
+    requirePermission('delete', collectionName);
+    // المواعيد: الأرشفة تحرر الوقت في نفس المعاملة
+    if (collectionName === 'web_appointments') {
+      await applyAppointmentChanges([{ id, data: archiveFields(reason) }]);
+      return;
+    }
+    await dataAdapter.update(collectionName, id, archiveFields(reason));
+  } catch (error) {
+    console.error(`Error archiving ${collectionName} document:`, error);
+    throw error;
+  }
+};
+
+/**
+ * استعادة مستند مؤرشف
+ */
+export const restoreDoc = async (collectionName, id) => {
+  try {
+    requirePermission('delete', collectionName);
+    const current = await dataAdapter.get(collectionName, id);
+    if (!current || !isArchived(current, collectionName)) {
+      throw new Error('المستند غير مؤرشف');
+    }
+
+    // المواعيد: الاستعادة تحجز الوقت من جديد (تفشل إذا حُجز في الأثناء)
+    if (collectionName === 'web_appointments') {
+      await applyAppointmentChanges([{ id, data: restoreFields() }]);
+      return;
+    }
+
+    await dataAdapter.update(collectionName, id, {
+      ...restoreFields(),
+      // المرضى المحذوفون بالطريقة القديمة
+      ...(current.status === 'inactive' && collectionName === 'patients' && { status: 'active' })
+    });
+  } catch (error) {
+    console.error(`Error restoring ${collectionName} document:`, error);
+    throw error;
+  }
+};
+
+// ==================== AUDIT LOG ====================
+
+/**
+ * الاشتراك في سجل التدقيق (الأحدث أولاً) - الكتابة من الخادم أو المحوّل المحلي (راجع auditLog.js)
+ */
+export const subscribeToAuditLog = (callback) => {
+  return dataAdapter.subscribe(AUDIT_COLLECTION, callback, { orderBy: ['timestamp', 'desc'] });
+};
+
 // ==================== LEGACY COMPATIBILITY ====================
 // هذه الدوال للتوافق مع الكود القديم
 
 export const getCollection = async (collectionName) => {
-    const querySnapshot = await getDocs(collection(db, collectionName));
-    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return excludeArchived(await dataAdapter.list(collectionName), collectionName);
 };
 
-export const subscribeToCollection = (collectionName, callback) => {
-    return onSnapshot(collection(db, collectionName), (snapshot) => {
-        const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        callback(data);
-    });
+export const subscribeToCollection = (collectionName, callback, options) => {
+    return dataAdapter.subscribe(collectionName, withArchiveFilter(collectionName, callback, options));
 };
 
 export const appAddDoc = async (collectionName, data) => {
@@ -945,17 +2524,32 @@ export const appAddDoc = async (collectionName, data) => {
     const patientId = await createPatient(data);
     return { id: patientId, ...data };
   }
+
+  // المواعيد تُحجز عبر createWebAppointment (حجز الوقت في معاملة)
+  if (collectionName === 'web_appointments') {
+    const appointmentId = await createWebAppointment(data);
+    return { id: appointmentId, ...data };
+  }
   
-    const docRef = await addDoc(collection(db, collectionName), data);
-    return { id: docRef.id, ...data };
+    requirePermission('create', collectionName);
+    const id = await dataAdapter.create(collectionName, data);
+    return { id, ...data };
 };
 
 export const appUpdateDoc = async (collectionName, id, data) => {
-    const docRef = doc(db, collectionName, id);
-    await updateDoc(docRef, data);
+  // الملفات تمر عبر دوال التحديث الموحدة (كلمة السر لا تُحفظ في Firestore)،
+  // والمواعيد عبر updateWebAppointment (نقل حجز الوقت في معاملة)
+  const updaters = { doctors: updateDoctor, nurses: updateNurse, patients: updatePatient, web_appointments: updateWebAppointment };
+  if (updaters[collectionName]) {
+    const { id: _id, ...updates } = data;
+    return await updaters[collectionName](id, updates);
+  }
+  
+    requirePermission('update', collectionName);
+    await dataAdapter.update(collectionName, id, data);
 };
 
-export const appDeleteDoc = async (collectionName, id) => {
-    const docRef = doc(db, collectionName, id);
-    await deleteDoc(docRef);
+// الحذف في كل المجموعات أرشفة (لا يوجد حذف نهائي من الواجهة)
+export const appDeleteDoc = async (collectionName, id, reason) => {
+    await archiveDoc(collectionName, id, reason);
 };
@@ -0,0 +1,98 @@
+/**
+ * Lab Orders
+ *
+ * طلبات التحاليل (lab_orders) ودورة حياتها:
+ * ordered -> collected (أخذ العينة) -> resulted (إدخال النتائج) -> reviewed (مراجعة الطبيب)
+ *
+ * النتائج تُحفظ مع المدى المرجعي لكل عنصر وعلامة غير طبيعي (L / H / N).
+ * الطلبات غير المراجَعة هي pendingLabTests للطبيب (تُحسب من هذه المجموعة).
+ *
+ * هذا الملف يحتوي الحسابات فقط؛ الكتابة في firestoreService.
+ */
+
+export const LAB_STATUSES = ['ordered', 'collected', 'resulted', 'reviewed'];
+
+export const LAB_PRIORITIES = ['routine', 'urgent', 'stat'];
+
+// الانتقالات المسموحة بين الحالات
+export const LAB_TRANSITIONS = {
+  ordered: 'collected',
+  collected: 'resulted',
+  resulted: 'reviewed'
+};
+
+// التحاليل الشائعة مع المدى المرجعي للبالغين (يمكن تعديله لكل نتيجة)
+export const LAB_TESTS = [
+  {
+    name: 'Complete Blood Count (CBC)',
+    analytes: [
+      { analyte: 'WBC', unit: '10^9/L', refLow: 4.0, refHigh: 11.0 },
+      { analyte: 'Neutrophils (ANC)', unit: '10^9/L', refLow: 1.5, refHigh: 8.0 },
+      { analyte: 'Hemoglobin', unit: 'g/dL', refLow: 12.0, refHigh: 17.5 },
+      { analyte: 'Platelets', unit: '10^9/L', refLow: 150, refHigh: 400 }
+    ]
+  },
+  {
+    name: 'Comprehensive Metabolic Panel (CMP)',
+    analytes: [
+      { analyte: 'Creatinine', unit: 'mg/dL', refLow: 0.6, refHigh: 1.3 },
+      { analyte: 'ALT', unit: 'U/L', refLow: 7, refHigh: 56 },
+      { analyte: 'AST', unit: 'U/L', refLow: 10, refHigh: 40 },
+      { analyte: 'Total Bilirubin', unit: 'mg/dL', refLow: 0.1, refHigh: 1.2 },
+      { analyte: 'Sodium', unit: 'mmol/L', refLow: 135, refHigh: 145 },
+      { analyte: 'Potassium', unit: 'mmol/L', refLow: 3.5, refHigh: 5.1 }
+    ]
+  },
+  {
+    name: 'Tumor Markers',
+    analytes: [
+      { analyte: 'CEA', unit: 'ng/mL', refLow: 0, refHigh: 5 },
+      { analyte: 'CA-125', unit: 'U/mL', refLow: 0, refHigh: 35 },
+      { analyte: 'CA 19-9', unit: 'U/mL', refLow: 0, refHigh: 37 },
+      { analyte: 'PSA', unit: 'ng/mL', refLow: 0, refHigh: 4 }
+    ]
+  }
+];
+
+/**
+ * علامة النتيجة مقارنة بالمدى المرجعي
+ * @returns {'L'|'H'|'N'|null} null إذا لم تكن القيمة رقمية أو لا يوجد مدى
+ */
+export const flagResult = ({ value, refLow, refHigh }) => {
+  const hasValue = (v) => v !== undefined && v !== null && v !== '' && !Number.isNaN(Number(v));
+  if (!hasValue(value) || (!hasValue(refLow) && !hasValue(refHigh))) return null;
+
+  const number = Number(value);
+  if (hasValue(refLow) && number < Number(refLow)) return 'L';
+  if (hasValue(refHigh) && number > Number(refHigh)) return 'H';
+  return 'N';
+};
+
+/**
+ * إضافة العلامات للنتائج وتحديد إن كان الطلب غير طبيعي
+ * @returns {{ results: Array, abnormal: boolean }}
+ */
+export const flagResults = (results) => {
+  const flagged = results.map((r) => ({ ...r, flag: flagResult(r) }));
+  return { results: flagged, abnormal: flagged.some((r) => r.flag === 'L' || r.flag === 'H') };
+};
+
+/**
+ * هل الطلب ما زال بانتظار مراجعة الطبيب؟
+ */
+export const isLabPending = (order) => order.status !== 'reviewed';
+
+/**
+ * عدد التحاليل المعلقة لكل طبيب (المفتاح doctorId كما في الطلب)
+ */
+export const countPendingLabTests = (orders) =>
+  orders.filter(isLabPending).reduce((counts, order) => {
+    counts[order.doctorId] = (counts[order.doctorId] || 0) + 1;
+    return counts;
+  }, {});
+
+/**
+ * التحاليل المعلقة لطبيب (يدعم id و uid)
+ */
+export const pendingLabTestsFor = (doctor, counts) =>
+  (counts[doctor.uid] || 0) + (doctor.uid !== doctor.id ? counts[doctor.id] || 0 : 0);
@@ -0,0 +1,177 @@
+/**
+ * Notifications
+ *
+ * الإشعار (web_notifications) يُرسل إلى جمهور يُوسَّع عند الإرسال إلى نسخة لكل مستلم
+ * في صندوق الوارد (web_notification_inbox):
+ * { notificationId, recipientId (uid), recipientName, subject, message, priority, sentAt, sentBy,
+ *   deliveredAt, readAt, dismissedAt }
+ * معرف النسخة `${notificationId}_${recipientId}` فلا يصل الإشعار للشخص مرتين.
+ *
+ * الجمهور (AUDIENCE_TYPES): كل الموظفين، دور، قسم، أو شخص محدد (target = الدور / القسم / uid).
+ * المستلمون حسابات الموظفين (staffAccounts): مستندات users مع ملفات doctors / nurses المرتبطة
+ * بـ uid (ومنها القسم). المرضى لا يدخلون في الإشعارات.
+ *
+ * حالة النسخة (inboxState): delivered -> read -> dismissed (الإخفاء لا يحذف النسخة)
+ *
+ * هذا الملف يحتوي الحسابات فقط؛ الإرسال والقراءة في firestoreService.
+ */
+
+import { isArchived } from './archive';
+
+export const NOTIFICATIONS_COLLECTION = 'web_notifications';
+export const INBOX_COLLECTION = 'web_notification_inbox';
+
+export const AUDIENCE_TYPES = {
+  all: 'All staff',
+  role: 'Role',
+  department: 'Department',
+  user: 'Individual'
+};
+
+export const STAFF_ROLES = ['admin', 'chief', 'clerk', 'doctor', 'nurse'];
+
+export const STAFF_ROLE_LABELS = {
+  admin: 'Admins',
+  chief: 'Chiefs',
+  clerk: 'Clerks',
+  doctor: 'Doctors',
+  nurse: 'Nurses'
+};
+
+export const INBOX_STATES = ['delivered', 'read', 'dismissed'];
+
+export const INBOX_STATE_LABELS = {
+  delivered: 'Delivered',
+  read: 'Read',
+  dismissed: 'Dismissed'
+};
+
+// قيم audience القديمة (نص فقط) قبل الجمهور المحدد
+const LEGACY_AUDIENCES = {
+  all: { type: 'all' },
+  doctors: { type: 'role', target: 'doctor' },
+  nurses: { type: 'role', target: 'nurse' },
+  'specific user': { type: 'user' }
+};
+
+// الدور المقابل لكل مجموعة ملفات موظفين
+const PROFILE_ROLES = { doctors: 'doctor', nurses: 'nurse' };
+
+const lower = (value) => (value || '').trim().toLowerCase();
+
+// ملفات الموظفين المرتبطة بحساب مع دور مجموعتها
+const linkedProfiles = (profiles, collectionName) =>
+  profiles
+    .filter((p) => p.uid && !isArchived(p, collectionName))
+    .map((p) => ({ ...p, role: PROFILE_ROLES[collectionName] }));
+
+/**
+ * حسابات الموظفين التي يمكن أن تستلم الإشعارات
+ * الحساب بدون مستند users (ملف مرتبط بـ uid فقط) يُضاف بدور مجموعة الملف
+ * @returns {Array<{ uid, name, email, roles, department }>}
+ */
+export const staffAccounts = ({ users = [], doctors = [], nurses = [] }) => {
+  const profiles = [
+    ...linkedProfiles(doctors, 'doctors'),
+    ...linkedProfiles(nurses, 'nurses')
+  ];
+  const accounts = new Map();
+
+  users
+    .filter((u) => !u.disabled && !isArchived(u, 'users'))
+    .forEach((u) => {
+      const uid = u.uid || u.id;
+      accounts.set(uid, { uid, name: u.name || u.email || uid, email: u.email || '', roles: u.roles || [], department: '' });
+    });
+
+  profiles.forEach((p) => {
+    const account = accounts.get(p.uid) ||
+      { uid: p.uid, name: p.name || p.email || p.uid, email: p.email || '', roles: [], department: '' };
+    if (!account.roles.includes(p.role)) account.roles = [...account.roles, p.role];
+    account.department = account.department || p.department || '';
+    accounts.set(p.uid, account);
+  });
+
+  return [...accounts.values()]
+    .filter((a) => a.roles.some((r) => STAFF_ROLES.includes(r)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * أقسام الموظفين المتاحة كجمهور
+ */
+export const staffDepartments = (accounts) =>
+  [...new Set(accounts.map((a) => a.department).filter(Boolean))].sort();
+
+/**
+ * جمهور الإشعار { type, target } (يدعم قيم audience القديمة)
+ */
+export const notificationAudience = (notification) => {
+  if (AUDIENCE_TYPES[notification.audienceType]) {
+    return { type: notification.audienceType, target: notification.audienceTarget || null };
+  }
+  const legacy = LEGACY_AUDIENCES[lower(notification.audience)] || LEGACY_AUDIENCES.all;
+  return { ...legacy, target: legacy.target || notification.toId || null };
+};
+
+/**
+ * التحقق من الجمهور قبل الإرسال
+ * @returns {string|null} رسالة الخطأ أو null
+ */
+export const validateAudience = ({ type, target }) => {
+  if (!AUDIENCE_TYPES[type]) return 'نوع الجمهور غير معروف';
+  if (type === 'role' && !STAFF_ROLES.includes(target)) return 'الدور غير معروف';
+  if (type !== 'all' && !target) return 'حدد المستلمين';
+  return null;
+};
+
+/**
+ * وصف الجمهور للعرض (ويُحفظ في audience)
+ */
+export const describeAudience = ({ type, target }, accounts = []) => {
+  if (type === 'role') return STAFF_ROLE_LABELS[target] || target;
+  if (type === 'department') return `${target} department`;
+  if (type === 'user') return accounts.find((a) => a.uid === target)?.name || target;
+  return AUDIENCE_TYPES.all;
+};
+
+/**
+ * توسيع الجمهور إلى المستلمين
+ * @param {{ type, target }} audience
+ * @param {Array} accounts - من staffAccounts
+ * @returns {Array} الحسابات المستلمة
+ */
+export const resolveRecipients = ({ type, target }, accounts) => {
+  if (type === 'role') return accounts.filter((a) => a.roles.includes(target));
+  if (type === 'department') return accounts.filter((a) => lower(a.department) === lower(target));
+  if (type === 'user') return accounts.filter((a) => a.uid === target);
+  return accounts;
+};
+
+export const inboxEntryId = (notificationId, recipientId) => `${notificationId}_${recipientId}`;
+
+/**
+ * حالة نسخة صندوق الوارد
+ */
+export const inboxState = (entry) => {
+  if (entry.dismissedAt) return 'dismissed';
+  if (entry.readAt) return 'read';
+  return 'delivered';
+};
+
+export const isUnread = (entry) => inboxState(entry) === 'delivered';
+
+export const unreadCount = (entries) => (entries || []).filter(isUnread).length;
+
+/**
+ * ملخص إيصالات القراءة لإشعار: { total, read, unread, dismissed }
+ * المخفي بعد قراءته يبقى ضمن read
+ */
+export const receiptSummary = (entries = []) => {
+  return {
+    total: entries.length,
+    read: entries.filter((e) => e.readAt).length,
+    unread: entries.filter(isUnread).length,
+    dismissed: entries.filter((e) => e.dismissedAt).length
+  };
+};
@@ -0,0 +1,162 @@
+/**
+ * Nurse Roster
+ *
+ * جدول مناوبات الممرضين في مجموعة nurse_roster، كل مستند مناوبة واحدة:
+ * { nurseId, nurseName, department, date, shift, note }
+ * - date: يوم بداية المناوبة (YYYY-MM-DD)؛ المناوبة الليلية تنتهي صباح اليوم التالي
+ * - shift: مفتاح من SHIFTS (morning | evening | night)
+ * - الإزالة أرشفة (راجع archive.js)
+ *
+ * القواعد:
+ * - الممرض لا يأخذ مناوبتين متداخلتين، وبين نهاية مناوبة وبداية التالية MIN_REST_HOURS على الأقل
+ *   (تُفحص عند الإسناد - راجع firestoreService.assignNurseShift)
+ * - لكل قسم في كل مناوبة MIN_NURSES_PER_SHIFT ممرض على الأقل؛ النقص يظهر في coverageGaps
+ *   والإزالة التي تنزل عنه تُرفض إلا مع سبب (راجع firestoreService.removeNurseShift)
+ *
+ * "في المناوبة الآن" يُحسب من الجدول فقط (onDutyAt)، وليس من حقل nurses.shift
+ * (الذي بقي كالمناوبة المفضلة للممرض).
+ *
+ * هذا الملف يحتوي الحسابات فقط.
+ */
+
+import { isArchived, excludeArchived } from './archive';
+import { parseDate, formatDateISO, addDays } from './treatmentPlans';
+import { toMinutes } from './appointmentSlots';
+
+export const ROSTER_COLLECTION = 'nurse_roster';
+
+export const SHIFTS = {
+  morning: { label: 'Morning', start: '07:00', end: '15:00' },
+  evening: { label: 'Evening', start: '15:00', end: '23:00' },
+  night: { label: 'Night', start: '23:00', end: '07:00' }
+};
+
+export const MIN_NURSES_PER_SHIFT = { morning: 2, evening: 2, night: 1 };
+
+export const MIN_REST_HOURS = 11;
+
+const HOUR = 60 * 60 * 1000;
+
+// لحظة (ms) في يوم معين بعد عدد من الدقائق من منتصف الليل
+const at = (dateISO, minutes) => {
+  const date = parseDate(dateISO);
+  date.setMinutes(minutes);
+  return date.getTime();
+};
+
+/**
+ * مفتاح المناوبة من قيمة حرة (nurses.shift القديمة مثل "Morning")
+ */
+export const shiftKey = (value) => {
+  const key = String(value || '').trim().toLowerCase();
+  return SHIFTS[key] ? key : null;
+};
+
+/**
+ * فترة المناوبة كـ timestamps (ms)؛ الليلية تمتد لليوم التالي
+ * @returns {{ start: number, end: number }}
+ */
+export const shiftInterval = ({ date, shift }) => {
+  const start = toMinutes(SHIFTS[shift].start);
+  const end = toMinutes(SHIFTS[shift].end);
+  return { start: at(date, start), end: at(end > start ? date : addDays(date, 1), end) };
+};
+
+/**
+ * المناوبات الفعلية (غير المؤرشفة)
+ */
+export const activeAssignments = (assignments) =>
+  (assignments || []).filter((a) => !isArchived(a, ROSTER_COLLECTION) && SHIFTS[a.shift]);
+
+/**
+ * أول مناوبة للممرض تتداخل مع المناوبة المطلوبة أو لا تترك راحة كافية
+ * @param {Array} assignments - مناوبات الممرض نفسه
+ * @param {Object} candidate - { date, shift } (و id عند التعديل)
+ * @returns {{ assignment: Object, restHours: number }|null} restHours = 0 عند التداخل
+ */
+export const restViolation = (assignments, candidate) => {
+  const next = shiftInterval(candidate);
+  for (const assignment of activeAssignments(assignments)) {
+    if (candidate.id && assignment.id === candidate.id) continue;
+    const other = shiftInterval(assignment);
+    const gap = Math.max(next.start - other.end, other.start - next.end, 0);
+    if (gap < MIN_REST_HOURS * HOUR) {
+      return { assignment, restHours: Math.round((gap / HOUR) * 10) / 10 };
+    }
+  }
+  return null;
+};
+
+/**
+ * المناوبات الجارية في لحظة معينة
+ */
+export const onDutyAt = (assignments, now = new Date()) => {
+  const time = now.getTime();
+  return activeAssignments(assignments).filter((a) => {
+    const { start, end } = shiftInterval(a);
+    return start <= time && time < end;
+  });
+};
+
+/**
+ * الأقسام التي يُحسب لها الجدول: أقسام الممرضين والأقسام الموجودة في الجدول
+ */
+export const rosterDepartments = (nurses, assignments = []) => [
+  ...new Set([
+    ...excludeArchived(nurses || [], 'nurses').map((n) => n.department),
+    ...activeAssignments(assignments).map((a) => a.department)
+  ].map((d) => (d || '').trim()).filter(Boolean))
+].sort();
+
+/**
+ * أيام متتالية ابتداءً من تاريخ (YYYY-MM-DD)
+ */
+export const rosterDays = (fromISO, count) =>
+  Array.from({ length: count }, (_, i) => addDays(fromISO, i));
+
+/**
+ * المناوبات مجمّعة حسب اليوم والقسم والمناوبة
+ * @returns {Object} مفتاحه `${date}|${department}|${shift}` وقيمته قائمة المناوبات
+ */
+export const groupRoster = (assignments) => {
+  const groups = {};
+  for (const a of activeAssignments(assignments)) {
+    const key = `${a.date}|${(a.department || '').trim()}|${a.shift}`;
+    (groups[key] = groups[key] || []).push(a);
+  }
+  return groups;
+};
+
+/**
+ * المناوبات التي عدد ممرضيها أقل من MIN_NURSES_PER_SHIFT
+ * @param {Array} assignments - الجدول
+ * @param {{ dates: string[], departments: string[], minimum?: Object }} options
+ * @returns {Array<{ date, department, shift, assigned, required }>}
+ */
+export const coverageGaps = (assignments, { dates, departments, minimum = MIN_NURSES_PER_SHIFT }) => {
+  const groups = groupRoster(assignments);
+  const gaps = [];
+  for (const date of dates) {
+    for (const department of departments) {
+      for (const shift of Object.keys(SHIFTS)) {
+        const assigned = (groups[`${date}|${department}|${shift}`] || []).length;
+        if (assigned < minimum[shift]) gaps.push({ date, department, shift, assigned, required: minimum[shift] });
+      }
+    }
+  }
+  return gaps;
+};
+
+/**
+ * المناوبة الجارية الآن ويومها (الليلية بعد منتصف الليل تعود لليوم السابق)
+ * @returns {{ date: string, shift: string }}
+ */
+export const currentShift = (now = new Date()) => {
+  const today = formatDateISO(now);
+  const yesterday = addDays(today, -1);
+  const candidates = Object.keys(SHIFTS).flatMap((shift) => [{ date: today, shift }, { date: yesterday, shift }]);
+  return candidates.find((c) => {
+    const { start, end } = shiftInterval(c);
+    return start <= now.getTime() && now.getTime() < end;
+  });
+};
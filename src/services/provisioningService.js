@@ -0,0 +1,236 @@
+/**
+ * User Provisioning Service
+ *
+ * إدارة حسابات المستخدمين من جهة الخادم بدلاً من createUserWithEmailAndPassword
+ * في المتصفح (الذي يسجل خروج المسؤول ويسجل دخول المستخدم الجديد).
+ *
+ * - Firebase Mode: يستدعي Cloud Functions في functions/index.js (Admin SDK)
+ *   ويعمل مع Auth Emulator عند REACT_APP_USE_EMULATORS=true
+ * - Mock Mode: تنفيذ محلي يكتب مستند users فقط (لا يوجد Auth حقيقي)
+ *
+ * كل العمليات تكتب/تحدث مستند users/{uid} مع الأدوار.
+ * الأدوار الممنوحة حسب المستدعي (GRANTABLE_ROLES): الموظف لا يُنشئ ولا يدير حسابات admin / chief.
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase/config';
+import { USE_MOCK_AUTH } from '../config/runtime';
+import { dataAdapter } from './dataAdapter';
+import { authProvider, getCurrentUserId } from './authProvider';
+import { canGrantRoles } from '../config/permissions';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const validatePassword = (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`كلمة المرور يجب أن تكون ${MIN_PASSWORD_LENGTH} أحرف على الأقل`);
+  }
+};
+
+// ==================== FIREBASE (Cloud Functions) ====================
+
+/**
+ * استدعاء Cloud Function وإرجاع النتيجة (مع الدور الحالي والمنصة لختم كتابات الدالة)
+ */
+const callFunction = async (name, data) => {
+  const result = await httpsCallable(functions, name)({
+    ...data,
+    actingRole: authProvider.getCurrentRole(),
+    platform: 'web'
+  });
+  return result.data;
+};
+
+const remoteProvisioner = {
+  provisionUser: (data) => callFunction('provisionUser', data),
+  setUserPassword: (uid, password) => callFunction('setUserPassword', { uid, password }),
+  updateUserEmail: (uid, email) => callFunction('updateUserEmail', { uid, email }),
+  sendInvite: (uid) => callFunction('sendUserInvite', { uid }),
+  setUserDisabled: (uid, disabled) => callFunction('setUserDisabled', { uid, disabled }),
+  linkUserProfile: (uid, profile) => callFunction('linkUserProfile', { uid, ...profile })
+};
+
+// ==================== LOCAL (Mock Mode) ====================
+
+const generateUid = () => `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// نفس assertGrantable في functions/index.js (بأدوار المستخدم الحالي)
+const assertGrantable = (roles) => {
+  if (!canGrantRoles(authProvider.getCurrentUser()?.roles, roles)) {
+    const error = new Error('ليس لديك صلاحية لمنح هذه الأدوار');
+    error.code = 'permission-denied';
+    throw error;
+  }
+};
+
+// الحساب الذي يديره المستخدم الحالي (يجب أن يستطيع منح كل أدواره)
+const getUserDoc = async (uid) => {
+  const user = await dataAdapter.get('users', uid);
+  if (!user) {
+    throw new Error('المستخدم غير موجود');
+  }
+  assertGrantable(user.roles || []);
+  return user;
+};
+
+const localProvisioner = {
+  provisionUser: async ({ email, name, roles, profileCollection, password, sendInvite }) => {
+    assertGrantable(roles);
+    const existing = await dataAdapter.list('users', { where: [['email', '==', email]] });
+    if (existing.length > 0) {
+      throw new Error('البريد الإلكتروني مستخدم بالفعل');
+    }
+
+    const uid = generateUid();
+    const invite = sendInvite ?? !password;
+    await dataAdapter.set('users', uid, {
+      uid,
+      email,
+      name: name || '',
+      roles,
+      activeRole: roles[0],
+      disabled: false,
+      profile: profileCollection ? { collection: profileCollection, id: null } : null,
+      invitedAt: invite ? dataAdapter.timestamp() : null,
+      createdAt: dataAdapter.timestamp(),
+      createdBy: getCurrentUserId(),
+      createdPlatform: 'web'
+    });
+
+    return { uid, inviteLink: null };
+  },
+
+  setUserPassword: async (uid) => {
+    await getUserDoc(uid);
+    // لا يوجد Auth حقيقي في الوضع الوهمي - نسجل وقت التغيير فقط
+    await dataAdapter.update('users', uid, { passwordUpdatedAt: dataAdapter.timestamp() });
+    return { uid };
+  },
+
+  updateUserEmail: async (uid, email) => {
+    await getUserDoc(uid);
+    const existing = await dataAdapter.list('users', { where: [['email', '==', email]] });
+    if (existing.some((u) => (u.uid || u.id) !== uid)) {
+      throw new Error('البريد الإلكتروني مستخدم بالفعل');
+    }
+    await dataAdapter.update('users', uid, { email, updatedAt: dataAdapter.timestamp(), updatedBy: getCurrentUserId() });
+    return { uid, email };
+  },
+
+  sendInvite: async (uid) => {
+    await getUserDoc(uid);
+    await dataAdapter.update('users', uid, { invitedAt: dataAdapter.timestamp() });
+    return { uid, inviteLink: null };
+  },
+
+  setUserDisabled: async (uid, disabled) => {
+    await getUserDoc(uid);
+    await dataAdapter.update('users', uid, { disabled, updatedAt: dataAdapter.timestamp() });
+    return { uid, disabled };
+  },
+
+  linkUserProfile: async (uid, profile) => {
+    await getUserDoc(uid);
+    await dataAdapter.update('users', uid, { profile, updatedAt: dataAdapter.timestamp() });
+    return { uid };
+  }
+};
+
+const provisioner = USE_MOCK_AUTH ? localProvisioner : remoteProvisioner;
+
+// ==================== PUBLIC API ====================
+
+/**
+ * إنشاء حساب مستخدم مع مستند users/{uid} والأدوار
+ * بدون كلمة مرور يتم إرسال دعوة (رابط تعيين كلمة المرور)
+ * @returns {Promise<{ uid: string, inviteLink: string|null }>}
+ */
+export const provisionUser = async ({ email, password, name, roles, profileCollection = null, sendInvite }) => {
+  try {
+    if (!email) {
+      throw new Error('البريد الإلكتروني مطلوب لإنشاء حساب');
+    }
+    if (!roles || roles.length === 0) {
+      throw new Error('يجب تحديد دور واحد على الأقل');
+    }
+    if (password) {
+      validatePassword(password);
+    }
+
+    return await provisioner.provisionUser({
+      email: email.trim().toLowerCase(),
+      password: password || null,
+      name,
+      roles,
+      profileCollection,
+      sendInvite
+    });
+  } catch (error) {
+    console.error('Error provisioning user:', error);
+    throw error;
+  }
+};
+
+/**
+ * تعيين كلمة مرور جديدة لمستخدم
+ */
+export const setUserPassword = async (uid, password) => {
+  try {
+    validatePassword(password);
+    return await provisioner.setUserPassword(uid, password);
+  } catch (error) {
+    console.error('Error setting user password:', error);
+    throw error;
+  }
+};
+
+/**
+ * تغيير بريد الدخول (Firebase Auth) ومستند users/{uid} معاً
+ */
+export const updateUserEmail = async (uid, email) => {
+  try {
+    if (!email || !email.trim()) {
+      throw new Error('البريد الإلكتروني مطلوب');
+    }
+    return await provisioner.updateUserEmail(uid, email.trim().toLowerCase());
+  } catch (error) {
+    console.error('Error updating user email:', error);
+    throw error;
+  }
+};
+
+/**
+ * إرسال (أو إعادة إرسال) دعوة لتعيين كلمة المرور
+ */
+export const sendInvite = async (uid) => {
+  try {
+    return await provisioner.sendInvite(uid);
+  } catch (error) {
+    console.error('Error sending invite:', error);
+    throw error;
+  }
+};
+
+/**
+ * تعطيل أو إعادة تفعيل حساب
+ */
+export const setUserDisabled = async (uid, disabled = true) => {
+  try {
+    return await provisioner.setUserDisabled(uid, disabled);
+  } catch (error) {
+    console.error('Error updating account status:', error);
+    throw error;
+  }
+};
+
+/**
+ * ربط مستند users/{uid} بملف المستخدم (doctors / nurses / patients)
+ */
+export const linkUserProfile = async (uid, collectionName, id) => {
+  try {
+    return await provisioner.linkUserProfile(uid, { collection: collectionName, id });
+  } catch (error) {
+    console.error('Error linking user profile:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,110 @@
+/**
+ * Recurring Appointments
+ *
+ * قاعدة التكرار تُحفظ مع كل موعد من السلسلة:
+ * { seriesId, occurrence, recurrence: { frequency, interval, count | until, exceptions } }
+ *
+ * - frequency: 'daily' (كل interval يوم) أو 'weekly' (كل interval أسبوع)
+ * - count: عدد المرات، أو until: تاريخ آخر موعد 'YYYY-MM-DD'
+ * - exceptions: تواريخ لا يُحجز فيها موعد (تُحسب ضمن count كما في RRULE)
+ *
+ * التعديل والإلغاء يطبقان على نطاق: this (هذا الموعد) / following (هذا وما بعده) / all (كل السلسلة).
+ *
+ * هذا الملف يحتوي الحسابات فقط؛ الإنشاء والتعديل في firestoreService.
+ */
+
+import { isArchived } from './archive';
+import { addDays, daysBetween } from './treatmentPlans';
+
+export const RECURRENCE_FREQUENCIES = {
+  daily: { label: 'day(s)', days: 1 },
+  weekly: { label: 'week(s)', days: 7 }
+};
+
+// أقصى عدد مواعيد في السلسلة الواحدة
+export const MAX_OCCURRENCES = 52;
+
+export const SERIES_SCOPES = {
+  this: 'This occurrence',
+  following: 'This and following',
+  all: 'Whole series'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * التحقق من قاعدة التكرار
+ * @returns {string|null} رسالة الخطأ أو null
+ */
+export const validateRecurrence = (rule, startDate) => {
+  if (!RECURRENCE_FREQUENCIES[rule?.frequency]) return 'Choose how often the appointment repeats.';
+  const interval = Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) return 'Repeat interval must be between 1 and 52.';
+  if (!DATE_PATTERN.test(startDate || '')) return 'Start date is required.';
+
+  if (rule.until) {
+    if (!DATE_PATTERN.test(rule.until)) return 'End date is invalid.';
+    if (rule.until < startDate) return 'End date must be on or after the first appointment.';
+    // لا تُقص السلسلة بصمت عند الحد الأقصى
+    const step = RECURRENCE_FREQUENCIES[rule.frequency].days * interval;
+    if (Math.floor(daysBetween(startDate, rule.until) / step) + 1 > MAX_OCCURRENCES) {
+      return `End date gives more than ${MAX_OCCURRENCES} occurrences; choose an earlier date.`;
+    }
+  } else {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_OCCURRENCES) {
+      return `Number of occurrences must be between 2 and ${MAX_OCCURRENCES}.`;
+    }
+  }
+
+  if (expandRecurrence(startDate, rule).length === 0) return 'Every occurrence is excluded.';
+  return null;
+};
+
+/**
+ * تواريخ السلسلة بعد استبعاد الاستثناءات (القاعدة يجب أن تجتاز validateRecurrence أولاً)
+ * @returns {Array<{ occurrence: number, date: string }>}
+ */
+export const expandRecurrence = (startDate, rule) => {
+  const step = RECURRENCE_FREQUENCIES[rule.frequency].days * Number(rule.interval || 1);
+  const exceptions = rule.exceptions || [];
+  const dates = [];
+
+  for (let i = 0; i < MAX_OCCURRENCES; i++) {
+    const date = addDays(startDate, i * step);
+    if (rule.until ? date > rule.until : i >= Number(rule.count)) break;
+    if (!exceptions.includes(date)) dates.push({ occurrence: i + 1, date });
+  }
+  return dates;
+};
+
+/**
+ * وصف مختصر للقاعدة، مثل "Every 2 week(s), 6 times"
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule || !RECURRENCE_FREQUENCIES[rule.frequency]) return '';
+  const every = `Every ${Number(rule.interval) > 1 ? `${rule.interval} ` : ''}${RECURRENCE_FREQUENCIES[rule.frequency].label}`;
+  const end = rule.until ? `until ${rule.until}` : `${rule.count} times`;
+  return `${every}, ${end}`;
+};
+
+/**
+ * مواعيد السلسلة التي يشملها النطاق (غير المؤرشفة، مرتبة بالتاريخ)
+ * @param {Array} appointments - كل المواعيد
+ * @param {Object} target - الموعد الذي بدأ منه التعديل
+ * @param {'this'|'following'|'all'} scope
+ */
+export const selectSeriesScope = (appointments, target, scope) => {
+  if (!target.seriesId || scope === 'this' || !SERIES_SCOPES[scope]) return [target];
+
+  return appointments
+    .filter((a) => a.seriesId === target.seriesId && !isArchived(a, 'web_appointments'))
+    .filter((a) => scope === 'all' || a.date >= target.date)
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.occurrence || 0) - (b.occurrence || 0));
+};
+
+/**
+ * إزاحة تواريخ السلسلة بنفس فرق الأيام عند تغيير تاريخ الموعد الأصلي
+ */
+export const shiftSeriesDate = (date, fromDate, toDate) =>
+  fromDate && toDate && fromDate !== toDate ? addDays(date, daysBetween(fromDate, toDate)) : date;
@@ -0,0 +1,96 @@
+/**
+ * Schedule Grid
+ *
+ * شبكة يوم لقسم كامل: عمود لكل طبيب وصف لكل SLOT_STEP_MINUTES.
+ * حالة كل خانة (GRID_STATES):
+ * - booked: داخل فترة موعد قائم
+ * - cancelled: بدأ فيها موعد ملغى (الوقت متاح للحجز إن كان ضمن الأوقات المتاحة)
+ * - free: وقت بدء متاح (من availableSlots - نفس قواعد الحجز)
+ * - blocked: خارج الدوام، إجازة، عطلة، فاصل بعد موعد، أو لا يتسع لموعد كامل
+ *
+ * هذا الملف يحتوي الحسابات فقط.
+ */
+
+import { isArchived } from './archive';
+import {
+  SLOT_STEP_MINUTES,
+  RELEASED_STATUSES,
+  holdsSlot,
+  toMinutes,
+  fromMinutes,
+  appointmentDuration
+} from './appointmentSlots';
+import { scheduleFor } from './doctorSchedule';
+import { matchesStaffId } from './staffScope';
+
+export const GRID_STATES = ['booked', 'cancelled', 'free', 'blocked'];
+
+// نطاق الشبكة عندما لا يعمل أي طبيب في ذلك اليوم
+const FALLBACK_HOURS = { start: '08:00', end: '16:00' };
+
+const onDoctorDate = (appointment, doctor, date) =>
+  appointment.date === date &&
+  !isArchived(appointment, 'web_appointments') &&
+  (appointment.doctorId
+    ? matchesStaffId(appointment.doctorId, doctor)
+    : (appointment.doctorName || appointment.doctor) === doctor.name);
+
+/**
+ * عمود طبيب في الشبكة
+ * @param {Object} params
+ * @param {Array} params.appointments - web_appointments
+ * @param {Object} params.doctor
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {Array} [params.holidays]
+ * @param {Array<string>} params.free - أوقات البدء المتاحة (availableSlots)
+ * @returns {{ doctor, schedule, cellAt: (minute: number) => { state, appointment?, starts?, reason? } }}
+ */
+export const doctorColumn = ({ appointments, doctor, date, holidays = [], free }) => {
+  const schedule = scheduleFor(doctor, date, holidays);
+  const dayAppointments = (appointments || []).filter((a) => onDoctorDate(a, doctor, date));
+  const booked = dayAppointments.filter(holdsSlot).map((a) => {
+    const start = toMinutes(a.time);
+    return { appointment: a, start, end: start + appointmentDuration(a) };
+  });
+  const cancelled = dayAppointments.filter((a) => RELEASED_STATUSES.includes((a.status || '').toLowerCase()));
+  const freeTimes = new Set(free || []);
+
+  const startsInRow = (start, minute) => start >= minute && start < minute + SLOT_STEP_MINUTES;
+
+  const cellAt = (minute) => {
+    const hit = booked.find((b) => startsInRow(b.start, minute) || (b.start <= minute && minute < b.end));
+    if (hit) return { state: 'booked', appointment: hit.appointment, starts: startsInRow(hit.start, minute) };
+
+    const isFree = freeTimes.has(fromMinutes(minute));
+    const dropped = cancelled.find((a) => startsInRow(toMinutes(a.time), minute));
+    if (dropped) return { state: 'cancelled', appointment: dropped, bookable: isFree };
+    if (isFree) return { state: 'free' };
+
+    const { hours, source, note } = schedule;
+    const working = hours && toMinutes(hours.start) <= minute && minute < toMinutes(hours.end);
+    const reason = !hours ? (note || 'Off') : working ? 'Not enough time' : 'Off hours';
+    return { state: 'blocked', reason: source === 'holiday' || source === 'leave' ? note : reason };
+  };
+
+  return { doctor, schedule, cellAt };
+};
+
+/**
+ * صفوف الشبكة (دقائق من منتصف الليل) تغطي ساعات عمل كل الأعمدة ومواعيدها
+ * @param {Array} columns - من doctorColumn
+ * @param {Array} appointments - مواعيد اليوم المعروض
+ * @returns {Array<number>}
+ */
+export const gridRows = (columns, appointments = []) => {
+  const bounds = columns
+    .map((c) => c.schedule.hours)
+    .filter(Boolean)
+    .flatMap((h) => [toMinutes(h.start), toMinutes(h.end)]);
+  const starts = appointments.map((a) => toMinutes(a.time)).filter((m) => !Number.isNaN(m));
+  const first = Math.min(...(bounds.length ? bounds : [toMinutes(FALLBACK_HOURS.start)]), ...starts);
+  const last = Math.max(...(bounds.length ? bounds : [toMinutes(FALLBACK_HOURS.end)]), ...starts.map((m) => m + SLOT_STEP_MINUTES));
+
+  const rows = [];
+  for (let m = first - (first % SLOT_STEP_MINUTES); m < last; m += SLOT_STEP_MINUTES) rows.push(m);
+  return rows;
+};
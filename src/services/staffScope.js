@@ -0,0 +1,50 @@
+/**
+ * Staff Scope
+ *
+ * ربط المستخدم المسجل بملفه في doctors / nurses، وتحديد البيانات التي تخصه.
+ * المراجع في البيانات غير موحدة: assignedDoctorId و web_appointments.doctorId
+ * قد تحتوي على معرف المستند أو uid، لذلك نقارن بالاثنين.
+ */
+
+/**
+ * إيجاد ملف الموظف (طبيب/ممرضة) الخاص بالمستخدم الحالي
+ * المطابقة بـ uid أولاً ثم بالبريد الإلكتروني
+ */
+export const findStaffProfile = (profiles = [], user) => {
+  if (!user) return null;
+
+  const byUid = profiles.find((p) => p.uid && p.uid === user.uid);
+  if (byUid) return byUid;
+
+  const email = (user.email || '').toLowerCase();
+  return profiles.find((p) => email && (p.email || '').toLowerCase() === email) || null;
+};
+
+/**
+ * المعرف الموحد للموظف في المراجع الجديدة (doctorId في المواعيد والخطط ومفاتيح الحجز):
+ * uid إذا كان له حساب، وإلا معرف المستند
+ */
+export const staffRefId = (profile) => profile?.uid || profile?.id || null;
+
+/**
+ * كل المعرفات التي قد تشير إلى الملف في البيانات (للاستعلام عن السجلات القديمة)
+ */
+export const staffRefIds = (profile) => [...new Set([profile?.uid, profile?.id].filter(Boolean))];
+
+/**
+ * هل يشير المعرف إلى هذا الملف؟ (معرف المستند أو uid)
+ */
+export const matchesStaffId = (id, profile) =>
+  !!id && !!profile && (id === profile.id || id === profile.uid);
+
+/**
+ * هل المريض مسند لهذا الطبيب؟
+ */
+export const isPatientOfDoctor = (patient, doctor) =>
+  matchesStaffId(patient.assignedDoctorId || patient.doctorId, doctor);
+
+/**
+ * هل المريض مسند لهذه الممرضة؟
+ */
+export const isPatientOfNurse = (patient, nurse) =>
+  matchesStaffId(patient.assignedNurseId || patient.nurseId, nurse);
@@ -0,0 +1,270 @@
+/**
+ * Staff Statistics
+ *
+ * المصدر الوحيد لإحصائيات الأطباء والممرضين، تُحسب من patients و web_appointments و lab_orders:
+ * - doctorStatsFor: assignedPatients, activePatients, appointments, appointmentsToday, pendingLabTests
+ * - nurseStatsFor:  assignedPatients, activePatients
+ * - computeStaffStats: نفس الشيء لكل الطاقم دفعة واحدة (مفتاحها id المستند)
+ *
+ * الحقول المخزنة doctors.stats و nurses.stats نسخة للموبايل فقط، ولا تشمل العدادات المرتبطة
+ * بالتاريخ (appointmentsToday يتغير عند منتصف الليل دون أي كتابة). يعيد حسابها بعد كل كتابة
+ * على patients / lab_orders:
+ * - Firestore: الخادم (syncStaffStats في functions/index.js بنفس القواعد)؛ العملاء لا يكتبون stats.
+ * - المحوّل المحلي: withStaffStats(adapter, { writeStats: true }) مرة واحدة لكل معاملة،
+ *   باستعلامات على سجلات الموظف المتأثر فقط.
+ * الواجهات تقرأ من هذا الملف وليس من stats.
+ *
+ * المراجع: المريض يحمل assignedDoctorId / assignedNurseId (أو doctorId / nurseId القديمة)،
+ * والموعد يحمل doctorId؛ المرجع قد يكون id المستند أو uid، والسجلات القديمة تحمل الاسم فقط.
+ */
+
+import { isArchived, excludeArchived } from './archive';
+import { countPendingLabTests, pendingLabTestsFor } from './labOrders';
+import { formatDateISO } from './treatmentPlans';
+import { runTrackedTransaction } from './adapters/transactionUtils';
+import { staffRefIds } from './staffScope';
+
+// حالات المريض التي لا يُحسب فيها ضمن المرضى النشطين
+const INACTIVE_PATIENT_STATUSES = ['discharged', 'recovered'];
+
+// المجموعات التي تغيّر الإحصائيات المخزنة (نفس syncStaffStatsOn* في functions/index.js)
+const TRACKED_COLLECTIONS = ['patients', 'lab_orders'];
+
+const lower = (value) => (value || '').toLowerCase();
+
+const todayISO = () => formatDateISO(new Date());
+
+export const patientDoctorRef = (patient) => patient.assignedDoctorId || patient.doctorId || null;
+
+export const patientNurseRef = (patient) => patient.assignedNurseId || patient.nurseId || null;
+
+export const appointmentDoctorRef = (appointment) =>
+  appointment.doctorId || appointment.doctor?.uid || appointment.doctor?.id || null;
+
+// الاسم في السجلات القديمة (doctor قد يكون نصاً)
+const legacyDoctorName = (record) =>
+  record.doctorName || (typeof record.doctor === 'string' ? record.doctor : '');
+
+/**
+ * هل المرجع يشير إلى هذا الموظف؟ (id أو uid، أو الاسم إذا لم يوجد مرجع)
+ */
+const refersTo = (staff, ref, legacyName) =>
+  ref ? ref === staff.id || ref === staff.uid : !!legacyName && legacyName === staff.name;
+
+/**
+ * هل المريض مسند لهذا الطبيب / الممرض؟
+ */
+export const isDoctorPatient = (doctor, patient) =>
+  refersTo(doctor, patientDoctorRef(patient), legacyDoctorName(patient));
+
+export const isNursePatient = (nurse, patient) =>
+  refersTo(nurse, patientNurseRef(patient), patient.nurseName);
+
+export const isActivePatient = (patient) =>
+  !isArchived(patient, 'patients') && !INACTIVE_PATIENT_STATUSES.includes(lower(patient.status));
+
+const isLiveAppointment = (appointment) =>
+  !isArchived(appointment, 'web_appointments') && lower(appointment.status) !== 'cancelled';
+
+/**
+ * إحصائيات طبيب
+ * @param {Object} doctor - مستند الطبيب
+ * @param {{ patients: Array, appointments: Array, labOrders: Array }} data
+ */
+export const doctorStatsFor = (doctor, { patients = [], appointments = [], labOrders = [] }, today = todayISO()) => {
+  const assigned = patients.filter((p) => !isArchived(p, 'patients') && isDoctorPatient(doctor, p));
+  const doctorAppointments = appointments.filter((a) =>
+    isLiveAppointment(a) && refersTo(doctor, appointmentDoctorRef(a), legacyDoctorName(a)));
+
+  return {
+    assignedPatients: assigned.length,
+    activePatients: assigned.filter(isActivePatient).length,
+    appointments: doctorAppointments.length,
+    appointmentsToday: doctorAppointments.filter((a) => a.date === today).length,
+    pendingLabTests: pendingLabTestsFor(doctor, countPendingLabTests(excludeArchived(labOrders, 'lab_orders')))
+  };
+};
+
+/**
+ * إحصائيات ممرض/ممرضة
+ */
+export const nurseStatsFor = (nurse, { patients = [] }) => {
+  const assigned = patients.filter((p) => !isArchived(p, 'patients') && isNursePatient(nurse, p));
+
+  return {
+    assignedPatients: assigned.length,
+    activePatients: assigned.filter(isActivePatient).length
+  };
+};
+
+/**
+ * إحصائيات كل الطاقم
+ * @returns {{ doctors: Object, nurses: Object }} مفتاحها id المستند
+ */
+export const computeStaffStats = ({ doctors = [], nurses = [], patients = [], appointments = [], labOrders = [] }, today = todayISO()) => ({
+  doctors: Object.fromEntries(doctors.map((d) => [d.id, doctorStatsFor(d, { patients, appointments, labOrders }, today)])),
+  nurses: Object.fromEntries(nurses.map((n) => [n.id, nurseStatsFor(n, { patients })]))
+});
+
+// الحقول المخزنة في المستند (نفس شكل createDoctor / createNurse)
+const storedDoctorStats = ({ activePatients, pendingLabTests }) => ({ activePatients, pendingLabTests });
+
+const storedNurseStats = ({ assignedPatients }) => ({ assignedPatients });
+
+// نفس الحقول والقيم (stats القديمة قد تحمل appointmentsToday فتُستبدل)
+const sameStats = (current = {}, next) =>
+  Object.keys(current).length === Object.keys(next).length && Object.keys(next).every((key) => current[key] === next[key]);
+
+/**
+ * المراجع (أطباء / ممرضين) التي يؤثر عليها مستند من مجموعة متتبعة
+ */
+const staffRefsOf = (collectionName, doc) => {
+  if (!doc) return { doctors: [], nurses: [] };
+  switch (collectionName) {
+    case 'patients':
+      return {
+        doctors: [patientDoctorRef(doc) || legacyDoctorName(doc)],
+        nurses: [patientNurseRef(doc) || doc.nurseName]
+      };
+    case 'lab_orders':
+      return { doctors: [doc.doctorId], nurses: [] };
+    default:
+      return { doctors: [], nurses: [] };
+  }
+};
+
+// حد Firestore لعدد القيم في استعلام in
+const IN_QUERY_LIMIT = 30;
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const chunk = (values) => {
+  const parts = [];
+  for (let i = 0; i < values.length; i += IN_QUERY_LIMIT) parts.push(values.slice(i, i + IN_QUERY_LIMIT));
+  return parts;
+};
+
+/**
+ * المستندات التي يطابق فيها أي حقل إحدى قيمه: conditions = [[field, values]]
+ * (استعلام in لكل حقل بدلاً من قراءة المجموعة كاملة، والنتائج بدون تكرار)
+ */
+const listMatching = async (adapter, collectionName, conditions) => {
+  const queries = conditions.flatMap(([field, values]) =>
+    chunk(unique(values)).map((part) => adapter.list(collectionName, { where: [[field, 'in', part]] })));
+  const docs = (await Promise.all(queries)).flat();
+  return [...new Map(docs.map((doc) => [doc.id, doc])).values()];
+};
+
+/**
+ * الموظفون الذين تشير إليهم المراجع (معرف المستند أو uid أو الاسم في السجلات القديمة)
+ */
+const findStaff = async (adapter, collectionName, refs) => {
+  const byId = await Promise.all(refs.filter((ref) => !ref.includes('/')).map((ref) => adapter.get(collectionName, ref)));
+  const byRef = await listMatching(adapter, collectionName, [['uid', refs], ['name', refs]]);
+  return [...new Map([...byId.filter(Boolean), ...byRef].map((staff) => [staff.id, staff])).values()];
+};
+
+/**
+ * سجلات طبيب واحد فقط (بكل معرفاته واسمه للسجلات القديمة)
+ */
+const doctorSources = async (adapter, doctor) => {
+  const ids = staffRefIds(doctor);
+  const names = [doctor.name];
+  const [patients, labOrders] = await Promise.all([
+    listMatching(adapter, 'patients', [['assignedDoctorId', ids], ['doctorId', ids], ['doctorName', names], ['doctor', names]]),
+    listMatching(adapter, 'lab_orders', [['doctorId', ids]])
+  ]);
+  return { patients, labOrders };
+};
+
+const nurseSources = async (adapter, nurse) => ({
+  patients: await listMatching(adapter, 'patients', [
+    ['assignedNurseId', staffRefIds(nurse)], ['nurseId', staffRefIds(nurse)], ['nurseName', [nurse.name]]
+  ])
+});
+
+/**
+ * تغليف محوّل بيانات بحيث تُعاد كتابة stats للطاقم المتأثر بعد كل كتابة على patients / lab_orders
+ * (فشل إعادة الحساب يُعاد للمستدعي كما في withAuditLog)
+ * @param {Object} options
+ * @param {boolean} options.writeStats - كتابة stats من العميل (المحوّل المحلي فقط؛
+ *   في Firestore يكتبها الخادم)
+ */
+export const withStaffStats = (adapter, { writeStats = true } = {}) => {
+  // changes: [{ collectionName, docs }] - كل كتابات العملية (أو المعاملة) تُحسب مرة واحدة
+  const sync = async (changes) => {
+    const refs = changes.flatMap(({ collectionName, docs }) => docs.map((doc) => staffRefsOf(collectionName, doc)));
+    const doctorRefs = unique(refs.flatMap((r) => r.doctors));
+    const nurseRefs = unique(refs.flatMap((r) => r.nurses));
+    if (doctorRefs.length === 0 && nurseRefs.length === 0) return;
+
+    const [doctors, nurses] = await Promise.all([
+      doctorRefs.length ? findStaff(adapter, 'doctors', doctorRefs) : [],
+      nurseRefs.length ? findStaff(adapter, 'nurses', nurseRefs) : []
+    ]);
+
+    for (const doctor of doctors) {
+      const stats = storedDoctorStats(doctorStatsFor(doctor, await doctorSources(adapter, doctor)));
+      if (!sameStats(doctor.stats, stats)) {
+        await adapter.update('doctors', doctor.id, { stats });
+      }
+    }
+    for (const nurse of nurses) {
+      const stats = storedNurseStats(nurseStatsFor(nurse, await nurseSources(adapter, nurse)));
+      if (!sameStats(nurse.stats, stats)) {
+        await adapter.update('nurses', nurse.id, { stats });
+      }
+    }
+  };
+
+  const isTracked = (collectionName) => writeStats && TRACKED_COLLECTIONS.includes(collectionName);
+
+  return {
+    ...adapter,
+
+    create: async (collectionName, data) => {
+      const id = await adapter.create(collectionName, data);
+      if (isTracked(collectionName)) {
+        await sync([{ collectionName, docs: [await adapter.get(collectionName, id)] }]);
+      }
+      return id;
+    },
+
+    set: async (collectionName, id, data) => {
+      const before = isTracked(collectionName) ? await adapter.get(collectionName, id) : null;
+      await adapter.set(collectionName, id, data);
+      if (isTracked(collectionName)) {
+        await sync([{ collectionName, docs: [before, await adapter.get(collectionName, id)] }]);
+      }
+    },
+
+    update: async (collectionName, id, data) => {
+      const before = isTracked(collectionName) ? await adapter.get(collectionName, id) : null;
+      await adapter.update(collectionName, id, data);
+      if (isTracked(collectionName)) {
+        await sync([{ collectionName, docs: [before, await adapter.get(collectionName, id)] }]);
+      }
+    },
+
+    remove: async (collectionName, id) => {
+      const before = isTracked(collectionName) ? await adapter.get(collectionName, id) : null;
+      await adapter.remove(collectionName, id);
+      if (isTracked(collectionName)) {
+        await sync([{ collectionName, docs: [before] }]);
+      }
+    },
+
+    // إعادة حساب واحدة بعد نجاح المعاملة لكل الطاقم المتأثر بكتاباتها
+    runTransaction: async (fn) => {
+      const { result, writes } = await runTrackedTransaction(adapter, fn);
+      const changes = [];
+      for (const { action, collectionName, id, before } of writes) {
+        if (!isTracked(collectionName)) continue;
+        const after = action === 'remove' ? null : await adapter.get(collectionName, id);
+        changes.push({ collectionName, docs: [before, after] });
+      }
+      if (changes.length) await sync(changes);
+      return result;
+    }
+  };
+};
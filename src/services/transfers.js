@@ -0,0 +1,132 @@
+/**
+ * Transfers
+ *
+ * طلبات تحويل المرضى بين الأقسام (web_transfers):
+ * { patientId, patient, fromDept, toDept, reason, status, assignedDoctorId, rejectionReason }
+ *
+ * دورة الحياة (TRANSFER_TRANSITIONS):
+ * requested -> approved (القسم المستقبِل؛ يُفحص عدد الأسرّة) -> assigned (طبيب من القسم المستقبِل) -> completed
+ * ويمكن رفض الطلب بسبب (rejected) قبل اكتماله. completed و rejected حالتان نهائيتان.
+ * عند الاكتمال ينتقل المريض إلى القسم الجديد (patients.currentDepartment).
+ *
+ * السعة: عدد الأسرّة من مجموعة departments { name, beds }؛ القسم بدون عدد أسرّة لا تُفحص سعته
+ * (beds و free تكون null). المشغول = مرضى القسم غير المخرَّجين + التحويلات الموافق عليها إليه
+ * ولم تكتمل بعد (أسرّة محجوزة).
+ *
+ * الموافقة تقرأ الإشغال من عداد مستند القسم (departments.occupancy: { occupied, reserved }) داخل
+ * المعاملة وتحجز السرير فيه، فالموافقات المتزامنة على نفس القسم تتعارض وتُعاد. يعيد الخادم حساب
+ * العداد بعد كل كتابة على patients / web_transfers (syncDepartmentOccupancy في functions/index.js)؛
+ * قبل أول حساب (أو في المحوّل المحلي) يُعد الإشغال من السجلات.
+ * ويوافق موظفو القسم المستقبِل فقط (approverDepartment؛ المسؤول مستثنى).
+ *
+ * هذا الملف يحتوي الحسابات فقط؛ الانتقالات في firestoreService.
+ */
+
+import { isArchived } from './archive';
+
+export const TRANSFERS_COLLECTION = 'web_transfers';
+export const DEPARTMENTS_COLLECTION = 'departments';
+
+export const TRANSFER_STATUSES = ['requested', 'approved', 'assigned', 'completed', 'rejected'];
+
+export const TRANSFER_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['assigned', 'rejected'],
+  assigned: ['completed', 'rejected'],
+  completed: [],
+  rejected: []
+};
+
+export const TRANSFER_STATUS_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  assigned: 'Doctor Assigned',
+  completed: 'Completed',
+  rejected: 'Rejected'
+};
+
+// القيم القديمة (pending / Need Info / Approved / Assigned) قبل دورة الحياة
+const LEGACY_STATUSES = {
+  pending: 'requested',
+  'need info': 'requested',
+  approved: 'approved',
+  assigned: 'assigned'
+};
+
+const lower = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * حالة الطلب ضمن دورة الحياة
+ */
+export const transferStatus = (transfer) => {
+  const status = lower(transfer.status);
+  if (TRANSFER_STATUSES.includes(status)) return status;
+  return LEGACY_STATUSES[status] || 'requested';
+};
+
+export const canTransition = (transfer, to) =>
+  TRANSFER_TRANSITIONS[transferStatus(transfer)].includes(to);
+
+/**
+ * الطلبات التي لم تنتهِ (غير مؤرشفة وليست completed / rejected)
+ */
+export const isOpenTransfer = (transfer) =>
+  !isArchived(transfer, TRANSFERS_COLLECTION) && TRANSFER_TRANSITIONS[transferStatus(transfer)].length > 0;
+
+/**
+ * هل الاسمان لنفس القسم؟ (بدون حالة الأحرف والمسافات)
+ */
+export const isSameDepartment = (a, b) => lower(a) === lower(b);
+
+/**
+ * مستند القسم (غير المؤرشف) بالاسم
+ */
+export const findDepartment = (departments, name) =>
+  (departments || []).find((d) => !isArchived(d, DEPARTMENTS_COLLECTION) && lower(d.name) === lower(name)) || null;
+
+/**
+ * عدد أسرّة القسم، أو null إذا لم يُحدد
+ */
+export const departmentBeds = (departments, name) => {
+  const beds = findDepartment(departments, name)?.beds;
+  if (beds === undefined || beds === null || beds === '') return null;
+  return Number.isFinite(Number(beds)) && Number(beds) >= 0 ? Number(beds) : null;
+};
+
+/**
+ * عداد الإشغال المخزن في مستند القسم، أو null قبل أول حساب
+ * @returns {{ occupied: number, reserved: number }|null}
+ */
+export const storedOccupancy = (department) => {
+  const { occupied, reserved } = department?.occupancy || {};
+  return Number.isFinite(occupied) && Number.isFinite(reserved) ? { occupied, reserved } : null;
+};
+
+/**
+ * قسم الموظف: users/{uid}.department، وإلا قسم ملفه المرتبط (users.profile)
+ * (نفس approverDepartment في firestore.rules)
+ * @param {Object|null} user - مستند users
+ * @param {Object|null} profile - ملف الطبيب / الممرضة المرتبط
+ */
+export const approverDepartment = (user, profile) => user?.department || profile?.department || '';
+
+const isDischarged = (patient) => lower(patient.status) === 'discharged';
+
+/**
+ * إشغال القسم
+ * @param {{ patients: Array, transfers: Array, departments?: Array }} data
+ * @param {string} name - القسم
+ * @param {string} [excludeTransferId] - الطلب الجاري فحصه (لا يُحسب مرتين)
+ * @returns {{ beds: number|null, occupied: number, reserved: number, free: number|null }}
+ */
+export const departmentOccupancy = ({ patients, transfers, departments }, name, excludeTransferId) => {
+  const occupied = (patients || []).filter((p) =>
+    !isArchived(p, 'patients') && !isDischarged(p) && lower(p.currentDepartment) === lower(name)).length;
+  const reserved = (transfers || []).filter((t) =>
+    t.id !== excludeTransferId &&
+    !isArchived(t, TRANSFERS_COLLECTION) &&
+    ['approved', 'assigned'].includes(transferStatus(t)) &&
+    lower(t.toDept) === lower(name)).length;
+  const beds = departmentBeds(departments, name);
+  return { beds, occupied, reserved, free: beds === null ? null : Math.max(beds - occupied - reserved, 0) };
+};
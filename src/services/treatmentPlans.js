@@ -0,0 +1,124 @@
+/**
+ * Treatment Plans
+ *
+ * خطة العلاج (treatment_plans) مرتبطة بمريض وطبيب:
+ * { patientId, doctorId, regimen, cycles, intervalDays, startDate, preferredTime, status, unscheduledCycles }
+ *
+ * كل دورة لها موعد في web_appointments يحمل { treatmentPlanId, cycle, plannedDate }.
+ * plannedDate = startDate + (cycle - 1) * intervalDays، والتاريخ الفعلي قد يتأخر
+ * إذا لم يكن الطبيب متاحاً في ذلك اليوم (حتى MAX_CYCLE_SHIFT_DAYS أيام).
+ *
+ * هذا الملف يحتوي الحسابات فقط؛ الإنشاء والجدولة في firestoreService.
+ */
+
+export const PLAN_STATUSES = ['active', 'completed', 'cancelled'];
+
+// أقصى تأخير مسموح عند البحث عن وقت متاح للدورة
+export const MAX_CYCLE_SHIFT_DAYS = 7;
+
+// نوع موعد الدورة (المدة والفاصل من appointmentSlots.APPOINTMENT_TYPES)
+export const CYCLE_APPOINTMENT_TYPE = 'chemotherapy';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * تحويل 'YYYY-MM-DD' إلى Date محلي (بدون إزاحة المنطقة الزمنية)
+ */
+export const parseDate = (dateISO) => {
+  const [y, m, d] = dateISO.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/**
+ * تحويل Date إلى 'YYYY-MM-DD' بالتوقيت المحلي
+ */
+export const formatDateISO = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * إضافة أيام إلى تاريخ 'YYYY-MM-DD'
+ */
+export const addDays = (dateISO, days) => {
+  const date = parseDate(dateISO);
+  date.setDate(date.getDate() + days);
+  return formatDateISO(date);
+};
+
+/**
+ * الفرق بالأيام بين تاريخين 'YYYY-MM-DD'
+ */
+export const daysBetween = (fromISO, toISO) =>
+  Math.round((parseDate(toISO) - parseDate(fromISO)) / 86400000);
+
+/**
+ * التواريخ المخططة لكل دورة
+ * @returns {Array<{ cycle: number, plannedDate: string }>}
+ */
+export const planCycleDates = (startDate, cycles, intervalDays) =>
+  Array.from({ length: cycles }, (_, i) => ({
+    cycle: i + 1,
+    plannedDate: addDays(startDate, i * intervalDays)
+  }));
+
+/**
+ * التحقق من صحة بيانات الخطة قبل الإنشاء
+ * @returns {string|null} رسالة الخطأ أو null
+ */
+export const validateTreatmentPlan = (plan) => {
+  if (!plan.patientId) return 'Patient is required.';
+  if (!plan.doctorId) return 'Doctor is required.';
+  if (!plan.regimen?.trim()) return 'Regimen is required.';
+  const cycles = Number(plan.cycles);
+  if (!Number.isInteger(cycles) || cycles < 1 || cycles > 52) return 'Number of cycles must be between 1 and 52.';
+  const interval = Number(plan.intervalDays);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) return 'Cycle interval must be between 1 and 365 days.';
+  if (!plan.startDate) return 'Start date is required.';
+  return null;
+};
+
+const normalizeStatus = (status) => (status || '').toLowerCase();
+
+/**
+ * حالة كل دورة وتقدم الخطة
+ * @param {Object} plan - خطة العلاج
+ * @param {Array} appointments - مواعيد الخطة (web_appointments)
+ * @param {string} todayISO - تاريخ اليوم 'YYYY-MM-DD'
+ * @returns {{ cycles: Array, completed: number, total: number, delayed: Array, next: Object|null }}
+ */
+export const computePlanProgress = (plan, appointments, todayISO = formatDateISO(new Date())) => {
+  const byCycle = {};
+  appointments
+    .filter((a) => a.treatmentPlanId === plan.id && normalizeStatus(a.status) !== 'cancelled')
+    .forEach((a) => { byCycle[a.cycle] = a; });
+
+  const cycles = planCycleDates(plan.startDate, Number(plan.cycles), Number(plan.intervalDays))
+    .map(({ cycle, plannedDate }) => {
+      const appointment = byCycle[cycle];
+      if (!appointment) {
+        return { cycle, plannedDate, status: 'unscheduled', delayDays: null, delayed: plan.status === 'active' };
+      }
+
+      const status = normalizeStatus(appointment.status) || 'scheduled';
+      const delayDays = Math.max(0, daysBetween(plannedDate, appointment.date));
+      const overdue = status === 'scheduled' && appointment.date < todayISO;
+      return {
+        cycle,
+        plannedDate,
+        date: appointment.date,
+        time: appointment.time,
+        appointmentId: appointment.id,
+        status: overdue ? 'overdue' : status,
+        delayDays,
+        delayed: delayDays > 0 || overdue
+      };
+    });
+
+  const completed = cycles.filter((c) => c.status === 'completed').length;
+  return {
+    cycles,
+    completed,
+    total: cycles.length,
+    delayed: cycles.filter((c) => c.delayed),
+    next: cycles.find((c) => c.status === 'scheduled' && c.date >= todayISO) || null
+  };
+};
@@ -0,0 +1,347 @@
+/**
+ * User Directory
+ *
+ * يربط حسابات الدخول (users/{uid}) بملفات الأدوار (doctors / nurses / patients):
+ * - buildDirectory: يبني الدليل ويكشف السجلات اليتيمة والمكررة
+ * - subscribeToDirectory: نفس الشيء بشكل لحظي
+ * - linkProfile / unlinkProfile: ربط ملف موجود بحساب أو فكه
+ * - syncUserFromProfile: تحديث الاسم في users عند تعديل الملف
+ *   (البريد يتغير في Auth و users معاً عبر provisioningService.updateUserEmail قبل حفظ الملف)
+ *
+ * مستند users يحتفظ بمرجع profile: { collection, id }، والملف يحتفظ بـ uid.
+ */
+
+import { dataAdapter } from './dataAdapter';
+import { authProvider, getCurrentUserId } from './authProvider';
+import { assertCan } from '../config/permissions';
+import { excludeArchived } from './archive';
+import { SLOTS_COLLECTION, slotDayKey } from './appointmentSlots';
+import { staffRefIds } from './staffScope';
+
+// الدور المقابل لكل مجموعة ملفات
+export const PROFILE_ROLES = {
+  doctors: 'doctor',
+  nurses: 'nurse',
+  patients: 'patient'
+};
+
+// أنواع المشاكل التي يكشفها الدليل
+export const ISSUE_TYPES = {
+  UNLINKED_PROFILE: 'unlinked-profile',     // ملف بدون uid
+  SYNTHETIC_UID: 'synthetic-uid',           // uid مولّد (doctor_...) وليس حساباً حقيقياً
+  MISSING_USER: 'missing-user',             // uid لا يوجد له مستند users
+  ROLE_MISMATCH: 'role-mismatch',           // الحساب لا يملك دور الملف
+  DUPLICATE_LINK: 'duplicate-link',         // أكثر من ملف في نفس المجموعة لنفس الحساب
+  DUPLICATE_EMAIL: 'duplicate-email',       // أكثر من ملف في نفس المجموعة بنفس البريد
+  DANGLING_USER_LINK: 'dangling-user-link', // users.profile يشير لملف غير موجود
+  USER_WITHOUT_PROFILE: 'user-without-profile' // الحساب يملك الدور بدون ملف مرتبط
+};
+
+const SYNTHETIC_UID = /^(doctor|nurse|patient)_\d+_/;
+
+/**
+ * هل الـ uid مولّد محلياً (لا يقابله حساب دخول)؟
+ */
+export const isSyntheticUid = (uid) => !!uid && SYNTHETIC_UID.test(uid);
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const userUid = (user) => user.uid || user.id;
+
+/**
+ * بناء الدليل من المجموعات الأربع
+ * @returns {{ entries: Array, issues: Array }}
+ */
+export const buildDirectory = ({ users = [], doctors = [], nurses = [], patients = [] }) => {
+  // الملفات المؤرشفة لا تدخل في الدليل
+  const profiles = [
+    ...excludeArchived(doctors, 'doctors').map((p) => ({ ...p, collection: 'doctors' })),
+    ...excludeArchived(nurses, 'nurses').map((p) => ({ ...p, collection: 'nurses' })),
+    ...excludeArchived(patients, 'patients').map((p) => ({ ...p, collection: 'patients' }))
+  ];
+
+  const usersByUid = Object.fromEntries(users.map((u) => [userUid(u), u]));
+  const usersByEmail = Object.fromEntries(
+    users.filter((u) => u.email).map((u) => [normalizeEmail(u.email), u])
+  );
+  const issues = [];
+
+  const addIssue = (type, data) => {
+    const key = data.profile ? `${data.profile.collection}/${data.profile.id}` : data.user ? userUid(data.user) : data.key;
+    issues.push({ id: `${type}:${key}`, type, ...data });
+  };
+
+  // الملفات
+  profiles.forEach((profile) => {
+    const role = PROFILE_ROLES[profile.collection];
+    const suggestedUser = usersByEmail[normalizeEmail(profile.email)] || null;
+
+    if (!profile.uid) {
+      addIssue(ISSUE_TYPES.UNLINKED_PROFILE, { profile, suggestedUser });
+    } else if (isSyntheticUid(profile.uid)) {
+      addIssue(ISSUE_TYPES.SYNTHETIC_UID, { profile, suggestedUser });
+    } else if (!usersByUid[profile.uid]) {
+      addIssue(ISSUE_TYPES.MISSING_USER, { profile, suggestedUser });
+    } else if (!(usersByUid[profile.uid].roles || []).includes(role)) {
+      addIssue(ISSUE_TYPES.ROLE_MISMATCH, { profile, user: usersByUid[profile.uid] });
+    }
+  });
+
+  // التكرار: نفس الحساب أو نفس البريد داخل نفس المجموعة
+  const groupBy = (keyFn) => profiles.reduce((groups, profile) => {
+    const key = keyFn(profile);
+    if (key) (groups[key] = groups[key] || []).push(profile);
+    return groups;
+  }, {});
+
+  Object.entries(groupBy((p) => p.uid && !isSyntheticUid(p.uid) && `${p.collection}:${p.uid}`))
+    .filter(([, group]) => group.length > 1)
+    .forEach(([key, group]) => addIssue(ISSUE_TYPES.DUPLICATE_LINK, {
+      key,
+      collection: group[0].collection,
+      user: usersByUid[group[0].uid] || null,
+      duplicates: group
+    }));
+
+  Object.entries(groupBy((p) => normalizeEmail(p.email) && `${p.collection}:${normalizeEmail(p.email)}`))
+    .filter(([, group]) => group.length > 1)
+    .forEach(([key, group]) => addIssue(ISSUE_TYPES.DUPLICATE_EMAIL, {
+      key,
+      collection: group[0].collection,
+      duplicates: group
+    }));
+
+  // الحسابات
+  const entries = users.map((user) => {
+    const uid = userUid(user);
+    const linked = profiles.filter((p) => p.uid === uid);
+
+    if (user.profile?.id && !profiles.some((p) => p.collection === user.profile.collection && p.id === user.profile.id)) {
+      addIssue(ISSUE_TYPES.DANGLING_USER_LINK, { user });
+    }
+
+    Object.entries(PROFILE_ROLES).forEach(([collectionName, role]) => {
+      if ((user.roles || []).includes(role) && !linked.some((p) => p.collection === collectionName)) {
+        addIssue(ISSUE_TYPES.USER_WITHOUT_PROFILE, { user, collection: collectionName, key: `${uid}:${collectionName}` });
+      }
+    });
+
+    return { user, profiles: linked };
+  });
+
+  return { entries, issues, profiles };
+};
+
+/**
+ * الاشتراك في الدليل (يُعاد بناؤه عند أي تغيير في المجموعات الأربع)
+ */
+export const subscribeToDirectory = (callback) => {
+  const data = { users: [], doctors: [], nurses: [], patients: [] };
+  const loaded = new Set();
+
+  const unsubs = Object.keys(data).map((collectionName) =>
+    dataAdapter.subscribe(collectionName, (docs) => {
+      data[collectionName] = docs;
+      loaded.add(collectionName);
+      if (loaded.size === Object.keys(data).length) {
+        callback(buildDirectory(data));
+      }
+    })
+  );
+
+  return () => unsubs.forEach((u) => u());
+};
+
+// ==================== MUTATIONS ====================
+
+const requirePermission = (action, collectionName) => {
+  assertCan(authProvider.getCurrentRole(), action, collectionName);
+};
+
+/**
+ * نقل مستندات حجز الأوقات (appointment_slots) من مفتاح طبيب إلى آخر
+ * كل يوم في معاملة: الحجوزات تُدمج مع مستند المفتاح الجديد إن وجد ثم يُحذف القديم
+ */
+const migrateSlotDays = async (fromDoctorId, toDoctorId) => {
+  const days = await dataAdapter.list(SLOTS_COLLECTION, { where: [['doctorId', '==', fromDoctorId]] });
+  for (const { id, date } of days) {
+    await dataAdapter.runTransaction(async (tx) => {
+      const from = await tx.get(SLOTS_COLLECTION, id);
+      if (!from) return;
+      const targetId = slotDayKey(toDoctorId, date);
+      const target = await tx.get(SLOTS_COLLECTION, targetId);
+      tx.set(SLOTS_COLLECTION, targetId, {
+        doctorId: toDoctorId,
+        date,
+        reservations: { ...target?.reservations, ...from.reservations },
+        updatedAt: dataAdapter.timestamp()
+      });
+      tx.remove(SLOTS_COLLECTION, id);
+    });
+  }
+};
+
+/**
+ * نقل المراجع من uid قديم (غالباً مولّد) أو معرف المستند إلى uid الحساب الحقيقي
+ * web_appointments.doctorId و patients.assignedDoctorId / assignedNurseId قد تحمل الـ uid،
+ * ومستندات حجز الأوقات مفتاحها doctorId الموعد فتُنقل معه
+ */
+const migrateReferences = async (collectionName, oldUid, newUid) => {
+  if (!oldUid || oldUid === newUid) return;
+
+  const updates = [];
+  if (collectionName === 'doctors') {
+    const appointments = await dataAdapter.list('web_appointments', { where: [['doctorId', '==', oldUid]] });
+    appointments.forEach((a) => updates.push(dataAdapter.update('web_appointments', a.id, { doctorId: newUid })));
+
+    const patients = await dataAdapter.list('patients', { where: [['assignedDoctorId', '==', oldUid]] });
+    patients.forEach((p) => updates.push(dataAdapter.update('patients', p.id, { assignedDoctorId: newUid })));
+
+    updates.push(migrateSlotDays(oldUid, newUid));
+  }
+  if (collectionName === 'nurses') {
+    const patients = await dataAdapter.list('patients', { where: [['assignedNurseId', '==', oldUid]] });
+    patients.forEach((p) => updates.push(dataAdapter.update('patients', p.id, { assignedNurseId: newUid })));
+  }
+
+  await Promise.all(updates);
+};
+
+/**
+ * ربط ملف موجود بحساب دخول
+ * - يضيف دور الملف للحساب إذا لم يكن موجوداً
+ * - يفك ربط أي ملف آخر في نفس المجموعة كان مرتبطاً بنفس الحساب
+ * - ينقل المراجع من الـ uid القديم للملف
+ */
+export const linkProfile = async (collectionName, profileId, uid) => {
+  try {
+    requirePermission('update', collectionName);
+    requirePermission('update', 'users');
+
+    const [profile, user] = await Promise.all([
+      dataAdapter.get(collectionName, profileId),
+      dataAdapter.get('users', uid)
+    ]);
+    if (!profile) throw new Error('الملف غير موجود');
+    if (!user) throw new Error('الحساب غير موجود');
+
+    const previous = await dataAdapter.list(collectionName, { where: [['uid', '==', uid]] });
+    await Promise.all(previous
+      .filter((p) => p.id !== profileId)
+      .map((p) => dataAdapter.update(collectionName, p.id, { uid: null, updatedAt: dataAdapter.timestamp() })));
+
+    // المراجع قد تحمل الـ uid القديم أو معرف المستند (الملف بدون حساب)
+    for (const oldId of staffRefIds(profile)) {
+      await migrateReferences(collectionName, oldId, uid);
+    }
+
+    await dataAdapter.update(collectionName, profileId, {
+      uid,
+      email: profile.email || user.email || '',
+      updatedAt: dataAdapter.timestamp()
+    });
+
+    const role = PROFILE_ROLES[collectionName];
+    const roles = (user.roles || []).includes(role) ? user.roles : [...(user.roles || []), role];
+    await dataAdapter.update('users', uid, {
+      roles,
+      activeRole: user.activeRole || role,
+      profile: { collection: collectionName, id: profileId },
+      updatedAt: dataAdapter.timestamp(),
+      updatedBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error linking profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * فك ربط ملف عن حسابه (الحساب يبقى بأدواره)
+ */
+export const unlinkProfile = async (collectionName, profileId) => {
+  try {
+    requirePermission('update', collectionName);
+    requirePermission('update', 'users');
+
+    const profile = await dataAdapter.get(collectionName, profileId);
+    if (!profile) throw new Error('الملف غير موجود');
+
+    await dataAdapter.update(collectionName, profileId, { uid: null, updatedAt: dataAdapter.timestamp() });
+
+    const user = profile.uid ? await dataAdapter.get('users', profile.uid) : null;
+    if (user?.profile?.collection === collectionName && user.profile.id === profileId) {
+      await dataAdapter.update('users', profile.uid, {
+        profile: null,
+        updatedAt: dataAdapter.timestamp(),
+        updatedBy: getCurrentUserId()
+      });
+    }
+  } catch (error) {
+    console.error('Error unlinking profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * إضافة دور لحساب
+ */
+export const addUserRole = async (uid, role) => {
+  try {
+    requirePermission('update', 'users');
+    const user = await dataAdapter.get('users', uid);
+    if (!user) throw new Error('الحساب غير موجود');
+    if ((user.roles || []).includes(role)) return;
+
+    await dataAdapter.update('users', uid, {
+      roles: [...(user.roles || []), role],
+      updatedAt: dataAdapter.timestamp(),
+      updatedBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error adding user role:', error);
+    throw error;
+  }
+};
+
+/**
+ * إزالة مرجع profile من مستند users (عند الإشارة لملف محذوف)
+ */
+export const clearUserProfileLink = async (uid) => {
+  try {
+    requirePermission('update', 'users');
+    await dataAdapter.update('users', uid, {
+      profile: null,
+      updatedAt: dataAdapter.timestamp(),
+      updatedBy: getCurrentUserId()
+    });
+  } catch (error) {
+    console.error('Error clearing profile link:', error);
+    throw error;
+  }
+};
+
+/**
+ * مزامنة الاسم من الملف إلى users/{uid}
+ * تُستدعى بعد تعديل الملف؛ لا تفشل عملية التعديل إذا تعذرت المزامنة
+ * البريد لا يُنسخ هنا: مستند users وحده لا يغير بريد الدخول (راجع updateUserEmail)
+ */
+export const syncUserFromProfile = async (collectionName, profileId) => {
+  try {
+    const profile = await dataAdapter.get(collectionName, profileId);
+    if (!profile?.uid || isSyntheticUid(profile.uid)) return;
+
+    const user = await dataAdapter.get('users', profile.uid);
+    if (!user) return;
+
+    const changes = {};
+    if (profile.name && profile.name !== user.name) changes.name = profile.name;
+    if (!user.profile?.id) changes.profile = { collection: collectionName, id: profileId };
+
+    if (Object.keys(changes).length > 0) {
+      await dataAdapter.update('users', profile.uid, { ...changes, updatedAt: dataAdapter.timestamp() });
+    }
+  } catch (error) {
+    console.warn('Could not sync user document from profile:', error);
+  }
+};
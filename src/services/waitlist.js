@@ -0,0 +1,90 @@
+/**
+ * Waitlist
+ *
+ * قائمة الانتظار (web_waitlist): { patient, patientId?, department, preferredDate, notes, status }
+ * الحالات: waiting -> offered -> booked
+ * - offered: عُرض على المريض وقت تحرر بإلغاء موعد؛ العرض محفوظ في offer
+ *   { appointmentId, doctorId, doctorName, date, time, appointmentType, duration, offeredAt }
+ *   الرفض يعيد الطلب إلى waiting ويُحفظ appointmentId في declinedOffers حتى لا يُعرض عليه مرة أخرى
+ * - booked: حُجز الموعد (appointmentId)؛ الطلب يبقى للسجل ولا يُحذف
+ *
+ * ترتيب المطابقة لوقت متحرر (rankWaitlistMatches):
+ * 1. نفس قسم الطبيب (شرط)
+ * 2. الأقرب لتاريخ الوقت المتحرر حسب preferredDate (بدون تاريخ مفضل = NO_PREFERENCE_DAYS)
+ * 3. الأقدم في الانتظار
+ *
+ * هذا الملف يحتوي الحسابات فقط؛ العروض والحجز في firestoreService.
+ */
+
+import { isArchived } from './archive';
+import { daysBetween } from './treatmentPlans';
+import { appointmentTypeOf, appointmentDuration } from './appointmentSlots';
+
+export const WAITLIST_COLLECTION = 'web_waitlist';
+
+export const WAITLIST_STATUSES = ['waiting', 'offered', 'booked'];
+
+// المريض بدون تاريخ مفضل يقبل أي يوم، لكن بعد من طلب هذا اليوم تحديداً
+export const NO_PREFERENCE_DAYS = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lower = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * حالة الطلب (الطلبات القديمة بدون حالة = waiting)
+ */
+export const waitlistStatus = (entry) =>
+  WAITLIST_STATUSES.includes(entry.status) ? entry.status : 'waiting';
+
+/**
+ * الطلبات التي لم تُحجز بعد (waiting / offered)
+ */
+export const isOpenEntry = (entry) =>
+  !isArchived(entry, WAITLIST_COLLECTION) && waitlistStatus(entry) !== 'booked';
+
+/**
+ * وقت إضافة الطلب (Timestamp أو Date أو نص)
+ */
+const createdTime = (entry) => {
+  const value = entry.createdAt;
+  const date = value && typeof value.toDate === 'function' ? value.toDate() : new Date(value || 0);
+  return Number.isNaN(date.getTime()) ? 0 : date.getTime();
+};
+
+/**
+ * طلبات الانتظار المرشحة لوقت متحرر، مرتبة من الأنسب
+ * @param {Array} entries - web_waitlist
+ * @param {Object} slot - الموعد الملغى { id, date, ... }
+ * @param {string} department - قسم طبيب الموعد
+ * @param {Date} [now]
+ * @returns {Array<{ entry: Object, dateDistance: number, waitingDays: number }>}
+ */
+export const rankWaitlistMatches = (entries, slot, department, now = new Date()) =>
+  (entries || [])
+    .filter((entry) =>
+      waitlistStatus(entry) === 'waiting' &&
+      !isArchived(entry, WAITLIST_COLLECTION) &&
+      !!department && lower(entry.department) === lower(department) &&
+      !(entry.declinedOffers || []).includes(slot.id))
+    .map((entry) => ({
+      entry,
+      dateDistance: entry.preferredDate ? Math.abs(daysBetween(entry.preferredDate, slot.date)) : NO_PREFERENCE_DAYS,
+      waitingDays: Math.floor((now.getTime() - createdTime(entry)) / DAY_MS)
+    }))
+    .sort((a, b) =>
+      a.dateDistance - b.dateDistance ||
+      createdTime(a.entry) - createdTime(b.entry));
+
+/**
+ * العرض المحفوظ على الطلب من الموعد الملغى
+ */
+export const offerFromAppointment = (appointment) => ({
+  appointmentId: appointment.id,
+  doctorId: appointment.doctorId || null,
+  doctorName: appointment.doctorName || '',
+  date: appointment.date,
+  time: appointment.time,
+  appointmentType: appointmentTypeOf(appointment),
+  duration: appointmentDuration(appointment)
+});